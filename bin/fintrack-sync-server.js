@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+import { resolve } from 'node:path'
+import { parseArgs } from 'node:util'
+import { createSyncServer, createSyncStore } from '../server/syncServer.js'
+
+const USAGE = `Usage: fintrack-sync-server [options]
+
+Runs a FinTrack sync server that stores snapshots in a JSON file.
+
+Options:
+  -p, --port <number>      Port to listen on (default: 8787, or $PORT)
+  -d, --data <file>        Data file (default: ./fintrack-sync.json)
+      --host <address>     Address to bind (default: 127.0.0.1)
+      --origin <origin>    Allowed browser origin for CORS (default: *)
+  -h, --help               Show this help
+
+Set FINTRACK_SYNC_TOKEN to require "Authorization: Bearer <token>" on every request.
+`
+
+const fail = (message) => {
+  process.stderr.write(`fintrack-sync-server: ${message}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+let parsed
+try {
+  parsed = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: process.env.PORT || '8787' },
+      data: { type: 'string', short: 'd', default: 'fintrack-sync.json' },
+      host: { type: 'string', default: '127.0.0.1' },
+      origin: { type: 'string', default: '*' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+} catch (error) {
+  fail(error.message)
+}
+
+const { values } = parsed
+
+if (values.help) {
+  process.stdout.write(USAGE)
+  process.exit(0)
+}
+
+const port = Number(values.port)
+if (!Number.isInteger(port) || port < 0 || port > 65535) fail(`invalid port "${values.port}".`)
+
+const dataFile = resolve(values.data)
+let store
+try {
+  store = createSyncStore(dataFile)
+} catch (error) {
+  fail(`could not read ${dataFile}: ${error.message}`)
+}
+
+const server = createSyncServer({ store, token: process.env.FINTRACK_SYNC_TOKEN || '', allowOrigin: values.origin })
+
+server.listen(port, values.host, () => {
+  const { port: boundPort } = server.address()
+  process.stdout.write(`FinTrack sync server listening on http://${values.host}:${boundPort} (data: ${dataFile})\n`)
+})
+
+const shutdown = () => server.close(() => process.exit(0))
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+import { readFileSync } from 'node:fs'
+import { basename } from 'node:path'
+import { parseArgs } from 'node:util'
+import { parseBackup } from '../src/lib/backup.js'
+import { SUPPORTED_CURRENCIES } from '../src/lib/currency.js'
+import { isMonth } from '../src/lib/months.js'
+import { REPORT_FORMATS, REPORT_TABLES, buildReport, formatReport } from '../src/lib/report.js'
+
+const USAGE = `Usage: fintrack <history file> [options]
+
+Reads a FinTrack JSON backup or CSV history export and prints the monthly
+figures the dashboard shows.
+
+Options:
+  -f, --format <text|json|csv>       Output format (default: text)
+  -c, --currency <code>              Report currency (default: most common snapshot currency)
+      --from <YYYY-MM>               First month to include
+      --to <YYYY-MM>                 Last month to include
+      --table <months|categories>    Table printed with --format csv (default: months)
+  -h, --help                         Show this help
+`
+
+const fail = (message) => {
+  process.stderr.write(`fintrack: ${message}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+let parsed
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'text' },
+      currency: { type: 'string', short: 'c' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      table: { type: 'string', default: 'months' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+} catch (error) {
+  fail(error.message)
+}
+
+const { values, positionals } = parsed
+
+if (values.help) {
+  process.stdout.write(USAGE)
+  process.exit(0)
+}
+
+if (positionals.length !== 1) fail('expected exactly one history file.')
+if (!REPORT_FORMATS.includes(values.format)) fail(`unknown format "${values.format}".`)
+if (!REPORT_TABLES.includes(values.table)) fail(`unknown table "${values.table}".`)
+if (values.currency && !SUPPORTED_CURRENCIES.includes(values.currency.toUpperCase())) {
+  fail(`unsupported currency "${values.currency}".`)
+}
+if (values.from && !isMonth(values.from)) fail('--from must look like YYYY-MM.')
+if (values.to && !isMonth(values.to)) fail('--to must look like YYYY-MM.')
+
+const [file] = positionals
+
+try {
+  const { snapshots } = parseBackup(readFileSync(file, 'utf8'), basename(file))
+  const report = buildReport(snapshots, {
+    currency: values.currency?.toUpperCase(),
+    from: values.from,
+    to: values.to,
+  })
+
+  process.stdout.write(formatReport(report, values.format, { table: values.table }))
+} catch (error) {
+  process.stderr.write(`fintrack: could not read ${file}: ${error.message}\n`)
+  process.exit(1)
+}
@@ -0,0 +1,169 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { isMonth } from '../src/lib/months.js'
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+// Records are kept in memory and written to `dataFile` (when given) after every change.
+// Each record has a per-id `revision` that only goes up, and every change gets the next
+// value of a global `seq`, which clients use as their pull cursor.
+export const createSyncStore = (dataFile = null) => {
+  let state = { version: 1, seq: 0, records: {} }
+
+  if (dataFile && existsSync(dataFile)) {
+    const loaded = JSON.parse(readFileSync(dataFile, 'utf8'))
+    state = { version: 1, seq: Number(loaded.seq) || 0, records: loaded.records || {} }
+  }
+
+  const persist = () => {
+    if (!dataFile) return
+
+    const temporary = `${dataFile}.tmp`
+    writeFileSync(temporary, JSON.stringify(state))
+    renameSync(temporary, dataFile)
+  }
+
+  const monthOwner = (month, id) =>
+    Object.values(state.records).find((record) => record.month === month && record.id !== id && !record.deleted) || null
+
+  const applyChange = (change, deviceId) => {
+    const current = state.records[change.id] || null
+    const currentRevision = current ? current.revision : 0
+
+    if (current && Number(change.baseRevision) !== currentRevision) {
+      return { id: change.id, status: 'conflict', record: current }
+    }
+
+    if (!change.deleted) {
+      const owner = monthOwner(change.month, change.id)
+      if (owner) return { id: change.id, status: 'conflict', record: owner }
+    }
+
+    state.seq += 1
+    const record = {
+      id: change.id,
+      month: change.month,
+      revision: currentRevision + 1,
+      seq: state.seq,
+      deleted: Boolean(change.deleted),
+      snapshot: change.deleted ? null : change.snapshot,
+      updatedAt: Date.now(),
+      deviceId,
+    }
+    state.records[change.id] = record
+
+    return { id: change.id, status: 'applied', record }
+  }
+
+  return {
+    cursor: () => state.seq,
+    changesSince: (since) =>
+      Object.values(state.records)
+        .filter((record) => record.seq > since)
+        .sort((a, b) => a.seq - b.seq),
+    push: (deviceId, changes) => {
+      const results = changes.map((change) => applyChange(change, deviceId))
+      if (results.some((result) => result.status === 'applied')) persist()
+      return results
+    },
+  }
+}
+
+const validateChange = (change) => {
+  if (!change || typeof change !== 'object') throw new HttpError(400, 'Each change must be an object.')
+  if (typeof change.id !== 'string' || !change.id) throw new HttpError(400, 'Each change needs an id.')
+  if (!isMonth(change.month)) throw new HttpError(400, `Change ${change.id} has no valid month.`)
+  if (!change.deleted && (!change.snapshot || change.snapshot.id !== change.id || change.snapshot.month !== change.month)) {
+    throw new HttpError(400, `Change ${change.id} needs a snapshot with the same id and month.`)
+  }
+}
+
+const readJsonBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    request.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body is too large.'))
+        request.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'))
+      } catch {
+        reject(new HttpError(400, 'Request body must be JSON.'))
+      }
+    })
+    request.on('error', reject)
+  })
+
+/**
+ * HTTP API (all JSON):
+ *   GET  /v1/health                 -> { ok: true, cursor }
+ *   GET  /v1/changes?since=<seq>    -> { cursor, changes: record[] }
+ *   POST /v1/changes                -> { cursor, results: { id, status: 'applied' | 'conflict', record }[] }
+ *        body { deviceId, changes: { id, month, baseRevision, snapshot | deleted: true }[] }
+ *
+ * A change is applied only when `baseRevision` matches the stored revision and no other
+ * live record holds the same month; otherwise the current record is returned so the
+ * client can merge and try again. With `token` set, requests need `Authorization: Bearer <token>`.
+ */
+export const createSyncServer = ({ store = createSyncStore(), token = '', allowOrigin = '*' } = {}) =>
+  createServer(async (request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': allowOrigin,
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      })
+      response.end(body === undefined ? '' : JSON.stringify(body))
+    }
+
+    try {
+      if (request.method === 'OPTIONS') {
+        send(204)
+        return
+      }
+
+      if (token && request.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, 'Missing or wrong sync token.')
+
+      const url = new URL(request.url, 'http://localhost')
+
+      if (request.method === 'GET' && url.pathname === '/v1/health') {
+        send(200, { ok: true, cursor: store.cursor() })
+      } else if (request.method === 'GET' && url.pathname === '/v1/changes') {
+        const since = Number(url.searchParams.get('since')) || 0
+        send(200, { cursor: store.cursor(), changes: store.changesSince(since) })
+      } else if (request.method === 'POST' && url.pathname === '/v1/changes') {
+        const body = await readJsonBody(request)
+        if (!Array.isArray(body.changes)) throw new HttpError(400, 'Expected a "changes" array.')
+        body.changes.forEach(validateChange)
+
+        const results = store.push(String(body.deviceId || ''), body.changes)
+        send(200, { cursor: store.cursor(), results })
+      } else {
+        throw new HttpError(404, 'Not found.')
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        send(error.status, { error: error.message })
+      } else {
+        console.error(error)
+        send(500, { error: 'Internal server error.' })
+      }
+    }
+  })
@@ -1,172 +1,569 @@
 import { useEffect, useMemo, useState } from 'react'
 import {
-  Bar,
-  BarChart,
+  Area,
   CartesianGrid,
-  Cell,
+  ComposedChart,
   Legend,
   Line,
-  LineChart,
-  Pie,
-  PieChart,
   ResponsiveContainer,
   Tooltip,
   XAxis,
   YAxis,
 } from 'recharts'
+import AccountsCard from './components/AccountsCard'
+import ActivityDialog from './components/ActivityDialog'
+import AnomaliesPanel from './components/AnomaliesPanel'
+import BackupImportDialog from './components/BackupImportDialog'
+import CategoriesDialog from './components/CategoriesDialog'
+import CategoryCharts from './components/CategoryCharts'
+import CompareDialog from './components/CompareDialog'
+import CsvImportDialog from './components/CsvImportDialog'
+import DebtsCard from './components/DebtsCard'
+import ExchangeRatesCard from './components/ExchangeRatesCard'
+import GoalsCard from './components/GoalsCard'
+import HouseholdView from './components/HouseholdView'
+import IncomeSourcesEditor from './components/IncomeSourcesEditor'
+import InsightsPanel from './components/InsightsPanel'
+import MonthlyBarChart from './components/MonthlyBarChart'
+import ProfileSwitcher from './components/ProfileSwitcher'
+import RecurringItemsCard from './components/RecurringItemsCard'
+import ReportsDialog from './components/ReportsDialog'
+import RevisionsDialog from './components/RevisionsDialog'
+import ScenariosDialog from './components/ScenariosDialog'
+import SecurityCard from './components/SecurityCard'
+import SummaryStats from './components/SummaryStats'
+import SyncCard from './components/SyncCard'
+import TransactionLedger from './components/TransactionLedger'
+import useHistoryRepository from './hooks/useHistoryRepository'
+import useSealedState from './hooks/useSealedState'
+import useSync from './hooks/useSync'
+import { balancesFromForm, balancesToForm, loadAccounts, netWorthOf, saveAccounts } from './lib/accounts'
+import {
+  applyActivity,
+  changedSince,
+  createActivity,
+  describeActivity,
+  emptyActivityLog,
+  loadActivityLog,
+  markRedone,
+  markUndone,
+  monthRevisions,
+  nextRedo,
+  nextUndo,
+  recordActivity,
+  restoreRevision,
+  saveActivityLog,
+} from './lib/activity'
+import { computeTotals } from './lib/analytics'
+import { detectAnomalies, loadAnomalySettings, saveAnomalySettings } from './lib/anomalies'
+import { collectImportIds, loadImportSettings, saveImportSettings } from './lib/bankImport'
+import { applyMerge, createBackup, historyToCsv, parseBackup, previewMerge } from './lib/backup'
+import {
+  budgetVariance,
+  budgetsFromForm,
+  budgetsToForm,
+  buildBudgetAlerts,
+  carriedBudgets,
+} from './lib/budgets'
+import {
+  collectCategoryNames,
+  groupByParent,
+  loadCategoryTree,
+  parentOf,
+  renameCategoryInSnapshot,
+  renameCategoryInTree,
+  saveCategoryTree,
+  setParent,
+  tagTotalsAcross,
+} from './lib/categories'
+import { loadCurrencySettings, resolveRates, saveCurrencySettings } from './lib/currency'
+import {
+  compareStrategies,
+  debtPaymentsForMonth,
+  defaultDebtPlan,
+  debtProgress,
+  loadDebtPlan,
+  planByCurrency,
+  saveDebtPlan,
+} from './lib/debts'
+import { downloadFile, readFileAsText } from './lib/download'
+import { createHistoryRepository, createHistoryStore } from './lib/historyRepository'
+import { FORECAST_HORIZONS, FORECAST_METHODS, buildForecast, buildTrendChartData } from './lib/forecast'
+import { asCurrency } from './lib/format'
+import { GOAL_STATUS_LABELS, evaluateGoals, loadGoals, saveGoals } from './lib/goals'
+import { makeId } from './lib/id'
+import {
+  addImportedIncome,
+  createIncomeSource,
+  incomeChartData,
+  normalizeIncomeSource,
+  savingsRateWithoutOneOff,
+} from './lib/income'
+import { buildInsightContext, evaluateInsights, loadInsightSettings, saveInsightSettings } from './lib/insights'
+import {
+  byTransactionDate,
+  countByCategory,
+  createTransaction,
+  mergeCategoryNames,
+  normalizeTransaction,
+} from './lib/ledger'
+import { buildNetWorth } from './lib/netWorth'
+import { convertProfile, unreadableProfiles } from './lib/profileVault'
+import { loadRecurringItems, prefillForMonth, saveRecurringItems } from './lib/recurring'
+import { loadRollupSettings, saveRollupSettings } from './lib/rollup'
+import { loadScenarios, saveScenarios } from './lib/scenarios'
+import { byMostRecentMonth, normalizeSnapshot, snapshotInCurrency, withDerivedTotals } from './lib/snapshots'
+import { listQuarantinedHistory, removeQuarantinedHistory } from './lib/storage'
+import { changePassphrase, createCipher, createVault, saveVaultSettings, unlockVault } from './lib/vault'
 
 const DEFAULT_CATEGORIES = ['Food', 'Travel', 'Shopping', 'Rent', 'Bills', 'Other']
 const CHART_COLORS = ['#4f46e5', '#06b6d4', '#f97316', '#8b5cf6', '#ef4444', '#22c55e', '#eab308', '#0ea5e9']
-const STORAGE_KEY = 'fintrack_history_v1'
-
-const asCurrency = (value) =>
-  new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    maximumFractionDigits: 0,
-  }).format(Number(value) || 0)
 
 const getCurrentMonth = () => {
   const now = new Date()
   return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`
 }
 
-const makeId = () => {
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-    return crypto.randomUUID()
-  }
-
-  return `${Date.now()}-${Math.random().toString(16).slice(2)}`
-}
-
-const normalizeSnapshot = (snapshot) => {
-  if (!snapshot || typeof snapshot !== 'object') return null
-
-  const normalizedCategories = Array.isArray(snapshot.categories)
-    ? snapshot.categories
-        .map((category) => ({
-          name: String(category?.name || '').trim(),
-          amount: Number(category?.amount) || 0,
-        }))
-        .filter((category) => category.name)
-    : []
-
-  return {
-    id: typeof snapshot.id === 'string' && snapshot.id ? snapshot.id : makeId(),
-    month: typeof snapshot.month === 'string' ? snapshot.month : '',
-    income: Number(snapshot.income) || 0,
-    targetSavings: Number(snapshot.targetSavings) || 0,
-    categories: normalizedCategories,
-    totalExpense: Number(snapshot.totalExpense) || 0,
-    savings: Number(snapshot.savings) || 0,
-    savingsRate: Number(snapshot.savingsRate) || 0,
-    createdAt: Number(snapshot.createdAt) || Date.now(),
-  }
-}
-
-const loadHistoryFromStorage = () => {
-  if (typeof window === 'undefined') return []
-
-  try {
-    const raw = window.localStorage.getItem(STORAGE_KEY)
-    if (!raw) return []
-
-    const parsed = JSON.parse(raw)
-    if (!Array.isArray(parsed)) throw new Error('History must be an array')
-
-    return parsed.map(normalizeSnapshot).filter((snapshot) => snapshot && snapshot.month)
-  } catch {
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify([]))
-    return []
-  }
-}
-
-const byMostRecentMonth = (a, b) => {
-  const monthCompare = b.month.localeCompare(a.month)
-  if (monthCompare !== 0) return monthCompare
-  return b.createdAt - a.createdAt
-}
-
-function App() {
-  const [income, setIncome] = useState('')
+function App({ vault, profiles }) {
+  const profileId = profiles.activeId
+  const [currencySettings, setCurrencySettings] = useState(() => loadCurrencySettings(profileId))
+  const [incomeSources, setIncomeSources] = useState(() => [createIncomeSource(currencySettings.baseCurrency)])
+  const [lockedRates, setLockedRates] = useState(null)
   const [targetSavings, setTargetSavings] = useState('')
   const [selectedMonth, setSelectedMonth] = useState(getCurrentMonth())
-  const [categories, setCategories] = useState(DEFAULT_CATEGORIES.map((name) => ({ name, amount: '' })))
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES.map((name) => ({ name })))
+  const [transactions, setTransactions] = useState([])
+  const [incomeImportIds, setIncomeImportIds] = useState([])
+  const [budgets, setBudgets] = useState({})
+  const [balances, setBalances] = useState({})
   const [newCategory, setNewCategory] = useState('')
-  const [historySnapshots, setHistorySnapshots] = useState(() => loadHistoryFromStorage())
+  const [recurringItems, setRecurringItems] = useState(() => loadRecurringItems(profileId))
+  const [categoryTree, setCategoryTree] = useState(() => loadCategoryTree(profileId))
+  const [categoriesOpen, setCategoriesOpen] = useState(false)
+  const [drillCategory, setDrillCategory] = useState(null)
+  const [goals, setGoals] = useState(() => loadGoals(profileId))
+  const [accounts, setAccounts] = useState(() => loadAccounts(profileId))
+  const [sessionCipher] = useState(vault.cipher)
+  const [historyRepository] = useState(() => createHistoryRepository(createHistoryStore(sessionCipher, profileId), profileId))
+  const {
+    snapshots: historySnapshots,
+    setSnapshots: setHistorySnapshots,
+    ready: historyReady,
+    conflicts: historyConflicts,
+    resolveConflict,
+    persistError: historyError,
+  } = useHistoryRepository(historyRepository)
+  const [scenarios, setScenarios, scenariosError] = useSealedState({
+    load: loadScenarios,
+    save: saveScenarios,
+    initial: [],
+    sessionCipher,
+    cipher: vault.cipher,
+    profileId,
+  })
+  const [debtPlan, setDebtPlan, debtPlanError] = useSealedState({
+    load: loadDebtPlan,
+    save: saveDebtPlan,
+    initial: defaultDebtPlan,
+    sessionCipher,
+    cipher: vault.cipher,
+    profileId,
+  })
   const [historyOpen, setHistoryOpen] = useState(false)
-
-  const parsedIncome = Number(income) || 0
+  const [importOpen, setImportOpen] = useState(false)
+  const [backupImport, setBackupImport] = useState(null)
+  const [compareMonth, setCompareMonth] = useState(null)
+  const [activityLog, setActivityLog] = useState(emptyActivityLog)
+  const [activityReady, setActivityReady] = useState(false)
+  const [activityError, setActivityError] = useState(null)
+  const [activityOpen, setActivityOpen] = useState(false)
+  const [reportsOpen, setReportsOpen] = useState(false)
+  const [scenariosOpen, setScenariosOpen] = useState(false)
+  const [householdOpen, setHouseholdOpen] = useState(false)
+  const [rollupSettings, setRollupSettings] = useState(() => loadRollupSettings(profileId))
+  const [revisionsMonth, setRevisionsMonth] = useState(null)
+  const [quarantinedHistory, setQuarantinedHistory] = useState(() => listQuarantinedHistory(profileId))
+  const [forecastMethod, setForecastMethod] = useState('linear')
+  const [forecastHorizon, setForecastHorizon] = useState(6)
+  const [insightSettings, setInsightSettings] = useState(() => loadInsightSettings(profileId))
+  const [anomalySettings, setAnomalySettings] = useState(() => loadAnomalySettings(profileId))
+
+  const { baseCurrency, rates: rateTable } = currencySettings
   const parsedTargetSavings = Number(targetSavings) || 0
 
-  const totals = useMemo(() => {
-    const categoryTotals = categories.map((category) => ({
-      ...category,
-      amount: Number(category.amount) || 0,
-    }))
+  const balanceList = useMemo(() => balancesFromForm(balances, accounts), [balances, accounts])
+
+  const formRates = useMemo(
+    () =>
+      resolveRates(
+        rateTable,
+        [...incomeSources, ...transactions, ...balanceList].map((entry) => entry.currency),
+        baseCurrency,
+        selectedMonth,
+        lockedRates?.baseCurrency === baseCurrency ? lockedRates.rates : {},
+      ),
+    [rateTable, incomeSources, transactions, balanceList, baseCurrency, selectedMonth, lockedRates],
+  )
 
-    const totalExpense = categoryTotals.reduce((sum, category) => sum + category.amount, 0)
-    const savings = parsedIncome - totalExpense
-    const savingsRate = parsedIncome > 0 ? (savings / parsedIncome) * 100 : 0
-    const highestCategory = categoryTotals.reduce(
-      (highest, current) => (current.amount > highest.amount ? current : highest),
-      { name: 'N/A', amount: 0 },
-    )
+  const totals = useMemo(
+    () =>
+      computeTotals({
+        transactions,
+        categoryNames: categories.map((category) => category.name),
+        incomeSources,
+        rates: formRates.rates,
+      }),
+    [categories, transactions, incomeSources, formRates],
+  )
 
-    return {
-      categoryTotals,
-      totalExpense,
-      savings,
-      savingsRate,
-      highestCategory,
-    }
-  }, [categories, parsedIncome])
+  const transactionCounts = useMemo(() => countByCategory(transactions), [transactions])
+
+  const knownImportIds = useMemo(
+    () => collectImportIds(historySnapshots, transactions),
+    [historySnapshots, transactions],
+  )
 
   const validationErrors = useMemo(() => {
     const errors = []
 
-    if (income !== '' && Number(income) < 0) {
-      errors.push('Monthly income cannot be negative.')
-    }
+    incomeSources.forEach((source) => {
+      if (source.amount !== '' && Number(source.amount) < 0) {
+        errors.push(`${source.name || 'Income'} cannot be negative.`)
+      }
+    })
 
     if (targetSavings !== '' && Number(targetSavings) < 0) {
       errors.push('Target savings cannot be negative.')
     }
 
-    categories.forEach((category) => {
-      if (category.amount !== '' && Number(category.amount) < 0) {
+    Object.entries(budgets).forEach(([name, budget]) => {
+      if (budget.amount !== '' && Number(budget.amount) < 0) {
+        errors.push(`${name} budget cannot be negative.`)
+      }
+    })
+
+    totals.categoryTotals.forEach((category) => {
+      if (category.amount < 0) {
         errors.push(`${category.name} expense cannot be negative.`)
       }
     })
 
+    transactions.forEach((transaction) => {
+      if (selectedMonth && !transaction.date.startsWith(selectedMonth)) {
+        errors.push(`Transaction "${transaction.payee || 'Untitled'}" is dated outside ${selectedMonth}.`)
+      }
+    })
+
+    formRates.missing.forEach((currency) => {
+      errors.push(`No ${currency} → ${baseCurrency} exchange rate available for ${selectedMonth}.`)
+    })
+
     return errors
-  }, [categories, income, targetSavings])
+  }, [totals, transactions, selectedMonth, incomeSources, targetSavings, budgets, formRates, baseCurrency])
+
+  const budgetList = useMemo(
+    () => budgetsFromForm(budgets, categories.map((category) => category.name)),
+    [budgets, categories],
+  )
+
+  const variances = useMemo(() => budgetVariance(totals.categoryTotals, budgetList), [totals, budgetList])
 
   useEffect(() => {
-    if (typeof window === 'undefined') return
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(historySnapshots))
-  }, [historySnapshots])
+    if (historyReady) setQuarantinedHistory(listQuarantinedHistory(profileId))
+  }, [historyReady, profileId])
 
-  const warning = totals.savings < 0 ? 'Warning: Your expenses are higher than your monthly income.' : ''
-  const targetGap = totals.savings - parsedTargetSavings
+  useEffect(() => {
+    saveCurrencySettings(currencySettings, profileId)
+  }, [currencySettings, profileId])
+
+  useEffect(() => {
+    saveRecurringItems(recurringItems, profileId)
+  }, [recurringItems, profileId])
 
-  const insights = [
-    `Food is ${parsedIncome > 0 ? (((totals.categoryTotals.find((c) => c.name === 'Food')?.amount || 0) / parsedIncome) * 100).toFixed(1) : '0.0'}% of your income.`,
-    `Your savings rate is ${totals.savingsRate.toFixed(1)}%.`,
-    `Top spending category: ${totals.highestCategory.name} at ${asCurrency(totals.highestCategory.amount)}.`,
+  useEffect(() => {
+    saveInsightSettings(insightSettings, profileId)
+  }, [insightSettings, profileId])
+
+  useEffect(() => {
+    saveRollupSettings(rollupSettings, profileId)
+  }, [rollupSettings, profileId])
+
+  useEffect(() => {
+    saveAnomalySettings(anomalySettings, profileId)
+  }, [anomalySettings, profileId])
+
+  useEffect(() => {
+    saveAccounts(accounts, profileId)
+  }, [accounts, profileId])
+
+  useEffect(() => {
+    saveCategoryTree(categoryTree, profileId)
+  }, [categoryTree, profileId])
+
+  useEffect(() => {
+    saveGoals(goals, profileId)
+  }, [goals, profileId])
+
+  useEffect(() => {
+    let cancelled = false
+
+    // A log that cannot be read is never marked ready, so it is not saved over.
+    loadActivityLog(sessionCipher, profileId).then(
+      (loaded) => {
+        if (cancelled) return
+
+        setActivityLog(loaded)
+        setActivityReady(true)
+      },
+      (error) => {
+        if (cancelled) return
+
+        setActivityLog(emptyActivityLog())
+        setActivityReady(false)
+        setActivityError(error)
+      },
+    )
+
+    return () => {
+      cancelled = true
+    }
+  }, [sessionCipher, profileId])
+
+  useEffect(() => {
+    if (!activityReady) return
+
+    saveActivityLog(activityLog, vault.cipher, profileId).then(
+      () => setActivityError(null),
+      (error) => setActivityError(error),
+    )
+  }, [activityLog, activityReady, vault.cipher, profileId])
+
+  const alerts = [
+    ...validationErrors.map((message) => ({ level: 'error', message })),
+    ...(totals.savings < 0 ? [{ level: 'danger', message: 'Warning: Your expenses are higher than your monthly income.' }] : []),
+    ...buildBudgetAlerts(variances, baseCurrency),
+    ...(historyError ? [{ level: 'error', message: `Could not load or save your history: ${historyError.message}` }] : []),
+    ...(activityError ? [{ level: 'error', message: `Could not load or save the activity log: ${activityError.message}` }] : []),
+    ...(scenariosError ? [{ level: 'error', message: `Could not save your scenarios: ${scenariosError.message}` }] : []),
+    ...(debtPlanError ? [{ level: 'error', message: `Could not save your debts: ${debtPlanError.message}` }] : []),
   ]
+  const targetGap = totals.savings - parsedTargetSavings
 
-  const chartData = totals.categoryTotals.filter((category) => category.amount > 0)
+  const goalStatuses = useMemo(
+    () => evaluateGoals(goals, historySnapshots, rateTable, getCurrentMonth()),
+    [goals, historySnapshots, rateTable],
+  )
 
-  const trendData = [...historySnapshots]
-    .sort((a, b) => a.month.localeCompare(b.month) || a.createdAt - b.createdAt)
-    .map((snapshot) => ({ month: snapshot.month, savings: snapshot.savings }))
+  // Charts show top-level categories with their children rolled up; picking a parent
+  // drills down to its children.
+  const categoryGroups = groupByParent(totals.categoryTotals, categoryTree)
+  const drillGroup = categoryGroups.find((group) => group.name === drillCategory && group.children.length > 0) || null
+  const budgetFor = (names) =>
+    budgetList.filter((budget) => names.includes(budget.category)).reduce((sum, budget) => sum + budget.amount, 0)
+
+  const chartCategories = (drillGroup ? drillGroup.children : categoryGroups).map((category) => ({
+    ...category,
+    budget: budgetFor(category.children?.length ? category.children.map((child) => child.name) : [category.name]),
+    drillable: Boolean(category.children?.length),
+  }))
+  const chartData = chartCategories.filter((category) => category.amount > 0)
+  const budgetChartData = chartCategories.filter((category) => category.amount > 0 || category.budget > 0)
+
+  const categoryNames = useMemo(
+    () =>
+      collectCategoryNames(historySnapshots, [
+        ...categories.map((category) => category.name),
+        ...Object.keys(categoryTree.parents),
+        ...Object.values(categoryTree.parents),
+      ]),
+    [historySnapshots, categories, categoryTree],
+  )
+  const categoryUsage = useMemo(
+    () =>
+      Object.fromEntries(
+        categoryNames.map((name) => [
+          name,
+          historySnapshots.filter((snapshot) => snapshot.transactions.some((transaction) => transaction.category === name)).length,
+        ]),
+      ),
+    [categoryNames, historySnapshots],
+  )
+  const tagTotals = useMemo(() => tagTotalsAcross(historySnapshots, baseCurrency, rateTable), [historySnapshots, baseCurrency, rateTable])
+
+  const drillInto = (category) => {
+    if (category?.drillable) setDrillCategory(category.name)
+  }
 
-  const sortedHistory = [...historySnapshots].sort(byMostRecentMonth)
+  const reportedHistory = useMemo(
+    () => historySnapshots.map((snapshot) => snapshotInCurrency(snapshot, baseCurrency, rateTable)),
+    [historySnapshots, baseCurrency, rateTable],
+  )
+
+  const insights = useMemo(
+    () =>
+      evaluateInsights(
+        buildInsightContext({
+          month: selectedMonth,
+          currency: baseCurrency,
+          current: {
+            totalIncome: totals.totalIncome,
+            totalExpense: totals.totalExpense,
+            savings: totals.savings,
+            savingsRate: totals.savingsRate,
+            targetSavings: parsedTargetSavings,
+            categories: totals.categoryTotals,
+          },
+          history: reportedHistory.filter((snapshot) => snapshot.displayCurrency === baseCurrency),
+        }),
+        insightSettings,
+      ),
+    [selectedMonth, baseCurrency, totals, parsedTargetSavings, reportedHistory, insightSettings],
+  )
+
+  const anomalies = useMemo(
+    () =>
+      detectAnomalies(
+        {
+          month: selectedMonth,
+          categories: totals.categoryTotals,
+          history: reportedHistory.filter((snapshot) => snapshot.displayCurrency === baseCurrency),
+        },
+        anomalySettings,
+      ),
+    [selectedMonth, totals, reportedHistory, baseCurrency, anomalySettings],
+  )
+
+  const debtPlans = useMemo(() => planByCurrency(debtPlan.debts, debtPlan.strategy), [debtPlan])
+  const debtComparisons = useMemo(() => compareStrategies(debtPlan.debts), [debtPlan.debts])
+  const debtPaid = useMemo(() => debtProgress(debtPlans, historySnapshots), [debtPlans, historySnapshots])
+
+  const currentWorth = netWorthOf({ balances: balanceList, ratesUsed: formRates.rates })
+  const netWorth = useMemo(() => buildNetWorth(historySnapshots, baseCurrency, rateTable), [historySnapshots, baseCurrency, rateTable])
+
+  const forecast = useMemo(
+    () =>
+      buildForecast(
+        reportedHistory.filter((snapshot) => snapshot.displayCurrency === baseCurrency),
+        { method: forecastMethod, horizon: forecastHorizon },
+      ),
+    [reportedHistory, baseCurrency, forecastMethod, forecastHorizon],
+  )
+
+  const trendData = buildTrendChartData(forecast.series, forecast.savings)
+  const incomeChart = incomeChartData(reportedHistory.filter((snapshot) => snapshot.displayCurrency === baseCurrency))
+
+  const sortedHistory = [...reportedHistory].sort(byMostRecentMonth)
+  const comparableHistory = sortedHistory.filter(
+    (snapshot, index) =>
+      snapshot.displayCurrency === baseCurrency && sortedHistory.findIndex((entry) => entry.month === snapshot.month) === index,
+  )
   const recentHistory = sortedHistory.slice(0, 5)
 
-  const updateCategoryAmount = (index, value) => {
-    setCategories((previous) => previous.map((category, i) => (i === index ? { ...category, amount: value } : category)))
+  // What a scenario can fork from: the unsaved form, or any saved month in its own currency.
+  const scenarioSources = [
+    ...(selectedMonth
+      ? [
+          {
+            key: 'inputs',
+            label: `Current inputs (${selectedMonth})`,
+            figures: {
+              month: selectedMonth,
+              currency: baseCurrency,
+              incomeTotals: totals.incomeTotals,
+              categories: totals.categoryTotals,
+              targetSavings: parsedTargetSavings,
+              rates: formRates.rates,
+            },
+          },
+        ]
+      : []),
+    ...[...historySnapshots].sort(byMostRecentMonth).map((snapshot) => ({
+      key: snapshot.id,
+      label: `Saved ${snapshot.month}`,
+      figures: {
+        month: snapshot.month,
+        currency: snapshot.baseCurrency,
+        incomeTotals: snapshot.incomeTotals,
+        categories: snapshot.categories,
+        targetSavings: snapshot.targetSavings,
+        rates: snapshot.ratesUsed,
+      },
+    })),
+  ]
+
+  // Each saved month judged against the months saved before it.
+  const historyAnomalies = useMemo(
+    () =>
+      new Map(
+        reportedHistory
+          .filter((snapshot) => snapshot.displayCurrency === baseCurrency)
+          .map((snapshot, index, comparable) => [
+            snapshot.id,
+            detectAnomalies({ month: snapshot.month, categories: snapshot.categories, history: comparable }, anomalySettings).anomalies,
+          ]),
+      ),
+    [reportedHistory, baseCurrency, anomalySettings],
+  )
+
+  const addTransaction = () => {
+    setTransactions((previous) => [...previous, createTransaction(selectedMonth, categories[0]?.name, baseCurrency)])
+  }
+
+  const updateTransaction = (transactionId, changes) => {
+    setTransactions((previous) =>
+      previous.map((transaction) =>
+        transaction.id === transactionId ? { ...transaction, ...changes, prefilled: false } : transaction,
+      ),
+    )
+  }
+
+  const removeTransaction = (transactionId) => {
+    setTransactions((previous) => previous.filter((transaction) => transaction.id !== transactionId))
+  }
+
+  const addIncomeSource = () => {
+    setIncomeSources((previous) => [...previous, createIncomeSource(baseCurrency)])
+  }
+
+  const updateIncomeSource = (sourceId, changes) => {
+    setIncomeSources((previous) =>
+      previous.map((source) => (source.id === sourceId ? { ...source, ...changes, prefilled: false } : source)),
+    )
+  }
+
+  const removeIncomeSource = (sourceId) => {
+    setIncomeSources((previous) => previous.filter((source) => source.id !== sourceId))
+  }
+
+  const updateBudget = (name, changes) => {
+    setBudgets((previous) => ({
+      ...previous,
+      [name]: { amount: '', carryForward: false, ...previous[name], ...changes },
+    }))
+  }
+
+  const handleMonthChange = (month) => {
+    setSelectedMonth(month)
+    setLockedRates(null)
+
+    const hasSnapshot = historySnapshots.some((snapshot) => snapshot.month === month)
+    if (!month || hasSnapshot) return
+
+    setBudgets(budgetsToForm(carriedBudgets(historySnapshots, month)))
+    setBalances({})
+    if (recurringItems.length === 0 && debtPlan.debts.length === 0) return
+
+    const prefill = prefillForMonth(recurringItems, month)
+    const prefilledTransactions = [...prefill.transactions, ...debtPaymentsForMonth(debtPlans, month, prefill.transactions)]
+    setTransactions(prefilledTransactions)
+    setIncomeImportIds([])
+    setCategories((previous) =>
+      mergeCategoryNames(
+        previous.map((category) => category.name),
+        prefilledTransactions,
+      ).map((name) => ({ name })),
+    )
+    if (prefill.incomeSources.length > 0) setIncomeSources(prefill.incomeSources)
   }
 
   const removeCategory = (index) => {
@@ -179,10 +576,28 @@ function App() {
     if (!cleanName) return
     if (categories.some((category) => category.name.toLowerCase() === cleanName.toLowerCase())) return
 
-    setCategories((previous) => [...previous, { name: cleanName, amount: '' }])
+    setCategories((previous) => [...previous, { name: cleanName }])
     setNewCategory('')
   }
 
+  // Every change to saved history goes through here so it lands in the activity log and
+  // can be undone.
+  const commitHistory = (type, nextHistory, detail) => {
+    const entry = createActivity(type, historySnapshots, nextHistory, detail)
+    if (!entry) return
+
+    setHistorySnapshots(nextHistory)
+    setActivityLog((previous) => recordActivity(previous, entry))
+  }
+
+  const sync = useSync({
+    history: historySnapshots,
+    ready: historyReady,
+    cipher: vault.cipher,
+    profileId,
+    onRemoteChange: (nextHistory, detail) => commitHistory('synced', nextHistory, detail),
+  })
+
   const handleSaveSnapshot = () => {
     if (!selectedMonth) {
       window.alert('Please select a month before saving a snapshot.')
@@ -203,58 +618,391 @@ function App() {
     const snapshot = {
       id: existingSnapshot?.id || makeId(),
       month: selectedMonth,
-      income: parsedIncome,
+      baseCurrency,
+      ratesUsed: formRates.rates,
+      incomeSources: incomeSources
+        .filter((source) => source.name.trim() || Number(source.amount))
+        .map((source) => normalizeIncomeSource(source, baseCurrency)),
+      incomeTotals: totals.incomeTotals,
+      totalIncome: totals.totalIncome,
       targetSavings: parsedTargetSavings,
       categories: totals.categoryTotals,
+      transactions: transactions
+        .map((transaction) => normalizeTransaction(transaction, baseCurrency))
+        .filter(Boolean)
+        .sort(byTransactionDate),
+      incomeImportIds,
+      budgets: budgetList,
+      balances: balanceList,
       totalExpense: totals.totalExpense,
       savings: totals.savings,
       savingsRate: totals.savingsRate,
       createdAt: Date.now(),
     }
 
-    setHistorySnapshots((previous) => {
-      const nextHistory = existingSnapshot
-        ? previous.map((entry) => (entry.id === existingSnapshot.id ? snapshot : entry))
-        : [snapshot, ...previous]
+    const nextHistory = existingSnapshot
+      ? historySnapshots.map((entry) => (entry.id === existingSnapshot.id ? snapshot : entry))
+      : [snapshot, ...historySnapshots]
 
-      return nextHistory.sort(byMostRecentMonth)
-    })
+    commitHistory(existingSnapshot ? 'overwritten' : 'created', nextHistory.sort(byMostRecentMonth))
   }
 
   const handleLoadSnapshot = (snapshot) => {
     setSelectedMonth(snapshot.month)
-    setIncome(String(snapshot.income))
+    setIncomeSources(snapshot.incomeSources.map((source) => ({ ...source, amount: String(source.amount) })))
+    setLockedRates({ baseCurrency: snapshot.baseCurrency, rates: snapshot.ratesUsed })
     setTargetSavings(String(snapshot.targetSavings || 0))
-    setCategories(snapshot.categories.map((category) => ({ name: category.name, amount: String(category.amount) })))
+    setCategories(snapshot.categories.map((category) => ({ name: category.name })))
+    setTransactions(
+      snapshot.transactions.map((transaction) => ({
+        ...transaction,
+        amount: String(transaction.amount),
+        tags: (transaction.tags || []).join(', '),
+      })),
+    )
+    setIncomeImportIds(snapshot.incomeImportIds)
+    setBudgets(budgetsToForm(snapshot.budgets))
+    setBalances(balancesToForm(snapshot.balances))
     setNewCategory('')
   }
 
-  const handleDeleteSnapshot = (snapshotId) => {
-    setHistorySnapshots((previous) => previous.filter((snapshot) => snapshot.id !== snapshotId))
+  const handleImportStatement = (importedMonths) => {
+    const existingMonths = importedMonths.filter((group) =>
+      historySnapshots.some((snapshot) => snapshot.month === group.month),
+    )
+    const shouldMerge =
+      existingMonths.length === 0 ||
+      window.confirm(
+        `Snapshots already exist for ${existingMonths.map((group) => group.month).join(', ')}. Add the imported rows to them?`,
+      )
+
+    if (!shouldMerge) return
+
+    let nextHistory = [...historySnapshots]
+    const missingRates = []
+
+    importedMonths.forEach((group) => {
+      const existingSnapshot = nextHistory.find((snapshot) => snapshot.month === group.month)
+      const snapshotBase = existingSnapshot?.baseCurrency || baseCurrency
+      const baseTransactions = existingSnapshot?.transactions || []
+      const nextTransactions = [...baseTransactions, ...group.transactions].sort(byTransactionDate)
+      const nextIncomeSources = addImportedIncome(existingSnapshot?.incomeSources || [], group.income, group.currency)
+      const { rates, missing } = resolveRates(
+        rateTable,
+        [...nextIncomeSources, ...nextTransactions, ...(existingSnapshot?.balances || [])].map((entry) => entry.currency),
+        snapshotBase,
+        group.month,
+        existingSnapshot?.ratesUsed,
+      )
+
+      if (missing.length) {
+        missingRates.push(`${group.month} (${[...new Set(missing)].join(', ')})`)
+        return
+      }
+
+      const categoryNames = mergeCategoryNames(
+        existingSnapshot ? existingSnapshot.categories.map((category) => category.name) : categories.map((category) => category.name),
+        nextTransactions,
+      )
+
+      const snapshot = withDerivedTotals(
+        normalizeSnapshot({
+          id: existingSnapshot?.id || makeId(),
+          month: group.month,
+          baseCurrency: snapshotBase,
+          ratesUsed: rates,
+          incomeSources: nextIncomeSources,
+          targetSavings: existingSnapshot ? existingSnapshot.targetSavings : parsedTargetSavings,
+          categories: categoryNames.map((name) => ({ name })),
+          transactions: nextTransactions,
+          incomeImportIds: [...(existingSnapshot?.incomeImportIds || []), ...group.incomeImportIds],
+          budgets: existingSnapshot ? existingSnapshot.budgets : carriedBudgets(nextHistory, group.month),
+          balances: existingSnapshot?.balances || [],
+          createdAt: Date.now(),
+        }),
+      )
+
+      nextHistory = existingSnapshot
+        ? nextHistory.map((entry) => (entry.id === existingSnapshot.id ? snapshot : entry))
+        : [snapshot, ...nextHistory]
+    })
+
+    if (missingRates.length) {
+      window.alert(`Add exchange rates before importing. Missing for: ${missingRates.join('; ')}.`)
+      return
+    }
+
+    commitHistory('imported', nextHistory.sort(byMostRecentMonth), 'Bank statement')
+    setImportOpen(false)
+  }
+
+  const handleExportJson = () => {
+    downloadFile(
+      `fintrack-backup-${getCurrentMonth()}.json`,
+      JSON.stringify(createBackup(historySnapshots), null, 2),
+      'application/json',
+    )
+  }
+
+  const handleExportCsv = () => {
+    downloadFile(`fintrack-history-${getCurrentMonth()}.csv`, historyToCsv(historySnapshots), 'text/csv')
+  }
+
+  const openBackupImport = (text, source, fileName) => {
+    try {
+      const { snapshots, invalid } = parseBackup(text, fileName)
+      setBackupImport({ source, invalid, preview: previewMerge(historySnapshots, snapshots) })
+    } catch (error) {
+      window.alert(`Could not read backup: ${error instanceof Error ? error.message : error}`)
+    }
+  }
+
+  const handleBackupFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    openBackupImport(await readFileAsText(file), file.name, file.name)
+  }
+
+  const handleApplyBackup = (entries) => {
+    commitHistory('imported', applyMerge(historySnapshots, entries), backupImport.source)
+    setBackupImport(null)
+  }
+
+  const handleRestoreQuarantined = (entry) => {
+    openBackupImport(entry.raw, `Recovered data from ${new Date(entry.quarantinedAt).toLocaleString()}`, 'recovered.json')
+  }
+
+  const handleDownloadQuarantined = (entry) => {
+    downloadFile(`fintrack-recovered-${entry.quarantinedAt}.txt`, entry.raw, 'text/plain')
+  }
+
+  const handleDiscardQuarantined = (key) => {
+    const shouldDiscard = window.confirm('Permanently discard this recovered data?')
+    if (!shouldDiscard) return
+
+    removeQuarantinedHistory(key, profileId)
+    setQuarantinedHistory(listQuarantinedHistory(profileId))
+  }
+
+  const handleDeleteSnapshot = (snapshot) => {
+    const shouldDelete = window.confirm(`Delete the ${snapshot.month} snapshot? You can undo this from History.`)
+    if (!shouldDelete) return
+
+    commitHistory('deleted', historySnapshots.filter((entry) => entry.id !== snapshot.id))
   }
 
   const handleClearHistory = () => {
     if (!historySnapshots.length) return
 
-    const shouldClear = window.confirm('Clear all saved history snapshots? This cannot be undone.')
+    const shouldClear = window.confirm('Clear all saved history snapshots? You can undo this from History.')
     if (!shouldClear) return
 
-    setHistorySnapshots([])
+    commitHistory('cleared', [])
   }
 
+  // Renames or merges a category everywhere it is stored: saved months (undoable like any
+  // other history change), the month being edited, the hierarchy, recurring items and
+  // import rules.
+  const handleRenameCategory = (from, to, merge) => {
+    if (merge && !window.confirm(`Merge "${from}" into "${to}"? Its transactions and budgets move to "${to}" in every month.`)) {
+      return
+    }
+
+    const renameName = (name) => (name === from ? to : name)
+
+    commitHistory(
+      'renamed',
+      historySnapshots.map((snapshot) => renameCategoryInSnapshot(snapshot, from, to)),
+      merge ? `${from} merged into ${to}` : `${from} → ${to}`,
+    )
+    setCategories((previous) => [...new Set(previous.map((category) => renameName(category.name)))].map((name) => ({ name })))
+    setTransactions((previous) =>
+      previous.map((transaction) => (transaction.category === from ? { ...transaction, category: to } : transaction)),
+    )
+    setBudgets((previous) => {
+      if (!previous[from]) return previous
+
+      const { [from]: moved, ...rest } = previous
+      const target = rest[to]
+      return {
+        ...rest,
+        [to]: target
+          ? { amount: String((Number(target.amount) || 0) + (Number(moved.amount) || 0)), carryForward: target.carryForward || moved.carryForward }
+          : moved,
+      }
+    })
+    setCategoryTree((previous) => renameCategoryInTree(previous, from, to, merge))
+    setRecurringItems((previous) => previous.map((item) => (item.category === from ? { ...item, category: to } : item)))
+    setDebtPlan((previous) => ({
+      ...previous,
+      debts: previous.debts.map((debt) => (debt.category === from ? { ...debt, category: to } : debt)),
+    }))
+    setDrillCategory((previous) => (previous === from ? to : previous))
+
+    const importSettings = loadImportSettings(profileId)
+    saveImportSettings(
+      {
+        ...importSettings,
+        rules: importSettings.rules.map((rule) => (rule.category === from ? { ...rule, category: to } : rule)),
+      },
+      profileId,
+    )
+  }
+
+  const handleCategoryParentChange = (name, parent) => {
+    setCategoryTree((previous) => setParent(previous, name, parent))
+  }
+
+  // Vault settings are written before any data is converted and removed only after it
+  // has all been decrypted, so an interrupted conversion never leaves data unreadable.
+  // One vault covers every profile, so the profiles that are not open are converted too. A
+  // profile with anything that cannot be opened is left as it was and its name returned.
+  const convertOtherProfiles = async (fromCipher, toCipher) => {
+    const skipped = []
+    for (const profile of profiles.profiles.filter((entry) => entry.id !== profileId)) {
+      try {
+        await convertProfile(profile.id, fromCipher, toCipher)
+      } catch {
+        skipped.push(profile.name)
+      }
+    }
+    return skipped
+  }
+
+  const handleEnableEncryption = async (passphrase, idleMinutes) => {
+    const { settings, key } = await createVault(passphrase, idleMinutes)
+    const cipher = createCipher(key)
+
+    saveVaultSettings(settings)
+    await historyRepository.convert(cipher)
+    if (activityReady) await saveActivityLog(activityLog, cipher, profileId)
+    await saveScenarios(scenarios, cipher, profileId)
+    await saveDebtPlan(debtPlan, cipher, profileId)
+    const skipped = await convertOtherProfiles(null, cipher)
+    vault.update(settings, key)
+    if (skipped.length > 0) return `Encryption is on, but the data of ${skipped.join(', ')} could not be read and was left as it was.`
+  }
+
+  const handleDisableEncryption = async (passphrase) => {
+    await unlockVault(vault.settings, passphrase)
+
+    // The other profiles are checked and converted first; the open one is only decrypted
+    // once they all are, so a failure leaves it sealed to match the vault settings.
+    const unreadable = await unreadableProfiles(
+      profiles.profiles.filter((entry) => entry.id !== profileId),
+      vault.cipher,
+    )
+    const stayOn = (names) => new Error(`Could not open the data of ${names.join(', ')}, so encryption stays on.`)
+    if (unreadable.length > 0) throw stayOn(unreadable.map((profile) => profile.name))
+
+    const skipped = await convertOtherProfiles(vault.cipher, null)
+    if (skipped.length > 0) throw stayOn(skipped)
+
+    try {
+      await historyRepository.convert(null)
+    } catch (error) {
+      await historyRepository.convert(vault.cipher).catch(() => {})
+      throw error
+    }
+    if (activityReady) await saveActivityLog(activityLog, null, profileId)
+    await saveScenarios(scenarios, null, profileId)
+    await saveDebtPlan(debtPlan, null, profileId)
+    saveVaultSettings(null)
+    vault.update(null, null)
+  }
+
+  const handleChangePassphrase = async (currentPassphrase, nextPassphrase) => {
+    const settings = await changePassphrase(vault.settings, currentPassphrase, nextPassphrase)
+    saveVaultSettings(settings)
+    vault.update(settings)
+  }
+
+  const handleIdleChange = (idleMinutes) => {
+    const settings = { ...vault.settings, idleMinutes }
+    saveVaultSettings(settings)
+    vault.update(settings)
+  }
+
+  const undoEntry = nextUndo(activityLog)
+  const redoEntry = nextRedo(activityLog)
+
+  const stepActivity = (entry, direction) => {
+    if (!entry || !historyReady) return
+
+    const changed = changedSince(historySnapshots, entry, direction)
+    const shouldApply =
+      changed.length === 0 ||
+      window.confirm(
+        `${changed.join(', ')} changed since "${describeActivity(entry)}". ${direction === 'undo' ? 'Undo' : 'Redo'} it anyway and replace those months?`,
+      )
+    if (!shouldApply) return
+
+    setHistorySnapshots(applyActivity(historySnapshots, entry, direction))
+    setActivityLog((previous) => (direction === 'undo' ? markUndone(previous, entry) : markRedone(previous, entry)))
+  }
+
+  const handleUndo = () => stepActivity(undoEntry, 'undo')
+  const handleRedo = () => stepActivity(redoEntry, 'redo')
+
+  const handleRestoreRevision = (revision) => {
+    commitHistory(
+      'restored',
+      restoreRevision(historySnapshots, revision),
+      `Version saved ${new Date(revision.snapshot.createdAt).toLocaleString()}`,
+    )
+  }
+
+  const revisionCounts = useMemo(() => {
+    const counts = new Map()
+    activityLog.entries.forEach((entry) => entry.months.forEach((month) => counts.set(month, (counts.get(month) || 0) + 1)))
+    return counts
+  }, [activityLog])
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z undo and redo history changes, but never while a
+  // field has focus, where the browser's own text undo applies.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+      if (event.target.closest?.('input, select, textarea, [contenteditable="true"]')) return
+
+      const key = event.key.toLowerCase()
+      const entry = key === 'y' || (key === 'z' && event.shiftKey) ? redoEntry : key === 'z' ? undoEntry : null
+      if (!entry) return
+
+      event.preventDefault()
+      stepActivity(entry, entry === redoEntry ? 'redo' : 'undo')
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
 
   useEffect(() => {
-    if (!historyOpen) return
+    if (!historyOpen && !importOpen && !backupImport && !compareMonth && !activityOpen && !reportsOpen && !scenariosOpen && !categoriesOpen && !revisionsMonth) return
 
     const handleKeyDown = (event) => {
       if (event.key === 'Escape') {
+        if (revisionsMonth) {
+          setRevisionsMonth(null)
+          return
+        }
+
         setHistoryOpen(false)
+        setImportOpen(false)
+        setBackupImport(null)
+        setCompareMonth(null)
+        setActivityOpen(false)
+        setReportsOpen(false)
+        setScenariosOpen(false)
+        setCategoriesOpen(false)
       }
     }
 
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [historyOpen])
+  }, [historyOpen, importOpen, backupImport, compareMonth, activityOpen, reportsOpen, scenariosOpen, categoriesOpen, revisionsMonth])
 
   const renderHistoryTable = (historyList) => (
     <div className="history-table">
@@ -272,15 +1020,41 @@ function App() {
         <tbody>
           {historyList.map((snapshot) => (
             <tr key={snapshot.id}>
-              <td className="history-month">{snapshot.month}</td>
-              <td>{asCurrency(snapshot.income)}</td>
-              <td>{asCurrency(snapshot.totalExpense)}</td>
-              <td className={snapshot.savings < 0 ? 'negative' : 'positive'}>{asCurrency(snapshot.savings)}</td>
-              <td>{snapshot.savingsRate.toFixed(1)}%</td>
+              <td className="history-month">
+                {snapshot.month}
+                {historyAnomalies.get(snapshot.id)?.length > 0 && (
+                  <span
+                    className="anomaly-badge"
+                    title={historyAnomalies
+                      .get(snapshot.id)
+                      .map((anomaly) => anomaly.message)
+                      .join('\n')}
+                  >
+                    {historyAnomalies.get(snapshot.id).length} unusual
+                  </span>
+                )}
+              </td>
+              <td>{asCurrency(snapshot.totalIncome, snapshot.displayCurrency)}</td>
+              <td>{asCurrency(snapshot.totalExpense, snapshot.displayCurrency)}</td>
+              <td className={snapshot.savings < 0 ? 'negative' : 'positive'}>
+                {asCurrency(snapshot.savings, snapshot.displayCurrency)}
+              </td>
+              <td>
+                {snapshot.savingsRate.toFixed(1)}%
+                {savingsRateWithoutOneOff(snapshot) !== null && (
+                  <small className="rate-note">{savingsRateWithoutOneOff(snapshot).toFixed(1)}% excl. one-off</small>
+                )}
+              </td>
               <td>
                 <div className="history-actions">
                   <button type="button" className="ghost" onClick={() => handleLoadSnapshot(snapshot)}>Load</button>
-                  <button type="button" className="remove" onClick={() => handleDeleteSnapshot(snapshot.id)}>Delete</button>
+                  {comparableHistory.length > 1 && comparableHistory.includes(snapshot) && (
+                    <button type="button" className="ghost" onClick={() => setCompareMonth(snapshot.month)}>Compare</button>
+                  )}
+                  {revisionCounts.has(snapshot.month) && (
+                    <button type="button" className="ghost" onClick={() => setRevisionsMonth(snapshot.month)}>Revisions</button>
+                  )}
+                  <button type="button" className="remove" onClick={() => handleDeleteSnapshot(snapshot)}>Delete</button>
                 </div>
               </td>
             </tr>
@@ -290,16 +1064,39 @@ function App() {
     </div>
   )
 
+  const header = (
+    <header className="hero">
+      <div>
+        <span className="badge">FinTrack</span>
+        <h1>Personal Finance Analytics Dashboard</h1>
+        <p>Track your income, understand spending patterns, and improve savings with clean visual insights.</p>
+      </div>
+      <ProfileSwitcher profiles={profiles} householdOpen={householdOpen} onHouseholdToggle={() => setHouseholdOpen(!householdOpen)} />
+    </header>
+  )
+
+  if (householdOpen) {
+    return (
+      <div className="app-shell">
+        <div className="app">
+          {header}
+          <HouseholdView
+            profiles={profiles}
+            activeSnapshots={historySnapshots}
+            cipher={sessionCipher}
+            baseCurrency={baseCurrency}
+            rateTable={rateTable}
+            colors={CHART_COLORS}
+          />
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="app-shell">
       <div className="app">
-        <header className="hero">
-          <div>
-            <span className="badge">FinTrack</span>
-            <h1>Personal Finance Analytics Dashboard</h1>
-            <p>Track your income, understand spending patterns, and improve savings with clean visual insights.</p>
-          </div>
-        </header>
+        {header}
 
         <main className="grid">
           <section className="card">
@@ -307,7 +1104,7 @@ function App() {
             <div className="input-grid">
               <label>
                 Month
-                <input type="month" value={selectedMonth} onChange={(event) => setSelectedMonth(event.target.value)} />
+                <input type="month" value={selectedMonth} onChange={(event) => handleMonthChange(event.target.value)} />
               </label>
               <label>
                 Target Savings
@@ -322,38 +1119,60 @@ function App() {
               </label>
             </div>
 
-            <label>
-              Monthly Income
-              <input
-                type="number"
-                min="0"
-                step="1"
-                value={income}
-                onChange={(event) => setIncome(event.target.value)}
-                placeholder="Enter income"
-              />
-            </label>
+            <IncomeSourcesEditor
+              sources={incomeSources}
+              onAdd={addIncomeSource}
+              onUpdate={updateIncomeSource}
+              onRemove={removeIncomeSource}
+            />
+
+            {lockedRates && lockedRates.baseCurrency === baseCurrency && Object.keys(lockedRates.rates).length > 0 && (
+              <p className="rate-lock">
+                Using the exchange rates saved with this snapshot.{' '}
+                <button type="button" className="link-button" onClick={() => setLockedRates(null)}>
+                  Use current rate table
+                </button>
+              </p>
+            )}
 
             <div className="category-list">
-              {categories.map((category, index) => (
+              {totals.categoryTotals.map((category, index) => (
                 <div key={category.name} className="category-row">
-                  <label>
-                    {category.name}
-                    <input
-                      type="number"
-                      min="0"
-                      step="1"
-                      value={category.amount}
-                      onChange={(event) => updateCategoryAmount(index, event.target.value)}
-                      placeholder="0"
-                    />
-                  </label>
+                  <div className="category-total">
+                    <span>{category.name}</span>
+                    <strong>{asCurrency(category.amount, baseCurrency)}</strong>
+                    <small>
+                      {parentOf(categoryTree, category.name) && `${parentOf(categoryTree, category.name)} · `}
+                      {transactionCounts[category.name] || 0} transactions
+                    </small>
+                  </div>
+                  <div className="budget-input">
+                    <label>
+                      Budget
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={budgets[category.name]?.amount || ''}
+                        onChange={(event) => updateBudget(category.name, { amount: event.target.value })}
+                        placeholder="None"
+                      />
+                    </label>
+                    <label className="checkbox-label" title="Reuse this budget for following months">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(budgets[category.name]?.carryForward)}
+                        onChange={(event) => updateBudget(category.name, { carryForward: event.target.checked })}
+                      />
+                      Carry forward
+                    </label>
+                  </div>
                   <button
                     type="button"
                     className="remove"
                     onClick={() => removeCategory(index)}
-                    disabled={DEFAULT_CATEGORIES.includes(category.name)}
-                    title={DEFAULT_CATEGORIES.includes(category.name) ? 'Default categories cannot be removed' : 'Remove category'}
+                    disabled={Boolean(transactionCounts[category.name])}
+                    title={transactionCounts[category.name] ? 'Move or delete its transactions first' : 'Remove category'}
                   >
                     Remove
                   </button>
@@ -369,49 +1188,34 @@ function App() {
                 placeholder="Add custom category"
               />
               <button type="button" onClick={addCategory}>Add</button>
+              <button type="button" className="ghost" onClick={() => setCategoriesOpen(true)}>
+                Manage categories
+              </button>
             </div>
 
             <div className="actions-row">
               <button type="button" className="save" onClick={handleSaveSnapshot}>Save Snapshot</button>
+              <button type="button" className="ghost" onClick={() => setImportOpen(true)}>Import CSV</button>
             </div>
 
-            {validationErrors.length > 0 && (
-              <ul className="errors">
-                {validationErrors.map((error) => (
-                  <li key={error}>{error}</li>
+            {alerts.length > 0 && (
+              <ul className="alerts">
+                {alerts.map((alert) => (
+                  <li key={alert.message} className={`alert-${alert.level}`}>{alert.message}</li>
                 ))}
               </ul>
             )}
-
-            {warning && <p className="warning">{warning}</p>}
           </section>
 
           <section className="card">
             <h2>Summary</h2>
-            <div className="stats">
-              <article>
-                <h3>Total Expense</h3>
-                <p>{asCurrency(totals.totalExpense)}</p>
-              </article>
-              <article>
-                <h3>Savings</h3>
-                <p className={totals.savings < 0 ? 'negative' : 'positive'}>{asCurrency(totals.savings)}</p>
-              </article>
-              <article>
-                <h3>Savings Rate</h3>
-                <p>{totals.savingsRate.toFixed(1)}%</p>
-              </article>
-              <article>
-                <h3>Highest Category</h3>
-                <p>{totals.highestCategory.name}</p>
-              </article>
-            </div>
+            <SummaryStats totals={totals} currency={baseCurrency} />
 
             <div className="balance-card">
   <h3>Net Balance</h3>
 
   <p className={`balance-amount ${totals.savings < 0 ? 'negative' : 'positive'}`}>
-    {asCurrency(totals.savings)}
+    {asCurrency(totals.savings, baseCurrency)}
   </p>
 
   <div className="progress" aria-label="Savings progress">
@@ -422,7 +1226,7 @@ function App() {
   </div>
 
   <div className="balance-meta">
-    <span>{asCurrency(totals.totalExpense)} spent</span>
+    <span>{asCurrency(totals.totalExpense, baseCurrency)} spent</span>
     <span>{totals.savingsRate.toFixed(1)}% saved</span>
   </div>
 </div>
@@ -432,58 +1236,165 @@ function App() {
               <p className={targetGap < 0 ? 'negative' : 'positive'}>
                 {targetSavings === ''
                   ? 'Set a target savings value to track progress.'
-                  : `${targetGap >= 0 ? 'Ahead by' : 'Behind by'} ${asCurrency(Math.abs(targetGap))} vs target.`}
+                  : `${targetGap >= 0 ? 'Ahead by' : 'Behind by'} ${asCurrency(Math.abs(targetGap), baseCurrency)} vs target.`}
               </p>
-            </div>
 
-            <div className="insights">
-              <h3>Insights</h3>
-              <ul>
-                {insights.map((insight) => (
-                  <li key={insight}>{insight}</li>
-                ))}
-              </ul>
+              {goalStatuses.length > 0 && (
+                <ul className="goal-list">
+                  {goalStatuses.map((entry) => (
+                    <li key={entry.goal.id}>
+                      <div className="goal-line">
+                        <strong>{entry.goal.name}</strong>
+                        <span className={`goal-status goal-${entry.status}`}>{GOAL_STATUS_LABELS[entry.status]}</span>
+                      </div>
+                      <div className="progress" aria-label={`${entry.goal.name} progress`}>
+                        <div className="progress-bar" style={{ width: `${entry.progress}%` }} />
+                      </div>
+                      <small>
+                        {asCurrency(entry.saved, entry.goal.currency)} of {asCurrency(entry.goal.targetAmount, entry.goal.currency)}
+                        {entry.status === 'on-track' || entry.status === 'behind'
+                          ? ` · needs ${asCurrency(entry.requiredMonthly, entry.goal.currency)}/month for ${entry.monthsLeft} month${entry.monthsLeft === 1 ? '' : 's'} (recent pace ${asCurrency(entry.pace, entry.goal.currency)})`
+                          : entry.status === 'missed'
+                            ? ` · ${asCurrency(entry.remaining, entry.goal.currency)} short at ${entry.goal.deadline}`
+                            : ''}
+                        {entry.unconverted.length > 0 && ` · ${entry.unconverted.length} month(s) skipped for missing exchange rates`}
+                      </small>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
+
+            {variances.length > 0 && (
+              <div className="budget-summary">
+                <h3>Budget vs Actual</h3>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Budget</th>
+                      <th>Actual</th>
+                      <th>Variance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {variances.map((entry) => (
+                      <tr key={entry.category}>
+                        <td>{entry.category}</td>
+                        <td>{asCurrency(entry.budget, baseCurrency)}</td>
+                        <td>{asCurrency(entry.actual, baseCurrency)}</td>
+                        <td className={entry.variance < 0 ? 'negative' : 'positive'}>{asCurrency(entry.variance, baseCurrency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <InsightsPanel insights={insights} settings={insightSettings} onSettingsChange={setInsightSettings} />
+            <AnomaliesPanel
+              result={anomalies}
+              settings={anomalySettings}
+              currency={baseCurrency}
+              onSettingsChange={setAnomalySettings}
+            />
           </section>
 
+          <TransactionLedger
+            transactions={transactions}
+            categories={categories}
+            baseCurrency={baseCurrency}
+            rates={formRates.rates}
+            onAdd={addTransaction}
+            onUpdate={updateTransaction}
+            onRemove={removeTransaction}
+          />
+
+          <ExchangeRatesCard settings={currencySettings} onChange={setCurrencySettings} />
+
+          <SecurityCard
+            supported={vault.supported}
+            settings={vault.settings}
+            onEnable={handleEnableEncryption}
+            onChangePassphrase={handleChangePassphrase}
+            onDisable={handleDisableEncryption}
+            onIdleChange={handleIdleChange}
+            onLock={vault.lock}
+          />
+
+          {sync.loaded && (
+            <SyncCard
+              settings={sync.settings}
+              status={sync.status}
+              pendingCount={sync.pendingCount}
+              onConfigure={sync.configure}
+              onSyncNow={sync.syncNow}
+            />
+          )}
+
+          <AccountsCard
+            accounts={accounts}
+            balances={balances}
+            currentWorth={currentWorth}
+            netWorth={netWorth}
+            selectedMonth={selectedMonth}
+            baseCurrency={baseCurrency}
+            onAccountsChange={setAccounts}
+            onBalanceChange={(accountId, value) => setBalances((previous) => ({ ...previous, [accountId]: value }))}
+          />
+
+          <DebtsCard
+            plan={debtPlan}
+            plans={debtPlans}
+            comparisons={debtComparisons}
+            progress={debtPaid}
+            categoryNames={categories.map((category) => category.name)}
+            selectedMonth={selectedMonth}
+            baseCurrency={baseCurrency}
+            onChange={setDebtPlan}
+          />
+
+          <GoalsCard
+            goals={goals}
+            statuses={goalStatuses}
+            selectedMonth={selectedMonth}
+            baseCurrency={baseCurrency}
+            onChange={setGoals}
+          />
+
+          <RecurringItemsCard
+            items={recurringItems}
+            categoryNames={categories.map((category) => category.name)}
+            selectedMonth={selectedMonth}
+            baseCurrency={baseCurrency}
+            onChange={setRecurringItems}
+          />
+
           <section className="card charts">
-            <h2>Spending Breakdown</h2>
+            <div className="history-header">
+              <h2>Spending Breakdown{drillGroup && `: ${drillGroup.name}`}</h2>
+              {drillGroup && (
+                <div className="history-header-actions">
+                  <button type="button" className="ghost" onClick={() => setDrillCategory(null)}>
+                    All categories
+                  </button>
+                </div>
+              )}
+            </div>
+            {!drillGroup && chartData.some((category) => category.drillable) && (
+              <p className="empty">Click a parent category in either chart to see its subcategories.</p>
+            )}
             {chartData.length === 0 ? (
               <p className="empty">Add expense values to view charts.</p>
             ) : (
-              <div className="chart-grid">
-                <div className="chart-box">
-                  <h3>Category Share</h3>
-                  <ResponsiveContainer width="100%" height={280}>
-                    <PieChart>
-                      <Pie data={chartData} dataKey="amount" nameKey="name" outerRadius={90} label>
-                        {chartData.map((entry, index) => (
-                          <Cell key={entry.name} fill={CHART_COLORS[index % CHART_COLORS.length]} />
-                        ))}
-                      </Pie>
-                      <Tooltip formatter={(value) => asCurrency(value)} />
-                      <Legend />
-                    </PieChart>
-                  </ResponsiveContainer>
-                </div>
-
-                <div className="chart-box">
-                  <h3>Category Amounts</h3>
-                  <ResponsiveContainer width="100%" height={280}>
-                    <BarChart data={chartData} margin={{ top: 8, right: 16, left: 0, bottom: 16 }}>
-                      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                      <XAxis dataKey="name" />
-                      <YAxis tickFormatter={(v) => `${Math.round(v / 1000)}k`} />
-                      <Tooltip formatter={(value) => asCurrency(value)} />
-                      <Bar dataKey="amount" radius={[6, 6, 0, 0]}>
-                        {chartData.map((entry, index) => (
-                          <Cell key={entry.name} fill={CHART_COLORS[index % CHART_COLORS.length]} />
-                        ))}
-                      </Bar>
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              </div>
+              <CategoryCharts
+                shareData={chartData}
+                amountData={budgetChartData}
+                currency={baseCurrency}
+                colors={CHART_COLORS}
+                showBudget={budgetList.length > 0}
+                onDrill={drillInto}
+              />
             )}
           </section>
 
@@ -491,11 +1402,48 @@ function App() {
             <div className="history-header">
               <h2>History</h2>
               <div className="history-header-actions">
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={handleUndo}
+                  disabled={!undoEntry || !historyReady}
+                  title={undoEntry ? `Undo: ${describeActivity(undoEntry)}` : 'Nothing to undo'}
+                >
+                  Undo
+                </button>
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={handleRedo}
+                  disabled={!redoEntry || !historyReady}
+                  title={redoEntry ? `Redo: ${describeActivity(redoEntry)}` : 'Nothing to redo'}
+                >
+                  Redo
+                </button>
+                <button type="button" className="ghost" onClick={() => setActivityOpen(true)}>
+                  Activity
+                </button>
+                <button type="button" className="ghost" onClick={() => setReportsOpen(true)} disabled={historySnapshots.length === 0}>
+                  Reports
+                </button>
+                <button type="button" className="ghost" onClick={() => setScenariosOpen(true)}>
+                  What-if
+                </button>
                 {sortedHistory.length > 5 && (
                   <button type="button" className="ghost" onClick={() => setHistoryOpen(true)}>
                     View all history
                   </button>
                 )}
+                <button type="button" className="ghost" onClick={handleExportJson} disabled={historySnapshots.length === 0}>
+                  Export JSON
+                </button>
+                <button type="button" className="ghost" onClick={handleExportCsv} disabled={historySnapshots.length === 0}>
+                  Export CSV
+                </button>
+                <label className="file-button ghost">
+                  Restore backup
+                  <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleBackupFile} />
+                </label>
                 <button
                   type="button"
                   className="ghost"
@@ -507,7 +1455,43 @@ function App() {
               </div>
             </div>
 
-            {sortedHistory.length === 0 ? (
+            {historyConflicts.map((conflict) => (
+              <div key={conflict.local.id} className="quarantine-notice">
+                <p>
+                  {conflict.operation === 'remove'
+                    ? `The ${conflict.local.month} snapshot was edited in another tab after you deleted it here.`
+                    : conflict.remote
+                      ? `The ${conflict.local.month} snapshot was also changed in another tab.`
+                      : `The ${conflict.local.month} snapshot was deleted in another tab.`}
+                </p>
+                <div className="history-actions">
+                  <button type="button" className="save" onClick={() => resolveConflict(conflict, 'local')}>
+                    {conflict.operation === 'remove' ? 'Delete anyway' : 'Keep mine'}
+                  </button>
+                  <button type="button" className="ghost" onClick={() => resolveConflict(conflict, 'remote')}>
+                    {conflict.remote ? 'Use theirs' : 'Accept deletion'}
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {quarantinedHistory.map((entry) => (
+              <div key={entry.key} className="quarantine-notice">
+                <p>
+                  Saved history could not be read{entry.reason ? ` (${entry.reason})` : ''} and was moved to a recovery backup
+                  instead of being deleted.
+                </p>
+                <div className="history-actions">
+                  <button type="button" className="save" onClick={() => handleRestoreQuarantined(entry)}>Restore</button>
+                  <button type="button" className="ghost" onClick={() => handleDownloadQuarantined(entry)}>Download</button>
+                  <button type="button" className="remove" onClick={() => handleDiscardQuarantined(entry.key)}>Discard</button>
+                </div>
+              </div>
+            ))}
+
+            {!historyReady ? (
+              <p className="empty">Loading saved history…</p>
+            ) : sortedHistory.length === 0 ? (
               <p className="empty">No snapshots saved yet. Save your first snapshot to start tracking history.</p>
             ) : (
               renderHistoryTable(recentHistory)
@@ -515,25 +1499,137 @@ function App() {
           </section>
 
           <section className="card trend-card">
-            <h2>Savings Trend</h2>
-            {trendData.length < 2 ? (
-              <p className="empty">Save at least two monthly snapshots to unlock your savings trend.</p>
+            <div className="history-header">
+              <h2>Savings Trend</h2>
+              <div className="history-header-actions">
+                <label className="inline-label">
+                  Forecast
+                  <select value={forecastMethod} onChange={(event) => setForecastMethod(event.target.value)}>
+                    {FORECAST_METHODS.map((method) => (
+                      <option key={method.value} value={method.value}>
+                        {method.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="inline-label">
+                  Horizon
+                  <select value={forecastHorizon} onChange={(event) => setForecastHorizon(Number(event.target.value))}>
+                    {FORECAST_HORIZONS.map((months) => (
+                      <option key={months} value={months}>
+                        {months} months
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </div>
+            {forecast.series.points.length < 2 ? (
+              <p className="empty">Save at least two monthly snapshots to unlock your savings trend and forecast.</p>
             ) : (
-              <div className="trend-chart-wrap">
-                <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={trendData} margin={{ top: 12, right: 20, left: 10, bottom: 8 }}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                    <XAxis dataKey="month" />
-                    <YAxis tickFormatter={asCurrency} width={80} />
-                    <Tooltip formatter={(value) => asCurrency(value)} labelFormatter={(label) => `Month: ${label}`} />
-                    <Line type="monotone" dataKey="savings" stroke="#4f46e5" strokeWidth={3} dot={{ r: 4 }} />
-                  </LineChart>
-                </ResponsiveContainer>
+              <>
+                <div className="trend-chart-wrap">
+                  <ResponsiveContainer width="100%" height={300}>
+                    <ComposedChart data={trendData} margin={{ top: 12, right: 20, left: 10, bottom: 8 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                      <XAxis dataKey="month" />
+                      <YAxis tickFormatter={(value) => asCurrency(value, baseCurrency)} width={80} />
+                      <Tooltip
+                        formatter={(value) =>
+                          Array.isArray(value)
+                            ? `${asCurrency(value[0], baseCurrency)} – ${asCurrency(value[1], baseCurrency)}`
+                            : asCurrency(value, baseCurrency)
+                        }
+                        labelFormatter={(label) => `Month: ${label}`}
+                      />
+                      <Legend />
+                      <Area type="monotone" dataKey="band" name="Forecast range" stroke="none" fill="#c7d2fe" fillOpacity={0.5} />
+                      <Line type="monotone" dataKey="savings" name="Savings" stroke="#4f46e5" strokeWidth={3} dot={{ r: 4 }} />
+                      <Line
+                        type="monotone"
+                        dataKey="forecast"
+                        name="Forecast"
+                        stroke="#4f46e5"
+                        strokeWidth={2}
+                        strokeDasharray="6 4"
+                        dot={false}
+                      />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+
+                {forecast.series.missingMonths.length > 0 && (
+                  <p className="empty">
+                    No snapshot for {forecast.series.missingMonths.join(', ')}. These months are shown as gaps and are not
+                    used as data points.
+                  </p>
+                )}
+                {forecast.fallbackMonths.length > 0 && (
+                  <p className="empty">
+                    No saved month a year earlier for {forecast.fallbackMonths.join(', ')}; the moving average is used there.
+                  </p>
+                )}
+
+                {forecast.categories.length > 0 && (
+                  <div className="budget-summary">
+                    <h3>Projected Spend</h3>
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Category</th>
+                          <th>Next month</th>
+                          <th>Next {forecastHorizon} months</th>
+                          <th>Range</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {forecast.categories.map((category) => (
+                          <tr key={category.name}>
+                            <td>{category.name}</td>
+                            <td>{asCurrency(category.next, baseCurrency)}</td>
+                            <td>{asCurrency(category.total, baseCurrency)}</td>
+                            <td>
+                              {asCurrency(category.low, baseCurrency)} – {asCurrency(category.high, baseCurrency)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+
+            {incomeChart.rows.length > 0 && (
+              <div className="trend-chart-wrap income-chart">
+                <h3>Income by Source</h3>
+                <MonthlyBarChart rows={incomeChart.rows} series={incomeChart.series} currency={baseCurrency} colors={CHART_COLORS} />
               </div>
             )}
           </section>
         </main>
 
+        {importOpen && (
+          <CsvImportDialog
+            profileId={profileId}
+            baseCurrency={baseCurrency}
+            categoryNames={categories.map((category) => category.name)}
+            knownImportIds={knownImportIds}
+            onImport={handleImportStatement}
+            onClose={() => setImportOpen(false)}
+          />
+        )}
+
+        {backupImport && (
+          <BackupImportDialog
+            source={backupImport.source}
+            preview={backupImport.preview}
+            invalidCount={backupImport.invalid}
+            onApply={handleApplyBackup}
+            onClose={() => setBackupImport(null)}
+          />
+        )}
+
         {historyOpen && (
           <div className="modal-backdrop" onClick={() => setHistoryOpen(false)}>
             <section className="modal" onClick={(event) => event.stopPropagation()}>
@@ -558,6 +1654,73 @@ function App() {
             </section>
           </div>
         )}
+
+        {activityOpen && (
+          <ActivityDialog
+            log={activityLog}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            onShowRevisions={setRevisionsMonth}
+            onClose={() => setActivityOpen(false)}
+          />
+        )}
+
+        {revisionsMonth && (
+          <RevisionsDialog
+            month={revisionsMonth}
+            revisions={monthRevisions(activityLog, revisionsMonth)}
+            current={historySnapshots.find((snapshot) => snapshot.month === revisionsMonth)}
+            onRestore={handleRestoreRevision}
+            onClose={() => setRevisionsMonth(null)}
+          />
+        )}
+
+        {categoriesOpen && (
+          <CategoriesDialog
+            names={categoryNames}
+            tree={categoryTree}
+            usage={categoryUsage}
+            tagTotals={tagTotals}
+            currency={baseCurrency}
+            onParentChange={handleCategoryParentChange}
+            onRename={handleRenameCategory}
+            onClose={() => setCategoriesOpen(false)}
+          />
+        )}
+
+        {reportsOpen && (
+          <ReportsDialog
+            snapshots={historySnapshots}
+            goals={goals}
+            currency={baseCurrency}
+            rateTable={rateTable}
+            settings={rollupSettings}
+            onSettingsChange={setRollupSettings}
+            onClose={() => setReportsOpen(false)}
+          />
+        )}
+
+        {scenariosOpen && (
+          <ScenariosDialog
+            scenarios={scenarios}
+            sources={scenarioSources}
+            recurringItems={recurringItems}
+            goals={goals}
+            history={historySnapshots}
+            rateTable={rateTable}
+            onChange={setScenarios}
+            onClose={() => setScenariosOpen(false)}
+          />
+        )}
+
+        {compareMonth && (
+          <CompareDialog
+            snapshots={comparableHistory}
+            initialMonth={compareMonth}
+            currency={baseCurrency}
+            onClose={() => setCompareMonth(null)}
+          />
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,161 @@
+import { useState } from 'react'
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { ACCOUNT_TYPES, createAccount, isLiability, normalizeAccount } from '../lib/accounts'
+import { SUPPORTED_CURRENCIES } from '../lib/currency'
+import { asCurrency } from '../lib/format'
+
+const formatSigned = (value, currency) => `${value > 0 ? '+' : ''}${asCurrency(value, currency)}`
+
+function AccountsCard({ accounts, balances, currentWorth, netWorth, selectedMonth, baseCurrency, onAccountsChange, onBalanceChange }) {
+  const [draft, setDraft] = useState(() => createAccount(baseCurrency))
+
+  const draftAccount = normalizeAccount(draft)
+  const reconciled = netWorth.months.filter((entry) => entry.change !== null)
+
+  const updateDraft = (changes) => {
+    setDraft((previous) => ({ ...previous, ...changes }))
+  }
+
+  const addAccount = () => {
+    if (!draftAccount) return
+
+    onAccountsChange([...accounts, draftAccount])
+    setDraft(createAccount(draft.currency))
+  }
+
+  const removeAccount = (account) => {
+    if (!window.confirm(`Remove ${account.name}? Balances already saved with past months are kept.`)) return
+    onAccountsChange(accounts.filter((entry) => entry.id !== account.id))
+  }
+
+  return (
+    <section className="card accounts-card">
+      <h2>Accounts & Net Worth</h2>
+      <p className="empty">
+        Record each account’s closing balance for {selectedMonth || 'the month'}; it is saved with the snapshot. Credit cards and
+        loans are entered as the amount owed.
+      </p>
+
+      <div className="recurring-form">
+        <input type="text" value={draft.name} onChange={(event) => updateDraft({ name: event.target.value })} placeholder="Account, e.g. Main checking" />
+        <select value={draft.type} onChange={(event) => updateDraft({ type: event.target.value })} aria-label="Account type">
+          {ACCOUNT_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+        <select value={draft.currency} onChange={(event) => updateDraft({ currency: event.target.value })} aria-label="Account currency">
+          {SUPPORTED_CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>
+              {currency}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={addAccount} disabled={!draftAccount}>Add account</button>
+      </div>
+
+      {accounts.length > 0 && (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th>Type</th>
+                <th>Closing balance</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map((account) => (
+                <tr key={account.id}>
+                  <td className="history-month">{account.name}</td>
+                  <td>{ACCOUNT_TYPES.find((type) => type.value === account.type).label}</td>
+                  <td>
+                    <label className="inline-label">
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={balances[account.id] ?? ''}
+                        onChange={(event) => onBalanceChange(account.id, event.target.value)}
+                        placeholder={isLiability(account.type) ? 'Owed' : 'Balance'}
+                        aria-label={`Closing balance of ${account.name}`}
+                      />
+                      {account.currency}
+                    </label>
+                  </td>
+                  <td>
+                    <div className="history-actions">
+                      <button type="button" className="remove" onClick={() => removeAccount(account)}>Remove</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {currentWorth && (
+        <div className="budget-summary net-worth-summary">
+          <span>Assets {asCurrency(currentWorth.assets, baseCurrency)}</span>
+          <span>Liabilities {asCurrency(currentWorth.liabilities, baseCurrency)}</span>
+          <strong>Net worth {asCurrency(currentWorth.netWorth, baseCurrency)}</strong>
+        </div>
+      )}
+
+      {netWorth.months.length < 2 ? (
+        <p className="empty">Save balances with at least two months to see your net worth trend.</p>
+      ) : (
+        <>
+          <div className="trend-chart-wrap">
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={netWorth.months} margin={{ top: 12, right: 20, left: 10, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="month" />
+                <YAxis tickFormatter={(value) => asCurrency(value, baseCurrency)} width={80} />
+                <Tooltip formatter={(value) => asCurrency(value, baseCurrency)} labelFormatter={(label) => `Month: ${label}`} />
+                <Legend />
+                <Line type="monotone" dataKey="netWorth" name="Net worth" stroke="#0f766e" strokeWidth={3} dot={{ r: 4 }} />
+                <Line type="monotone" dataKey="liabilities" name="Liabilities" stroke="#b91c1c" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {reconciled.length > 0 && (
+            <div className="history-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Month</th>
+                    <th>Savings</th>
+                    <th>Net worth change</th>
+                    <th>Unexplained</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...reconciled].reverse().map((entry) => (
+                    <tr key={entry.month}>
+                      <td className="history-month">{entry.month}</td>
+                      <td>{asCurrency(entry.savings, baseCurrency)}</td>
+                      <td>{formatSigned(entry.change, baseCurrency)}</td>
+                      <td className={entry.flagged ? 'negative' : undefined}>
+                        {entry.flagged ? formatSigned(entry.gap, baseCurrency) : 'Reconciled'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {netWorth.skipped.length > 0 && (
+        <p className="alert-warning">Left out (no {baseCurrency} rate): {netWorth.skipped.join(', ')}</p>
+      )}
+    </section>
+  )
+}
+
+export default AccountsCard
@@ -0,0 +1,76 @@
+import { ACTIVITY_LABELS, describeActivity, nextRedo, nextUndo } from '../lib/activity'
+
+function ActivityDialog({ log, onUndo, onRedo, onShowRevisions, onClose }) {
+  const undoEntry = nextUndo(log)
+  const redoEntry = nextRedo(log)
+  const entries = [...log.entries].reverse()
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Activity</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="ghost" onClick={onUndo} disabled={!undoEntry}>
+              {undoEntry ? `Undo: ${describeActivity(undoEntry)}` : 'Undo'}
+            </button>
+            <button type="button" className="ghost" onClick={onRedo} disabled={!redoEntry}>
+              {redoEntry ? `Redo: ${describeActivity(redoEntry)}` : 'Redo'}
+            </button>
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close activity log">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          {entries.length === 0 ? (
+            <p className="empty">No history changes recorded yet.</p>
+          ) : (
+            <div className="history-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Action</th>
+                    <th>Months</th>
+                    <th>Details</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>{new Date(entry.at).toLocaleString()}</td>
+                      <td className="history-month">{ACTIVITY_LABELS[entry.type]}</td>
+                      <td>
+                        <div className="activity-months">
+                          {entry.months.map((month) => (
+                            <button key={month} type="button" className="link-button" onClick={() => onShowRevisions(month)}>
+                              {month}
+                            </button>
+                          ))}
+                        </div>
+                      </td>
+                      <td>{entry.detail}</td>
+                      <td>
+                        {entry.undoneAt && (
+                          <span className="activity-tag" title={`Undone ${new Date(entry.undoneAt).toLocaleString()}`}>
+                            Undone
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="empty">The last {log.entries.length} changes are kept, including earlier versions of each month.</p>
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default ActivityDialog
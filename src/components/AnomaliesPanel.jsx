@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { BASELINE_WINDOWS, SENSITIVITY_LEVELS, normalizeAnomalySettings } from '../lib/anomalies'
+import { asCurrency } from '../lib/format'
+
+function AnomaliesPanel({ result, settings, currency, onSettingsChange }) {
+  const [settingsOpen, setSettingsOpen] = useState(false)
+
+  const update = (key, value) => {
+    onSettingsChange(normalizeAnomalySettings({ ...settings, [key]: value }))
+  }
+
+  return (
+    <div className="insights">
+      <div className="insights-header">
+        <h3>Unusual spending</h3>
+        <button type="button" className="link-button" onClick={() => setSettingsOpen((open) => !open)}>
+          {settingsOpen ? 'Hide settings' : 'Settings'}
+        </button>
+      </div>
+
+      {settingsOpen && (
+        <div className="insight-rules anomaly-settings">
+          <label className="inline-label">
+            Sensitivity
+            <select value={settings.sensitivity} onChange={(event) => update('sensitivity', event.target.value)}>
+              {SENSITIVITY_LEVELS.map((level) => (
+                <option key={level.value} value={level.value}>
+                  {level.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="inline-label">
+            Baseline
+            <select value={settings.window} onChange={(event) => update('window', event.target.value)}>
+              {BASELINE_WINDOWS.map((window) => (
+                <option key={window} value={window}>
+                  Last {window} months
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="inline-label">
+            Months needed
+            <input
+              type="number"
+              min="2"
+              max={settings.window}
+              step="1"
+              value={settings.minimumMonths}
+              onChange={(event) => update('minimumMonths', event.target.value)}
+            />
+          </label>
+          <label className="inline-label">
+            Ignore below
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={settings.minimumAmount}
+              onChange={(event) => update('minimumAmount', event.target.value)}
+            />
+          </label>
+        </div>
+      )}
+
+      {result.anomalies.length === 0 ? (
+        <p className="empty">No category stands out against its {settings.window}-month median.</p>
+      ) : (
+        <ul>
+          {result.anomalies.map((anomaly) => (
+            <li key={anomaly.name} className={`insight-${anomaly.severity}`}>
+              {anomaly.message}
+              <small>
+                {asCurrency(anomaly.amount, currency)} this month against a median of {asCurrency(anomaly.median, currency)} over{' '}
+                {anomaly.baselineMonths.length} saved months.
+              </small>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {result.insufficient.length > 0 && (
+        <p className="rate-note">
+          Not enough history yet ({settings.minimumMonths} saved months needed):{' '}
+          {result.insufficient.map((entry) => `${entry.name} (${entry.months})`).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default AnomaliesPanel
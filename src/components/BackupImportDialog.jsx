@@ -0,0 +1,97 @@
+import { useState } from 'react'
+import { asCurrency } from '../lib/format'
+
+const STATUS_LABELS = {
+  new: 'New month',
+  conflict: 'Conflicting',
+  identical: 'Identical',
+}
+
+const RESOLUTION_OPTIONS = {
+  new: [
+    { value: 'replace', label: 'Add' },
+    { value: 'skip', label: 'Skip' },
+  ],
+  conflict: [
+    { value: 'skip', label: 'Keep current' },
+    { value: 'replace', label: 'Replace' },
+  ],
+  identical: [{ value: 'skip', label: 'Nothing to do' }],
+}
+
+function BackupImportDialog({ source, preview, invalidCount, onApply, onClose }) {
+  const [entries, setEntries] = useState(preview)
+
+  const changedCount = entries.filter((entry) => entry.resolution === 'replace').length
+
+  const setResolution = (month, resolution) => {
+    setEntries((previous) => previous.map((entry) => (entry.month === month ? { ...entry, resolution } : entry)))
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Restore Backup</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="save" onClick={() => onApply(entries)} disabled={changedCount === 0}>
+              Apply {changedCount > 0 ? changedCount : ''} changes
+            </button>
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close restore dialog">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <p className="empty">
+            {source}: {entries.length} month(s) found
+            {invalidCount > 0 && `, ${invalidCount} entr${invalidCount === 1 ? 'y' : 'ies'} without a valid month ignored`}.
+          </p>
+
+          {entries.length > 0 && (
+            <div className="history-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Month</th>
+                    <th>Status</th>
+                    <th>Current Savings</th>
+                    <th>Backup Savings</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.month}>
+                      <td className="history-month">{entry.month}</td>
+                      <td className={`merge-status ${entry.status}`}>{STATUS_LABELS[entry.status]}</td>
+                      <td>{entry.current ? asCurrency(entry.current.savings, entry.current.baseCurrency) : '—'}</td>
+                      <td>{asCurrency(entry.incoming.savings, entry.incoming.baseCurrency)}</td>
+                      <td>
+                        <select
+                          value={entry.resolution}
+                          onChange={(event) => setResolution(entry.month, event.target.value)}
+                          disabled={entry.status === 'identical'}
+                          aria-label={`Action for ${entry.month}`}
+                        >
+                          {RESOLUTION_OPTIONS[entry.status].map((option) => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default BackupImportDialog
@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { childrenOf, parentOf, parentOptions, resolveRename } from '../lib/categories'
+import { asCurrency } from '../lib/format'
+
+function CategoriesDialog({ names, tree, usage, tagTotals, currency, onParentChange, onRename, onClose }) {
+  const [renaming, setRenaming] = useState(null)
+  const [renameInput, setRenameInput] = useState('')
+
+  const topLevel = names.filter((name) => !parentOf(tree, name) || !names.includes(parentOf(tree, name)))
+  const ordered = topLevel.flatMap((name) => [name, ...childrenOf(tree, name).filter((child) => names.includes(child))])
+  const resolved = renaming ? resolveRename(names, renaming, renameInput) : null
+
+  const startRename = (name) => {
+    setRenaming(name)
+    setRenameInput(name)
+  }
+
+  const handleRename = (event) => {
+    event.preventDefault()
+    if (!resolved || resolved.error) return
+
+    onRename(renaming, resolved.to, resolved.merge)
+    setRenaming(null)
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Categories & Tags</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close categories dialog">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <p className="empty">
+            Group categories under a parent to drill into them in the charts. Renaming to an existing name merges the two;
+            saved months, recurring items and import rules are all updated.
+          </p>
+
+          <div className="history-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>Parent</th>
+                  <th>Saved months</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ordered.map((name) => (
+                  <tr key={name}>
+                    <td className={parentOf(tree, name) ? 'category-child' : undefined}>
+                      {renaming === name ? (
+                        <form className="category-rename" onSubmit={handleRename}>
+                          <input
+                            type="text"
+                            value={renameInput}
+                            onChange={(event) => setRenameInput(event.target.value)}
+                            aria-label={`New name for ${name}`}
+                            autoFocus
+                          />
+                          <button type="submit" className="save" disabled={Boolean(resolved?.error)}>
+                            {resolved?.merge ? `Merge into ${resolved.to}` : 'Rename'}
+                          </button>
+                          <button type="button" className="ghost" onClick={() => setRenaming(null)}>
+                            Cancel
+                          </button>
+                        </form>
+                      ) : (
+                        name
+                      )}
+                    </td>
+                    <td>
+                      <select
+                        value={parentOf(tree, name) || ''}
+                        onChange={(event) => onParentChange(name, event.target.value)}
+                        disabled={childrenOf(tree, name).length > 0}
+                        aria-label={`Parent of ${name}`}
+                      >
+                        <option value="">— Top level —</option>
+                        {parentOptions(tree, names, name).map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>{usage[name] || 0}</td>
+                    <td>
+                      <div className="history-actions">
+                        <button type="button" className="ghost" onClick={() => startRename(name)} disabled={renaming === name}>
+                          Rename / merge
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3>Tags across history</h3>
+          {tagTotals.tags.length === 0 ? (
+            <p className="empty">No tagged transactions saved yet. Add tags such as vacation-2026 in the transaction ledger.</p>
+          ) : (
+            <div className="history-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Tag</th>
+                    <th>Total</th>
+                    <th>Transactions</th>
+                    <th>Months</th>
+                    <th>Categories</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tagTotals.tags.map((entry) => (
+                    <tr key={entry.tag}>
+                      <td>
+                        <span className="tag-chip">{entry.tag}</span>
+                      </td>
+                      <td>{asCurrency(entry.amount, currency)}</td>
+                      <td>{entry.count}</td>
+                      <td>{entry.months.length === 1 ? entry.months[0] : `${entry.months[0]} – ${entry.months[entry.months.length - 1]}`}</td>
+                      <td>{entry.categories.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {tagTotals.skipped.length > 0 && (
+            <p className="alert-warning">Left out (no {currency} rate): {tagTotals.skipped.join(', ')}</p>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default CategoriesDialog
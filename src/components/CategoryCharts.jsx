@@ -0,0 +1,57 @@
+import { Bar, BarChart, CartesianGrid, Cell, Legend, Pie, PieChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { asCurrency } from '../lib/format'
+
+// Category share and amounts side by side. Without `series` the amounts chart shows the
+// actual spend against `budget`; with `series` ([{ key, name, color }]) it stacks each
+// series' share of a category instead.
+function CategoryCharts({ shareData, amountData = shareData, currency, colors, series = null, showBudget = false, onDrill = () => {} }) {
+  const money = (value) => asCurrency(value, currency)
+
+  return (
+    <div className="chart-grid">
+      <div className="chart-box">
+        <h3>Category Share</h3>
+        <ResponsiveContainer width="100%" height={280}>
+          <PieChart>
+            <Pie data={shareData} dataKey="amount" nameKey="name" outerRadius={90} label onClick={(_, index) => onDrill(shareData[index])}>
+              {shareData.map((entry, index) => (
+                <Cell key={entry.name} fill={colors[index % colors.length]} cursor={entry.drillable ? 'pointer' : undefined} />
+              ))}
+            </Pie>
+            <Tooltip formatter={money} />
+            <Legend />
+          </PieChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="chart-box">
+        <h3>Category Amounts</h3>
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={amountData} margin={{ top: 8, right: 16, left: 0, bottom: 16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={(v) => `${Math.round(v / 1000)}k`} />
+            <Tooltip formatter={money} />
+            {(series || showBudget) && <Legend />}
+            {series ? (
+              series.map((entry) => <Bar key={entry.key} dataKey={entry.key} name={entry.name} stackId="series" fill={entry.color} />)
+            ) : (
+              <Bar dataKey="amount" name="Actual" radius={[6, 6, 0, 0]} onClick={(_, index) => onDrill(amountData[index])}>
+                {amountData.map((entry, index) => (
+                  <Cell
+                    key={entry.name}
+                    cursor={entry.drillable ? 'pointer' : undefined}
+                    fill={entry.budget > 0 && entry.amount > entry.budget ? '#ef4444' : colors[index % colors.length]}
+                  />
+                ))}
+              </Bar>
+            )}
+            {showBudget && <Bar dataKey="budget" name="Budget" fill="#cbd5e1" radius={[6, 6, 0, 0]} />}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryCharts
@@ -0,0 +1,191 @@
+import { useState } from 'react'
+import { Bar, BarChart, CartesianGrid, Cell, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { TRAILING_WINDOWS, compareSnapshots, savingsWaterfall, trailingAverage } from '../lib/compare'
+import { asCurrency } from '../lib/format'
+
+const PRESENCE_LABELS = {
+  'only-a': 'Only in A',
+  'only-b': 'Only in B',
+}
+
+const formatPercent = (value) => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`)
+
+const barColor = (bar) => (bar.kind === 'total' ? '#4f46e5' : bar.value >= 0 ? '#22c55e' : '#ef4444')
+
+function CompareDialog({ snapshots, initialMonth, currency, onClose }) {
+  const months = snapshots.map((snapshot) => snapshot.month)
+  const [monthB, setMonthB] = useState(initialMonth)
+  const [baseline, setBaseline] = useState(() => {
+    const earlier = months.find((month) => month < initialMonth)
+    return earlier ? `month:${earlier}` : `average:${TRAILING_WINDOWS[0]}`
+  })
+
+  const selectMonthB = (month) => {
+    setMonthB(month)
+    if (baseline === `month:${month}`) setBaseline(`average:${TRAILING_WINDOWS[0]}`)
+  }
+
+  const snapshotB = snapshots.find((snapshot) => snapshot.month === monthB)
+  const [baselineType, baselineValue] = baseline.split(':')
+  const sideA =
+    baselineType === 'average'
+      ? trailingAverage(snapshots, monthB, Number(baselineValue))
+      : snapshots.find((snapshot) => snapshot.month === baselineValue) || null
+  const labelA = baselineType === 'average' ? `${baselineValue}-mo avg` : baselineValue
+
+  const comparison = sideA && snapshotB ? compareSnapshots(sideA, snapshotB) : null
+  const waterfall = comparison ? savingsWaterfall(comparison, { labelA, labelB: monthB }) : []
+
+  const summaryRows = comparison
+    ? [
+        { label: 'Income', ...comparison.income },
+        { label: 'Expense', ...comparison.expense },
+        { label: 'Savings', ...comparison.savings },
+      ]
+    : []
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Compare Months</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close compare dialog">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <div className="input-grid">
+            <label>
+              A (baseline)
+              <select value={baseline} onChange={(event) => setBaseline(event.target.value)}>
+                <optgroup label="Saved month">
+                  {months
+                    .filter((month) => month !== monthB)
+                    .map((month) => (
+                      <option key={month} value={`month:${month}`}>
+                        {month}
+                      </option>
+                    ))}
+                </optgroup>
+                <optgroup label={`Trailing average before ${monthB}`}>
+                  {TRAILING_WINDOWS.map((count) => (
+                    <option key={count} value={`average:${count}`}>
+                      {count}-month average
+                    </option>
+                  ))}
+                </optgroup>
+              </select>
+            </label>
+            <label>
+              B
+              <select value={monthB} onChange={(event) => selectMonthB(event.target.value)}>
+                {months.map((month) => (
+                  <option key={month} value={month}>
+                    {month}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {baselineType === 'average' && sideA && (
+            <p className="empty">
+              {sideA.label}: averages {sideA.months.length} saved month{sideA.months.length === 1 ? '' : 's'} (
+              {sideA.months.join(', ')}).
+            </p>
+          )}
+
+          {!comparison ? (
+            <p className="empty">
+              {baselineType === 'average'
+                ? `No snapshots saved in the ${baselineValue} months before ${monthB}.`
+                : 'Pick two saved months to compare.'}
+            </p>
+          ) : (
+            <>
+              <div className="budget-summary">
+                <h3>Totals</h3>
+                <table>
+                  <thead>
+                    <tr>
+                      <th />
+                      <th>A</th>
+                      <th>B</th>
+                      <th>Change</th>
+                      <th>%</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summaryRows.map((row) => (
+                      <tr key={row.label}>
+                        <td>{row.label}</td>
+                        <td>{asCurrency(row.from, currency)}</td>
+                        <td>{asCurrency(row.to, currency)}</td>
+                        <td>{asCurrency(row.change, currency)}</td>
+                        <td>{formatPercent(row.percent)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="budget-summary">
+                <h3>By Category</h3>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>A</th>
+                      <th>B</th>
+                      <th>Change</th>
+                      <th>%</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.categories.map((row) => (
+                      <tr key={row.name}>
+                        <td>
+                          {row.name}
+                          {PRESENCE_LABELS[row.presence] && <small className="compare-presence">{PRESENCE_LABELS[row.presence]}</small>}
+                        </td>
+                        <td>{asCurrency(row.from, currency)}</td>
+                        <td>{asCurrency(row.to, currency)}</td>
+                        <td className={row.change > 0 ? 'negative' : 'positive'}>{asCurrency(row.change, currency)}</td>
+                        <td>{formatPercent(row.percent)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="chart-box compare-waterfall">
+                <h3>How savings moved from A to B</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={waterfall} margin={{ top: 12, right: 20, left: 10, bottom: 8 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                    <XAxis dataKey="name" interval={0} tick={{ fontSize: 12 }} />
+                    <YAxis tickFormatter={(value) => asCurrency(value, currency)} width={80} />
+                    <Tooltip
+                      formatter={(_, __, item) => [asCurrency(item.payload.value, currency), item.payload.kind === 'total' ? 'Savings' : 'Effect on savings']}
+                    />
+                    <ReferenceLine y={0} stroke="#94a3b8" />
+                    <Bar dataKey="range" radius={[4, 4, 4, 4]}>
+                      {waterfall.map((bar, index) => (
+                        <Cell key={`${bar.name}-${index}`} fill={barColor(bar)} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default CompareDialog
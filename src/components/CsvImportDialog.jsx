@@ -0,0 +1,286 @@
+import { useMemo, useState } from 'react'
+import {
+  DATE_FORMATS,
+  RULE_MATCHERS,
+  SIGN_CONVENTIONS,
+  createMapping,
+  createRule,
+  groupStatementByMonth,
+  loadImportSettings,
+  parseStatement,
+  saveImportSettings,
+} from '../lib/bankImport'
+import { SUPPORTED_CURRENCIES } from '../lib/currency'
+import { parseCsv } from '../lib/csv'
+import { asCurrency } from '../lib/format'
+
+function CsvImportDialog({ profileId, baseCurrency, categoryNames, knownImportIds, onImport, onClose }) {
+  const [settings] = useState(() => loadImportSettings(profileId))
+  const savedBanks = Object.keys(settings.banks)
+  const [bank, setBank] = useState(savedBanks[0] || '')
+  const [mapping, setMapping] = useState(() => settings.banks[savedBanks[0]] || createMapping(baseCurrency))
+  const [rules, setRules] = useState(settings.rules)
+  const [rows, setRows] = useState([])
+  const [fileName, setFileName] = useState('')
+  const [newRule, setNewRule] = useState(() => createRule())
+
+  const fallbackCategory = categoryNames.includes('Other') ? 'Other' : categoryNames[0] || 'Other'
+  const columnCount = rows.reduce((max, cells) => Math.max(max, cells.length), 0)
+  const columnOptions = Array.from({ length: columnCount }, (_, index) => ({
+    value: index,
+    label: mapping.hasHeader && rows[0]?.[index] ? rows[0][index] : `Column ${index + 1}`,
+  }))
+
+  const preview = useMemo(() => {
+    if (!rows.length || !bank.trim()) return null
+
+    const { parsed, rejected } = parseStatement(rows, mapping, { bank, rules, fallbackCategory })
+    const { months, duplicates } = groupStatementByMonth(parsed, knownImportIds, mapping.currency)
+
+    return { months, duplicates, rejected }
+  }, [rows, bank, mapping, rules, fallbackCategory, knownImportIds])
+
+  const importableCount = preview
+    ? preview.months.reduce((sum, group) => sum + group.transactions.length + group.incomeImportIds.length, 0)
+    : 0
+
+  const selectBank = (name) => {
+    setBank(name)
+    if (settings.banks[name]) setMapping(settings.banks[name])
+  }
+
+  const updateMapping = (changes) => {
+    setMapping((previous) => ({ ...previous, ...changes }))
+  }
+
+  const handleFile = (event) => {
+    const file = event.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      setRows(parseCsv(reader.result))
+      setFileName(file.name)
+    }
+    reader.readAsText(file)
+  }
+
+  const addRule = () => {
+    if (!newRule.pattern.trim() || !newRule.category.trim()) return
+    setRules((previous) => [...previous, { ...newRule, pattern: newRule.pattern.trim(), category: newRule.category.trim() }])
+    setNewRule(createRule())
+  }
+
+  const removeRule = (ruleId) => {
+    setRules((previous) => previous.filter((rule) => rule.id !== ruleId))
+  }
+
+  const handleImport = () => {
+    if (!preview || importableCount === 0) return
+
+    saveImportSettings({ banks: { ...settings.banks, [bank.trim()]: mapping }, rules }, profileId)
+    onImport(preview.months)
+  }
+
+  const renderColumnSelect = (label, key) => (
+    <label>
+      {label}
+      <select value={mapping[key]} onChange={(event) => updateMapping({ [key]: Number(event.target.value) })}>
+        {columnOptions.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Bank Statement</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="save" onClick={handleImport} disabled={importableCount === 0}>
+              Import {importableCount > 0 ? importableCount : ''} rows
+            </button>
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close import dialog">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body import-body">
+          <div className="input-grid">
+            <label>
+              Bank
+              <input
+                type="text"
+                list="import-banks"
+                value={bank}
+                onChange={(event) => selectBank(event.target.value)}
+                placeholder="e.g. Chase"
+              />
+              <datalist id="import-banks">
+                {savedBanks.map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+            </label>
+            <label>
+              CSV file
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} />
+            </label>
+          </div>
+
+          {rows.length > 0 && (
+            <>
+              <h3>Column Mapping</h3>
+              <p className="empty">
+                {fileName}: {rows.length} lines
+              </p>
+              <div className="input-grid">
+                {renderColumnSelect('Date', 'dateColumn')}
+                {renderColumnSelect('Description', 'descriptionColumn')}
+                <label>
+                  Sign convention
+                  <select value={mapping.signConvention} onChange={(event) => updateMapping({ signConvention: event.target.value })}>
+                    {SIGN_CONVENTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {mapping.signConvention === 'split-columns' ? (
+                  <>
+                    {renderColumnSelect('Debit', 'debitColumn')}
+                    {renderColumnSelect('Credit', 'creditColumn')}
+                  </>
+                ) : (
+                  renderColumnSelect('Amount', 'amountColumn')
+                )}
+                <label>
+                  Date format
+                  <select value={mapping.dateFormat} onChange={(event) => updateMapping({ dateFormat: event.target.value })}>
+                    {DATE_FORMATS.map((format) => (
+                      <option key={format} value={format}>
+                        {format}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Statement currency
+                  <select value={mapping.currency} onChange={(event) => updateMapping({ currency: event.target.value })}>
+                    {SUPPORTED_CURRENCIES.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={mapping.hasHeader}
+                    onChange={(event) => updateMapping({ hasHeader: event.target.checked })}
+                  />
+                  First line is a header
+                </label>
+              </div>
+            </>
+          )}
+
+          <h3>Categorization Rules</h3>
+          {rules.length === 0 ? (
+            <p className="empty">No rules yet. Unmatched spending goes to {fallbackCategory}.</p>
+          ) : (
+            <ul className="rule-list">
+              {rules.map((rule) => (
+                <li key={rule.id}>
+                  <span>
+                    Description {RULE_MATCHERS.find((option) => option.value === rule.matcher)?.label} “{rule.pattern}” → {rule.category}
+                  </span>
+                  <button type="button" className="remove" onClick={() => removeRule(rule.id)}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="new-category">
+            <select value={newRule.matcher} onChange={(event) => setNewRule({ ...newRule, matcher: event.target.value })}>
+              {RULE_MATCHERS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newRule.pattern}
+              onChange={(event) => setNewRule({ ...newRule, pattern: event.target.value })}
+              placeholder="Description text, e.g. UBER"
+            />
+            <input
+              type="text"
+              list="import-categories"
+              value={newRule.category}
+              onChange={(event) => setNewRule({ ...newRule, category: event.target.value })}
+              placeholder="Category"
+            />
+            <datalist id="import-categories">
+              {categoryNames.map((name) => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+            <button type="button" onClick={addRule}>Add rule</button>
+          </div>
+
+          {preview && (
+            <>
+              <h3>Preview</h3>
+              <p className="empty">
+                {preview.duplicates} already imported row(s) skipped
+                {preview.rejected.length > 0 && `, ${preview.rejected.length} unreadable row(s) ignored (first: line ${preview.rejected[0].line}, ${preview.rejected[0].reason.toLowerCase()})`}
+                .
+              </p>
+              {preview.months.length > 0 && (
+                <div className="history-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Month</th>
+                        <th>Transactions</th>
+                        <th>Spending</th>
+                        <th>Credits</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.months.map((group) => (
+                        <tr key={group.month}>
+                          <td className="history-month">{group.month}</td>
+                          <td>{group.transactions.length}</td>
+                          <td>
+                            {asCurrency(
+                              group.transactions.reduce((sum, transaction) => sum + transaction.amount, 0),
+                              group.currency,
+                            )}
+                          </td>
+                          <td>{asCurrency(group.income, group.currency)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default CsvImportDialog
@@ -0,0 +1,237 @@
+import { useState } from 'react'
+import { SUPPORTED_CURRENCIES } from '../lib/currency'
+import { MAX_PAYOFF_MONTHS, PAYOFF_STRATEGIES, createDebt, normalizeDebt } from '../lib/debts'
+import { asCurrency } from '../lib/format'
+
+function DebtsCard({ plan, plans, comparisons, progress, categoryNames, selectedMonth, baseCurrency, onChange }) {
+  const [draft, setDraft] = useState(() => createDebt(selectedMonth, baseCurrency))
+  const [scheduleDebtId, setScheduleDebtId] = useState(null)
+
+  const draftDebt = normalizeDebt({ ...draft, category: draft.category || categoryNames[0] })
+  const results = plans.flatMap((entry) => entry.plan.debts)
+  const scheduled = results.find((result) => result.debt.id === scheduleDebtId)
+
+  const updateDraft = (changes) => {
+    setDraft((previous) => ({ ...previous, ...changes }))
+  }
+
+  const addDebt = () => {
+    if (!draftDebt) return
+
+    onChange({ ...plan, debts: [...plan.debts, draftDebt] })
+    setDraft(createDebt(selectedMonth, draft.currency))
+  }
+
+  const removeDebt = (debtId) => {
+    onChange({ ...plan, debts: plan.debts.filter((debt) => debt.id !== debtId) })
+    if (scheduleDebtId === debtId) setScheduleDebtId(null)
+  }
+
+  return (
+    <section className="card debts-card">
+      <div className="history-header">
+        <h2>Debts & Loans</h2>
+        <div className="history-header-actions">
+          <label className="inline-label">
+            Plan
+            <select value={plan.strategy} onChange={(event) => onChange({ ...plan, strategy: event.target.value })}>
+              {PAYOFF_STRATEGIES.map((strategy) => (
+                <option key={strategy.value} value={strategy.value}>
+                  {strategy.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+      <p className="empty">
+        Balances are as of the start month. Months without a saved snapshot get each planned payment as a transaction in the
+        debt’s category; extra payments and paid-off minimums go to the debt the plan puts first.
+      </p>
+
+      <div className="recurring-form">
+        <input type="text" value={draft.name} onChange={(event) => updateDraft({ name: event.target.value })} placeholder="Debt, e.g. Car loan" />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.balance}
+          onChange={(event) => updateDraft({ balance: event.target.value })}
+          placeholder="Balance"
+          aria-label="Balance"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.apr}
+          onChange={(event) => updateDraft({ apr: event.target.value })}
+          placeholder="APR %"
+          aria-label="APR"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.minimumPayment}
+          onChange={(event) => updateDraft({ minimumPayment: event.target.value })}
+          placeholder="Minimum payment"
+          aria-label="Minimum payment"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.extraPayment}
+          onChange={(event) => updateDraft({ extraPayment: event.target.value })}
+          placeholder="Extra (optional)"
+          aria-label="Extra payment"
+        />
+        <select
+          value={draft.category || categoryNames[0] || ''}
+          onChange={(event) => updateDraft({ category: event.target.value })}
+          aria-label="Expense category"
+        >
+          {categoryNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select value={draft.currency} onChange={(event) => updateDraft({ currency: event.target.value })} aria-label="Debt currency">
+          {SUPPORTED_CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>
+              {currency}
+            </option>
+          ))}
+        </select>
+        <label className="inline-label">
+          From
+          <input type="month" value={draft.startMonth} onChange={(event) => updateDraft({ startMonth: event.target.value })} />
+        </label>
+        <button type="button" onClick={addDebt} disabled={!draftDebt}>Add debt</button>
+      </div>
+
+      {results.length > 0 && (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Debt</th>
+                <th>Balance</th>
+                <th>APR</th>
+                <th>Payment</th>
+                <th>Category</th>
+                <th>Paid off</th>
+                <th>Interest</th>
+                <th>Saved months</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result) => {
+                const { debt } = result
+                const paid = progress.find((entry) => entry.debtId === debt.id)
+
+                return (
+                  <tr key={debt.id}>
+                    <td className="history-month">{debt.name}</td>
+                    <td>
+                      {asCurrency(debt.balance, debt.currency)}
+                      <small className="rate-note">as of {debt.startMonth}</small>
+                    </td>
+                    <td>{debt.apr}%</td>
+                    <td>
+                      {asCurrency(debt.minimumPayment, debt.currency)}
+                      {debt.extraPayment > 0 && <small className="rate-note">+ {asCurrency(debt.extraPayment, debt.currency)} extra</small>}
+                    </td>
+                    <td>{debt.category}</td>
+                    <td>{result.payoffMonth || 'Never'}</td>
+                    <td>{asCurrency(result.totalInterest, debt.currency)}</td>
+                    <td>
+                      {paid && paid.months.length > 0 ? (
+                        <span className={paid.paid < paid.planned ? 'negative' : 'positive'}>
+                          {asCurrency(paid.paid, debt.currency)} of {asCurrency(paid.planned, debt.currency)} planned
+                        </span>
+                      ) : (
+                        '—'
+                      )}
+                    </td>
+                    <td>
+                      <div className="history-actions">
+                        <button
+                          type="button"
+                          className="ghost"
+                          onClick={() => setScheduleDebtId(scheduleDebtId === debt.id ? null : debt.id)}
+                        >
+                          {scheduleDebtId === debt.id ? 'Hide schedule' : 'Schedule'}
+                        </button>
+                        <button type="button" className="remove" onClick={() => removeDebt(debt.id)}>Delete</button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {comparisons.map((comparison) => (
+        <div key={comparison.currency} className="budget-summary">
+          <h3>Payoff plans{comparisons.length > 1 ? ` (${comparison.currency})` : ''}</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Strategy</th>
+                <th>Debt-free</th>
+                <th>Total interest</th>
+                <th>Total paid</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.plans.map((entry) => (
+                <tr key={entry.strategy} className={entry.strategy === plan.strategy ? 'debt-plan-selected' : undefined}>
+                  <td>{PAYOFF_STRATEGIES.find((strategy) => strategy.value === entry.strategy).label}</td>
+                  <td>{entry.payoffMonth || `Not within ${MAX_PAYOFF_MONTHS / 12} years`}</td>
+                  <td>{asCurrency(entry.totalInterest, comparison.currency)}</td>
+                  <td>{asCurrency(entry.totalPaid, comparison.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      {scheduled && (
+        <div className="budget-summary debt-schedule">
+          <h3>Amortization schedule: {scheduled.debt.name}</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th>Payment</th>
+                <th>Interest</th>
+                <th>Principal</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scheduled.schedule.map((row) => (
+                <tr key={row.month}>
+                  <td>{row.month}</td>
+                  <td>{asCurrency(row.payment, scheduled.debt.currency)}</td>
+                  <td>{asCurrency(row.interest, scheduled.debt.currency)}</td>
+                  <td>{asCurrency(row.principal, scheduled.debt.currency)}</td>
+                  <td>{asCurrency(row.balance, scheduled.debt.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default DebtsCard
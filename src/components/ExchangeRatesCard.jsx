@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import { SUPPORTED_CURRENCIES, createRate, normalizeRateTable } from '../lib/currency'
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+function ExchangeRatesCard({ settings, onChange }) {
+  const { baseCurrency, rates } = settings
+  const [draft, setDraft] = useState(() => createRate(today(), baseCurrency === 'EUR' ? 'USD' : 'EUR', baseCurrency))
+
+  const sortedRates = [...rates].sort((a, b) => b.date.localeCompare(a.date) || a.from.localeCompare(b.from))
+  const draftIsValid = normalizeRateTable([draft]).length === 1
+
+  const updateDraft = (changes) => {
+    setDraft((previous) => ({ ...previous, ...changes }))
+  }
+
+  const addRate = () => {
+    if (!draftIsValid) return
+
+    onChange({ ...settings, rates: [...rates, ...normalizeRateTable([draft])] })
+    setDraft(createRate(draft.date, draft.from, draft.to))
+  }
+
+  const removeRate = (rateId) => {
+    onChange({ ...settings, rates: rates.filter((rate) => rate.id !== rateId) })
+  }
+
+  const renderCurrencySelect = (value, onSelect, label) => (
+    <select value={value} onChange={(event) => onSelect(event.target.value)} aria-label={label}>
+      {SUPPORTED_CURRENCIES.map((currency) => (
+        <option key={currency} value={currency}>
+          {currency}
+        </option>
+      ))}
+    </select>
+  )
+
+  return (
+    <section className="card rates-card">
+      <div className="history-header">
+        <h2>Exchange Rates</h2>
+        <div className="history-header-actions">
+          <label className="inline-label">
+            Reporting currency
+            {renderCurrencySelect(baseCurrency, (currency) => onChange({ ...settings, baseCurrency: currency }), 'Reporting currency')}
+          </label>
+        </div>
+      </div>
+
+      <p className="empty">
+        Rates are entered by hand and stored on this device. Each month uses the latest rate dated on or before its last
+        day, and saved snapshots keep the rates they were saved with.
+      </p>
+
+      <div className="new-category rate-form">
+        <input type="date" value={draft.date} onChange={(event) => updateDraft({ date: event.target.value })} aria-label="Rate date" />
+        <span>1</span>
+        {renderCurrencySelect(draft.from, (currency) => updateDraft({ from: currency }), 'From currency')}
+        <span>=</span>
+        <input
+          type="number"
+          min="0"
+          step="0.0001"
+          value={draft.rate}
+          onChange={(event) => updateDraft({ rate: event.target.value })}
+          placeholder="Rate"
+          aria-label="Rate"
+        />
+        {renderCurrencySelect(draft.to, (currency) => updateDraft({ to: currency }), 'To currency')}
+        <button type="button" onClick={addRate} disabled={!draftIsValid}>Add rate</button>
+      </div>
+
+      {sortedRates.length > 0 && (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Rate</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRates.map((rate) => (
+                <tr key={rate.id}>
+                  <td className="history-month">{rate.date}</td>
+                  <td>
+                    1 {rate.from} = {rate.rate} {rate.to}
+                  </td>
+                  <td>
+                    <div className="history-actions">
+                      <button type="button" className="remove" onClick={() => removeRate(rate.id)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ExchangeRatesCard
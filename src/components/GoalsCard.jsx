@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { SUPPORTED_CURRENCIES } from '../lib/currency'
+import { asCurrency } from '../lib/format'
+import { ALLOCATION_TYPES, GOAL_STATUS_LABELS, createGoal, describeAllocation, normalizeGoal } from '../lib/goals'
+
+function GoalsCard({ goals, statuses, selectedMonth, baseCurrency, onChange }) {
+  const [draft, setDraft] = useState(() => createGoal(selectedMonth, baseCurrency))
+
+  const draftGoal = normalizeGoal(draft)
+
+  const updateDraft = (changes) => {
+    setDraft((previous) => ({ ...previous, ...changes }))
+  }
+
+  const addGoal = () => {
+    if (!draftGoal) return
+
+    onChange([...goals, draftGoal])
+    setDraft(createGoal(selectedMonth, draft.currency))
+  }
+
+  const removeGoal = (goalId) => {
+    onChange(goals.filter((goal) => goal.id !== goalId))
+  }
+
+  const moveGoalUp = (index) => {
+    const next = [...goals]
+    const [moved] = next.splice(index, 1)
+    next.splice(index - 1, 0, moved)
+    onChange(next)
+  }
+
+  return (
+    <section className="card goals-card">
+      <h2>Savings Goals</h2>
+      <p className="empty">
+        Progress comes from saved snapshots between each goal’s start month and deadline. Goals higher in the list are
+        funded first from each month’s savings.
+      </p>
+
+      <div className="recurring-form">
+        <input type="text" value={draft.name} onChange={(event) => updateDraft({ name: event.target.value })} placeholder="Goal, e.g. Emergency fund" />
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={draft.targetAmount}
+          onChange={(event) => updateDraft({ targetAmount: event.target.value })}
+          placeholder="Target amount"
+          aria-label="Target amount"
+        />
+        <select value={draft.currency} onChange={(event) => updateDraft({ currency: event.target.value })} aria-label="Goal currency">
+          {SUPPORTED_CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>
+              {currency}
+            </option>
+          ))}
+        </select>
+        <label className="inline-label">
+          From
+          <input type="month" value={draft.startMonth} onChange={(event) => updateDraft({ startMonth: event.target.value })} />
+        </label>
+        <label className="inline-label">
+          Deadline
+          <input type="month" value={draft.deadline} onChange={(event) => updateDraft({ deadline: event.target.value })} />
+        </label>
+        <select
+          value={draft.allocationType}
+          onChange={(event) => updateDraft({ allocationType: event.target.value })}
+          aria-label="Allocation rule"
+        >
+          {ALLOCATION_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          max={draft.allocationType === 'percent' ? 100 : undefined}
+          step="1"
+          value={draft.allocationValue}
+          onChange={(event) => updateDraft({ allocationValue: event.target.value })}
+          placeholder={draft.allocationType === 'percent' ? '%' : 'Amount'}
+          aria-label="Allocation value"
+        />
+        <button type="button" onClick={addGoal} disabled={!draftGoal}>Add goal</button>
+      </div>
+
+      {goals.length > 0 && (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Goal</th>
+                <th>Target</th>
+                <th>Period</th>
+                <th>Allocation</th>
+                <th>Saved</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statuses.map((entry, index) => (
+                <tr key={entry.goal.id}>
+                  <td className="history-month">{entry.goal.name}</td>
+                  <td>{asCurrency(entry.goal.targetAmount, entry.goal.currency)}</td>
+                  <td>
+                    {entry.goal.startMonth} – {entry.goal.deadline}
+                  </td>
+                  <td>{describeAllocation(entry.goal, asCurrency)}</td>
+                  <td>
+                    {asCurrency(entry.saved, entry.goal.currency)} ({entry.progress.toFixed(0)}%)
+                  </td>
+                  <td>
+                    <span className={`goal-status goal-${entry.status}`}>{GOAL_STATUS_LABELS[entry.status]}</span>
+                  </td>
+                  <td>
+                    <div className="history-actions">
+                      <button type="button" className="ghost" onClick={() => moveGoalUp(index)} disabled={index === 0} title="Fund earlier">
+                        Move up
+                      </button>
+                      <button type="button" className="remove" onClick={() => removeGoal(entry.goal.id)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default GoalsCard
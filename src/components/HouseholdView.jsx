@@ -0,0 +1,209 @@
+import { useEffect, useMemo, useState } from 'react'
+import { highestCategory } from '../lib/analytics'
+import { asCurrency } from '../lib/format'
+import { createHistoryStore } from '../lib/historyRepository'
+import { combineHousehold } from '../lib/household'
+import CategoryCharts from './CategoryCharts'
+import MonthlyBarChart from './MonthlyBarChart'
+import SummaryStats from './SummaryStats'
+
+// The open profile's history comes from the app so unsaved-to-disk changes show up;
+// every other profile is read once from its own store.
+function HouseholdView({ profiles, activeSnapshots, cipher, baseCurrency, rateTable, colors }) {
+  const [stored, setStored] = useState(null)
+  const [unreadable, setUnreadable] = useState([])
+  const [selectedMonth, setSelectedMonth] = useState('')
+
+  // Keyed on the ids alone, so renaming a profile or changing the household does not reread every store.
+  const otherIds = profiles.profiles
+    .filter((profile) => profile.id !== profiles.activeId)
+    .map((profile) => profile.id)
+    .join(',')
+
+  useEffect(() => {
+    let cancelled = false
+
+    Promise.all(
+      otherIds
+        .split(',')
+        .filter(Boolean)
+        .map(async (profileId) => {
+          const store = createHistoryStore(cipher, profileId)
+          try {
+            return { profileId, snapshots: await store.load() }
+          } catch {
+            return { profileId, snapshots: null }
+          } finally {
+            await store.close()
+          }
+        }),
+    ).then((results) => {
+      if (cancelled) return
+
+      setStored(Object.fromEntries(results.filter((result) => result.snapshots).map((result) => [result.profileId, result.snapshots])))
+      setUnreadable(results.filter((result) => !result.snapshots).map((result) => result.profileId))
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [otherIds, cipher])
+
+  const memberIds = useMemo(
+    () => (profiles.household.length > 0 ? profiles.household : profiles.profiles.map((profile) => profile.id)),
+    [profiles.household, profiles.profiles],
+  )
+  const members = useMemo(
+    () =>
+      profiles.profiles
+        .filter((profile) => memberIds.includes(profile.id))
+        .map((profile) => ({
+          ...profile,
+          snapshots: profile.id === profiles.activeId ? activeSnapshots : stored?.[profile.id] || [],
+        })),
+    [profiles.profiles, profiles.activeId, memberIds, activeSnapshots, stored],
+  )
+
+  const combined = useMemo(() => combineHousehold(members, baseCurrency, rateTable), [members, baseCurrency, rateTable])
+
+  const current = combined.months.find((entry) => entry.month === selectedMonth) || combined.months[combined.months.length - 1]
+  const colorOf = (memberId) => colors[members.findIndex((member) => member.id === memberId) % colors.length]
+  const money = (value) => asCurrency(value, baseCurrency)
+
+  const toggleMember = (profileId) => {
+    const next = memberIds.includes(profileId) ? memberIds.filter((id) => id !== profileId) : [...memberIds, profileId]
+    if (next.length > 0) profiles.setHousehold(next)
+  }
+
+  const seriesOf = (entries) => entries.map((member) => ({ key: member.id, name: member.name, color: colorOf(member.id) }))
+  const categoryData = current
+    ? current.categories
+        .filter((category) => category.amount > 0)
+        .map((category) => ({ name: category.name, amount: category.amount, ...category.members }))
+    : []
+  const trendData = combined.months.map((entry) => ({
+    month: entry.month,
+    ...Object.fromEntries(entry.members.map((member) => [member.id, member.savings])),
+  }))
+
+  return (
+    <main className="grid">
+      <section className="card">
+        <h2>Household</h2>
+        <p className="empty">
+          Combines the chosen profiles month by month in {baseCurrency}. Categories with the same name are added together.
+        </p>
+        <div className="household-members">
+          {profiles.profiles.map((profile) => (
+            <label key={profile.id} className="inline-label">
+              <input type="checkbox" checked={memberIds.includes(profile.id)} onChange={() => toggleMember(profile.id)} />
+              {profile.name}
+            </label>
+          ))}
+        </div>
+        {combined.months.length > 0 && (
+          <label className="inline-label">
+            Month
+            <select value={current.month} onChange={(event) => setSelectedMonth(event.target.value)}>
+              {[...combined.months].reverse().map((entry) => (
+                <option key={entry.month} value={entry.month}>
+                  {entry.month}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {stored === null && <p className="empty">Loading the other profiles…</p>}
+        {unreadable.length > 0 && (
+          <p className="alert-error">
+            Could not read the history of{' '}
+            {profiles.profiles
+              .filter((profile) => unreadable.includes(profile.id))
+              .map((profile) => profile.name)
+              .join(', ')}
+            .
+          </p>
+        )}
+        {combined.skipped.length > 0 && (
+          <p className="empty">
+            Left out for missing exchange rates to {baseCurrency}:{' '}
+            {combined.skipped.map((entry) => `${entry.name} ${entry.month}`).join(', ')}.
+          </p>
+        )}
+      </section>
+
+      <section className="card">
+        <h2>Summary{current && ` · ${current.month}`}</h2>
+        {!current ? (
+          <p className="empty">None of the chosen profiles has a saved month yet.</p>
+        ) : (
+          <>
+            <SummaryStats
+              totals={{ ...current, regularSavingsRate: null, highestCategory: highestCategory(current.categories) }}
+              currency={baseCurrency}
+              members={current.members}
+            />
+
+            <div className="budget-summary">
+              <h3>Who contributed</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Profile</th>
+                    <th>Income</th>
+                    <th>Spending</th>
+                    <th>Savings</th>
+                    <th>Share of income</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {current.members.map((member) => (
+                    <tr key={member.id}>
+                      <td>{member.name}</td>
+                      <td>{money(member.totalIncome)}</td>
+                      <td>{money(member.totalExpense)}</td>
+                      <td className={member.savings < 0 ? 'negative' : 'positive'}>{money(member.savings)}</td>
+                      <td>{current.totalIncome > 0 ? `${((member.totalIncome / current.totalIncome) * 100).toFixed(1)}%` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {current.members.length < members.length && (
+                <small className="rate-note">
+                  No snapshot for {current.month} from{' '}
+                  {members
+                    .filter((member) => !current.members.some((entry) => entry.id === member.id))
+                    .map((member) => member.name)
+                    .join(', ')}
+                  .
+                </small>
+              )}
+            </div>
+          </>
+        )}
+      </section>
+
+      {current && (
+        <section className="card charts">
+          <h2>Spending Breakdown</h2>
+          {categoryData.length === 0 ? (
+            <p className="empty">No spending saved for {current.month}.</p>
+          ) : (
+            <CategoryCharts shareData={categoryData} currency={baseCurrency} colors={colors} series={seriesOf(current.members)} />
+          )}
+        </section>
+      )}
+
+      {combined.months.length > 0 && (
+        <section className="card trend-card">
+          <h2>Savings by Profile</h2>
+          <div className="trend-chart-wrap">
+            <MonthlyBarChart rows={trendData} series={seriesOf(members)} currency={baseCurrency} colors={colors} />
+          </div>
+        </section>
+      )}
+    </main>
+  )
+}
+
+export default HouseholdView
@@ -0,0 +1,60 @@
+import { SUPPORTED_CURRENCIES } from '../lib/currency'
+
+function IncomeSourcesEditor({ sources, onAdd, onUpdate, onRemove }) {
+  return (
+    <div className="income-sources">
+      <div className="income-sources-header">
+        <span>Income Sources</span>
+        <button type="button" className="ghost" onClick={onAdd}>Add source</button>
+      </div>
+
+      {sources.length === 0 && <p className="empty">No income sources for this month.</p>}
+
+      {sources.map((source) => (
+        <div key={source.id} className={`income-source-row${source.prefilled ? ' prefilled' : ''}`}>
+          <input
+            type="text"
+            value={source.name}
+            onChange={(event) => onUpdate(source.id, { name: event.target.value })}
+            placeholder="Source, e.g. Salary"
+            aria-label="Income source name"
+          />
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={source.amount}
+            onChange={(event) => onUpdate(source.id, { amount: event.target.value })}
+            placeholder="Amount"
+            aria-label={`${source.name || 'Income'} amount`}
+          />
+          <select
+            value={source.currency}
+            onChange={(event) => onUpdate(source.id, { currency: event.target.value })}
+            aria-label={`${source.name || 'Income'} currency`}
+          >
+            {SUPPORTED_CURRENCIES.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+          <label className="checkbox-label" title="Exclude from the regular savings rate">
+            <input
+              type="checkbox"
+              checked={source.oneOff}
+              onChange={(event) => onUpdate(source.id, { oneOff: event.target.checked })}
+            />
+            One-off
+          </label>
+          {source.prefilled && <span className="prefilled-badge">Recurring</span>}
+          <button type="button" className="remove" onClick={() => onRemove(source.id)}>
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default IncomeSourcesEditor
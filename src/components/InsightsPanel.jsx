@@ -0,0 +1,77 @@
+import { useState } from 'react'
+import { INSIGHT_RULES, normalizeInsightSettings } from '../lib/insights'
+
+function InsightsPanel({ insights, settings, onSettingsChange }) {
+  const [rulesOpen, setRulesOpen] = useState(false)
+
+  const toggleRule = (ruleId, enabled) => {
+    onSettingsChange({
+      ...settings,
+      disabled: enabled ? settings.disabled.filter((id) => id !== ruleId) : [...settings.disabled, ruleId],
+    })
+  }
+
+  const updateParam = (ruleId, key, value) => {
+    onSettingsChange(
+      normalizeInsightSettings({
+        ...settings,
+        params: { ...settings.params, [ruleId]: { ...settings.params[ruleId], [key]: value } },
+      }),
+    )
+  }
+
+  return (
+    <div className="insights">
+      <div className="insights-header">
+        <h3>Insights</h3>
+        <button type="button" className="link-button" onClick={() => setRulesOpen((open) => !open)}>
+          {rulesOpen ? 'Hide rules' : 'Rules'}
+        </button>
+      </div>
+
+      {rulesOpen && (
+        <ul className="insight-rules">
+          {INSIGHT_RULES.map((rule) => (
+            <li key={rule.id}>
+              <label className="checkbox-label" title={rule.description}>
+                <input
+                  type="checkbox"
+                  checked={!settings.disabled.includes(rule.id)}
+                  onChange={(event) => toggleRule(rule.id, event.target.checked)}
+                />
+                {rule.label}
+              </label>
+              {rule.params.map((param) => (
+                <label key={param.key} className="inline-label">
+                  {param.label}
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={settings.params[rule.id][param.key]}
+                    onChange={(event) => updateParam(rule.id, param.key, event.target.value)}
+                  />
+                </label>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {insights.length === 0 ? (
+        <p className="empty">Nothing to report for this month yet.</p>
+      ) : (
+        <ul>
+          {insights.map((insight) => (
+            <li key={`${insight.ruleId}-${insight.message}`} className={`insight-${insight.severity}`}>
+              {insight.message}
+              <small>{insight.explanation}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default InsightsPanel
@@ -0,0 +1,30 @@
+import { Bar, BarChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { asCurrency } from '../lib/format'
+
+// One stacked bar per month. `series` is [{ key, name?, color?, oneOff? }]; series without
+// a colour take the next one from `colors`, and one-off series are drawn lighter.
+function MonthlyBarChart({ rows, series, currency, colors }) {
+  return (
+    <ResponsiveContainer width="100%" height={280}>
+      <BarChart data={rows} margin={{ top: 12, right: 20, left: 10, bottom: 8 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+        <XAxis dataKey="month" />
+        <YAxis tickFormatter={(value) => asCurrency(value, currency)} width={80} />
+        <Tooltip formatter={(value) => asCurrency(value, currency)} labelFormatter={(label) => `Month: ${label}`} />
+        <Legend />
+        {series.map((entry, index) => (
+          <Bar
+            key={entry.key}
+            dataKey={entry.key}
+            name={entry.name}
+            stackId="months"
+            fill={entry.color || colors[index % colors.length]}
+            fillOpacity={entry.oneOff ? 0.55 : 1}
+          />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  )
+}
+
+export default MonthlyBarChart
@@ -0,0 +1,59 @@
+import { Fragment, useCallback, useEffect, useState } from 'react'
+import { PROFILES_KEY, addProfile, loadProfiles, normalizeProfiles, renameProfile, saveProfiles } from '../lib/profiles'
+
+// Holds the profile list and which profile is open. The app below it is keyed by the
+// active profile, so switching remounts it and nothing from one profile's state carries
+// over into another's.
+function ProfileGate({ children }) {
+  const [registry, setRegistry] = useState(() => loadProfiles())
+
+  useEffect(() => {
+    saveProfiles(registry)
+  }, [registry])
+
+  // Profiles added or renamed in another tab show up here; each tab keeps its own open profile.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== PROFILES_KEY) return
+
+      setRegistry((previous) => {
+        const next = loadProfiles()
+        return normalizeProfiles({ ...next, activeId: previous.activeId })
+      })
+    }
+
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [])
+
+  const switchTo = useCallback((profileId) => {
+    setRegistry((previous) => normalizeProfiles({ ...previous, activeId: profileId }))
+  }, [])
+
+  const add = useCallback((name) => {
+    setRegistry((previous) => addProfile(previous, name))
+  }, [])
+
+  const rename = useCallback((profileId, name) => {
+    setRegistry((previous) => renameProfile(previous, profileId, name))
+  }, [])
+
+  const setHousehold = useCallback((profileIds) => {
+    setRegistry((previous) => normalizeProfiles({ ...previous, household: profileIds }))
+  }, [])
+
+  return (
+    <Fragment key={registry.activeId}>
+      {children({
+        ...registry,
+        active: registry.profiles.find((profile) => profile.id === registry.activeId),
+        switchTo,
+        add,
+        rename,
+        setHousehold,
+      })}
+    </Fragment>
+  )
+}
+
+export default ProfileGate
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+
+function ProfileSwitcher({ profiles, householdOpen, onHouseholdToggle }) {
+  const [name, setName] = useState('')
+  const [renaming, setRenaming] = useState(false)
+
+  const cleanName = name.trim()
+  const taken = profiles.profiles.some(
+    (profile) => profile.name.toLowerCase() === cleanName.toLowerCase() && !(renaming && profile.id === profiles.activeId),
+  )
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (!cleanName || taken) return
+
+    if (renaming) profiles.rename(profiles.activeId, cleanName)
+    else profiles.add(cleanName)
+    setName('')
+    setRenaming(false)
+  }
+
+  const toggleRenaming = () => {
+    setName(renaming ? '' : profiles.active.name)
+    setRenaming(!renaming)
+  }
+
+  return (
+    <form className="profile-switcher" onSubmit={handleSubmit}>
+      <label className="inline-label">
+        Profile
+        <select value={profiles.activeId} onChange={(event) => profiles.switchTo(event.target.value)}>
+          {profiles.profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <input
+        type="text"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        placeholder={renaming ? 'New name' : 'New profile, e.g. Partner'}
+        aria-label="Profile name"
+      />
+      <button type="submit" disabled={!cleanName || taken}>{renaming ? 'Rename' : 'Add profile'}</button>
+      <button type="button" className="ghost" onClick={toggleRenaming}>{renaming ? 'Cancel' : 'Rename'}</button>
+      {profiles.profiles.length > 1 && (
+        <button type="button" className="ghost" onClick={onHouseholdToggle}>
+          {householdOpen ? `Back to ${profiles.active.name}` : 'Household view'}
+        </button>
+      )}
+    </form>
+  )
+}
+
+export default ProfileSwitcher
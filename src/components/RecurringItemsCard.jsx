@@ -0,0 +1,189 @@
+import { useState } from 'react'
+import { SUPPORTED_CURRENCIES } from '../lib/currency'
+import { asCurrency } from '../lib/format'
+import { CADENCES, createRecurringItem, describeCadence, normalizeRecurringItem } from '../lib/recurring'
+
+function RecurringItemsCard({ items, categoryNames, selectedMonth, baseCurrency, onChange }) {
+  const [draft, setDraft] = useState(() => createRecurringItem(selectedMonth, baseCurrency))
+  const [changeDraft, setChangeDraft] = useState(null)
+
+  const draftItem = normalizeRecurringItem({ ...draft, category: draft.category || categoryNames[0] })
+
+  const updateDraft = (changes) => {
+    setDraft((previous) => ({ ...previous, ...changes }))
+  }
+
+  const addItem = () => {
+    if (!draftItem) return
+
+    onChange([...items, draftItem])
+    setDraft(createRecurringItem(selectedMonth, draft.currency))
+  }
+
+  const removeItem = (itemId) => {
+    onChange(items.filter((item) => item.id !== itemId))
+  }
+
+  const saveChange = () => {
+    if (!changeDraft || !changeDraft.fromMonth || changeDraft.amount === '') return
+
+    onChange(
+      items.map((item) =>
+        item.id === changeDraft.itemId
+          ? normalizeRecurringItem({
+              ...item,
+              changes: [
+                ...item.changes.filter((change) => change.fromMonth !== changeDraft.fromMonth),
+                { fromMonth: changeDraft.fromMonth, amount: changeDraft.amount },
+              ],
+            })
+          : item,
+      ),
+    )
+    setChangeDraft(null)
+  }
+
+  return (
+    <section className="card recurring-card">
+      <h2>Recurring Items</h2>
+      <p className="empty">
+        Months without a saved snapshot start from these items. Prefilled values are marked until you edit them.
+      </p>
+
+      <div className="recurring-form">
+        <input type="text" value={draft.name} onChange={(event) => updateDraft({ name: event.target.value })} placeholder="Name, e.g. Rent" />
+        <select value={draft.kind} onChange={(event) => updateDraft({ kind: event.target.value })} aria-label="Kind">
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+        <select
+          value={draft.category || categoryNames[0] || ''}
+          onChange={(event) => updateDraft({ category: event.target.value })}
+          disabled={draft.kind === 'income'}
+          aria-label="Category"
+        >
+          {categoryNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.amount}
+          onChange={(event) => updateDraft({ amount: event.target.value })}
+          placeholder="Amount"
+          aria-label="Amount"
+        />
+        <select value={draft.currency} onChange={(event) => updateDraft({ currency: event.target.value })} aria-label="Currency">
+          {SUPPORTED_CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>
+              {currency}
+            </option>
+          ))}
+        </select>
+        <select value={draft.cadence} onChange={(event) => updateDraft({ cadence: event.target.value })} aria-label="Cadence">
+          {CADENCES.map((cadence) => (
+            <option key={cadence.value} value={cadence.value}>
+              {cadence.label}
+            </option>
+          ))}
+        </select>
+        {draft.cadence === 'every-n' && (
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={draft.interval}
+            onChange={(event) => updateDraft({ interval: event.target.value })}
+            aria-label="Every N months"
+          />
+        )}
+        <label className="inline-label">
+          From
+          <input type="month" value={draft.startMonth} onChange={(event) => updateDraft({ startMonth: event.target.value })} />
+        </label>
+        <label className="inline-label">
+          Until
+          <input type="month" value={draft.endMonth} onChange={(event) => updateDraft({ endMonth: event.target.value })} />
+        </label>
+        <button type="button" onClick={addItem} disabled={!draftItem}>Add item</button>
+      </div>
+
+      {items.length > 0 && (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Category</th>
+                <th>Amount</th>
+                <th>Cadence</th>
+                <th>Period</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => (
+                <tr key={item.id}>
+                  <td className="history-month">{item.name}</td>
+                  <td>{item.kind === 'income' ? 'Income' : item.category}</td>
+                  <td>
+                    {asCurrency(item.amount, item.currency)}
+                    {item.changes.map((change) => (
+                      <small key={change.fromMonth} className="recurring-change">
+                        from {change.fromMonth}: {asCurrency(change.amount, item.currency)}
+                      </small>
+                    ))}
+                  </td>
+                  <td>{describeCadence(item)}</td>
+                  <td>
+                    {item.startMonth} – {item.endMonth || 'ongoing'}
+                  </td>
+                  <td>
+                    {changeDraft?.itemId === item.id ? (
+                      <div className="history-actions">
+                        <input
+                          type="month"
+                          value={changeDraft.fromMonth}
+                          onChange={(event) => setChangeDraft({ ...changeDraft, fromMonth: event.target.value })}
+                          aria-label="Change from month"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={changeDraft.amount}
+                          onChange={(event) => setChangeDraft({ ...changeDraft, amount: event.target.value })}
+                          placeholder="New amount"
+                          aria-label="New amount"
+                        />
+                        <button type="button" className="save" onClick={saveChange}>Save</button>
+                        <button type="button" className="ghost" onClick={() => setChangeDraft(null)}>Cancel</button>
+                      </div>
+                    ) : (
+                      <div className="history-actions">
+                        <button
+                          type="button"
+                          className="ghost"
+                          onClick={() => setChangeDraft({ itemId: item.id, fromMonth: selectedMonth, amount: '' })}
+                        >
+                          Change amount
+                        </button>
+                        <button type="button" className="remove" onClick={() => removeItem(item.id)}>Delete</button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default RecurringItemsCard
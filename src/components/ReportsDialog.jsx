@@ -0,0 +1,82 @@
+import { useMemo, useRef } from 'react'
+import { downloadFile } from '../lib/download'
+import { MONTH_NAMES, ROLLUP_PERIODS, buildRollup, formatRollupHtml } from '../lib/rollup'
+
+// The preview is the same standalone document that is downloaded, so what is printed,
+// archived and handed on always matches.
+function ReportsDialog({ snapshots, goals, currency, rateTable, settings, onSettingsChange, onClose }) {
+  const frameRef = useRef(null)
+
+  const rollup = useMemo(
+    () => buildRollup(snapshots, { ...settings, currency, rateTable, goals }),
+    [snapshots, settings, currency, rateTable, goals],
+  )
+  const html = useMemo(() => formatRollupHtml(rollup), [rollup])
+
+  const updateSettings = (changes) => {
+    onSettingsChange({ ...settings, ...changes })
+  }
+
+  const handlePrint = () => {
+    frameRef.current?.contentWindow?.print()
+  }
+
+  const handleDownload = () => {
+    const last = rollup.periods[rollup.periods.length - 1]
+    downloadFile(`fintrack-${settings.period}-report-${last ? last.start : 'empty'}.html`, html, 'text/html')
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal reports-modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Reports</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="ghost" onClick={handlePrint} disabled={rollup.periods.length === 0}>
+              Print
+            </button>
+            <button type="button" className="ghost" onClick={handleDownload} disabled={rollup.periods.length === 0}>
+              Download HTML
+            </button>
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close reports dialog">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <div className="input-grid">
+            <label>
+              Period
+              <select value={settings.period} onChange={(event) => updateSettings({ period: event.target.value })}>
+                {ROLLUP_PERIODS.map((period) => (
+                  <option key={period.value} value={period.value}>
+                    {period.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Year starts in
+              <select
+                value={settings.fiscalStartMonth}
+                onChange={(event) => updateSettings({ fiscalStartMonth: Number(event.target.value) })}
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>
+                    {name}
+                    {index === 0 ? ' (calendar year)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <iframe ref={frameRef} className="report-preview" title="Report preview" srcDoc={html} />
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default ReportsDialog
@@ -0,0 +1,119 @@
+import { Fragment, useState } from 'react'
+import { asCurrency } from '../lib/format'
+
+function RevisionsDialog({ month, revisions, current, onRestore, onClose }) {
+  const [openKey, setOpenKey] = useState(null)
+
+  const isCurrent = (revision) => current?.createdAt === revision.snapshot.createdAt
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Revisions of {month}</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close revisions">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          {!current && <p className="empty">This month has no saved snapshot right now. Restoring a revision brings it back.</p>}
+          {revisions.length === 0 ? (
+            <p className="empty">No earlier versions of this month are in the activity log.</p>
+          ) : (
+            <div className="history-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Saved</th>
+                    <th>Income</th>
+                    <th>Expense</th>
+                    <th>Savings</th>
+                    <th>Rate</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revisions.map((revision) => {
+                    const { snapshot } = revision
+                    const money = (value) => asCurrency(value, snapshot.baseCurrency)
+
+                    return (
+                      <Fragment key={revision.key}>
+                        <tr>
+                          <td className="history-month">
+                            {new Date(snapshot.createdAt).toLocaleString()}
+                            {isCurrent(revision) && <span className="activity-tag">Current</span>}
+                          </td>
+                          <td>{money(snapshot.totalIncome)}</td>
+                          <td>{money(snapshot.totalExpense)}</td>
+                          <td className={snapshot.savings < 0 ? 'negative' : 'positive'}>{money(snapshot.savings)}</td>
+                          <td>{snapshot.savingsRate.toFixed(1)}%</td>
+                          <td>
+                            <div className="history-actions">
+                              <button
+                                type="button"
+                                className="ghost"
+                                onClick={() => setOpenKey(openKey === revision.key ? null : revision.key)}
+                              >
+                                {openKey === revision.key ? 'Hide' : 'View'}
+                              </button>
+                              <button type="button" className="save" onClick={() => onRestore(revision)} disabled={isCurrent(revision)}>
+                                Restore
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                        {openKey === revision.key && (
+                          <tr>
+                            <td colSpan={6}>
+                              <div className="revision-detail">
+                                <div>
+                                  <strong>Income</strong>
+                                  <ul>
+                                    {snapshot.incomeSources.map((source) => (
+                                      <li key={source.id}>
+                                        {source.name}: {asCurrency(source.amount, source.currency)}
+                                        {source.oneOff ? ' (one-off)' : ''}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </div>
+                                <div>
+                                  <strong>Categories</strong>
+                                  <ul>
+                                    {snapshot.categories.map((category) => (
+                                      <li key={category.name}>
+                                        {category.name}: {money(category.amount)}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </div>
+                                <div>
+                                  <strong>Other</strong>
+                                  <ul>
+                                    <li>{snapshot.transactions.length} transaction(s)</li>
+                                    <li>Target savings: {money(snapshot.targetSavings)}</li>
+                                    <li>{snapshot.budgets.length} budget(s)</li>
+                                  </ul>
+                                </div>
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default RevisionsDialog
@@ -0,0 +1,311 @@
+import { useMemo, useState } from 'react'
+import { asCurrency } from '../lib/format'
+import {
+  ADJUSTMENT_KINDS,
+  ADJUSTMENT_MODES,
+  applyScenario,
+  forkScenario,
+  normalizeAdjustment,
+  projectGoals,
+  scenarioBaseline,
+} from '../lib/scenarios'
+
+const emptyAdjustment = () => ({ kind: 'category', target: '', mode: 'percent', value: '' })
+
+const formatDelta = (value, format) => `${value > 0 ? '+' : ''}${format(value)}`
+
+function ScenariosDialog({ scenarios, sources, recurringItems, goals, history, rateTable, onChange, onClose }) {
+  const [sourceKey, setSourceKey] = useState(sources[0]?.key || '')
+  const [newName, setNewName] = useState('')
+  const [selectedId, setSelectedId] = useState(scenarios[0]?.id || null)
+  const [draft, setDraft] = useState(emptyAdjustment)
+
+  const scenario = scenarios.find((entry) => entry.id === selectedId) || null
+  const draftAdjustment = normalizeAdjustment(draft)
+
+  const comparison = useMemo(() => {
+    if (!scenario) return null
+
+    const baseline = scenarioBaseline(scenario)
+    const result = applyScenario(scenario)
+    const activeGoals = goals.filter((goal) => goal.deadline >= scenario.month)
+    const project = (savings) =>
+      projectGoals(activeGoals, history, { month: scenario.month, currency: scenario.currency, savings, rateTable })
+    const scenarioGoals = project(result.savings)
+
+    return {
+      baseline,
+      result,
+      goals: project(baseline.savings).map((entry, index) => ({ ...entry, scenario: scenarioGoals[index] })),
+    }
+  }, [scenario, goals, history, rateTable])
+
+  const updateScenario = (changes) => {
+    onChange(scenarios.map((entry) => (entry.id === scenario.id ? { ...entry, ...changes } : entry)))
+  }
+
+  const createScenario = () => {
+    const source = sources.find((entry) => entry.key === sourceKey)
+    if (!source) return
+
+    const created = forkScenario({ ...source.figures, name: newName, source: source.label }, recurringItems)
+    onChange([...scenarios, created])
+    setSelectedId(created.id)
+    setNewName('')
+  }
+
+  const deleteScenario = () => {
+    if (!window.confirm(`Delete the scenario "${scenario.name}"?`)) return
+
+    const remaining = scenarios.filter((entry) => entry.id !== scenario.id)
+    onChange(remaining)
+    setSelectedId(remaining[0]?.id || null)
+  }
+
+  const addAdjustment = () => {
+    if (!draftAdjustment) return
+
+    updateScenario({ adjustments: [...scenario.adjustments, draftAdjustment] })
+    setDraft(emptyAdjustment())
+  }
+
+  const targetLabel = (adjustment) =>
+    adjustment.kind === 'recurring'
+      ? scenario.recurring.find((item) => item.id === adjustment.target)?.name || 'Removed item'
+      : adjustment.target
+
+  const money = (value) => asCurrency(value, scenario.currency)
+  const percent = (value) => `${value.toFixed(1)}%`
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <section className="modal scenarios-modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>What-if Scenarios</h2>
+          <div className="modal-header-actions">
+            <button type="button" className="ghost" onClick={onClose} aria-label="Close scenarios dialog">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <p className="empty">
+            Scenarios are copies kept apart from your saved history: changing one never touches a snapshot or the savings trend.
+          </p>
+
+          <div className="recurring-form">
+            <select value={sourceKey} onChange={(event) => setSourceKey(event.target.value)} aria-label="Fork from">
+              {sources.map((source) => (
+                <option key={source.key} value={source.key}>
+                  {source.label}
+                </option>
+              ))}
+            </select>
+            <input type="text" value={newName} onChange={(event) => setNewName(event.target.value)} placeholder="Name, e.g. Move to Lisbon" />
+            <button type="button" onClick={createScenario} disabled={!sourceKey}>Fork scenario</button>
+          </div>
+
+          {scenarios.length > 0 && (
+            <div className="history-header">
+              <label className="inline-label">
+                Scenario
+                <select value={scenario?.id || ''} onChange={(event) => setSelectedId(event.target.value)}>
+                  {!scenario && <option value="">Choose…</option>}
+                  {scenarios.map((entry) => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {scenario && (
+                <div className="history-header-actions">
+                  <small className="rate-note">Forked from {scenario.source}</small>
+                  <button type="button" className="remove" onClick={deleteScenario}>Delete</button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {scenario && (
+            <>
+              <h3>Changes</h3>
+              <div className="recurring-form">
+                <select
+                  value={draft.kind}
+                  onChange={(event) => setDraft({ ...draft, kind: event.target.value, target: '' })}
+                  aria-label="What to change"
+                >
+                  {ADJUSTMENT_KINDS.map((kind) => (
+                    <option key={kind.value} value={kind.value}>
+                      {kind.label}
+                    </option>
+                  ))}
+                </select>
+                {draft.kind === 'recurring' ? (
+                  <select value={draft.target} onChange={(event) => setDraft({ ...draft, target: event.target.value })} aria-label="Recurring item">
+                    <option value="">Choose item…</option>
+                    {scenario.recurring.map((item) => (
+                      <option key={item.id} value={item.id}>
+                        {item.name} ({money(item.amount)})
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <>
+                    <input
+                      type="text"
+                      list="scenario-targets"
+                      value={draft.target}
+                      onChange={(event) => setDraft({ ...draft, target: event.target.value })}
+                      placeholder={draft.kind === 'income' ? 'Income source' : 'Category'}
+                      aria-label="Name"
+                    />
+                    <datalist id="scenario-targets">
+                      {(draft.kind === 'income' ? scenario.incomes : scenario.categories).map((line) => (
+                        <option key={line.name} value={line.name} />
+                      ))}
+                    </datalist>
+                  </>
+                )}
+                <select value={draft.mode} onChange={(event) => setDraft({ ...draft, mode: event.target.value })} aria-label="Change type">
+                  {ADJUSTMENT_MODES.map((mode) => (
+                    <option key={mode.value} value={mode.value}>
+                      {mode.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="1"
+                  value={draft.value}
+                  onChange={(event) => setDraft({ ...draft, value: event.target.value })}
+                  placeholder={draft.mode === 'percent' ? 'e.g. -100' : 'e.g. 250'}
+                  aria-label="Change"
+                />
+                <button type="button" onClick={addAdjustment} disabled={!draftAdjustment}>Add change</button>
+              </div>
+
+              {scenario.adjustments.length === 0 ? (
+                <p className="empty">No changes yet; the scenario matches its baseline.</p>
+              ) : (
+                <ul className="scenario-adjustments">
+                  {scenario.adjustments.map((adjustment) => (
+                    <li key={adjustment.id}>
+                      {ADJUSTMENT_KINDS.find((kind) => kind.value === adjustment.kind).label} <strong>{targetLabel(adjustment)}</strong>{' '}
+                      {adjustment.mode === 'percent' ? formatDelta(adjustment.value, (value) => `${value}%`) : formatDelta(adjustment.value, money)}
+                      <button
+                        type="button"
+                        className="ghost"
+                        onClick={() => updateScenario({ adjustments: scenario.adjustments.filter((entry) => entry.id !== adjustment.id) })}
+                        aria-label="Remove change"
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="budget-summary">
+                <h3>Baseline vs scenario ({scenario.month})</h3>
+                <table>
+                  <thead>
+                    <tr>
+                      <th />
+                      <th>Baseline</th>
+                      <th>Scenario</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ['Income', 'totalIncome', money],
+                      ['Expenses', 'totalExpense', money],
+                      ['Savings', 'savings', money],
+                      ['Savings rate', 'savingsRate', percent],
+                    ].map(([label, key, format]) => (
+                      <tr key={key}>
+                        <td>{label}</td>
+                        <td>{format(comparison.baseline[key])}</td>
+                        <td>{format(comparison.result[key])}</td>
+                        <td>{formatDelta(comparison.result[key] - comparison.baseline[key], format)}</td>
+                      </tr>
+                    ))}
+                    {scenario.targetSavings > 0 && (
+                      <tr>
+                        <td>Target savings {money(scenario.targetSavings)}</td>
+                        <td>{comparison.baseline.savings >= scenario.targetSavings ? 'Met' : 'Missed'}</td>
+                        <td>{comparison.result.savings >= scenario.targetSavings ? 'Met' : 'Missed'}</td>
+                        <td />
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="budget-summary">
+                <h3>Categories</h3>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Category</th>
+                      <th>Baseline</th>
+                      <th>Scenario</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.result.categories.map((line) => {
+                      const before = comparison.baseline.categories.find((entry) => entry.name === line.name)?.amount || 0
+                      return (
+                        <tr key={line.name}>
+                          <td>{line.name}</td>
+                          <td>{money(before)}</td>
+                          <td className={line.amount > before ? 'negative' : line.amount < before ? 'positive' : undefined}>
+                            {money(line.amount)}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {comparison.goals.length > 0 && (
+                <div className="budget-summary">
+                  <h3>Goal impact</h3>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Goal</th>
+                        <th>Deadline</th>
+                        <th>Baseline reaches it</th>
+                        <th>Scenario reaches it</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.goals.map((entry) => (
+                        <tr key={entry.goal.id}>
+                          <td>{entry.goal.name}</td>
+                          <td>{entry.goal.deadline}</td>
+                          <td>{entry.reachMonth || 'Not by deadline'}</td>
+                          <td className={entry.scenario.reachMonth ? undefined : 'negative'}>
+                            {entry.scenario.reachMonth || 'Not by deadline'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <small className="rate-note">Assumes every month from {scenario.month} saves the same as this one.</small>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default ScenariosDialog
@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { DEFAULT_IDLE_MINUTES, IDLE_LOCK_OPTIONS, validatePassphrase } from '../lib/vault'
+
+const emptyForm = { current: '', next: '', confirmation: '' }
+
+function SecurityCard({ supported, settings, onEnable, onChangePassphrase, onDisable, onIdleChange, onLock }) {
+  const [form, setForm] = useState(emptyForm)
+  const [idleMinutes, setIdleMinutes] = useState(DEFAULT_IDLE_MINUTES)
+  const [mode, setMode] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const updateForm = (changes) => {
+    setForm((previous) => ({ ...previous, ...changes }))
+  }
+
+  const openMode = (nextMode) => {
+    setMode(nextMode)
+    setForm(emptyForm)
+    setMessage(null)
+  }
+
+  const run = async (action, success) => {
+    setBusy(true)
+    setMessage(null)
+
+    try {
+      const warning = await action()
+      setMode(null)
+      setForm(emptyForm)
+      setMessage(warning ? { level: 'error', text: warning } : { level: 'positive', text: success })
+    } catch (error) {
+      setMessage({ level: 'error', text: error instanceof Error ? error.message : String(error) })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const nextError = mode === 'enable' || mode === 'change' ? validatePassphrase(form.next, form.confirmation) : ''
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (busy) return
+
+    if (mode === 'enable' && !nextError) {
+      run(() => onEnable(form.next, idleMinutes), 'History is now encrypted on this device.')
+    } else if (mode === 'change' && !nextError && form.current) {
+      run(() => onChangePassphrase(form.current, form.next), 'Passphrase changed.')
+    } else if (mode === 'disable' && form.current) {
+      run(() => onDisable(form.current), 'Encryption turned off. History is stored in plain form again.')
+    }
+  }
+
+  if (!supported) {
+    return (
+      <section className="card security-card">
+        <h2>Security</h2>
+        <p className="empty">This browser does not provide the WebCrypto API, so encrypted storage is unavailable.</p>
+      </section>
+    )
+  }
+
+  return (
+    <section className="card security-card">
+      <div className="history-header">
+        <h2>Security</h2>
+        {settings && (
+          <div className="history-header-actions">
+            <button type="button" className="ghost" onClick={onLock}>Lock now</button>
+          </div>
+        )}
+      </div>
+
+      <p className="empty">
+        {settings
+          ? 'Saved history, the activity log, debts and what-if scenarios are encrypted with your passphrase. Goals, recurring items, accounts and settings such as rates are not.'
+          : 'Saved history is stored unencrypted in this browser. Set a passphrase to encrypt it; it is asked for whenever FinTrack opens.'}
+      </p>
+
+      <div className="input-grid">
+        <label>
+          Auto-lock after
+          <select
+            value={settings ? settings.idleMinutes : idleMinutes}
+            onChange={(event) => (settings ? onIdleChange(Number(event.target.value)) : setIdleMinutes(Number(event.target.value)))}
+          >
+            {IDLE_LOCK_OPTIONS.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes} min idle
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!mode && (
+        <div className="history-actions">
+          {settings ? (
+            <>
+              <button type="button" className="ghost" onClick={() => openMode('change')}>Change passphrase</button>
+              <button type="button" className="remove" onClick={() => openMode('disable')}>Turn off encryption</button>
+            </>
+          ) : (
+            <button type="button" className="save" onClick={() => openMode('enable')}>Encrypt history</button>
+          )}
+        </div>
+      )}
+
+      {mode && (
+        <form className="security-form" onSubmit={handleSubmit}>
+          {(mode === 'change' || mode === 'disable') && (
+            <label>
+              Current passphrase
+              <input
+                type="password"
+                value={form.current}
+                onChange={(event) => updateForm({ current: event.target.value })}
+                autoComplete="current-password"
+              />
+            </label>
+          )}
+          {(mode === 'enable' || mode === 'change') && (
+            <>
+              <label>
+                New passphrase
+                <input
+                  type="password"
+                  value={form.next}
+                  onChange={(event) => updateForm({ next: event.target.value })}
+                  autoComplete="new-password"
+                />
+              </label>
+              <label>
+                Repeat new passphrase
+                <input
+                  type="password"
+                  value={form.confirmation}
+                  onChange={(event) => updateForm({ confirmation: event.target.value })}
+                  autoComplete="new-password"
+                />
+              </label>
+              {form.next && nextError && <p className="alert-warning">{nextError}</p>}
+            </>
+          )}
+          {mode === 'enable' && (
+            <p className="empty">There is no way to recover a forgotten passphrase. Export a backup first if you are unsure.</p>
+          )}
+          <div className="history-actions">
+            <button type="submit" className="save" disabled={busy || Boolean(nextError)}>
+              {busy ? 'Working…' : mode === 'enable' ? 'Encrypt' : mode === 'change' ? 'Change passphrase' : 'Decrypt and turn off'}
+            </button>
+            <button type="button" className="ghost" onClick={() => openMode(null)} disabled={busy}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {message && <p className={message.level === 'error' ? 'alert-error' : 'positive'}>{message.text}</p>}
+    </section>
+  )
+}
+
+export default SecurityCard
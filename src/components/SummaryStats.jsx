@@ -0,0 +1,46 @@
+import { asCurrency } from '../lib/format'
+
+// The headline figures of a month. `members`, when given, adds each person's share under
+// the spending and savings figures.
+function SummaryStats({ totals, currency, members = [] }) {
+  const breakdown = (field) =>
+    members.map((member) => (
+      <small key={member.id} className="rate-note">
+        {member.name}: {asCurrency(member[field], currency)}
+      </small>
+    ))
+
+  return (
+    <div className="stats">
+      <article>
+        <h3>Total Expense</h3>
+        <p>
+          {asCurrency(totals.totalExpense, currency)}
+          {breakdown('totalExpense')}
+        </p>
+      </article>
+      <article>
+        <h3>Savings</h3>
+        <p className={totals.savings < 0 ? 'negative' : 'positive'}>
+          {asCurrency(totals.savings, currency)}
+          {breakdown('savings')}
+        </p>
+      </article>
+      <article>
+        <h3>Savings Rate</h3>
+        <p>
+          {totals.savingsRate.toFixed(1)}%
+          {totals.regularSavingsRate !== null && (
+            <small className="rate-note">{totals.regularSavingsRate.toFixed(1)}% without one-off income</small>
+          )}
+        </p>
+      </article>
+      <article>
+        <h3>Highest Category</h3>
+        <p>{totals.highestCategory.name}</p>
+      </article>
+    </div>
+  )
+}
+
+export default SummaryStats
@@ -0,0 +1,96 @@
+import { useState } from 'react'
+
+const PHASE_LABELS = {
+  idle: 'Up to date',
+  syncing: 'Syncing…',
+  offline: 'Offline, changes are queued',
+  error: 'Sync failed',
+}
+
+function SyncCard({ settings, status, pendingCount, onConfigure, onSyncNow }) {
+  const [serverUrl, setServerUrl] = useState(settings.serverUrl)
+  const [token, setToken] = useState(settings.token)
+
+  const dirty = serverUrl.trim() !== settings.serverUrl || token !== settings.token
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    onConfigure({ serverUrl: serverUrl.trim(), token })
+  }
+
+  const phaseLabel = status.phase === 'idle' && pendingCount > 0 ? `${pendingCount} change(s) waiting` : PHASE_LABELS[status.phase]
+
+  return (
+    <section className="card sync-card">
+      <div className="history-header">
+        <h2>Sync</h2>
+        {((settings.enabled && settings.serverUrl) || status.phase === 'error') && (
+          <div className="history-header-actions">
+            <button type="button" className="ghost" onClick={onSyncNow} disabled={status.phase === 'syncing'}>
+              Sync now
+            </button>
+          </div>
+        )}
+      </div>
+
+      <p className="empty">
+        Keep history in step across devices through a FinTrack sync server you run yourself
+        (<code>npx fintrack-sync-server</code>). Changes made offline are sent once the server is reachable again.
+      </p>
+
+      <form className="security-form" onSubmit={handleSubmit}>
+        <label>
+          Server URL
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(event) => setServerUrl(event.target.value)}
+            placeholder="http://localhost:8787"
+          />
+        </label>
+        <label>
+          Access token
+          <input type="password" value={token} onChange={(event) => setToken(event.target.value)} autoComplete="off" />
+        </label>
+        <div className="history-actions">
+          <button type="submit" className="save" disabled={!dirty}>Save server</button>
+          <label className="inline-label">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              disabled={!settings.serverUrl}
+              onChange={(event) => onConfigure({ enabled: event.target.checked })}
+            />
+            Sync automatically
+          </label>
+        </div>
+      </form>
+
+      {((settings.enabled && settings.serverUrl) || status.phase === 'error') && (
+        <p className={status.phase === 'error' ? 'alert-error' : status.phase === 'offline' ? 'alert-warning' : 'empty'}>
+          {phaseLabel}
+          {status.message && ` — ${status.message}`}
+          {settings.lastSyncedAt && ` · last synced ${new Date(settings.lastSyncedAt).toLocaleString()}`}
+        </p>
+      )}
+
+      {status.merges.length > 0 && (
+        <div className="alert-warning">
+          <p>Some months were edited on another device and have been merged:</p>
+          <ul>
+            {status.merges.map((merge, index) => (
+              <li key={`${merge.month}-${index}`}>
+                <strong>{merge.month}</strong>
+                {merge.conflicts.length > 0
+                  ? ` — the newer edit was kept for ${merge.conflicts.join(', ')}`
+                  : ' — no overlapping edits'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default SyncCard
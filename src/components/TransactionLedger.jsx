@@ -0,0 +1,134 @@
+import { SUPPORTED_CURRENCIES, toBase } from '../lib/currency'
+import { asCurrency } from '../lib/format'
+
+function TransactionLedger({ transactions, categories, baseCurrency, rates, onAdd, onUpdate, onRemove }) {
+  const total = transactions.reduce((sum, transaction) => sum + toBase(transaction.amount, transaction.currency, rates), 0)
+
+  return (
+    <section className="card ledger-card">
+      <div className="history-header">
+        <h2>Transactions</h2>
+        <div className="history-header-actions">
+          <button type="button" className="save" onClick={onAdd} disabled={categories.length === 0}>
+            Add transaction
+          </button>
+        </div>
+      </div>
+
+      {transactions.length === 0 ? (
+        <p className="empty">No transactions for this month yet. Add one to build up your category totals.</p>
+      ) : (
+        <div className="history-table ledger-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Payee</th>
+                <th>Category</th>
+                <th>Amount</th>
+                <th>Currency</th>
+                <th>Note</th>
+                <th>Tags</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map((transaction) => (
+                <tr key={transaction.id} className={transaction.prefilled ? 'prefilled' : undefined}>
+                  <td>
+                    <input
+                      type="date"
+                      value={transaction.date}
+                      onChange={(event) => onUpdate(transaction.id, { date: event.target.value })}
+                      aria-label="Transaction date"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={transaction.payee}
+                      onChange={(event) => onUpdate(transaction.id, { payee: event.target.value })}
+                      placeholder="Payee"
+                      aria-label="Payee"
+                    />
+                    {transaction.prefilled && <span className="prefilled-badge">{transaction.debtId ? 'Planned' : 'Recurring'}</span>}
+                  </td>
+                  <td>
+                    <select
+                      value={transaction.category}
+                      onChange={(event) => onUpdate(transaction.id, { category: event.target.value })}
+                      aria-label="Category"
+                    >
+                      {categories.map((category) => (
+                        <option key={category.name} value={category.name}>
+                          {category.name}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={transaction.amount}
+                      onChange={(event) => onUpdate(transaction.id, { amount: event.target.value })}
+                      placeholder="0"
+                      aria-label="Amount"
+                    />
+                  </td>
+                  <td>
+                    <select
+                      value={transaction.currency}
+                      onChange={(event) => onUpdate(transaction.id, { currency: event.target.value })}
+                      aria-label="Currency"
+                    >
+                      {SUPPORTED_CURRENCIES.map((currency) => (
+                        <option key={currency} value={currency}>
+                          {currency}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={transaction.note}
+                      onChange={(event) => onUpdate(transaction.id, { note: event.target.value })}
+                      placeholder="Optional"
+                      aria-label="Note"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={transaction.tags || ''}
+                      onChange={(event) => onUpdate(transaction.id, { tags: event.target.value })}
+                      placeholder="e.g. vacation-2026"
+                      aria-label="Tags, separated by commas"
+                    />
+                  </td>
+                  <td>
+                    <div className="history-actions">
+                      <button type="button" className="remove" onClick={() => onRemove(transaction.id)}>
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {transactions.length > 0 && (
+        <div className="balance-meta">
+          <span>{transactions.length} transactions</span>
+          <span>{asCurrency(total, baseCurrency)} total</span>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default TransactionLedger
@@ -0,0 +1,103 @@
+import { Fragment, useCallback, useEffect, useMemo, useState } from 'react'
+import useIdleLock from '../hooks/useIdleLock'
+import { VAULT_KEY, createCipher, isVaultSupported, loadVaultSettings, unlockVault } from '../lib/vault'
+
+function UnlockScreen({ settings, onUnlock }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!passphrase) return
+
+    setBusy(true)
+    setError('')
+
+    try {
+      onUnlock(await unlockVault(settings, passphrase))
+    } catch (unlockError) {
+      setError(unlockError.message)
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="app-shell">
+      <div className="app">
+        <header className="hero">
+          <div>
+            <span className="badge">FinTrack</span>
+            <h1>FinTrack is locked</h1>
+            <p>Your history is encrypted on this device. Enter your passphrase to unlock it.</p>
+          </div>
+        </header>
+
+        <form className="card unlock-card" onSubmit={handleSubmit}>
+          <label>
+            Passphrase
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(event) => setPassphrase(event.target.value)}
+              autoComplete="current-password"
+              autoFocus
+            />
+          </label>
+          {error && <p className="alert-error">{error}</p>}
+          <button type="submit" className="save" disabled={busy || !passphrase}>
+            {busy ? 'Unlocking…' : 'Unlock'}
+          </button>
+          <p className="empty">The passphrase cannot be recovered. Without it the encrypted history cannot be read.</p>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+// Holds the unlocked data key for the session. The app below it is remounted whenever
+// the session ends (lock, idle timeout, or encryption changed in another tab), so no
+// decrypted state outlives the key.
+function VaultGate({ children }) {
+  const supported = isVaultSupported()
+  const [settings, setSettings] = useState(() => (supported ? loadVaultSettings() : null))
+  const [key, setKey] = useState(null)
+  const [session, setSession] = useState(0)
+
+  const cipher = useMemo(() => (key ? createCipher(key) : null), [key])
+
+  const lock = useCallback(() => {
+    setKey(null)
+    setSession((previous) => previous + 1)
+  }, [])
+
+  // The data key survives a passphrase change, so `nextKey` is only passed when
+  // encryption is switched on or off.
+  const update = useCallback((nextSettings, nextKey) => {
+    setSettings(nextSettings)
+    if (nextKey !== undefined) setKey(nextKey)
+  }, [])
+
+  useIdleLock(settings && key ? settings.idleMinutes : null, lock)
+
+  useEffect(() => {
+    if (!supported) return undefined
+
+    const handleStorage = (event) => {
+      if (event.key !== VAULT_KEY) return
+
+      const next = loadVaultSettings()
+      if (next?.keyId !== settings?.keyId) lock()
+      setSettings(next)
+    }
+
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [supported, settings, lock])
+
+  if (settings && !key) return <UnlockScreen settings={settings} onUnlock={setKey} />
+
+  return <Fragment key={session}>{children({ supported, settings, cipher, lock, update })}</Fragment>
+}
+
+export default VaultGate
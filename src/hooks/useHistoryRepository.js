@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { SnapshotConflictError } from '../lib/historyRepository'
+import { byMostRecentMonth, normalizeSnapshot } from '../lib/snapshots'
+
+const upsert = (snapshots, record) =>
+  [...snapshots.filter((snapshot) => snapshot.id !== record.id), record].sort(byMostRecentMonth)
+
+// Keeps history in React state while persisting it one snapshot at a time. Every state
+// change is diffed against what was last written or received, so only the snapshots that
+// actually changed reach the repository, and writes run one after another.
+function useHistoryRepository(repository) {
+  const [snapshots, setSnapshots] = useState([])
+  const [ready, setReady] = useState(false)
+  const [conflicts, setConflicts] = useState([])
+  const [persistError, setPersistError] = useState(null)
+  const persisted = useRef(new Map())
+  const revisions = useRef(new Map())
+  const queue = useRef(Promise.resolve())
+
+  const enqueue = useCallback((task) => {
+    // A failed write stays reported until a later one goes through.
+    queue.current = queue.current
+      .then(task)
+      .then(() => setPersistError(null))
+      .catch((error) => {
+        if (!(error instanceof SnapshotConflictError)) {
+          setPersistError(error)
+          return
+        }
+
+        setConflicts((previous) => [
+          ...previous.filter((conflict) => conflict.local.id !== error.snapshot.id),
+          { operation: error.operation, local: error.snapshot, remote: error.remote },
+        ])
+      })
+  }, [])
+
+  const writeSnapshot = useCallback(
+    (snapshot, { force = false } = {}) =>
+      enqueue(async () => {
+        const expectedRevision = force ? undefined : revisions.current.get(snapshot.id) ?? null
+        const record = await repository.put(snapshot, expectedRevision)
+        const updated = { ...snapshot, revision: record.revision }
+
+        revisions.current.set(record.id, record.revision)
+        persisted.current.set(record.id, updated)
+        setSnapshots((previous) => previous.map((entry) => (entry === snapshot ? updated : entry)))
+      }),
+    [enqueue, repository],
+  )
+
+  const removeSnapshot = useCallback(
+    (id, { force = false } = {}) => {
+      const expectedRevision = force ? undefined : revisions.current.get(id)
+      persisted.current.delete(id)
+
+      enqueue(async () => {
+        await repository.remove(id, expectedRevision)
+        revisions.current.delete(id)
+      })
+    },
+    [enqueue, repository],
+  )
+
+  useEffect(() => {
+    let cancelled = false
+
+    // A failed load is reported like a failed write, so the app opens instead of waiting.
+    repository
+      .load()
+      .then((loaded) => {
+        if (cancelled) return
+
+        persisted.current = new Map(loaded.map((snapshot) => [snapshot.id, snapshot]))
+        revisions.current = new Map(loaded.map((snapshot) => [snapshot.id, snapshot.revision]))
+        setSnapshots([...loaded].sort(byMostRecentMonth))
+        setReady(true)
+      })
+      .catch((error) => {
+        if (cancelled) return
+
+        setPersistError(error)
+        setReady(true)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [repository])
+
+  useEffect(
+    () =>
+      repository.subscribe((message) => {
+        if (message.type === 'put') {
+          const record = normalizeSnapshot(message.snapshot)
+          if (!record) return
+
+          persisted.current.set(record.id, record)
+          revisions.current.set(record.id, record.revision)
+          setSnapshots((previous) => upsert(previous, record))
+        } else if (message.type === 'remove') {
+          persisted.current.delete(message.id)
+          revisions.current.delete(message.id)
+          setSnapshots((previous) => previous.filter((snapshot) => snapshot.id !== message.id))
+        } else if (message.type === 'clear') {
+          persisted.current = new Map()
+          revisions.current = new Map()
+          setSnapshots([])
+        }
+      }),
+    [repository],
+  )
+
+  useEffect(() => {
+    if (!ready) return
+
+    const currentIds = new Set(snapshots.map((snapshot) => snapshot.id))
+    const removedIds = [...persisted.current.keys()].filter((id) => !currentIds.has(id))
+
+    if (snapshots.length === 0 && removedIds.length > 0) {
+      persisted.current = new Map()
+      revisions.current = new Map()
+      enqueue(() => repository.clear())
+      return
+    }
+
+    removedIds.forEach((id) => removeSnapshot(id))
+
+    snapshots.forEach((snapshot) => {
+      if (persisted.current.get(snapshot.id) === snapshot) return
+
+      persisted.current.set(snapshot.id, snapshot)
+      writeSnapshot(snapshot)
+    })
+  }, [snapshots, ready, enqueue, repository, removeSnapshot, writeSnapshot])
+
+  const resolveConflict = useCallback(
+    (conflict, keep) => {
+      setConflicts((previous) => previous.filter((entry) => entry !== conflict))
+      const { operation, local, remote } = conflict
+
+      if (keep === 'remote') {
+        persisted.current.delete(local.id)
+        if (remote) persisted.current.set(remote.id, remote)
+        if (remote) revisions.current.set(remote.id, remote.revision)
+        setSnapshots((previous) => {
+          const withoutLocal = previous.filter((snapshot) => snapshot.id !== local.id)
+          return remote ? upsert(withoutLocal, remote) : withoutLocal
+        })
+        return
+      }
+
+      if (operation === 'remove') {
+        removeSnapshot(local.id, { force: true })
+        return
+      }
+
+      if (remote && remote.id !== local.id) {
+        persisted.current.delete(remote.id)
+        revisions.current.delete(remote.id)
+        enqueue(() => repository.remove(remote.id))
+      }
+
+      persisted.current.set(local.id, local)
+      setSnapshots((previous) =>
+        upsert(
+          previous.filter((snapshot) => !remote || snapshot.id !== remote.id),
+          local,
+        ),
+      )
+      writeSnapshot(local, { force: remote?.id === local.id || !remote })
+    },
+    [enqueue, removeSnapshot, repository, writeSnapshot],
+  )
+
+  return { snapshots, setSnapshots, ready, storageKind: repository.kind, conflicts, resolveConflict, persistError }
+}
+
+export default useHistoryRepository
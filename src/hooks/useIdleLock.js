@@ -0,0 +1,38 @@
+import { useEffect } from 'react'
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart']
+
+// Calls `onIdle` once no input has been seen for `minutes` (null turns it off). Browsers
+// throttle timers in background tabs, so the elapsed time is also checked when the tab
+// becomes visible again.
+function useIdleLock(minutes, onIdle) {
+  useEffect(() => {
+    if (!minutes) return undefined
+
+    const limit = minutes * 60 * 1000
+    let lastActive = Date.now()
+    let timer = null
+
+    const reset = () => {
+      lastActive = Date.now()
+      window.clearTimeout(timer)
+      timer = window.setTimeout(onIdle, limit)
+    }
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible' && Date.now() - lastActive >= limit) onIdle()
+    }
+
+    reset()
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, reset, { passive: true }))
+    document.addEventListener('visibilitychange', handleVisibility)
+
+    return () => {
+      window.clearTimeout(timer)
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, reset))
+      document.removeEventListener('visibilitychange', handleVisibility)
+    }
+  }, [minutes, onIdle])
+}
+
+export default useIdleLock
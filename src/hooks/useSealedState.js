@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react'
+
+// State kept in localStorage that is sealed in encrypted mode. `load(cipher, profileId)`
+// runs once with the session cipher; `save(value, cipher, profileId)` only runs after it
+// has finished, so the initial value never overwrites what is stored. The last failed
+// save is returned as the third element until a later save succeeds.
+function useSealedState({ load, save, initial, sessionCipher, cipher, profileId }) {
+  const [value, setValue] = useState(initial)
+  const [ready, setReady] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    load(sessionCipher, profileId).then((loaded) => {
+      if (cancelled) return
+
+      setValue(loaded)
+      setReady(true)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [load, sessionCipher, profileId])
+
+  useEffect(() => {
+    if (!ready) return
+
+    save(value, cipher, profileId).then(
+      () => setSaveError(null),
+      (error) => setSaveError(error),
+    )
+  }, [save, value, ready, cipher, profileId])
+
+  return [value, setValue, saveError]
+}
+
+export default useSealedState
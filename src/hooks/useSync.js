@@ -0,0 +1,134 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import {
+  SYNC_INTERVAL_MS,
+  applySyncSteps,
+  createSyncClient,
+  defaultSyncState,
+  loadSyncState,
+  pendingChanges,
+  saveSyncState,
+  syncOnce,
+} from '../lib/sync'
+
+const MAX_ROUNDS = 3
+const CHANGE_DELAY_MS = 2000
+
+// Runs sync rounds against the configured server: on a timer, shortly after local
+// changes, and when the browser comes back online. Remote changes are handed to
+// `onRemoteChange(nextHistory, detail)` so they go through the app's normal history
+// path. Nothing runs until both history and the sync state have loaded.
+function useSync({ history, ready, cipher, profileId, onRemoteChange }) {
+  const [state, setState] = useState(defaultSyncState)
+  const [loaded, setLoaded] = useState(false)
+  const [status, setStatus] = useState({ phase: 'idle', message: '', merges: [] })
+  const historyRef = useRef(history)
+  const stateRef = useRef(state)
+  const onRemoteChangeRef = useRef(onRemoteChange)
+  const running = useRef(false)
+  const [initialCipher] = useState(cipher)
+
+  historyRef.current = history
+  stateRef.current = state
+  onRemoteChangeRef.current = onRemoteChange
+
+  useEffect(() => {
+    let cancelled = false
+
+    loadSyncState(initialCipher, profileId).then((loadedState) => {
+      if (cancelled) return
+
+      setState(loadedState)
+      setLoaded(true)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [initialCipher, profileId])
+
+  useEffect(() => {
+    if (!loaded) return
+
+    saveSyncState(state, cipher, profileId).catch((error) => {
+      setStatus((previous) => ({ ...previous, phase: 'error', message: `Could not save the sync settings: ${error.message}` }))
+    })
+  }, [state, loaded, cipher, profileId])
+
+  const syncNow = useCallback(async () => {
+    const current = stateRef.current
+    if (running.current || !current.enabled || !current.serverUrl) return
+
+    running.current = true
+    setStatus((previous) => ({ ...previous, phase: 'syncing', message: '' }))
+
+    const client = createSyncClient({ serverUrl: current.serverUrl, token: current.token })
+    const merges = []
+
+    try {
+      for (let round = 0; round < MAX_ROUNDS; round += 1) {
+        const startHistory = historyRef.current
+        const result = await syncOnce({ client, state: stateRef.current, history: startHistory })
+        const applied = applySyncSteps(startHistory, historyRef.current, result.steps)
+
+        if (applied.changed) {
+          historyRef.current = applied.history
+          onRemoteChangeRef.current(applied.history, `${result.pulled} pulled, ${result.merges.length} merged`)
+        }
+
+        const nextState = {
+          ...stateRef.current,
+          cursor: result.cursor,
+          lastSyncedAt: Date.now(),
+          shadows: { ...stateRef.current.shadows, ...applied.shadows },
+        }
+        stateRef.current = nextState
+        setState(nextState)
+        merges.push(...result.merges)
+
+        if (pendingChanges(historyRef.current, nextState.shadows).length === 0) break
+      }
+
+      setStatus({ phase: 'idle', message: '', merges })
+    } catch (error) {
+      setStatus({ phase: error.offline ? 'offline' : 'error', message: error.message, merges })
+    } finally {
+      running.current = false
+    }
+  }, [])
+
+  const pendingCount = loaded && ready ? pendingChanges(history, state.shadows).length : 0
+  const active = loaded && ready && state.enabled && Boolean(state.serverUrl)
+
+  useEffect(() => {
+    if (!active) return undefined
+
+    syncNow()
+    const timer = window.setInterval(syncNow, SYNC_INTERVAL_MS)
+    window.addEventListener('online', syncNow)
+
+    return () => {
+      window.clearInterval(timer)
+      window.removeEventListener('online', syncNow)
+    }
+  }, [active, syncNow])
+
+  useEffect(() => {
+    if (!active || pendingCount === 0) return undefined
+
+    const timer = window.setTimeout(syncNow, CHANGE_DELAY_MS)
+    return () => window.clearTimeout(timer)
+  }, [active, pendingCount, history, syncNow])
+
+  // Changing the server starts over: the cursor and synced copies belong to the old one.
+  const configure = useCallback((settings) => {
+    setState((previous) => {
+      const serverChanged = settings.serverUrl !== undefined && settings.serverUrl !== previous.serverUrl
+      return serverChanged ? { ...previous, ...settings, cursor: 0, lastSyncedAt: null, shadows: {} } : { ...previous, ...settings }
+    })
+    setStatus({ phase: 'idle', message: '', merges: [] })
+  }, [])
+
+  return { settings: state, loaded, status, pendingCount, syncNow, configure }
+}
+
+export default useSync
@@ -0,0 +1,90 @@
+import { DEFAULT_CURRENCY, normalizeCurrency, toBase } from './currency.js'
+import { makeId } from './id.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+
+export const ACCOUNTS_KEY = 'fintrack_accounts_v1'
+
+// Balances of liability accounts are entered as the amount owed and count against net worth.
+export const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking', liability: false },
+  { value: 'savings', label: 'Savings', liability: false },
+  { value: 'brokerage', label: 'Brokerage', liability: false },
+  { value: 'credit-card', label: 'Credit card', liability: true },
+  { value: 'loan', label: 'Loan', liability: true },
+]
+
+export const isLiability = (type) => Boolean(ACCOUNT_TYPES.find((entry) => entry.value === type)?.liability)
+
+export const createAccount = (currency = DEFAULT_CURRENCY) => ({ id: makeId(), name: '', type: 'checking', currency })
+
+export const normalizeAccount = (account) => {
+  if (!account || typeof account !== 'object') return null
+
+  const name = String(account.name || '').trim()
+  if (!name) return null
+
+  return {
+    id: typeof account.id === 'string' && account.id ? account.id : makeId(),
+    name,
+    type: ACCOUNT_TYPES.some((entry) => entry.value === account.type) ? account.type : 'checking',
+    currency: normalizeCurrency(account.currency),
+  }
+}
+
+export const loadAccounts = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(profileKey(ACCOUNTS_KEY, profileId)) || '[]')
+    return Array.isArray(parsed) ? parsed.map(normalizeAccount).filter(Boolean) : []
+  } catch {
+    return []
+  }
+}
+
+export const saveAccounts = (accounts, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(ACCOUNTS_KEY, profileId), JSON.stringify(accounts))
+}
+
+// Closing balances saved with a month. Each entry keeps the account's name, type and
+// currency as they were, so a month still reads correctly after an account is renamed
+// or removed.
+export const normalizeBalances = (balances) =>
+  Array.isArray(balances)
+    ? balances
+        .map((balance) => ({
+          accountId: String(balance?.accountId || ''),
+          name: String(balance?.name || '').trim(),
+          type: ACCOUNT_TYPES.some((entry) => entry.value === balance?.type) ? balance.type : 'checking',
+          currency: normalizeCurrency(balance?.currency),
+          amount: Number(balance?.amount),
+        }))
+        .filter((balance) => balance.accountId && balance.name && Number.isFinite(balance.amount))
+    : []
+
+export const balancesToForm = (balances) =>
+  Object.fromEntries(balances.map((balance) => [balance.accountId, String(balance.amount)]))
+
+export const balancesFromForm = (formBalances, accounts) =>
+  normalizeBalances(
+    accounts
+      .filter((account) => String(formBalances[account.id] ?? '').trim() !== '')
+      .map((account) => ({ ...account, accountId: account.id, amount: formBalances[account.id] })),
+  )
+
+// Assets, liabilities and net worth of one month in its base currency, using the rates
+// saved with the month. Null when no balances were recorded.
+export const netWorthOf = (snapshot) => {
+  if (!snapshot.balances?.length) return null
+
+  let assets = 0
+  let liabilities = 0
+  snapshot.balances.forEach((balance) => {
+    const amount = toBase(balance.amount, balance.currency, snapshot.ratesUsed)
+    if (isLiability(balance.type)) liabilities += amount
+    else assets += amount
+  })
+
+  return { assets, liabilities, netWorth: assets - liabilities }
+}
@@ -0,0 +1,228 @@
+import { makeId } from './id.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { byMostRecentMonth, normalizeSnapshot } from './snapshots.js'
+import { openValue, sealValue, VaultError } from './vault.js'
+
+export const ACTIVITY_KEY = 'fintrack_activity_v1'
+export const ACTIVITY_LIMIT = 100
+
+export const ACTIVITY_LABELS = {
+  created: 'Created',
+  overwritten: 'Overwritten',
+  deleted: 'Deleted',
+  cleared: 'Cleared',
+  imported: 'Imported',
+  restored: 'Restored revision',
+  synced: 'Synced',
+  renamed: 'Renamed category',
+}
+
+export const emptyActivityLog = () => ({ entries: [], undo: [], redo: [] })
+
+// A stored log that cannot be read is left in place; loading throws this so it is not
+// replaced by an empty one.
+export class UnreadableActivityLogError extends Error {
+  constructor(reason) {
+    super(`Saved activity log could not be read (${reason}), so it was left untouched and new activity is not saved.`)
+    this.name = 'UnreadableActivityLogError'
+  }
+}
+
+const normalizeSnapshots = (snapshots) =>
+  Array.isArray(snapshots) ? snapshots.map(normalizeSnapshot).filter((snapshot) => snapshot && snapshot.month) : []
+
+const normalizeEntry = (entry) => {
+  if (!entry || typeof entry !== 'object' || !ACTIVITY_LABELS[entry.type]) return null
+
+  const before = normalizeSnapshots(entry.before)
+  const after = normalizeSnapshots(entry.after)
+
+  return {
+    id: typeof entry.id === 'string' && entry.id ? entry.id : makeId(),
+    type: entry.type,
+    at: Number(entry.at) || 0,
+    detail: String(entry.detail || ''),
+    months: [...new Set([...before, ...after].map((snapshot) => snapshot.month))].sort(),
+    before,
+    after,
+    undoneAt: Number(entry.undoneAt) || null,
+  }
+}
+
+// Keeps the undo and redo stacks pointing at entries that still exist after trimming.
+const trimLog = (log, limit = ACTIVITY_LIMIT) => {
+  const entries = limit > 0 ? log.entries.slice(-limit) : []
+  const ids = new Set(entries.map((entry) => entry.id))
+
+  return {
+    entries,
+    undo: log.undo.filter((id) => ids.has(id)),
+    redo: log.redo.filter((id) => ids.has(id)),
+  }
+}
+
+export const normalizeActivityLog = (log) => {
+  if (!log || typeof log !== 'object') return emptyActivityLog()
+
+  const entries = Array.isArray(log.entries) ? log.entries.map(normalizeEntry).filter(Boolean) : []
+  const ids = (list) => (Array.isArray(list) ? list.filter((id) => typeof id === 'string') : [])
+
+  return trimLog({ entries, undo: ids(log.undo), redo: ids(log.redo) })
+}
+
+// The log holds full snapshot copies, so in encrypted mode it is sealed like history.
+// Only a missing log starts empty.
+export const loadActivityLog = async (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return emptyActivityLog()
+
+  const raw = window.localStorage.getItem(profileKey(ACTIVITY_KEY, profileId))
+  if (!raw) return emptyActivityLog()
+
+  try {
+    return normalizeActivityLog(await openValue(JSON.parse(raw), cipher))
+  } catch (error) {
+    if (error instanceof VaultError) throw error
+    throw new UnreadableActivityLogError(error instanceof Error ? error.message : String(error))
+  }
+}
+
+const writeActivityLog = async (log, cipher, key) => {
+  let current = log
+  while (current.entries.length > 0) {
+    const value = JSON.stringify(await sealValue(current, cipher))
+
+    try {
+      window.localStorage.setItem(key, value)
+      return
+    } catch {
+      current = trimLog(current, Math.floor(current.entries.length / 2))
+    }
+  }
+
+  window.localStorage.removeItem(key)
+}
+
+let pendingSave = Promise.resolve()
+
+// Entries hold full snapshot copies, so a full quota drops the oldest half of the
+// log rather than failing the change that was just made. Saves are chained so an
+// older log never lands after a newer one.
+export const saveActivityLog = (log, cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return Promise.resolve()
+
+  const key = profileKey(ACTIVITY_KEY, profileId)
+  const write = pendingSave.then(() => writeActivityLog(log, cipher, key))
+  pendingSave = write.catch(() => {})
+  return write
+}
+
+// The store's revision counter belongs to the live record, not to the logged copy.
+const withoutRevision = (snapshot) => {
+  const copy = { ...snapshot }
+  delete copy.revision
+  return copy
+}
+
+// Describes the move from `previous` to `next` history as the snapshots that were
+// replaced or removed (`before`) and the ones that were added or replaced (`after`).
+// Returns null when nothing changed.
+export const createActivity = (type, previous, next, detail = '') => {
+  const previousById = new Map(previous.map((snapshot) => [snapshot.id, snapshot]))
+  const nextById = new Map(next.map((snapshot) => [snapshot.id, snapshot]))
+
+  const before = previous.filter((snapshot) => nextById.get(snapshot.id) !== snapshot).map(withoutRevision)
+  const after = next.filter((snapshot) => previousById.get(snapshot.id) !== snapshot).map(withoutRevision)
+  if (before.length === 0 && after.length === 0) return null
+
+  return {
+    id: makeId(),
+    type,
+    at: Date.now(),
+    detail,
+    months: [...new Set([...before, ...after].map((snapshot) => snapshot.month))].sort(),
+    before,
+    after,
+    undoneAt: null,
+  }
+}
+
+// A new change starts a new branch, so anything that could be redone is dropped
+// from the redo stack but stays in the log.
+export const recordActivity = (log, entry) =>
+  entry ? trimLog({ entries: [...log.entries, entry], undo: [...log.undo, entry.id], redo: [] }) : log
+
+const findEntry = (log, id) => log.entries.find((entry) => entry.id === id) || null
+
+export const nextUndo = (log) => findEntry(log, log.undo[log.undo.length - 1])
+export const nextRedo = (log) => findEntry(log, log.redo[log.redo.length - 1])
+
+export const markUndone = (log, entry) => ({
+  entries: log.entries.map((current) => (current.id === entry.id ? { ...current, undoneAt: Date.now() } : current)),
+  undo: log.undo.filter((id) => id !== entry.id),
+  redo: [...log.redo, entry.id],
+})
+
+export const markRedone = (log, entry) => ({
+  entries: log.entries.map((current) => (current.id === entry.id ? { ...current, undoneAt: null } : current)),
+  undo: [...log.undo, entry.id],
+  redo: log.redo.filter((id) => id !== entry.id),
+})
+
+const sides = (entry, direction) =>
+  direction === 'undo' ? { expected: entry.after, replaced: entry.before } : { expected: entry.before, replaced: entry.after }
+
+// Months whose current snapshot no longer matches what the entry left behind (or, for
+// redo, what it started from), e.g. because another tab or a later change touched them.
+export const changedSince = (history, entry, direction) => {
+  const { expected, replaced } = sides(entry, direction)
+  const currentById = new Map(history.map((snapshot) => [snapshot.id, snapshot]))
+  const expectedIds = new Set(expected.map((snapshot) => snapshot.id))
+  const months = new Set([...expected, ...replaced].map((snapshot) => snapshot.month))
+
+  const changed = [
+    ...expected.filter((snapshot) => currentById.get(snapshot.id)?.createdAt !== snapshot.createdAt),
+    ...history.filter((snapshot) => months.has(snapshot.month) && !expectedIds.has(snapshot.id)),
+  ]
+
+  return [...new Set(changed.map((snapshot) => snapshot.month))].sort()
+}
+
+export const applyActivity = (history, entry, direction) => {
+  const { expected, replaced } = sides(entry, direction)
+  const months = new Set(replaced.map((snapshot) => snapshot.month))
+  const removedIds = new Set([...expected, ...replaced].map((snapshot) => snapshot.id))
+
+  return [
+    ...history.filter((snapshot) => !removedIds.has(snapshot.id) && !months.has(snapshot.month)),
+    ...replaced,
+  ].sort(byMostRecentMonth)
+}
+
+export const describeActivity = (entry) => {
+  const months = entry.months.length > 3 ? `${entry.months.length} months` : entry.months.join(', ')
+  return `${ACTIVITY_LABELS[entry.type]} ${months}`.trim()
+}
+
+// Every version of a month that appears in the log, newest first. The log is the only
+// place earlier versions are kept, so revisions older than the trimmed log are gone.
+export const monthRevisions = (log, month) => {
+  const revisions = new Map()
+
+  log.entries.forEach((entry) => {
+    const versions = [...entry.before, ...entry.after].filter((snapshot) => snapshot.month === month)
+
+    versions.forEach((snapshot) => {
+      const key = `${snapshot.id}:${snapshot.createdAt}`
+      if (!revisions.has(key)) revisions.set(key, { key, snapshot })
+    })
+  })
+
+  return [...revisions.values()].sort((a, b) => b.snapshot.createdAt - a.snapshot.createdAt)
+}
+
+export const restoreRevision = (history, revision) => {
+  const current = history.find((snapshot) => snapshot.month === revision.snapshot.month)
+  const restored = { ...revision.snapshot, id: current?.id || revision.snapshot.id, createdAt: Date.now() }
+
+  return [...history.filter((snapshot) => snapshot.month !== restored.month), restored].sort(byMostRecentMonth)
+}
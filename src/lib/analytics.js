@@ -0,0 +1,53 @@
+import { savingsRateWithoutOneOff, sumIncomeSources } from './income.js'
+import { sumByCategory } from './ledger.js'
+
+// Framework-free figures shared by the dashboard, the snapshot store and the CLI.
+
+export const savingsRate = (totalIncome, savings) => (totalIncome > 0 ? (savings / totalIncome) * 100 : 0)
+
+export const highestCategory = (categoryTotals) =>
+  categoryTotals.reduce((highest, current) => (current.amount > highest.amount ? current : highest), {
+    name: 'N/A',
+    amount: 0,
+  })
+
+export const computeTotals = ({ transactions, categoryNames, incomeSources, rates }) => {
+  const categoryTotals = sumByCategory(transactions, categoryNames, rates)
+  const incomeTotals = sumIncomeSources(incomeSources, rates)
+  const totalIncome = incomeTotals.reduce((sum, entry) => sum + entry.amount, 0)
+  const totalExpense = categoryTotals.reduce((sum, category) => sum + category.amount, 0)
+  const savings = totalIncome - totalExpense
+
+  return {
+    categoryTotals,
+    incomeTotals,
+    totalIncome,
+    totalExpense,
+    savings,
+    savingsRate: savingsRate(totalIncome, savings),
+    regularSavingsRate: savingsRateWithoutOneOff({ incomeTotals, totalIncome, totalExpense }),
+    highestCategory: highestCategory(categoryTotals),
+  }
+}
+
+export const byOldestMonth = (a, b) => a.month.localeCompare(b.month) || a.createdAt - b.createdAt
+
+// Savings per saved month, oldest first, for snapshots already expressed in one currency.
+export const trendData = (snapshots) =>
+  [...snapshots].sort(byOldestMonth).map((snapshot) => ({ month: snapshot.month, savings: snapshot.savings }))
+
+// Category spend summed over several months, largest first.
+export const categoryTotalsAcross = (snapshots) => {
+  const totals = new Map()
+
+  snapshots.forEach((snapshot) => {
+    snapshot.categories.forEach((category) => {
+      totals.set(category.name, (totals.get(category.name) || 0) + category.amount)
+    })
+  })
+
+  return [...totals.entries()]
+    .map(([name, amount]) => ({ name, amount }))
+    .filter((category) => category.amount !== 0)
+    .sort((a, b) => b.amount - a.amount)
+}
@@ -0,0 +1,137 @@
+import { monthsBetween } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+
+export const ANOMALY_SETTINGS_KEY = 'fintrack_anomalies_v1'
+
+// `threshold` is how many spreads from the median a month must be before it is flagged.
+export const SENSITIVITY_LEVELS = [
+  { value: 'low', label: 'Low (only extreme months)', threshold: 4 },
+  { value: 'medium', label: 'Medium', threshold: 3 },
+  { value: 'high', label: 'High (flag more)', threshold: 2 },
+]
+
+export const BASELINE_WINDOWS = [3, 6, 12]
+
+export const defaultAnomalySettings = () => ({ sensitivity: 'medium', window: 6, minimumMonths: 3, minimumAmount: 20 })
+
+export const normalizeAnomalySettings = (settings) => {
+  const defaults = defaultAnomalySettings()
+  if (!settings || typeof settings !== 'object') return defaults
+
+  const window = Number(settings.window)
+  const minimumMonths = Math.round(Number(settings.minimumMonths))
+  const minimumAmount = Number(settings.minimumAmount)
+
+  const baselineWindow = BASELINE_WINDOWS.includes(window) ? window : defaults.window
+
+  return {
+    sensitivity: SENSITIVITY_LEVELS.some((level) => level.value === settings.sensitivity) ? settings.sensitivity : defaults.sensitivity,
+    window: baselineWindow,
+    minimumMonths: minimumMonths >= 2 ? Math.min(minimumMonths, baselineWindow) : defaults.minimumMonths,
+    minimumAmount: minimumAmount >= 0 ? minimumAmount : defaults.minimumAmount,
+  }
+}
+
+export const loadAnomalySettings = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return defaultAnomalySettings()
+
+  try {
+    return normalizeAnomalySettings(JSON.parse(window.localStorage.getItem(profileKey(ANOMALY_SETTINGS_KEY, profileId)) || 'null'))
+  } catch {
+    return defaultAnomalySettings()
+  }
+}
+
+export const saveAnomalySettings = (settings, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(ANOMALY_SETTINGS_KEY, profileId), JSON.stringify(settings))
+}
+
+export const median = (values) => {
+  if (values.length === 0) return 0
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Baseline for one category from the saved months in the `window` calendar months before
+ * `month`. Only months that list the category count, so a newly added category has no
+ * history rather than a history of zeros.
+ */
+export const categoryBaseline = (history, month, name, window) => {
+  const points = history
+    .filter((snapshot) => {
+      const distance = monthsBetween(snapshot.month, month)
+      return distance >= 1 && distance <= window
+    })
+    .map((snapshot) => ({ month: snapshot.month, category: snapshot.categories.find((category) => category.name === name) }))
+    .filter((point) => point.category)
+    .map((point) => ({ month: point.month, amount: point.category.amount }))
+
+  const values = points.map((point) => point.amount)
+  const center = median(values)
+
+  // Median absolute deviation, scaled to be comparable with a standard deviation.
+  return {
+    months: points.map((point) => point.month).sort(),
+    median: center,
+    spread: 1.4826 * median(values.map((value) => Math.abs(value - center))),
+  }
+}
+
+const formatRatio = (ratio) => `${ratio >= 10 ? Math.round(ratio) : ratio.toFixed(1)}×`
+
+/**
+ * Compares each category of `month` with its baseline. `history` holds saved snapshots in
+ * the same currency as `categories`; `month` itself is ignored there. Categories with
+ * fewer than `minimumMonths` months of history are returned in `insufficient` instead of
+ * being judged, and amounts below `minimumAmount` on both sides are never flagged.
+ */
+export const detectAnomalies = ({ month, categories, history }, settings = defaultAnomalySettings()) => {
+  const threshold = SENSITIVITY_LEVELS.find((level) => level.value === settings.sensitivity)?.threshold || 3
+  const anomalies = []
+  const insufficient = []
+
+  categories.forEach((category) => {
+    const baseline = categoryBaseline(history, month, category.name, settings.window)
+
+    if (baseline.months.length < settings.minimumMonths) {
+      if (category.amount > 0) insufficient.push({ name: category.name, months: baseline.months.length })
+      return
+    }
+    if (Math.max(category.amount, baseline.median) < settings.minimumAmount) return
+
+    // A flat history has no spread; 10% of the median or `minimumAmount` stands in, so a
+    // category that never varied is not flagged for a few cents of change.
+    const spread = Math.max(baseline.spread, baseline.median * 0.1, settings.minimumAmount)
+    const score = spread > 0 ? (category.amount - baseline.median) / spread : 0
+    if (Math.abs(score) < threshold) return
+
+    const direction = score > 0 ? 'high' : 'low'
+    const ratio = baseline.median > 0 ? category.amount / baseline.median : null
+    const windowLabel = `${settings.window}-month median`
+
+    anomalies.push({
+      name: category.name,
+      amount: category.amount,
+      median: baseline.median,
+      ratio,
+      score,
+      direction,
+      baselineMonths: baseline.months,
+      severity: direction === 'high' ? (Math.abs(score) >= threshold * 2 ? 'danger' : 'warning') : 'info',
+      message:
+        direction === 'low'
+          ? ratio === 0
+            ? `${category.name} has no spending this month, unlike your ${windowLabel}.`
+            : `${category.name} is only ${formatRatio(ratio)} your ${windowLabel}.`
+          : ratio === null
+            ? `${category.name} has spending this month but your ${windowLabel} is zero.`
+            : `${category.name} is ${formatRatio(ratio)} your ${windowLabel}.`,
+    })
+  })
+
+  return { anomalies: anomalies.sort((a, b) => Math.abs(b.score) - Math.abs(a.score)), insufficient }
+}
@@ -0,0 +1,198 @@
+import { parseCsv, toCsv } from './csv.js'
+import { isMonth } from './months.js'
+import { byMostRecentMonth, normalizeSnapshot, withDerivedTotals } from './snapshots.js'
+
+export const BACKUP_SCHEMA_VERSION = 2
+export const BACKUP_CSV_HEADER = [
+  'month',
+  'currency',
+  'income',
+  'targetSavings',
+  'totalExpense',
+  'savings',
+  'savingsRate',
+  'category',
+  'amount',
+  'budget',
+]
+
+export const createBackup = (snapshots) => ({
+  app: 'fintrack',
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  snapshots: [...snapshots].sort(byMostRecentMonth),
+})
+
+export const historyToCsv = (snapshots) => {
+  const rows = [BACKUP_CSV_HEADER]
+  const sortedSnapshots = [...snapshots].sort(byMostRecentMonth)
+
+  sortedSnapshots.forEach((snapshot) => {
+    const monthCells = [
+      snapshot.month,
+      snapshot.baseCurrency,
+      snapshot.totalIncome,
+      snapshot.targetSavings,
+      snapshot.totalExpense,
+      snapshot.savings,
+      Number(snapshot.savingsRate.toFixed(2)),
+    ]
+    const categories = snapshot.categories.length ? snapshot.categories : [{ name: '', amount: '' }]
+
+    categories.forEach((category) => {
+      const budget = snapshot.budgets.find((entry) => entry.category === category.name)
+      rows.push([...monthCells, category.name, category.amount, budget ? budget.amount : ''])
+    })
+  })
+
+  return toCsv(rows)
+}
+
+const snapshotsFromCsv = (text) => {
+  const [header, ...rows] = parseCsv(text)
+  const columns = Object.fromEntries((header || []).map((name, index) => [name.trim(), index]))
+
+  if (columns.month === undefined || columns.category === undefined || columns.amount === undefined) {
+    throw new Error('CSV backup must have month, category and amount columns.')
+  }
+
+  const byMonth = new Map()
+
+  rows.forEach((cells) => {
+    const month = cells[columns.month]?.trim()
+    if (!month) return
+
+    const entry = byMonth.get(month) || {
+      month,
+      baseCurrency: cells[columns.currency]?.trim(),
+      income: cells[columns.income],
+      targetSavings: cells[columns.targetSavings],
+      categories: [],
+      budgets: [],
+    }
+    const name = cells[columns.category]?.trim()
+    if (name) entry.categories.push({ name, amount: cells[columns.amount] })
+    if (name && columns.budget !== undefined && cells[columns.budget]) {
+      entry.budgets.push({ category: name, amount: cells[columns.budget] })
+    }
+
+    byMonth.set(month, entry)
+  })
+
+  return [...byMonth.values()]
+}
+
+const snapshotsFromJson = (text) => {
+  const parsed = JSON.parse(text)
+
+  if (Array.isArray(parsed)) return parsed
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.snapshots)) {
+    throw new Error('JSON backup must contain a snapshots array.')
+  }
+
+  const version = Number(parsed.schemaVersion)
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('JSON backup is missing a valid schemaVersion.')
+  }
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`Backup schema version ${version} is newer than this app supports (${BACKUP_SCHEMA_VERSION}).`)
+  }
+
+  return parsed.snapshots
+}
+
+// Accepts the versioned JSON export, a raw history array (as stored in localStorage)
+// or the flat CSV export. Every entry goes through normalizeSnapshot; entries without
+// a valid month are reported instead of silently dropped.
+export const parseBackup = (text, fileName = '') => {
+  const trimmed = String(text || '').trim()
+  if (!trimmed) throw new Error('The backup file is empty.')
+
+  const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('{') || trimmed.startsWith('[')
+  const entries = isJson ? snapshotsFromJson(trimmed) : snapshotsFromCsv(trimmed)
+
+  const latestByMonth = new Map()
+  let invalid = 0
+
+  entries.forEach((entry) => {
+    const snapshot = normalizeSnapshot(entry)
+    if (!snapshot || !isMonth(snapshot.month)) {
+      invalid += 1
+      return
+    }
+
+    const normalized = isJson ? snapshot : withDerivedTotals(snapshot)
+    const previous = latestByMonth.get(normalized.month)
+    if (!previous || normalized.createdAt > previous.createdAt) latestByMonth.set(normalized.month, normalized)
+  })
+
+  return { snapshots: [...latestByMonth.values()].sort(byMostRecentMonth), invalid }
+}
+
+const comparableSnapshot = (snapshot) =>
+  JSON.stringify({
+    baseCurrency: snapshot.baseCurrency,
+    income: snapshot.totalIncome,
+    incomeSources: snapshot.incomeSources
+      .map((source) => [source.name, source.amount, source.currency, source.oneOff])
+      .sort((a, b) => a.join('|').localeCompare(b.join('|'))),
+    targetSavings: snapshot.targetSavings,
+    categories: [...snapshot.categories]
+      .map((category) => [category.name, category.amount])
+      .sort((a, b) => a[0].localeCompare(b[0])),
+    transactions: snapshot.transactions
+      .map((transaction) => [
+        transaction.date,
+        transaction.payee,
+        transaction.amount,
+        transaction.category,
+        transaction.note,
+        (transaction.tags || []).join(','),
+      ])
+      .sort((a, b) => a.join('|').localeCompare(b.join('|'))),
+    budgets: [...snapshot.budgets]
+      .map((budget) => [budget.category, budget.amount, budget.carryForward])
+      .sort((a, b) => a[0].localeCompare(b[0])),
+    balances: [...snapshot.balances]
+      .map((balance) => [balance.accountId, balance.amount, balance.currency])
+      .sort((a, b) => a[0].localeCompare(b[0])),
+  })
+
+export const previewMerge = (currentSnapshots, incomingSnapshots) =>
+  incomingSnapshots.map((incoming) => {
+    const current = currentSnapshots.find((snapshot) => snapshot.month === incoming.month)
+    const status = !current
+      ? 'new'
+      : comparableSnapshot(current) === comparableSnapshot(incoming)
+        ? 'identical'
+        : 'conflict'
+
+    return {
+      month: incoming.month,
+      status,
+      current,
+      incoming,
+      resolution: status === 'new' ? 'replace' : 'skip',
+    }
+  })
+
+// Each entry either replaces (or adds) its month with the incoming snapshot or, with
+// 'skip', leaves the current month as it is.
+export const applyMerge = (currentSnapshots, preview) => {
+  let nextHistory = [...currentSnapshots]
+
+  preview.forEach((entry) => {
+    if (entry.resolution !== 'replace') return
+
+    if (entry.current) {
+      nextHistory = nextHistory.map((snapshot) =>
+        snapshot.id === entry.current.id ? { ...entry.incoming, id: entry.current.id } : snapshot,
+      )
+    } else {
+      nextHistory = [...nextHistory, entry.incoming]
+    }
+  })
+
+  return nextHistory.sort(byMostRecentMonth)
+}
@@ -0,0 +1,256 @@
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js'
+import { makeId } from './id.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+
+export const IMPORT_SETTINGS_KEY = 'fintrack_import_settings_v1'
+
+export const SIGN_CONVENTIONS = [
+  { value: 'negative-debit', label: 'Single column, negative = spending' },
+  { value: 'positive-debit', label: 'Single column, positive = spending' },
+  { value: 'split-columns', label: 'Separate debit and credit columns' },
+]
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY']
+
+export const RULE_MATCHERS = [
+  { value: 'contains', label: 'contains' },
+  { value: 'startsWith', label: 'starts with' },
+  { value: 'equals', label: 'equals' },
+]
+
+export const createMapping = (currency = DEFAULT_CURRENCY) => ({
+  currency,
+  hasHeader: true,
+  dateColumn: 0,
+  descriptionColumn: 1,
+  amountColumn: 2,
+  debitColumn: 2,
+  creditColumn: 3,
+  signConvention: 'negative-debit',
+  dateFormat: 'YYYY-MM-DD',
+})
+
+export const createRule = (pattern = '', category = '', matcher = 'contains') => ({
+  id: makeId(),
+  matcher,
+  pattern,
+  category,
+})
+
+const normalizeMapping = (mapping) => {
+  const defaults = createMapping()
+  if (!mapping || typeof mapping !== 'object') return defaults
+
+  const asColumn = (value, fallback) => (Number.isInteger(Number(value)) && Number(value) >= 0 ? Number(value) : fallback)
+
+  return {
+    currency: normalizeCurrency(mapping.currency),
+    hasHeader: mapping.hasHeader !== false,
+    dateColumn: asColumn(mapping.dateColumn, defaults.dateColumn),
+    descriptionColumn: asColumn(mapping.descriptionColumn, defaults.descriptionColumn),
+    amountColumn: asColumn(mapping.amountColumn, defaults.amountColumn),
+    debitColumn: asColumn(mapping.debitColumn, defaults.debitColumn),
+    creditColumn: asColumn(mapping.creditColumn, defaults.creditColumn),
+    signConvention: SIGN_CONVENTIONS.some((option) => option.value === mapping.signConvention)
+      ? mapping.signConvention
+      : defaults.signConvention,
+    dateFormat: DATE_FORMATS.includes(mapping.dateFormat) ? mapping.dateFormat : defaults.dateFormat,
+  }
+}
+
+const normalizeRule = (rule) => {
+  if (!rule || typeof rule !== 'object') return null
+
+  const pattern = String(rule.pattern || '').trim()
+  const category = String(rule.category || '').trim()
+  if (!pattern || !category) return null
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : makeId(),
+    matcher: RULE_MATCHERS.some((option) => option.value === rule.matcher) ? rule.matcher : 'contains',
+    pattern,
+    category,
+  }
+}
+
+export const loadImportSettings = (profileId = DEFAULT_PROFILE_ID) => {
+  const empty = { banks: {}, rules: [] }
+  if (typeof window === 'undefined') return empty
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(profileKey(IMPORT_SETTINGS_KEY, profileId)) || 'null')
+    if (!parsed || typeof parsed !== 'object') return empty
+
+    const banks = Object.fromEntries(
+      Object.entries(parsed.banks || {})
+        .filter(([name]) => name.trim())
+        .map(([name, mapping]) => [name, normalizeMapping(mapping)]),
+    )
+    const rules = Array.isArray(parsed.rules) ? parsed.rules.map(normalizeRule).filter(Boolean) : []
+
+    return { banks, rules }
+  } catch {
+    return empty
+  }
+}
+
+export const saveImportSettings = (settings, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(IMPORT_SETTINGS_KEY, profileId), JSON.stringify(settings))
+}
+
+export const parseAmount = (value) => {
+  const raw = String(value ?? '').trim()
+  if (!raw) return null
+
+  const isParenthesized = /^\(.*\)$/.test(raw)
+  const cleaned = raw.replace(/[()\s]/g, '').replace(/[^0-9.,-]/g, '')
+  // A trailing ",dd" after any dots is a decimal comma with dot thousands separators (1.234,56).
+  const decimalComma = /,\d{1,2}$/.test(cleaned) && cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.')
+  const numeric = decimalComma ? cleaned.replace(/\./g, '').replace(',', '.') : cleaned.replace(/,/g, '')
+  const amount = Number(numeric)
+
+  if (!numeric || Number.isNaN(amount)) return null
+  return isParenthesized ? -Math.abs(amount) : amount
+}
+
+export const parseDate = (value, format) => {
+  const raw = String(value ?? '').trim()
+  const parts = raw.split(/[-/.]/).map((part) => part.trim())
+  if (parts.length < 3) return null
+
+  const [year, month, day] =
+    format === 'MM/DD/YYYY'
+      ? [parts[2], parts[0], parts[1]]
+      : format === 'DD/MM/YYYY'
+        ? [parts[2], parts[1], parts[0]]
+        : [parts[0], parts[1], parts[2].slice(0, 2)]
+
+  const fullYear = year.length === 2 ? `20${year}` : year
+  const iso = `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
+  const check = new Date(`${iso}T00:00:00Z`)
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(iso) || Number.isNaN(check.getTime()) || check.toISOString().slice(0, 10) !== iso) {
+    return null
+  }
+
+  return iso
+}
+
+// Positive result = money spent, negative = money received.
+const readSpend = (cells, mapping) => {
+  if (mapping.signConvention === 'split-columns') {
+    const debit = parseAmount(cells[mapping.debitColumn])
+    const credit = parseAmount(cells[mapping.creditColumn])
+    if (debit === null && credit === null) return null
+    return Math.abs(debit || 0) - Math.abs(credit || 0)
+  }
+
+  const amount = parseAmount(cells[mapping.amountColumn])
+  if (amount === null) return null
+  return mapping.signConvention === 'positive-debit' ? amount : -amount
+}
+
+export const matchesRule = (rule, description) => {
+  const haystack = description.toLowerCase()
+  const needle = rule.pattern.toLowerCase()
+
+  if (rule.matcher === 'startsWith') return haystack.startsWith(needle)
+  if (rule.matcher === 'equals') return haystack === needle
+  return haystack.includes(needle)
+}
+
+export const categorize = (description, rules, fallbackCategory) =>
+  rules.find((rule) => matchesRule(rule, description))?.category || fallbackCategory
+
+const fingerprintBase = (bank, date, description, amount) =>
+  [bank.trim().toLowerCase(), date, description.replace(/\s+/g, ' ').trim().toLowerCase(), amount.toFixed(2)].join('|')
+
+// Two identical purchases on the same day are both real, so each repeat gets its own
+// occurrence suffix. Re-importing the same statement produces the same ids and is dropped.
+export const parseStatement = (rows, mapping, { bank, rules, fallbackCategory }) => {
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows
+  const occurrences = new Map()
+  const parsed = []
+  const rejected = []
+
+  dataRows.forEach((cells, index) => {
+    const line = index + (mapping.hasHeader ? 2 : 1)
+    const date = parseDate(cells[mapping.dateColumn], mapping.dateFormat)
+    const description = String(cells[mapping.descriptionColumn] ?? '').trim()
+    const spend = readSpend(cells, mapping)
+
+    if (!date || spend === null) {
+      rejected.push({ line, reason: !date ? 'Unreadable date' : 'Unreadable amount' })
+      return
+    }
+
+    const base = fingerprintBase(bank, date, description, spend)
+    const occurrence = (occurrences.get(base) || 0) + 1
+    occurrences.set(base, occurrence)
+
+    parsed.push({
+      importId: `${base}#${occurrence}`,
+      date,
+      month: date.slice(0, 7),
+      description,
+      spend,
+      category: spend > 0 ? categorize(description, rules, fallbackCategory) : '',
+    })
+  })
+
+  return { parsed, rejected }
+}
+
+export const collectImportIds = (snapshots, transactions = []) => {
+  const ids = new Set()
+
+  snapshots.forEach((snapshot) => {
+    snapshot.transactions.forEach((transaction) => {
+      if (transaction.importId) ids.add(transaction.importId)
+    })
+    snapshot.incomeImportIds.forEach((importId) => ids.add(importId))
+  })
+  transactions.forEach((transaction) => {
+    if (transaction.importId) ids.add(transaction.importId)
+  })
+
+  return ids
+}
+
+export const groupStatementByMonth = (parsedRows, knownImportIds, currency = DEFAULT_CURRENCY) => {
+  const groups = new Map()
+  let duplicates = 0
+
+  parsedRows.forEach((row) => {
+    if (knownImportIds.has(row.importId)) {
+      duplicates += 1
+      return
+    }
+
+    const group = groups.get(row.month) || { month: row.month, currency, income: 0, incomeImportIds: [], transactions: [] }
+
+    if (row.spend > 0) {
+      group.transactions.push({
+        id: makeId(),
+        date: row.date,
+        payee: row.description,
+        amount: row.spend,
+        currency,
+        category: row.category,
+        note: '',
+        importId: row.importId,
+      })
+    } else {
+      group.income += Math.abs(row.spend)
+      group.incomeImportIds.push(row.importId)
+    }
+
+    groups.set(row.month, group)
+  })
+
+  return {
+    months: [...groups.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    duplicates,
+  }
+}
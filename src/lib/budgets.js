@@ -0,0 +1,64 @@
+import { asCurrency } from './format.js'
+
+export const BUDGET_WARNING_RATIO = 0.8
+
+export const normalizeBudgets = (budgets) =>
+  Array.isArray(budgets)
+    ? budgets
+        .map((budget) => ({
+          category: String(budget?.category || '').trim(),
+          amount: Number(budget?.amount) || 0,
+          carryForward: Boolean(budget?.carryForward),
+        }))
+        .filter((budget) => budget.category && budget.amount > 0)
+    : []
+
+export const budgetsToForm = (budgets) =>
+  Object.fromEntries(
+    budgets.map((budget) => [budget.category, { amount: String(budget.amount), carryForward: budget.carryForward }]),
+  )
+
+export const budgetsFromForm = (formBudgets, categoryNames) =>
+  normalizeBudgets(
+    categoryNames
+      .filter((name) => formBudgets[name])
+      .map((name) => ({ category: name, ...formBudgets[name] })),
+  )
+
+// Budgets flagged to carry forward follow the most recent earlier snapshot into a
+// month that has not been saved yet; one-off budgets stay with their own month.
+export const carriedBudgets = (snapshots, month) => {
+  const previous = snapshots
+    .filter((snapshot) => snapshot.month < month)
+    .sort((a, b) => b.month.localeCompare(a.month) || b.createdAt - a.createdAt)[0]
+
+  return previous ? previous.budgets.filter((budget) => budget.carryForward) : []
+}
+
+export const budgetVariance = (categoryTotals, budgets) =>
+  budgets
+    .map((budget) => {
+      const actual = categoryTotals.find((category) => category.name === budget.category)?.amount || 0
+
+      return {
+        category: budget.category,
+        budget: budget.amount,
+        actual,
+        variance: budget.amount - actual,
+        usedRatio: budget.amount > 0 ? actual / budget.amount : 0,
+      }
+    })
+    .sort((a, b) => b.usedRatio - a.usedRatio)
+
+export const buildBudgetAlerts = (variances, currency) =>
+  variances.flatMap((entry) => {
+    if (entry.actual > entry.budget) {
+      return [{ level: 'danger', message: `${entry.category} over budget by ${asCurrency(entry.actual - entry.budget, currency)}.` }]
+    }
+
+    if (entry.usedRatio >= BUDGET_WARNING_RATIO) {
+      return [{ level: 'warning', message: `${Math.floor(entry.usedRatio * 100)}% of ${entry.category} budget used.` }]
+    }
+
+    return []
+  })
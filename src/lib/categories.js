@@ -0,0 +1,196 @@
+import { toBase } from './currency.js'
+import { mergeCategoryNames } from './ledger.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { currencyFactor, withDerivedTotals } from './snapshots.js'
+
+export const CATEGORY_TREE_KEY = 'fintrack_categories_v1'
+
+// The hierarchy is one level deep and shared by every month: `parents` maps a child
+// category name to its parent's name. Anything not listed is a top-level category.
+export const emptyCategoryTree = () => ({ parents: {} })
+
+export const normalizeCategoryTree = (tree) => {
+  if (!tree || typeof tree !== 'object' || !tree.parents || typeof tree.parents !== 'object') return emptyCategoryTree()
+
+  const entries = Object.entries(tree.parents)
+    .map(([child, parent]) => [String(child).trim(), String(parent || '').trim()])
+    .filter(([child, parent]) => child && parent && child !== parent)
+  const children = new Set(entries.map(([child]) => child))
+
+  return { parents: Object.fromEntries(entries.filter(([, parent]) => !children.has(parent))) }
+}
+
+export const loadCategoryTree = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return emptyCategoryTree()
+
+  try {
+    return normalizeCategoryTree(JSON.parse(window.localStorage.getItem(profileKey(CATEGORY_TREE_KEY, profileId)) || 'null'))
+  } catch {
+    return emptyCategoryTree()
+  }
+}
+
+export const saveCategoryTree = (tree, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(CATEGORY_TREE_KEY, profileId), JSON.stringify(tree))
+}
+
+export const parentOf = (tree, name) => tree.parents[name] || null
+
+export const childrenOf = (tree, name) =>
+  Object.entries(tree.parents)
+    .filter(([, parent]) => parent === name)
+    .map(([child]) => child)
+
+// Categories `name` may be placed under: top-level ones other than itself. A category
+// that already has children cannot get a parent, which keeps the tree one level deep.
+export const parentOptions = (tree, names, name) =>
+  childrenOf(tree, name).length > 0 ? [] : names.filter((candidate) => candidate !== name && !parentOf(tree, candidate))
+
+export const setParent = (tree, name, parent) => {
+  const parents = { ...tree.parents }
+  delete parents[name]
+  if (parent) parents[name] = parent
+  return normalizeCategoryTree({ parents })
+}
+
+/**
+ * Rolls leaf totals up to their top-level category. A parent with children lists them
+ * in `children`, including its own spending under its own name, which is what the
+ * charts show after drilling down.
+ */
+export const groupByParent = (categoryTotals, tree) => {
+  const groups = new Map()
+
+  categoryTotals.forEach((category) => {
+    const parent = parentOf(tree, category.name) || category.name
+    if (!groups.has(parent)) groups.set(parent, { name: parent, amount: 0, children: [] })
+
+    const group = groups.get(parent)
+    group.amount += category.amount
+    group.children.push(category)
+  })
+
+  return [...groups.values()].map((group) =>
+    group.children.length === 1 && group.children[0].name === group.name ? { ...group, children: [] } : group,
+  )
+}
+
+const renameInBudgets = (budgets, from, to) => {
+  const target = budgets.find((budget) => budget.category === to)
+  const source = budgets.find((budget) => budget.category === from)
+  if (!source) return budgets
+  if (!target) return budgets.map((budget) => (budget === source ? { ...budget, category: to } : budget))
+
+  return budgets
+    .filter((budget) => budget !== source)
+    .map((budget) =>
+      budget === target
+        ? { ...budget, amount: budget.amount + source.amount, carryForward: budget.carryForward || source.carryForward }
+        : budget,
+    )
+}
+
+// Renames `from` to `to` in one snapshot; when `to` already exists the two are merged
+// (transactions move over, budgets are added up). Unaffected snapshots are returned as is.
+export const renameCategoryInSnapshot = (snapshot, from, to) => {
+  const used =
+    snapshot.categories.some((category) => category.name === from) ||
+    snapshot.transactions.some((transaction) => transaction.category === from) ||
+    snapshot.budgets.some((budget) => budget.category === from)
+  if (!used) return snapshot
+
+  const transactions = snapshot.transactions.map((transaction) =>
+    transaction.category === from ? { ...transaction, category: to } : transaction,
+  )
+  const names = mergeCategoryNames(
+    [...new Set(snapshot.categories.map((category) => (category.name === from ? to : category.name)))],
+    transactions,
+  )
+
+  return withDerivedTotals({
+    ...snapshot,
+    categories: names.map((name) => ({ name })),
+    transactions,
+    budgets: renameInBudgets(snapshot.budgets, from, to),
+  })
+}
+
+// `from`'s children follow it to `to`. A renamed category keeps `from`'s parent; when
+// merging, `to` keeps its own place instead.
+export const renameCategoryInTree = (tree, from, to, merging = false) => {
+  const parents = {}
+
+  Object.entries(tree.parents).forEach(([child, parent]) => {
+    if (child === from && merging) return
+
+    const nextChild = child === from ? to : child
+    const nextParent = parent === from ? to : parent
+    if (nextChild !== nextParent) parents[nextChild] = nextParent
+  })
+
+  return normalizeCategoryTree({ parents })
+}
+
+// Works out what renaming `from` to `input` means: a plain rename, or a merge when
+// another category already has that name (ignoring case).
+export const resolveRename = (names, from, input) => {
+  const clean = input.trim()
+  if (!clean) return { error: 'Enter a category name.' }
+  if (clean === from) return { error: 'That is already its name.' }
+
+  const existing = names.find((name) => name !== from && name.toLowerCase() === clean.toLowerCase())
+  return existing ? { to: existing, merge: true } : { to: clean, merge: false }
+}
+
+export const collectCategoryNames = (snapshots, extraNames = []) => [
+  ...new Set([
+    ...extraNames,
+    ...snapshots.flatMap((snapshot) => [
+      ...snapshot.categories.map((category) => category.name),
+      ...snapshot.transactions.map((transaction) => transaction.category),
+    ]),
+  ]),
+]
+
+/**
+ * Spending per tag over all saved months in `currency`. Transaction amounts are taken at
+ * the rates saved with their month; months without a rate to `currency` are listed in
+ * `skipped` and left out of the totals.
+ */
+export const tagTotalsAcross = (snapshots, currency, rateTable = []) => {
+  const totals = new Map()
+  const skipped = []
+
+  snapshots.forEach((snapshot) => {
+    const tagged = snapshot.transactions.filter((transaction) => transaction.tags?.length)
+    if (tagged.length === 0) return
+
+    const factor = currencyFactor(snapshot, currency, rateTable)
+    if (factor === null) {
+      skipped.push(snapshot.month)
+      return
+    }
+
+    tagged.forEach((transaction) => {
+      const amount = toBase(transaction.amount, transaction.currency, snapshot.ratesUsed) * factor
+
+      transaction.tags.forEach((tag) => {
+        if (!totals.has(tag)) totals.set(tag, { tag, amount: 0, count: 0, months: new Set(), categories: new Set() })
+
+        const entry = totals.get(tag)
+        entry.amount += amount
+        entry.count += 1
+        entry.months.add(snapshot.month)
+        entry.categories.add(transaction.category)
+      })
+    })
+  })
+
+  return {
+    tags: [...totals.values()]
+      .map((entry) => ({ ...entry, months: [...entry.months].sort(), categories: [...entry.categories].sort() }))
+      .sort((a, b) => b.amount - a.amount),
+    skipped,
+  }
+}
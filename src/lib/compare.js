@@ -0,0 +1,90 @@
+import { addMonths, monthsBetween } from './months.js'
+
+export const TRAILING_WINDOWS = [3, 6, 12]
+
+// Averages the snapshots saved in the `count` calendar months before `month`. Only saved
+// months are averaged; a category missing from one of them counts as zero spend there.
+export const trailingAverage = (snapshots, month, count) => {
+  const window = snapshots.filter((snapshot) => {
+    const distance = monthsBetween(snapshot.month, month)
+    return distance >= 1 && distance <= count
+  })
+  if (window.length === 0) return null
+
+  const average = (pick) => window.reduce((sum, snapshot) => sum + pick(snapshot), 0) / window.length
+  const names = [...new Set(window.flatMap((snapshot) => snapshot.categories.map((category) => category.name)))]
+
+  return {
+    label: `${count}-month average (${addMonths(month, -count)} to ${addMonths(month, -1)})`,
+    months: window.map((snapshot) => snapshot.month).sort(),
+    totalIncome: average((snapshot) => snapshot.totalIncome),
+    totalExpense: average((snapshot) => snapshot.totalExpense),
+    savings: average((snapshot) => snapshot.savings),
+    categories: names.map((name) => ({
+      name,
+      amount: average((snapshot) => snapshot.categories.find((category) => category.name === name)?.amount || 0),
+    })),
+  }
+}
+
+const delta = (from, to) => ({
+  from,
+  to,
+  change: to - from,
+  percent: from !== 0 ? ((to - from) / Math.abs(from)) * 100 : null,
+})
+
+// Per-category deltas from A to B. `presence` tells whether a category only has spend in
+// one of the two sides, so it is not mistaken for a plain increase or decrease.
+export const compareSnapshots = (a, b) => {
+  const amountIn = (snapshot, name) => snapshot.categories.find((category) => category.name === name)?.amount || 0
+  const names = [...new Set([...a.categories, ...b.categories].map((category) => category.name))]
+
+  const categories = names
+    .map((name) => {
+      const from = amountIn(a, name)
+      const to = amountIn(b, name)
+      const presence = from > 0 && to > 0 ? 'both' : from > 0 ? 'only-a' : to > 0 ? 'only-b' : 'none'
+      return { name, presence, ...delta(from, to) }
+    })
+    .filter((row) => row.presence !== 'none')
+    .sort((x, y) => Math.abs(y.change) - Math.abs(x.change))
+
+  return {
+    categories,
+    income: delta(a.totalIncome, b.totalIncome),
+    expense: delta(a.totalExpense, b.totalExpense),
+    savings: delta(a.savings, b.savings),
+  }
+}
+
+// Bars that walk savings from A to B: the income change adds to savings, every category
+// change subtracts from it. Each bar carries a [low, high] range for a floating bar chart.
+export const savingsWaterfall = (comparison, { labelA = 'A', labelB = 'B' } = {}) => {
+  const steps = [
+    { name: `Savings ${labelA}`, kind: 'total', value: comparison.savings.from },
+    { name: 'Income', kind: 'change', value: comparison.income.change },
+    ...comparison.categories
+      .filter((row) => row.change !== 0)
+      .map((row) => ({ name: row.name, kind: 'change', value: -row.change })),
+  ]
+
+  let running = 0
+  const bars = steps.map((step) => {
+    const start = step.kind === 'total' ? 0 : running
+    const end = step.kind === 'total' ? step.value : running + step.value
+    running = end
+
+    return { ...step, range: [Math.min(start, end), Math.max(start, end)] }
+  })
+
+  return [
+    ...bars,
+    {
+      name: `Savings ${labelB}`,
+      kind: 'total',
+      value: comparison.savings.to,
+      range: [Math.min(0, comparison.savings.to), Math.max(0, comparison.savings.to)],
+    },
+  ]
+}
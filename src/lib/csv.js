@@ -0,0 +1,52 @@
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  const source = String(text || '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''))
+}
+
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCsv = (rows) => rows.map((cells) => cells.map(escapeCsvCell).join(',')).join('\r\n')
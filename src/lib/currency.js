@@ -0,0 +1,124 @@
+import { makeId } from './id.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+
+export const CURRENCY_SETTINGS_KEY = 'fintrack_currency_v1'
+export const DEFAULT_CURRENCY = 'USD'
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD', 'CHF', 'SEK', 'NOK', 'PLN', 'SGD']
+
+export const createRate = (date, from = 'EUR', to = DEFAULT_CURRENCY) => ({
+  id: makeId(),
+  date,
+  from,
+  to,
+  rate: '',
+})
+
+const isCurrency = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value)
+
+const normalizeRate = (entry) => {
+  if (!entry || typeof entry !== 'object') return null
+
+  const rate = Number(entry.rate)
+  if (!isCurrency(entry.from) || !isCurrency(entry.to) || entry.from === entry.to || !(rate > 0)) return null
+  if (typeof entry.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) return null
+
+  return {
+    id: typeof entry.id === 'string' && entry.id ? entry.id : makeId(),
+    date: entry.date,
+    from: entry.from,
+    to: entry.to,
+    rate,
+  }
+}
+
+export const normalizeRateTable = (rates) => (Array.isArray(rates) ? rates.map(normalizeRate).filter(Boolean) : [])
+
+export const loadCurrencySettings = (profileId = DEFAULT_PROFILE_ID) => {
+  const defaults = { baseCurrency: DEFAULT_CURRENCY, rates: [] }
+  if (typeof window === 'undefined') return defaults
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(profileKey(CURRENCY_SETTINGS_KEY, profileId)) || 'null')
+    if (!parsed || typeof parsed !== 'object') return defaults
+
+    return {
+      baseCurrency: isCurrency(parsed.baseCurrency) ? parsed.baseCurrency : DEFAULT_CURRENCY,
+      rates: normalizeRateTable(parsed.rates),
+    }
+  } catch {
+    return defaults
+  }
+}
+
+export const saveCurrencySettings = (settings, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(CURRENCY_SETTINGS_KEY, profileId), JSON.stringify(settings))
+}
+
+export const normalizeCurrency = (value, fallback = DEFAULT_CURRENCY) => (isCurrency(value) ? value : fallback)
+
+export const lastDayOfMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number)
+  const day = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate()
+  return `${month}-${String(day).padStart(2, '0')}`
+}
+
+// Latest quote dated on or before the end of the month. When the table only has
+// later quotes, the earliest of those is used rather than leaving the month unconvertible.
+const pickQuote = (quotes, cutoff) => {
+  const sorted = [...quotes].sort((a, b) => a.date.localeCompare(b.date))
+  const before = sorted.filter((quote) => quote.date <= cutoff)
+  return before.length ? before[before.length - 1] : sorted[0]
+}
+
+const directRate = (table, from, to, cutoff) => {
+  const quotes = table.flatMap((entry) => {
+    if (entry.from === from && entry.to === to) return [{ date: entry.date, rate: entry.rate }]
+    if (entry.from === to && entry.to === from) return [{ date: entry.date, rate: 1 / entry.rate }]
+    return []
+  })
+
+  return pickQuote(quotes, cutoff)?.rate ?? null
+}
+
+export const findRate = (table, from, to, month) => {
+  if (from === to) return 1
+
+  const cutoff = lastDayOfMonth(month)
+  const direct = directRate(table, from, to, cutoff)
+  if (direct !== null) return direct
+
+  const pivots = new Set(table.flatMap((entry) => [entry.from, entry.to]))
+  for (const pivot of pivots) {
+    if (pivot === from || pivot === to) continue
+
+    const first = directRate(table, from, pivot, cutoff)
+    const second = first === null ? null : directRate(table, pivot, to, cutoff)
+    if (second !== null) return first * second
+  }
+
+  return null
+}
+
+// Rates are stored as "1 unit of currency = rate units of the base currency".
+export const resolveRates = (table, currencies, baseCurrency, month, lockedRates = {}) => {
+  const rates = {}
+  const missing = []
+
+  new Set(currencies).forEach((currency) => {
+    if (!currency || currency === baseCurrency) return
+
+    const rate = Number(lockedRates[currency]) > 0 ? Number(lockedRates[currency]) : findRate(table, currency, baseCurrency, month)
+    if (rate === null) {
+      missing.push(currency)
+    } else {
+      rates[currency] = rate
+    }
+  })
+
+  return { rates, missing }
+}
+
+export const rateFor = (rates, currency) => Number(rates?.[currency]) || 1
+
+export const toBase = (amount, currency, rates) => (Number(amount) || 0) * rateFor(rates, currency)
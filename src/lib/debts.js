@@ -0,0 +1,244 @@
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js'
+import { makeId } from './id.js'
+import { addMonths, isMonth } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { openValue, sealValue } from './vault.js'
+
+export const DEBTS_KEY = 'fintrack_debts_v1'
+
+export const PAYOFF_STRATEGIES = [
+  { value: 'avalanche', label: 'Avalanche (highest APR first)' },
+  { value: 'snowball', label: 'Snowball (smallest balance first)' },
+]
+
+// Plans that have not paid everything off after this many months are reported as
+// never finishing, e.g. when a payment does not cover the monthly interest.
+export const MAX_PAYOFF_MONTHS = 600
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+export const createDebt = (startMonth, currency = DEFAULT_CURRENCY) => ({
+  id: makeId(),
+  name: '',
+  balance: '',
+  apr: '',
+  minimumPayment: '',
+  extraPayment: '',
+  category: '',
+  currency,
+  startMonth,
+})
+
+export const normalizeDebt = (debt) => {
+  if (!debt || typeof debt !== 'object') return null
+
+  const name = String(debt.name || '').trim()
+  const category = String(debt.category || '').trim()
+  const balance = Number(debt.balance) || 0
+  const minimumPayment = Number(debt.minimumPayment) || 0
+  if (!name || !category || balance <= 0 || minimumPayment <= 0 || !isMonth(debt.startMonth)) return null
+
+  return {
+    id: typeof debt.id === 'string' && debt.id ? debt.id : makeId(),
+    name,
+    balance,
+    apr: Math.max(0, Number(debt.apr) || 0),
+    minimumPayment,
+    extraPayment: Math.max(0, Number(debt.extraPayment) || 0),
+    category,
+    currency: normalizeCurrency(debt.currency),
+    startMonth: debt.startMonth,
+  }
+}
+
+export const defaultDebtPlan = () => ({ debts: [], strategy: 'avalanche' })
+
+export const normalizeDebtPlan = (plan) => {
+  if (!plan || typeof plan !== 'object') return defaultDebtPlan()
+
+  return {
+    debts: Array.isArray(plan.debts) ? plan.debts.map(normalizeDebt).filter(Boolean) : [],
+    strategy: PAYOFF_STRATEGIES.some((entry) => entry.value === plan.strategy) ? plan.strategy : 'avalanche',
+  }
+}
+
+// Balances, rates and payments are sealed like history in encrypted mode.
+export const loadDebtPlan = async (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return defaultDebtPlan()
+
+  try {
+    const raw = window.localStorage.getItem(profileKey(DEBTS_KEY, profileId))
+    return normalizeDebtPlan(await openValue(JSON.parse(raw || 'null'), cipher))
+  } catch {
+    return defaultDebtPlan()
+  }
+}
+
+let pendingSave = Promise.resolve()
+
+export const saveDebtPlan = (plan, cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return Promise.resolve()
+
+  const key = profileKey(DEBTS_KEY, profileId)
+  const write = pendingSave.then(async () => window.localStorage.setItem(key, JSON.stringify(await sealValue(plan, cipher))))
+  pendingSave = write.catch(() => {})
+  return write
+}
+
+const byStrategy = {
+  avalanche: (a, b) => b.apr - a.apr || a.balance - b.balance,
+  snowball: (a, b) => a.balance - b.balance || b.apr - a.apr,
+}
+
+/**
+ * Month-by-month payoff of debts in one currency. Each month every started debt accrues
+ * interest and gets its minimum payment; the rest of the monthly budget (all minimums
+ * and extra payments, including those of debts already paid off) goes to the debt the
+ * strategy puts first. Each debt gets a full amortization schedule.
+ */
+export const simulatePayoff = (debts, strategy = 'avalanche') => {
+  const states = debts.map((debt) => ({ debt, balance: debt.balance, apr: debt.apr, schedule: [], interest: 0 }))
+  const startMonth = debts.map((debt) => debt.startMonth).sort()[0]
+  const lastStart = debts.map((debt) => debt.startMonth).sort().reverse()[0]
+  let month = startMonth
+  let elapsed = 0
+
+  while (elapsed < MAX_PAYOFF_MONTHS && (month <= lastStart || states.some((state) => state.balance > 0))) {
+    const started = states.filter((state) => state.debt.startMonth <= month)
+    const open = started.filter((state) => state.balance > 0)
+    const payments = new Map(open.map((state) => [state, { interest: roundCents((state.balance * state.apr) / 1200), payment: 0 }]))
+    let budget = started.reduce((sum, state) => sum + state.debt.minimumPayment + state.debt.extraPayment, 0)
+
+    open.forEach((state) => {
+      const entry = payments.get(state)
+      state.balance = roundCents(state.balance + entry.interest)
+      entry.payment = Math.min(state.debt.minimumPayment, state.balance)
+      budget -= entry.payment
+    })
+
+    const targets = [...open].sort(byStrategy[strategy] || byStrategy.avalanche)
+    targets.forEach((state) => {
+      const entry = payments.get(state)
+      const extra = Math.min(Math.max(budget, 0), state.balance - entry.payment)
+      entry.payment = roundCents(entry.payment + extra)
+      budget -= extra
+    })
+
+    open.forEach((state) => {
+      const entry = payments.get(state)
+      state.balance = roundCents(state.balance - entry.payment)
+      state.interest += entry.interest
+      state.schedule.push({
+        month,
+        payment: entry.payment,
+        interest: entry.interest,
+        principal: roundCents(entry.payment - entry.interest),
+        balance: state.balance,
+      })
+    })
+
+    month = addMonths(month, 1)
+    elapsed += 1
+  }
+
+  const paidOff = states.every((state) => state.balance <= 0)
+  const results = states.map((state) => ({
+    debt: state.debt,
+    schedule: state.schedule,
+    payoffMonth: state.balance <= 0 ? state.schedule[state.schedule.length - 1]?.month || null : null,
+    totalInterest: roundCents(state.interest),
+    totalPaid: roundCents(state.schedule.reduce((sum, row) => sum + row.payment, 0)),
+  }))
+
+  return {
+    strategy,
+    debts: results,
+    paidOff,
+    payoffMonth: paidOff ? results.map((result) => result.payoffMonth).sort().reverse()[0] || null : null,
+    totalInterest: roundCents(results.reduce((sum, result) => sum + result.totalInterest, 0)),
+    totalPaid: roundCents(results.reduce((sum, result) => sum + result.totalPaid, 0)),
+  }
+}
+
+// Schedule of one debt on its own: its minimum plus its extra payment every month.
+export const amortize = (debt) => simulatePayoff([debt]).debts[0]
+
+// Debts are only pooled with debts in the same currency; each currency gets its own plan.
+export const planByCurrency = (debts, strategy) =>
+  [...new Set(debts.map((debt) => debt.currency))].map((currency) => ({
+    currency,
+    plan: simulatePayoff(
+      debts.filter((debt) => debt.currency === currency),
+      strategy,
+    ),
+  }))
+
+export const compareStrategies = (debts) =>
+  [...new Set(debts.map((debt) => debt.currency))].map((currency) => ({
+    currency,
+    plans: PAYOFF_STRATEGIES.map((entry) =>
+      simulatePayoff(
+        debts.filter((debt) => debt.currency === currency),
+        entry.value,
+      ),
+    ),
+  }))
+
+const samePayee = (payee, name) => String(payee || '').trim().toLowerCase() === name.trim().toLowerCase()
+
+// A transaction pays a debt when it is linked to it, or goes to the debt's name in its
+// category, as a recurring item set up for the loan does.
+const paysDebt = (transaction, debt) =>
+  transaction.debtId === debt.id || (samePayee(transaction.payee, debt.name) && transaction.category === debt.category)
+
+// Planned payments falling in `month`, as ledger transactions in each debt's category. A
+// debt already paid in `transactions` gets no second payment.
+export const debtPaymentsForMonth = (plans, month, transactions = []) =>
+  plans.flatMap(({ plan }) =>
+    plan.debts.flatMap((result) => {
+      const row = result.schedule.find((entry) => entry.month === month)
+      if (!row || row.payment <= 0) return []
+
+      if (transactions.some((transaction) => paysDebt(transaction, result.debt))) return []
+
+      return [
+        {
+          id: makeId(),
+          date: `${month}-01`,
+          payee: result.debt.name,
+          amount: String(row.payment),
+          currency: result.debt.currency,
+          category: result.debt.category,
+          note: 'Debt payment',
+          debtId: result.debt.id,
+          prefilled: true,
+        },
+      ]
+    }),
+  )
+
+/**
+ * What the saved months actually paid towards each debt, next to what the plan scheduled
+ * for those same months. Payments are the ledger transactions that pay the debt, linked or
+ * through a recurring item.
+ */
+export const debtProgress = (plans, snapshots) => {
+  const savedMonths = new Set(snapshots.map((snapshot) => snapshot.month))
+
+  return plans.flatMap(({ plan }) =>
+    plan.debts.map((result) => {
+      const planned = result.schedule.filter((row) => savedMonths.has(row.month))
+      const paid = snapshots
+        .flatMap((snapshot) => snapshot.transactions)
+        .filter((transaction) => paysDebt(transaction, result.debt) && transaction.currency === result.debt.currency)
+        .reduce((sum, transaction) => sum + transaction.amount, 0)
+
+      return {
+        debtId: result.debt.id,
+        months: planned.map((row) => row.month),
+        planned: roundCents(planned.reduce((sum, row) => sum + row.payment, 0)),
+        paid: roundCents(paid),
+      }
+    }),
+  )
+}
@@ -0,0 +1,188 @@
+import { addMonths, monthsBetween } from './months.js'
+
+export const FORECAST_METHODS = [
+  { value: 'moving-average', label: 'Moving average' },
+  { value: 'linear', label: 'Linear trend' },
+  { value: 'seasonal-naive', label: 'Seasonal naive' },
+]
+
+export const FORECAST_HORIZONS = [3, 6, 9, 12]
+
+const MOVING_AVERAGE_WINDOW = 3
+const SEASON_LENGTH = 12
+// Width of the band in standard deviations, roughly an 80% interval.
+const BAND_WIDTH = 1.28
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+const rootMeanSquare = (errors) =>
+  errors.length ? Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length) : 0
+
+// Every point keeps its calendar offset (x) from the first saved month, so a month without
+// a snapshot stays a gap instead of making its neighbours look consecutive.
+export const toMonthlySeries = (entries) => {
+  const byMonth = new Map()
+  entries.forEach((entry) => {
+    if (Number.isFinite(entry.value)) byMonth.set(entry.month, entry.value)
+  })
+
+  const months = [...byMonth.keys()].sort()
+  if (months.length === 0) return { startMonth: null, points: [], missingMonths: [] }
+
+  const startMonth = months[0]
+  const points = months.map((month) => ({ month, x: monthsBetween(startMonth, month), value: byMonth.get(month) }))
+  const span = points[points.length - 1].x + 1
+  const missingMonths = Array.from({ length: span }, (_, offset) => addMonths(startMonth, offset)).filter(
+    (month) => !byMonth.has(month),
+  )
+
+  return { startMonth, points, missingMonths }
+}
+
+// Mean of the snapshots saved in the last few calendar months before x (not the last few
+// snapshots), so a long gap does not pull in stale months.
+const movingAverageModel = (points) => {
+  const windowBefore = (x) => points.filter((point) => point.x < x && point.x >= x - MOVING_AVERAGE_WINDOW)
+  const errors = points
+    .map((point) => {
+      const window = windowBefore(point.x)
+      return window.length ? point.value - mean(window.map((entry) => entry.value)) : null
+    })
+    .filter((error) => error !== null)
+  const sigma = rootMeanSquare(errors)
+  const lastX = points[points.length - 1].x
+
+  return (x) => {
+    const window = windowBefore(lastX + 1)
+    return { value: mean(window.map((point) => point.value)), spread: sigma * Math.sqrt(1 + (x - lastX - 1) / MOVING_AVERAGE_WINDOW) }
+  }
+}
+
+const linearModel = (points) => {
+  const n = points.length
+  const meanX = mean(points.map((point) => point.x))
+  const meanY = mean(points.map((point) => point.value))
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0)
+  const slope = sxx > 0 ? points.reduce((sum, point) => sum + (point.x - meanX) * (point.value - meanY), 0) / sxx : 0
+  const intercept = meanY - slope * meanX
+  const sse = points.reduce((sum, point) => sum + (point.value - (intercept + slope * point.x)) ** 2, 0)
+  const sigma = n > 2 ? Math.sqrt(sse / (n - 2)) : 0
+
+  return (x) => ({
+    value: intercept + slope * x,
+    spread: sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (x - meanX) ** 2 / sxx : 0)),
+  })
+}
+
+// Repeats the value saved for the same calendar month one (or more) years earlier. Months
+// whose earlier counterparts were never saved fall back to the moving average and are
+// reported as such.
+const seasonalNaiveModel = (points) => {
+  const byX = new Map(points.map((point) => [point.x, point.value]))
+  const fallback = movingAverageModel(points)
+  const errors = points
+    .filter((point) => byX.has(point.x - SEASON_LENGTH))
+    .map((point) => point.value - byX.get(point.x - SEASON_LENGTH))
+  const sigma = errors.length ? rootMeanSquare(errors) : null
+
+  return (x) => {
+    for (let seasons = 1; x - seasons * SEASON_LENGTH >= 0; seasons += 1) {
+      const value = byX.get(x - seasons * SEASON_LENGTH)
+      if (value !== undefined) {
+        return { value, spread: (sigma ?? fallback(x).spread) * Math.sqrt(seasons) }
+      }
+    }
+
+    return { ...fallback(x), fallback: true }
+  }
+}
+
+const MODELS = {
+  'moving-average': movingAverageModel,
+  linear: linearModel,
+  'seasonal-naive': seasonalNaiveModel,
+}
+
+export const forecastSeries = (series, method, horizon, { floor = -Infinity } = {}) => {
+  if (series.points.length < 2) return []
+
+  const predict = (MODELS[method] || linearModel)(series.points)
+  const lastX = series.points[series.points.length - 1].x
+
+  return Array.from({ length: horizon }, (_, step) => {
+    const x = lastX + step + 1
+    const { value, spread, fallback = false } = predict(x)
+
+    return {
+      month: addMonths(series.startMonth, x),
+      value: Math.max(floor, value),
+      low: Math.max(floor, value - BAND_WIDTH * spread),
+      high: Math.max(floor, value + BAND_WIDTH * spread),
+      fallback,
+    }
+  })
+}
+
+// Projects savings and per-category spend from snapshots that are already expressed in
+// one currency. A saved month without a category counts as zero spend for it.
+export const buildForecast = (snapshots, { method, horizon }) => {
+  const ordered = [...snapshots].sort((a, b) => a.month.localeCompare(b.month) || a.createdAt - b.createdAt)
+  const savingsSeries = toMonthlySeries(ordered.map((snapshot) => ({ month: snapshot.month, value: snapshot.savings })))
+  const savings = forecastSeries(savingsSeries, method, horizon)
+
+  const categoryNames = [...new Set(ordered.flatMap((snapshot) => snapshot.categories.map((category) => category.name)))]
+  const categories = categoryNames
+    .map((name) => {
+      const series = toMonthlySeries(
+        ordered.map((snapshot) => ({
+          month: snapshot.month,
+          value: snapshot.categories.find((category) => category.name === name)?.amount || 0,
+        })),
+      )
+      const projection = forecastSeries(series, method, horizon, { floor: 0 })
+
+      return {
+        name,
+        projection,
+        next: projection[0]?.value || 0,
+        total: projection.reduce((sum, point) => sum + point.value, 0),
+        low: projection.reduce((sum, point) => sum + point.low, 0),
+        high: projection.reduce((sum, point) => sum + point.high, 0),
+      }
+    })
+    .filter((category) => category.total > 0)
+
+  return {
+    series: savingsSeries,
+    savings,
+    categories,
+    fallbackMonths: savings.filter((point) => point.fallback).map((point) => point.month),
+  }
+}
+
+// One row per calendar month: saved months carry `savings`, missing months carry null so
+// the line breaks, and projected months carry `forecast` plus a [low, high] `band`. The
+// last saved month also starts the forecast line so the two connect.
+export const buildTrendChartData = (series, projection) => {
+  if (series.points.length === 0) return []
+
+  const lastPoint = series.points[series.points.length - 1]
+  const byX = new Map(series.points.map((point) => [point.x, point.value]))
+  const history = Array.from({ length: lastPoint.x + 1 }, (_, x) => ({
+    month: addMonths(series.startMonth, x),
+    savings: byX.has(x) ? byX.get(x) : null,
+  }))
+
+  if (projection.length === 0) return history
+
+  history[history.length - 1] = {
+    ...history[history.length - 1],
+    forecast: lastPoint.value,
+    band: [lastPoint.value, lastPoint.value],
+  }
+
+  return [
+    ...history,
+    ...projection.map((point) => ({ month: point.month, savings: null, forecast: point.value, band: [point.low, point.high] })),
+  ]
+}
@@ -0,0 +1,11 @@
+import { DEFAULT_CURRENCY } from './currency.js'
+
+const formatters = new Map()
+
+export const asCurrency = (value, currency = DEFAULT_CURRENCY) => {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }))
+  }
+
+  return formatters.get(currency).format(Number(value) || 0)
+}
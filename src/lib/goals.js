@@ -0,0 +1,152 @@
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js'
+import { makeId } from './id.js'
+import { addMonths, isMonth, monthsBetween } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { snapshotInCurrency } from './snapshots.js'
+
+export const GOALS_KEY = 'fintrack_goals_v1'
+
+export const ALLOCATION_TYPES = [
+  { value: 'fixed', label: 'Fixed amount per month' },
+  { value: 'percent', label: '% of monthly savings' },
+]
+
+export const GOAL_STATUS_LABELS = {
+  reached: 'Reached',
+  'on-track': 'On track',
+  behind: 'Behind',
+  missed: 'Deadline passed',
+}
+
+export const createGoal = (startMonth, currency = DEFAULT_CURRENCY) => ({
+  id: makeId(),
+  name: '',
+  targetAmount: '',
+  currency,
+  startMonth,
+  deadline: '',
+  allocationType: 'fixed',
+  allocationValue: '',
+})
+
+export const normalizeGoal = (goal) => {
+  if (!goal || typeof goal !== 'object') return null
+
+  const name = String(goal.name || '').trim()
+  const targetAmount = Number(goal.targetAmount) || 0
+  if (!name || targetAmount <= 0 || !isMonth(goal.startMonth) || !isMonth(goal.deadline)) return null
+  if (goal.deadline < goal.startMonth) return null
+
+  const allocationType = goal.allocationType === 'percent' ? 'percent' : 'fixed'
+  const allocationValue = Math.max(0, Number(goal.allocationValue) || 0)
+
+  return {
+    id: typeof goal.id === 'string' && goal.id ? goal.id : makeId(),
+    name,
+    targetAmount,
+    currency: normalizeCurrency(goal.currency),
+    startMonth: goal.startMonth,
+    deadline: goal.deadline,
+    allocationType,
+    allocationValue: allocationType === 'percent' ? Math.min(100, allocationValue) : allocationValue,
+  }
+}
+
+export const loadGoals = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(profileKey(GOALS_KEY, profileId)) || '[]')
+    return Array.isArray(parsed) ? parsed.map(normalizeGoal).filter(Boolean) : []
+  } catch {
+    return []
+  }
+}
+
+export const saveGoals = (goals, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(GOALS_KEY, profileId), JSON.stringify(goals))
+}
+
+export const describeAllocation = (goal, formatAmount) =>
+  goal.allocationType === 'percent'
+    ? `${goal.allocationValue}% of savings`
+    : `${formatAmount(goal.allocationValue, goal.currency)} / month`
+
+const latestPerMonth = (snapshots) => {
+  const ordered = [...snapshots].sort((a, b) => a.month.localeCompare(b.month) || a.createdAt - b.createdAt)
+  return [...new Map(ordered.map((snapshot) => [snapshot.month, snapshot])).values()]
+}
+
+// Splits each saved month's positive savings between goals in list order: earlier goals
+// take their fixed amount or percentage first, later goals share what is left. A goal never
+// takes more than it still needs, so once it is reached its share goes to the goals after
+// it. Shares are tracked as a fraction of the month's savings so goals in different
+// currencies can draw from the same month.
+export const allocateSavings = (goals, snapshots, rateTable) => {
+  const months = latestPerMonth(snapshots)
+  const usedShare = new Map()
+
+  return goals.map((goal) => {
+    const contributions = []
+    const unconverted = []
+    let saved = 0
+
+    months
+      .filter((snapshot) => snapshot.month >= goal.startMonth && snapshot.month <= goal.deadline)
+      .forEach((snapshot) => {
+        const converted = snapshotInCurrency(snapshot, goal.currency, rateTable)
+        if (converted.displayCurrency !== goal.currency) {
+          unconverted.push(snapshot.month)
+          return
+        }
+
+        const savings = Math.max(0, converted.savings)
+        const used = usedShare.get(snapshot.month) || 0
+        const wanted = goal.allocationType === 'percent' ? (savings * goal.allocationValue) / 100 : goal.allocationValue
+        const amount = Math.max(0, Math.min(wanted, savings * (1 - used), goal.targetAmount - saved))
+
+        saved += amount
+        if (savings > 0) usedShare.set(snapshot.month, used + amount / savings)
+        contributions.push({ month: snapshot.month, amount })
+      })
+
+    return { goal, contributions, unconverted }
+  })
+}
+
+// `currentMonth` is the calendar month today; months before it that have no snapshot are
+// simply missed contributions, not remaining time.
+export const goalStatus = ({ goal, contributions, unconverted }, currentMonth) => {
+  const saved = contributions.reduce((sum, contribution) => sum + contribution.amount, 0)
+  const remaining = Math.max(0, goal.targetAmount - saved)
+  const lastCounted = contributions[contributions.length - 1]?.month
+  const from = [currentMonth, goal.startMonth, lastCounted ? addMonths(lastCounted, 1) : goal.startMonth].sort().pop()
+  const monthsLeft = from <= goal.deadline ? monthsBetween(from, goal.deadline) + 1 : 0
+  const pace = contributions.length
+    ? saved / contributions.length
+    : goal.allocationType === 'fixed'
+      ? goal.allocationValue
+      : 0
+  const projected = saved + pace * monthsLeft
+
+  const status =
+    saved >= goal.targetAmount ? 'reached' : monthsLeft === 0 ? 'missed' : projected >= goal.targetAmount ? 'on-track' : 'behind'
+
+  return {
+    goal,
+    saved,
+    remaining,
+    progress: Math.min(100, (saved / goal.targetAmount) * 100),
+    monthsLeft,
+    requiredMonthly: monthsLeft > 0 ? remaining / monthsLeft : remaining,
+    pace,
+    projected,
+    status,
+    contributions,
+    unconverted,
+  }
+}
+
+export const evaluateGoals = (goals, snapshots, rateTable, currentMonth) =>
+  allocateSavings(goals, snapshots, rateTable).map((allocation) => goalStatus(allocation, currentMonth))
@@ -0,0 +1,114 @@
+import { createIndexedDbHistoryStore, isIndexedDbAvailable } from './indexedDbHistory.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { createLocalStorageHistoryStore } from './storage.js'
+
+export { SnapshotConflictError } from './snapshotConflicts.js'
+
+const CHANNEL_NAME = 'fintrack_history_changes'
+const SYNC_STORAGE_KEY = 'fintrack_history_sync'
+
+const createChangeChannel = (profileId) => {
+  const channelName = profileKey(CHANNEL_NAME, profileId)
+  const syncStorageKey = profileKey(SYNC_STORAGE_KEY, profileId)
+  const tabId = `${Date.now()}-${Math.random().toString(16).slice(2)}`
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(channelName)
+
+    return {
+      publish: (message) => channel.postMessage(message),
+      subscribe: (listener) => {
+        const handleMessage = (event) => listener(event.data)
+        channel.addEventListener('message', handleMessage)
+        return () => channel.removeEventListener('message', handleMessage)
+      },
+    }
+  }
+
+  // localStorage is readable at rest even in encrypted mode, so a put only announces which
+  // snapshot changed; the other tabs read it back from the store.
+  return {
+    publish: ({ snapshot, ...message }) => {
+      const announced = snapshot ? { ...message, id: snapshot.id, month: snapshot.month, revision: snapshot.revision } : message
+      window.localStorage.setItem(syncStorageKey, JSON.stringify({ ...announced, tabId, sentAt: Date.now() }))
+    },
+    subscribe: (listener) => {
+      const handleStorage = (event) => {
+        if (event.key !== syncStorageKey || !event.newValue) return
+
+        try {
+          const message = JSON.parse(event.newValue)
+          if (message.tabId !== tabId) listener(message)
+        } catch {
+          // Ignore malformed sync messages; the next full load picks up the data.
+        }
+      }
+
+      window.addEventListener('storage', handleStorage)
+      return () => window.removeEventListener('storage', handleStorage)
+    },
+  }
+}
+
+/**
+ * Repository interface used by the app:
+ *   load()                           -> Promise<snapshot[]>
+ *   put(snapshot, expectedRevision)  -> Promise<stored snapshot with bumped revision>
+ *   remove(id, expectedRevision)     -> Promise<void>
+ *   clear()                          -> Promise<void>
+ *   convert(cipher)                  -> Promise<void>; re-encodes stored history for a new cipher (null = plain)
+ *   subscribe(listener)              -> unsubscribe; listener receives changes made in other tabs
+ *
+ * put/remove reject with SnapshotConflictError when another tab changed the same month first.
+ * Store calls run one at a time, so a conversion never interleaves with a write.
+ * Every profile has its own store and change channel; pass the same profileId to both.
+ * A store opened only to read or convert another profile is closed with store.close() afterwards.
+ */
+export const createHistoryStore = (cipher = null, profileId = DEFAULT_PROFILE_ID) =>
+  isIndexedDbAvailable() ? createIndexedDbHistoryStore(cipher, profileId) : createLocalStorageHistoryStore(cipher, profileId)
+
+export const createHistoryRepository = (store = createHistoryStore(), profileId = DEFAULT_PROFILE_ID) => {
+  const channel = createChangeChannel(profileId)
+  let pending = Promise.resolve()
+
+  const serial = (task) => {
+    const result = pending.then(task)
+    pending = result.catch(() => {})
+    return result
+  }
+
+  return {
+    kind: store.kind,
+    load: () => serial(() => store.load()),
+    put: async (snapshot, expectedRevision) => {
+      const record = await serial(() => store.write(snapshot, expectedRevision))
+      channel.publish({ type: 'put', snapshot: record })
+      return record
+    },
+    remove: async (id, expectedRevision) => {
+      await serial(() => store.remove(id, expectedRevision))
+      channel.publish({ type: 'remove', id })
+    },
+    clear: async () => {
+      await serial(() => store.clear())
+      channel.publish({ type: 'clear' })
+    },
+    convert: (cipher) => serial(() => store.convert(cipher)),
+    subscribe: (listener) =>
+      channel.subscribe((message) => {
+        if (message.type !== 'put' || message.snapshot) {
+          listener(message)
+          return
+        }
+
+        serial(() => store.load())
+          .then((snapshots) => {
+            const snapshot = snapshots.find((entry) => entry.id === message.id)
+            if (snapshot) listener({ ...message, snapshot })
+          })
+          .catch(() => {
+            // Unreadable right now; the next full load picks the change up.
+          })
+      }),
+  }
+}
@@ -0,0 +1,72 @@
+import { savingsRate } from './analytics.js'
+import { snapshotInCurrency } from './snapshots.js'
+
+const sumOf = (entries, key) => entries.reduce((sum, entry) => sum + entry[key], 0)
+
+/**
+ * Combines several profiles' saved months into household months in `currency`, oldest
+ * first. `members` is `[{ id, name, snapshots }]` and each member counts with its latest
+ * snapshot of a month. Categories are matched by name, ignoring case, so "Rent" in two
+ * profiles becomes one line with each member's share in `members`. Member months without
+ * a rate to `currency` are left out and listed in `skipped`.
+ */
+export const combineHousehold = (members, currency, rateTable = []) => {
+  const months = new Map()
+  const skipped = []
+
+  members.forEach((member) => {
+    const latestByMonth = new Map()
+    member.snapshots.forEach((snapshot) => {
+      const previous = latestByMonth.get(snapshot.month)
+      if (!previous || snapshot.createdAt > previous.createdAt) latestByMonth.set(snapshot.month, snapshot)
+    })
+
+    latestByMonth.forEach((snapshot) => {
+      const converted = snapshotInCurrency(snapshot, currency, rateTable)
+      if (converted.displayCurrency !== currency) {
+        skipped.push({ memberId: member.id, name: member.name, month: snapshot.month })
+        return
+      }
+
+      if (!months.has(snapshot.month)) months.set(snapshot.month, { month: snapshot.month, members: [], categories: new Map() })
+
+      const entry = months.get(snapshot.month)
+      entry.members.push({
+        id: member.id,
+        name: member.name,
+        totalIncome: converted.totalIncome,
+        totalExpense: converted.totalExpense,
+        savings: converted.savings,
+      })
+
+      converted.categories.forEach((category) => {
+        const key = category.name.toLowerCase()
+        if (!entry.categories.has(key)) entry.categories.set(key, { name: category.name, amount: 0, members: {} })
+
+        const line = entry.categories.get(key)
+        line.amount += category.amount
+        line.members[member.id] = (line.members[member.id] || 0) + category.amount
+      })
+    })
+  })
+
+  const ordered = [...months.values()].sort((a, b) => a.month.localeCompare(b.month))
+
+  return {
+    months: ordered.map((entry) => {
+      const totalIncome = sumOf(entry.members, 'totalIncome')
+      const savings = sumOf(entry.members, 'savings')
+
+      return {
+        month: entry.month,
+        totalIncome,
+        totalExpense: sumOf(entry.members, 'totalExpense'),
+        savings,
+        savingsRate: savingsRate(totalIncome, savings),
+        members: entry.members,
+        categories: [...entry.categories.values()],
+      }
+    }),
+    skipped,
+  }
+}
@@ -0,0 +1,112 @@
+import { DEFAULT_CURRENCY, normalizeCurrency, toBase } from './currency.js'
+import { makeId } from './id.js'
+
+export const DEFAULT_INCOME_SOURCE_NAME = 'Income'
+export const IMPORTED_INCOME_SOURCE_NAME = 'Imported credits'
+
+export const createIncomeSource = (currency = DEFAULT_CURRENCY, name = '') => ({
+  id: makeId(),
+  name,
+  amount: '',
+  currency,
+  oneOff: false,
+})
+
+export const normalizeIncomeSource = (source, fallbackCurrency = DEFAULT_CURRENCY) => {
+  if (!source || typeof source !== 'object') return null
+
+  const normalized = {
+    id: typeof source.id === 'string' && source.id ? source.id : makeId(),
+    name: String(source.name || '').trim() || DEFAULT_INCOME_SOURCE_NAME,
+    amount: Number(source.amount) || 0,
+    currency: normalizeCurrency(source.currency, fallbackCurrency),
+    oneOff: Boolean(source.oneOff),
+  }
+
+  if (typeof source.recurringId === 'string' && source.recurringId) {
+    normalized.recurringId = source.recurringId
+  }
+
+  return normalized
+}
+
+// Snapshots saved before income sources existed only have `income` and `incomeCurrency`.
+export const normalizeIncomeSources = (snapshot, fallbackCurrency) => {
+  if (Array.isArray(snapshot.incomeSources)) {
+    return snapshot.incomeSources.map((source) => normalizeIncomeSource(source, fallbackCurrency)).filter(Boolean)
+  }
+
+  const income = Number(snapshot.income) || 0
+  if (!income) return []
+
+  return [
+    normalizeIncomeSource(
+      { name: DEFAULT_INCOME_SOURCE_NAME, amount: income, currency: snapshot.incomeCurrency },
+      fallbackCurrency,
+    ),
+  ]
+}
+
+// Per-source income in the base currency, the income counterpart of category totals.
+export const sumIncomeSources = (sources, rates) =>
+  sources.map((source) => ({
+    name: String(source.name || '').trim() || DEFAULT_INCOME_SOURCE_NAME,
+    amount: toBase(source.amount, source.currency, rates),
+    oneOff: Boolean(source.oneOff),
+  }))
+
+export const normalizeIncomeTotals = (incomeTotals) =>
+  Array.isArray(incomeTotals)
+    ? incomeTotals.map((entry) => ({
+        name: String(entry?.name || '').trim() || DEFAULT_INCOME_SOURCE_NAME,
+        amount: Number(entry?.amount) || 0,
+        oneOff: Boolean(entry?.oneOff),
+      }))
+    : null
+
+export const oneOffIncome = (incomeTotals) =>
+  incomeTotals.filter((entry) => entry.oneOff).reduce((sum, entry) => sum + entry.amount, 0)
+
+// Savings rate over regular income only; null when nothing one-off was earned, so callers
+// can skip showing a second, identical figure.
+export const savingsRateWithoutOneOff = ({ incomeTotals, totalIncome, totalExpense }) => {
+  const oneOff = oneOffIncome(incomeTotals)
+  if (oneOff === 0) return null
+
+  const regularIncome = totalIncome - oneOff
+  return regularIncome > 0 ? ((regularIncome - totalExpense) / regularIncome) * 100 : 0
+}
+
+// Adds imported bank credits to a source of their own so they stay distinguishable from
+// salary and other sources entered by hand.
+export const addImportedIncome = (sources, amount, currency) => {
+  if (!amount) return sources
+
+  const existing = sources.find((source) => source.name === IMPORTED_INCOME_SOURCE_NAME && source.currency === currency)
+  if (!existing) {
+    return [...sources, normalizeIncomeSource({ name: IMPORTED_INCOME_SOURCE_NAME, amount, currency }, currency)]
+  }
+
+  return sources.map((source) => (source === existing ? { ...source, amount: source.amount + amount } : source))
+}
+
+// Rows for a stacked income chart: one row per saved month (oldest first) with one key per
+// source. One-off sources get their own key so they never stack into a regular source.
+export const incomeChartData = (snapshots) => {
+  const keyFor = (entry) => (entry.oneOff ? `${entry.name} (one-off)` : entry.name)
+  const series = new Map()
+
+  const rows = [...snapshots]
+    .sort((a, b) => a.month.localeCompare(b.month) || a.createdAt - b.createdAt)
+    .map((snapshot) => {
+      const row = { month: snapshot.month }
+      snapshot.incomeTotals.forEach((entry) => {
+        const key = keyFor(entry)
+        series.set(key, { key, oneOff: entry.oneOff })
+        row[key] = (row[key] || 0) + entry.amount
+      })
+      return row
+    })
+
+  return { rows, series: [...series.values()] }
+}
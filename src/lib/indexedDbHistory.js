@@ -0,0 +1,166 @@
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { checkWrite, SnapshotConflictError } from './snapshotConflicts.js'
+import { normalizeSnapshot } from './snapshots.js'
+import { convertStoredHistory, migrateLegacyHistory } from './storage.js'
+import { openValue } from './vault.js'
+
+const DB_NAME = 'fintrack'
+const DB_VERSION = 1
+const SNAPSHOT_STORE = 'snapshots'
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined'
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'))
+  })
+
+// Each profile has its own database; the default profile keeps the original one.
+const openDatabase = (profileId) => {
+  const request = indexedDB.open(profileKey(DB_NAME, profileId), DB_VERSION)
+
+  request.onupgradeneeded = () => {
+    const db = request.result
+    if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+      const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' })
+      store.createIndex('month', 'month', { unique: false })
+    }
+  }
+
+  return requestToPromise(request)
+}
+
+// In encrypted mode a record keeps only id, month and revision in the clear, which the
+// month index and the conflict checks need; everything else is in `sealed`. Sealing is
+// done before a transaction opens because IndexedDB commits a transaction as soon as
+// it waits on anything else.
+const encodeRecord = async (snapshot, cipher) =>
+  cipher ? { id: snapshot.id, month: snapshot.month, sealed: await cipher.seal(snapshot) } : snapshot
+
+const decodeRecord = async (record, cipher) =>
+  record?.sealed ? { ...(await openValue(record, cipher)), id: record.id, month: record.month, revision: record.revision } : record
+
+const readAll = async (db, cipher) => {
+  const transaction = db.transaction(SNAPSHOT_STORE, 'readonly')
+  const records = await requestToPromise(transaction.objectStore(SNAPSHOT_STORE).getAll())
+  const decoded = await Promise.all(records.map((record) => decodeRecord(record, cipher)))
+  return decoded.map(normalizeSnapshot).filter((snapshot) => snapshot && snapshot.month)
+}
+
+// One-time move of the single localStorage history value into per-snapshot records.
+// It only runs while the object store is still empty, so clearing history later
+// never brings the old localStorage copy back.
+const migrateFromLocalStorage = async (db, cipher) => {
+  const countTransaction = db.transaction(SNAPSHOT_STORE, 'readonly')
+  const count = await requestToPromise(countTransaction.objectStore(SNAPSHOT_STORE).count())
+  if (count > 0) return
+
+  await migrateLegacyHistory(async (snapshots) => {
+    const records = await Promise.all(snapshots.map((snapshot) => encodeRecord(snapshot, cipher)))
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite')
+    const store = transaction.objectStore(SNAPSHOT_STORE)
+    records.forEach((record, index) => store.put({ ...record, revision: snapshots[index].revision || 1 }))
+    await transactionDone(transaction)
+  }, cipher)
+}
+
+export const createIndexedDbHistoryStore = (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  let dbPromise = null
+  let currentCipher = cipher
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(profileId).then(async (db) => {
+        if (profileId === DEFAULT_PROFILE_ID) await migrateFromLocalStorage(db, currentCipher)
+        return db
+      })
+    }
+
+    return dbPromise
+  }
+
+  return {
+    kind: 'indexeddb',
+    load: async () => readAll(await getDb(), currentCipher),
+    write: async (snapshot, expectedRevision) => {
+      const db = await getDb()
+      const encoded = await encodeRecord(snapshot, currentCipher)
+      const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite')
+      const store = transaction.objectStore(SNAPSHOT_STORE)
+      const done = transactionDone(transaction)
+
+      const stored = await requestToPromise(store.get(snapshot.id))
+      const sameMonth = await requestToPromise(store.index('month').getAll(snapshot.month))
+      const conflict = checkWrite(snapshot, stored, sameMonth, expectedRevision)
+
+      if (conflict) {
+        transaction.abort()
+        await done.catch(() => {})
+        conflict.remote = await decodeRecord(conflict.remote, currentCipher)
+        throw conflict
+      }
+
+      const revision = (stored?.revision || 0) + 1
+      store.put({ ...encoded, revision })
+      await done
+      return { ...snapshot, revision }
+    },
+    remove: async (id, expectedRevision) => {
+      const db = await getDb()
+      const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite')
+      const store = transaction.objectStore(SNAPSHOT_STORE)
+      const done = transactionDone(transaction)
+
+      const stored = await requestToPromise(store.get(id))
+      if (expectedRevision !== undefined && stored && stored.revision !== expectedRevision) {
+        transaction.abort()
+        await done.catch(() => {})
+        const remote = await decodeRecord(stored, currentCipher)
+        throw new SnapshotConflictError(remote, remote, 'remove')
+      }
+
+      store.delete(id)
+      await done
+    },
+    clear: async () => {
+      const db = await getDb()
+      const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite')
+      transaction.objectStore(SNAPSHOT_STORE).clear()
+      await transactionDone(transaction)
+    },
+    // Re-encodes every record in place, keeping ids and revisions, when encryption is
+    // switched on or off.
+    convert: async (nextCipher) => {
+      const db = await getDb()
+      const snapshots = await readAll(db, currentCipher)
+      const records = await Promise.all(snapshots.map((snapshot) => encodeRecord(snapshot, nextCipher)))
+
+      const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite')
+      const store = transaction.objectStore(SNAPSHOT_STORE)
+      records.forEach((record, index) => store.put({ ...record, revision: snapshots[index].revision }))
+      await transactionDone(transaction)
+
+      // The records above are converted either way; only the fallback copy can be left behind.
+      const previousCipher = currentCipher
+      currentCipher = nextCipher
+      await convertStoredHistory(previousCipher, nextCipher, profileId)
+    },
+    // Stores opened for a one-off read release their connection here; the next call reopens it.
+    close: async () => {
+      if (!dbPromise) return
+
+      const opened = dbPromise
+      dbPromise = null
+      const db = await opened
+      db.close()
+    },
+  }
+}
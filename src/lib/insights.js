@@ -0,0 +1,212 @@
+import { asCurrency } from './format.js'
+import { addMonths, monthsBetween } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+
+export const INSIGHT_SETTINGS_KEY = 'fintrack_insights_v1'
+
+export const SEVERITIES = ['danger', 'warning', 'positive', 'info']
+
+const percent = (value) => `${value.toFixed(1)}%`
+
+const previousSnapshot = (context) => context.history[context.history.length - 1] || null
+
+const gapNote = (context, snapshot) =>
+  monthsBetween(snapshot.month, context.month) > 1 ? ' (no snapshot for the months in between)' : ''
+
+// Every rule is a pure function of the insight context and its parameters and returns a
+// list of { severity, message, explanation }. Rules that have nothing to say return [].
+export const INSIGHT_RULES = [
+  {
+    id: 'savings-rate',
+    label: 'Savings rate',
+    description: 'Reports the savings rate for the month.',
+    params: [],
+    evaluate: ({ current }) => {
+      if (current.totalIncome <= 0) return []
+
+      return [
+        {
+          severity: current.savingsRate < 0 ? 'danger' : current.savingsRate < 10 ? 'warning' : 'positive',
+          message: `Your savings rate is ${percent(current.savingsRate)}.`,
+          explanation: 'Savings divided by total income for the selected month.',
+        },
+      ]
+    },
+  },
+  {
+    id: 'top-category',
+    label: 'Top spending category',
+    description: 'Names the category with the highest spend this month.',
+    params: [],
+    evaluate: ({ current, currency }) => {
+      const top = current.categories.reduce((highest, category) => (category.amount > (highest?.amount || 0) ? category : highest), null)
+      if (!top) return []
+
+      return [
+        {
+          severity: 'info',
+          message: `Top spending category: ${top.name} at ${asCurrency(top.amount, currency)}.`,
+          explanation: 'The category with the largest total among this month’s transactions.',
+        },
+      ]
+    },
+  },
+  {
+    id: 'category-share',
+    label: 'Category share of income',
+    description: 'Flags categories that take more than the given share of income.',
+    params: [{ key: 'threshold', label: 'Share of income (%)', defaultValue: 30 }],
+    evaluate: ({ current }, { threshold }) => {
+      if (current.totalIncome <= 0) return []
+
+      return current.categories
+        .map((category) => ({ ...category, share: (category.amount / current.totalIncome) * 100 }))
+        .filter((category) => category.share > threshold)
+        .map((category) => ({
+          severity: 'warning',
+          message: `${category.name} is ${percent(category.share)} of your income.`,
+          explanation: `Flagged because it is above the ${threshold}% threshold.`,
+        }))
+    },
+  },
+  {
+    id: 'largest-change',
+    label: 'Largest month-over-month change',
+    description: 'Finds the category whose spend moved the most since the previous saved month.',
+    params: [{ key: 'minimumChange', label: 'Minimum change', defaultValue: 50 }],
+    evaluate: (context, { minimumChange }) => {
+      const previous = previousSnapshot(context)
+      if (!previous) return []
+
+      const names = new Set([...context.current.categories, ...previous.categories].map((category) => category.name))
+      const amountIn = (categories, name) => categories.find((category) => category.name === name)?.amount || 0
+      const largest = [...names]
+        .map((name) => ({ name, change: amountIn(context.current.categories, name) - amountIn(previous.categories, name) }))
+        .reduce((best, entry) => (Math.abs(entry.change) > Math.abs(best?.change || 0) ? entry : best), null)
+
+      if (!largest || Math.abs(largest.change) < minimumChange) return []
+
+      return [
+        {
+          severity: largest.change > 0 ? 'warning' : 'positive',
+          message: `${largest.name} ${largest.change > 0 ? 'rose' : 'fell'} by ${asCurrency(Math.abs(largest.change), context.currency)} since ${previous.month}.`,
+          explanation: `Compared with the snapshot for ${previous.month}${gapNote(context, previous)}; changes under ${asCurrency(minimumChange, context.currency)} are ignored.`,
+        },
+      ]
+    },
+  },
+  {
+    id: 'target-streak',
+    label: 'Target streak',
+    description: 'Celebrates consecutive months that met the savings target.',
+    params: [{ key: 'minimumStreak', label: 'Minimum months', defaultValue: 2 }],
+    evaluate: (context, { minimumStreak }) => {
+      const months = [...context.history, { month: context.month, ...context.current }]
+      const byMonth = new Map(months.map((snapshot) => [snapshot.month, snapshot]))
+      const metTarget = (snapshot) => snapshot && snapshot.targetSavings > 0 && snapshot.savings >= snapshot.targetSavings
+
+      let streak = 0
+      while (metTarget(byMonth.get(addMonths(context.month, -streak)))) streak += 1
+
+      if (streak < minimumStreak) return []
+
+      return [
+        {
+          severity: 'positive',
+          message: `You have beaten your savings target ${streak} months in a row.`,
+          explanation: 'Counts back from this month; a month without a snapshot or target ends the streak.',
+        },
+      ]
+    },
+  },
+  {
+    id: 'income-drop',
+    label: 'Income drop',
+    description: 'Warns when income falls below the average of recent saved months.',
+    params: [
+      { key: 'threshold', label: 'Drop (%)', defaultValue: 10 },
+      { key: 'months', label: 'Months to average', defaultValue: 3 },
+    ],
+    evaluate: (context, { threshold, months }) => {
+      const recent = context.history.filter((snapshot) => monthsBetween(snapshot.month, context.month) <= months)
+      if (recent.length === 0) return []
+
+      const average = recent.reduce((sum, snapshot) => sum + snapshot.totalIncome, 0) / recent.length
+      if (average <= 0) return []
+
+      const drop = ((average - context.current.totalIncome) / average) * 100
+      if (drop < threshold) return []
+
+      return [
+        {
+          severity: drop >= threshold * 2.5 ? 'danger' : 'warning',
+          message: `Income is ${percent(drop)} below your recent average of ${asCurrency(average, context.currency)}.`,
+          explanation: `Average of ${recent.length} saved month${recent.length === 1 ? '' : 's'} within the last ${months}; flagged above a ${threshold}% drop.`,
+        },
+      ]
+    },
+  },
+]
+
+export const defaultInsightSettings = () => ({
+  disabled: [],
+  params: Object.fromEntries(
+    INSIGHT_RULES.map((rule) => [rule.id, Object.fromEntries(rule.params.map((param) => [param.key, param.defaultValue]))]),
+  ),
+})
+
+export const normalizeInsightSettings = (settings) => {
+  const defaults = defaultInsightSettings()
+  if (!settings || typeof settings !== 'object') return defaults
+
+  return {
+    disabled: Array.isArray(settings.disabled)
+      ? settings.disabled.filter((id) => INSIGHT_RULES.some((rule) => rule.id === id))
+      : [],
+    params: Object.fromEntries(
+      INSIGHT_RULES.map((rule) => [
+        rule.id,
+        Object.fromEntries(
+          rule.params.map((param) => {
+            const value = Number(settings.params?.[rule.id]?.[param.key])
+            return [param.key, Number.isFinite(value) && value >= 0 ? value : param.defaultValue]
+          }),
+        ),
+      ]),
+    ),
+  }
+}
+
+export const loadInsightSettings = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return defaultInsightSettings()
+
+  try {
+    return normalizeInsightSettings(JSON.parse(window.localStorage.getItem(profileKey(INSIGHT_SETTINGS_KEY, profileId)) || 'null'))
+  } catch {
+    return defaultInsightSettings()
+  }
+}
+
+export const saveInsightSettings = (settings, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(INSIGHT_SETTINGS_KEY, profileId), JSON.stringify(settings))
+}
+
+// `history` holds saved snapshots in `currency`, oldest first, excluding `month` itself,
+// which is described by the form totals in `current`.
+export const buildInsightContext = ({ month, current, history, currency }) => ({
+  month,
+  currency,
+  current,
+  history: history
+    .filter((snapshot) => snapshot.month < month)
+    .sort((a, b) => a.month.localeCompare(b.month) || a.createdAt - b.createdAt),
+})
+
+export const evaluateInsights = (context, settings = defaultInsightSettings(), rules = INSIGHT_RULES) =>
+  rules
+    .filter((rule) => !settings.disabled.includes(rule.id))
+    .flatMap((rule) =>
+      rule.evaluate(context, settings.params[rule.id] || {}).map((insight) => ({ ...insight, ruleId: rule.id })),
+    )
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
@@ -0,0 +1,109 @@
+import { DEFAULT_CURRENCY, normalizeCurrency, toBase } from './currency.js'
+import { makeId } from './id.js'
+
+export const LEGACY_TOTAL_PAYEE = 'Monthly total'
+
+export const firstDayOfMonth = (month) => (month ? `${month}-01` : '')
+
+// Tags are free-form labels such as "vacation-2026" that cut across categories. They are
+// compared case-insensitively, so they are stored lower-case with spaces as hyphens.
+export const normalizeTag = (value) =>
+  String(value || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+
+// Accepts an array or the comma-separated text the ledger edits.
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',')
+  return [...new Set(list.map(normalizeTag).filter(Boolean))]
+}
+
+export const createTransaction = (month, category = '', currency = DEFAULT_CURRENCY) => ({
+  id: makeId(),
+  date: firstDayOfMonth(month),
+  payee: '',
+  amount: '',
+  currency,
+  category,
+  note: '',
+})
+
+export const normalizeTransaction = (transaction, fallbackCurrency = DEFAULT_CURRENCY) => {
+  if (!transaction || typeof transaction !== 'object') return null
+
+  const category = String(transaction.category || '').trim()
+  if (!category) return null
+
+  const normalized = {
+    id: typeof transaction.id === 'string' && transaction.id ? transaction.id : makeId(),
+    date: typeof transaction.date === 'string' ? transaction.date : '',
+    payee: String(transaction.payee || '').trim(),
+    amount: Number(transaction.amount) || 0,
+    currency: normalizeCurrency(transaction.currency, fallbackCurrency),
+    category,
+    note: String(transaction.note || '').trim(),
+  }
+
+  if (typeof transaction.importId === 'string' && transaction.importId) {
+    normalized.importId = transaction.importId
+  }
+
+  if (typeof transaction.recurringId === 'string' && transaction.recurringId) {
+    normalized.recurringId = transaction.recurringId
+  }
+
+  if (typeof transaction.debtId === 'string' && transaction.debtId) {
+    normalized.debtId = transaction.debtId
+  }
+
+  const tags = normalizeTags(transaction.tags)
+  if (tags.length > 0) normalized.tags = tags
+
+  return normalized
+}
+
+// Snapshots saved before the ledger existed only carry one total per category.
+// Each non-zero total becomes a single transaction so the ledger stays the source of truth.
+export const transactionsFromCategoryTotals = (categories, month, currency = DEFAULT_CURRENCY) =>
+  categories
+    .filter((category) => Number(category.amount))
+    .map((category) => ({
+      id: makeId(),
+      date: firstDayOfMonth(month),
+      payee: LEGACY_TOTAL_PAYEE,
+      amount: Number(category.amount) || 0,
+      currency,
+      category: category.name,
+      note: '',
+    }))
+
+export const sumByCategory = (transactions, categoryNames, rates = {}) => {
+  const sums = new Map(categoryNames.map((name) => [name, 0]))
+
+  transactions.forEach((transaction) => {
+    if (!sums.has(transaction.category)) return
+    sums.set(transaction.category, sums.get(transaction.category) + toBase(transaction.amount, transaction.currency, rates))
+  })
+
+  return categoryNames.map((name) => ({ name, amount: sums.get(name) }))
+}
+
+export const mergeCategoryNames = (categoryNames, transactions) => {
+  const names = [...categoryNames]
+
+  transactions.forEach((transaction) => {
+    if (transaction.category && !names.includes(transaction.category)) names.push(transaction.category)
+  })
+
+  return names
+}
+
+export const countByCategory = (transactions) =>
+  transactions.reduce((counts, transaction) => {
+    counts[transaction.category] = (counts[transaction.category] || 0) + 1
+    return counts
+  }, {})
+
+export const byTransactionDate = (a, b) => a.date.localeCompare(b.date)
@@ -0,0 +1,13 @@
+export const isMonth = (value) => typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value)
+
+export const monthsBetween = (fromMonth, toMonth) => {
+  const [fromYear, fromIndex] = fromMonth.split('-').map(Number)
+  const [toYear, toIndex] = toMonth.split('-').map(Number)
+  return (toYear - fromYear) * 12 + (toIndex - fromIndex)
+}
+
+export const addMonths = (month, count) => {
+  const [year, index] = month.split('-').map(Number)
+  const total = year * 12 + (index - 1) + count
+  return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`
+}
@@ -0,0 +1,57 @@
+import { netWorthOf } from './accounts.js'
+import { monthsBetween } from './months.js'
+import { currencyFactor } from './snapshots.js'
+
+// A month's gap between savings and the change in net worth is flagged once it is
+// larger than this share of the month's income or spending, whichever is bigger.
+export const RECONCILE_TOLERANCE = 0.01
+
+/**
+ * Net worth per month in `currency`, oldest first, for months with recorded balances.
+ * Each month after a directly preceding one is reconciled: `change` is the actual
+ * movement in net worth, `gap` what `savings` does not explain (market moves, transfers
+ * to untracked accounts, missing transactions). Months without a rate to `currency`
+ * are listed in `skipped`.
+ */
+export const buildNetWorth = (snapshots, currency, rateTable = []) => {
+  const latestByMonth = new Map()
+  snapshots.forEach((snapshot) => {
+    if (!snapshot.balances?.length) return
+
+    const previous = latestByMonth.get(snapshot.month)
+    if (!previous || snapshot.createdAt > previous.createdAt) latestByMonth.set(snapshot.month, snapshot)
+  })
+
+  const months = []
+  const skipped = []
+
+  const ordered = [...latestByMonth.values()].sort((a, b) => a.month.localeCompare(b.month))
+  ordered.forEach((snapshot) => {
+    const factor = currencyFactor(snapshot, currency, rateTable)
+    if (factor === null) {
+      skipped.push(snapshot.month)
+      return
+    }
+
+    const worth = netWorthOf(snapshot)
+    const previous = months[months.length - 1]
+    const savings = snapshot.savings * factor
+    const netWorth = worth.netWorth * factor
+    const change = previous && monthsBetween(previous.month, snapshot.month) === 1 ? netWorth - previous.netWorth : null
+    const gap = change === null ? null : change - savings
+    const tolerance = Math.max(snapshot.totalIncome, snapshot.totalExpense) * factor * RECONCILE_TOLERANCE
+
+    months.push({
+      month: snapshot.month,
+      assets: worth.assets * factor,
+      liabilities: worth.liabilities * factor,
+      netWorth,
+      savings,
+      change,
+      gap,
+      flagged: gap !== null && Math.abs(gap) > Math.max(tolerance, 1),
+    })
+  })
+
+  return { months, skipped }
+}
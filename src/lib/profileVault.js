@@ -0,0 +1,49 @@
+import { ACTIVITY_KEY } from './activity.js'
+import { DEBTS_KEY } from './debts.js'
+import { createHistoryStore } from './historyRepository.js'
+import { profileKey } from './profiles.js'
+import { SCENARIOS_KEY } from './scenarios.js'
+import { SYNC_KEY } from './sync.js'
+import { convertStoredValues, openStoredValues } from './vault.js'
+
+// Everything besides history that a profile keeps sealed in encrypted mode.
+const SEALED_KEYS = [ACTIVITY_KEY, SYNC_KEY, SCENARIOS_KEY, DEBTS_KEY]
+
+const sealedKeys = (profileId) => SEALED_KEYS.map((key) => profileKey(key, profileId))
+
+/**
+ * Re-seals a profile that is not open for another cipher (null = plain); one vault covers
+ * every profile. History and every sealed value are read before anything is written, so a
+ * profile with something that cannot be opened throws and is left exactly as it was.
+ */
+export const convertProfile = async (profileId, fromCipher, toCipher) => {
+  const store = createHistoryStore(fromCipher, profileId)
+
+  try {
+    await store.load()
+    await convertStoredValues(sealedKeys(profileId), fromCipher, toCipher)
+    await store.convert(toCipher)
+  } finally {
+    await store.close()
+  }
+}
+
+// The profiles whose history or sealed values cannot be opened with `cipher`. Nothing is
+// written, so this can run before a conversion that must not start unless all of them open.
+export const unreadableProfiles = async (profiles, cipher) => {
+  const unreadable = []
+
+  for (const profile of profiles) {
+    const store = createHistoryStore(cipher, profile.id)
+    try {
+      await store.load()
+      await openStoredValues(sealedKeys(profile.id), cipher)
+    } catch {
+      unreadable.push(profile)
+    } finally {
+      await store.close()
+    }
+  }
+
+  return unreadable
+}
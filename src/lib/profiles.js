@@ -0,0 +1,78 @@
+import { makeId } from './id.js'
+
+export const PROFILES_KEY = 'fintrack_profiles_v1'
+export const DEFAULT_PROFILE_ID = 'default'
+
+/**
+ * The storage key (or IndexedDB database name) for `key` in a profile. The default
+ * profile keeps the unscoped key, so everything saved before profiles existed becomes
+ * the default profile without a migration.
+ */
+export const profileKey = (key, profileId = DEFAULT_PROFILE_ID) =>
+  profileId === DEFAULT_PROFILE_ID ? key : `${key}:${profileId}`
+
+export const defaultProfiles = () => ({
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Me' }],
+  activeId: DEFAULT_PROFILE_ID,
+  household: [],
+})
+
+export const normalizeProfiles = (value) => {
+  if (!value || typeof value !== 'object') return defaultProfiles()
+
+  const profiles = []
+  const candidates = Array.isArray(value.profiles) ? value.profiles : []
+  candidates.forEach((profile) => {
+    const id = typeof profile?.id === 'string' ? profile.id : ''
+    const name = String(profile?.name || '').trim()
+    if (id && name && !profiles.some((entry) => entry.id === id)) profiles.push({ id, name })
+  })
+  if (!profiles.some((profile) => profile.id === DEFAULT_PROFILE_ID)) profiles.unshift(defaultProfiles().profiles[0])
+
+  const ids = profiles.map((profile) => profile.id)
+  const household = Array.isArray(value.household) ? value.household.filter((id) => ids.includes(id)) : []
+
+  return {
+    profiles,
+    activeId: ids.includes(value.activeId) ? value.activeId : DEFAULT_PROFILE_ID,
+    household: [...new Set(household)],
+  }
+}
+
+export const loadProfiles = () => {
+  if (typeof window === 'undefined') return defaultProfiles()
+
+  try {
+    return normalizeProfiles(JSON.parse(window.localStorage.getItem(PROFILES_KEY) || 'null'))
+  } catch {
+    return defaultProfiles()
+  }
+}
+
+export const saveProfiles = (registry) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(PROFILES_KEY, JSON.stringify(registry))
+}
+
+const isNameTaken = (registry, name, exceptId = null) =>
+  registry.profiles.some((profile) => profile.id !== exceptId && profile.name.toLowerCase() === name.toLowerCase())
+
+// A new profile starts empty and becomes the active one. Blank or duplicate names leave
+// the registry unchanged.
+export const addProfile = (registry, name) => {
+  const cleanName = String(name || '').trim()
+  if (!cleanName || isNameTaken(registry, cleanName)) return registry
+
+  const profile = { id: makeId(), name: cleanName }
+  return { ...registry, profiles: [...registry.profiles, profile], activeId: profile.id }
+}
+
+export const renameProfile = (registry, profileId, name) => {
+  const cleanName = String(name || '').trim()
+  if (!cleanName || isNameTaken(registry, cleanName, profileId)) return registry
+
+  return {
+    ...registry,
+    profiles: registry.profiles.map((profile) => (profile.id === profileId ? { ...profile, name: cleanName } : profile)),
+  }
+}
@@ -0,0 +1,121 @@
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js'
+import { makeId } from './id.js'
+import { isMonth, monthsBetween } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+
+export const RECURRING_KEY = 'fintrack_recurring_v1'
+
+export const CADENCES = [
+  { value: 'monthly', label: 'Monthly', step: 1 },
+  { value: 'quarterly', label: 'Quarterly', step: 3 },
+  { value: 'yearly', label: 'Yearly', step: 12 },
+  { value: 'every-n', label: 'Every N months', step: null },
+]
+
+export const createRecurringItem = (startMonth, currency = DEFAULT_CURRENCY) => ({
+  id: makeId(),
+  name: '',
+  kind: 'expense',
+  category: '',
+  amount: '',
+  currency,
+  cadence: 'monthly',
+  interval: 2,
+  startMonth,
+  endMonth: '',
+  changes: [],
+})
+
+export const normalizeRecurringItem = (item) => {
+  if (!item || typeof item !== 'object') return null
+
+  const name = String(item.name || '').trim()
+  const kind = item.kind === 'income' ? 'income' : 'expense'
+  const category = String(item.category || '').trim()
+  if (!name || !isMonth(item.startMonth) || (kind === 'expense' && !category)) return null
+
+  return {
+    id: typeof item.id === 'string' && item.id ? item.id : makeId(),
+    name,
+    kind,
+    category: kind === 'expense' ? category : '',
+    amount: Number(item.amount) || 0,
+    currency: normalizeCurrency(item.currency),
+    cadence: CADENCES.some((cadence) => cadence.value === item.cadence) ? item.cadence : 'monthly',
+    interval: Math.max(1, Math.round(Number(item.interval) || 1)),
+    startMonth: item.startMonth,
+    endMonth: isMonth(item.endMonth) && item.endMonth >= item.startMonth ? item.endMonth : '',
+    changes: Array.isArray(item.changes)
+      ? item.changes
+          .filter((change) => isMonth(change?.fromMonth) && Number(change?.amount) >= 0)
+          .map((change) => ({ fromMonth: change.fromMonth, amount: Number(change.amount) || 0 }))
+          .sort((a, b) => a.fromMonth.localeCompare(b.fromMonth))
+      : [],
+  }
+}
+
+export const loadRecurringItems = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(profileKey(RECURRING_KEY, profileId)) || '[]')
+    return Array.isArray(parsed) ? parsed.map(normalizeRecurringItem).filter(Boolean) : []
+  } catch {
+    return []
+  }
+}
+
+export const saveRecurringItems = (items, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(RECURRING_KEY, profileId), JSON.stringify(items))
+}
+
+const cadenceStep = (item) => CADENCES.find((cadence) => cadence.value === item.cadence)?.step || item.interval
+
+export const occursInMonth = (item, month) => {
+  if (!isMonth(month) || month < item.startMonth) return false
+  if (item.endMonth && month > item.endMonth) return false
+  return monthsBetween(item.startMonth, month) % cadenceStep(item) === 0
+}
+
+export const amountForMonth = (item, month) => {
+  const change = [...item.changes].reverse().find((entry) => entry.fromMonth <= month)
+  return change ? change.amount : item.amount
+}
+
+export const describeCadence = (item) =>
+  item.cadence === 'every-n' ? `Every ${item.interval} months` : CADENCES.find((cadence) => cadence.value === item.cadence)?.label
+
+// Builds the form values a month starts with: one income source per income item and one
+// transaction per expense item, both marked as prefilled.
+export const prefillForMonth = (items, month) => {
+  const due = items.filter((item) => occursInMonth(item, month))
+
+  const incomeSources = due
+    .filter((item) => item.kind === 'income')
+    .map((item) => ({
+      id: makeId(),
+      name: item.name,
+      amount: String(amountForMonth(item, month)),
+      currency: item.currency,
+      oneOff: false,
+      recurringId: item.id,
+      prefilled: true,
+    }))
+
+  const transactions = due
+    .filter((item) => item.kind === 'expense')
+    .map((item) => ({
+      id: makeId(),
+      date: `${month}-01`,
+      payee: item.name,
+      amount: String(amountForMonth(item, month)),
+      currency: item.currency,
+      category: item.category,
+      note: '',
+      recurringId: item.id,
+      prefilled: true,
+    }))
+
+  return { incomeSources, transactions }
+}
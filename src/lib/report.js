@@ -0,0 +1,171 @@
+import { byOldestMonth, categoryTotalsAcross, highestCategory, savingsRate } from './analytics.js'
+import { toCsv } from './csv.js'
+import { DEFAULT_CURRENCY } from './currency.js'
+import { asCurrency } from './format.js'
+import { savingsRateWithoutOneOff } from './income.js'
+import { snapshotInCurrency } from './snapshots.js'
+
+export const REPORT_FORMATS = ['text', 'json', 'csv']
+export const REPORT_TABLES = ['months', 'categories']
+
+const round = (value) => Math.round(value * 100) / 100
+
+const mostCommonCurrency = (snapshots) => {
+  const counts = new Map()
+  snapshots.forEach((snapshot) => counts.set(snapshot.baseCurrency, (counts.get(snapshot.baseCurrency) || 0) + 1))
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || DEFAULT_CURRENCY
+}
+
+// The latest snapshot of every saved month between `from` and `to`, oldest first, in the
+// report currency. Months that cannot be expressed in it are listed in `skipped` instead
+// of being mixed into the totals.
+export const reportMonths = (snapshots, { currency, rateTable = [], from = '', to = '' } = {}) => {
+  const inRange = snapshots.filter((snapshot) => (!from || snapshot.month >= from) && (!to || snapshot.month <= to))
+  const latest = [...new Map([...inRange].sort(byOldestMonth).map((snapshot) => [snapshot.month, snapshot])).values()]
+  const reportCurrency = currency || mostCommonCurrency(latest)
+  const converted = latest.map((snapshot) => snapshotInCurrency(snapshot, reportCurrency, rateTable))
+
+  return {
+    currency: reportCurrency,
+    included: converted.filter((snapshot) => snapshot.displayCurrency === reportCurrency),
+    skipped: converted.filter((snapshot) => snapshot.displayCurrency !== reportCurrency).map((snapshot) => snapshot.month),
+  }
+}
+
+// The figures the dashboard shows, for every saved month between `from` and `to`.
+export const buildReport = (snapshots, options = {}) => {
+  const { currency: reportCurrency, included, skipped } = reportMonths(snapshots, options)
+  const totalIncome = included.reduce((sum, snapshot) => sum + snapshot.totalIncome, 0)
+  const totalExpense = included.reduce((sum, snapshot) => sum + snapshot.totalExpense, 0)
+
+  return {
+    currency: reportCurrency,
+    from: included[0]?.month || null,
+    to: included[included.length - 1]?.month || null,
+    months: included.map((snapshot) => ({
+      month: snapshot.month,
+      totalIncome: snapshot.totalIncome,
+      totalExpense: snapshot.totalExpense,
+      savings: snapshot.savings,
+      savingsRate: snapshot.savingsRate,
+      savingsRateWithoutOneOff: savingsRateWithoutOneOff(snapshot),
+      highestCategory: highestCategory(snapshot.categories).name,
+    })),
+    categories: categoryTotalsAcross(included).map((category) => ({
+      ...category,
+      share: totalExpense > 0 ? (category.amount / totalExpense) * 100 : 0,
+    })),
+    summary: {
+      totalIncome,
+      totalExpense,
+      savings: totalIncome - totalExpense,
+      savingsRate: savingsRate(totalIncome, totalIncome - totalExpense),
+    },
+    skipped,
+  }
+}
+
+const formatRate = (value) => (value === null ? '' : `${value.toFixed(1)}%`)
+
+const renderTable = (rows, alignRight) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)))
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) =>
+          alignRight[column] ? String(cell).padStart(widths[column]) : String(cell).padEnd(widths[column]),
+        )
+        .join('  ')
+        .trimEnd(),
+    )
+    .join('\n')
+}
+
+export const formatReportText = (report) => {
+  const money = (value) => asCurrency(value, report.currency)
+  const lines = []
+
+  if (report.months.length === 0) {
+    lines.push(`No saved months to report in ${report.currency}.`)
+  } else {
+    lines.push(`FinTrack report (${report.currency}), ${report.from} to ${report.to}, ${report.months.length} month(s)`, '')
+    lines.push(
+      renderTable(
+        [
+          ['Month', 'Income', 'Expense', 'Savings', 'Rate', 'Excl. one-off', 'Top category'],
+          ...report.months.map((month) => [
+            month.month,
+            money(month.totalIncome),
+            money(month.totalExpense),
+            money(month.savings),
+            formatRate(month.savingsRate),
+            formatRate(month.savingsRateWithoutOneOff),
+            month.highestCategory,
+          ]),
+          [
+            'Total',
+            money(report.summary.totalIncome),
+            money(report.summary.totalExpense),
+            money(report.summary.savings),
+            formatRate(report.summary.savingsRate),
+            '',
+            '',
+          ],
+        ],
+        [false, true, true, true, true, true, false],
+      ),
+    )
+
+    if (report.categories.length > 0) {
+      lines.push('', 'Category totals', '')
+      lines.push(
+        renderTable(
+          [
+            ['Category', 'Amount', 'Share'],
+            ...report.categories.map((category) => [category.name, money(category.amount), formatRate(category.share)]),
+          ],
+          [false, true, true],
+        ),
+      )
+    }
+
+    lines.push('', `Savings rate: ${formatRate(report.summary.savingsRate)}`)
+  }
+
+  if (report.skipped.length > 0) {
+    lines.push('', `Skipped (no ${report.currency} rate): ${report.skipped.join(', ')}`)
+  }
+
+  return `${lines.join('\n')}\n`
+}
+
+export const formatReportJson = (report) => `${JSON.stringify(report, null, 2)}\n`
+
+export const formatReportCsv = (report, table = 'months') => {
+  if (table === 'categories') {
+    return `${toCsv([
+      ['category', 'currency', 'amount', 'share'],
+      ...report.categories.map((category) => [category.name, report.currency, round(category.amount), round(category.share)]),
+    ])}\r\n`
+  }
+
+  return `${toCsv([
+    ['month', 'currency', 'income', 'expense', 'savings', 'savingsRate', 'savingsRateWithoutOneOff', 'highestCategory'],
+    ...report.months.map((month) => [
+      month.month,
+      report.currency,
+      round(month.totalIncome),
+      round(month.totalExpense),
+      round(month.savings),
+      round(month.savingsRate),
+      month.savingsRateWithoutOneOff === null ? '' : round(month.savingsRateWithoutOneOff),
+      month.highestCategory,
+    ]),
+  ])}\r\n`
+}
+
+export const formatReport = (report, format = 'text', { table } = {}) => {
+  if (format === 'json') return formatReportJson(report)
+  if (format === 'csv') return formatReportCsv(report, table)
+  return formatReportText(report)
+}
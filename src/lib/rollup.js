@@ -0,0 +1,320 @@
+import { categoryTotalsAcross, savingsRate } from './analytics.js'
+import { asCurrency } from './format.js'
+import { allocateSavings } from './goals.js'
+import { addMonths } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { reportMonths } from './report.js'
+
+export const ROLLUP_SETTINGS_KEY = 'fintrack_rollups_v1'
+
+export const ROLLUP_PERIODS = [
+  { value: 'quarter', label: 'Quarterly', months: 3 },
+  { value: 'year', label: 'Annual', months: 12 },
+]
+
+export const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+]
+
+export const defaultRollupSettings = () => ({ period: 'year', fiscalStartMonth: 1 })
+
+export const normalizeRollupSettings = (settings) => {
+  const defaults = defaultRollupSettings()
+  if (!settings || typeof settings !== 'object') return defaults
+
+  const fiscalStartMonth = Number(settings.fiscalStartMonth)
+
+  return {
+    period: ROLLUP_PERIODS.some((period) => period.value === settings.period) ? settings.period : defaults.period,
+    fiscalStartMonth: Number.isInteger(fiscalStartMonth) && fiscalStartMonth >= 1 && fiscalStartMonth <= 12 ? fiscalStartMonth : 1,
+  }
+}
+
+export const loadRollupSettings = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return defaultRollupSettings()
+
+  try {
+    return normalizeRollupSettings(JSON.parse(window.localStorage.getItem(profileKey(ROLLUP_SETTINGS_KEY, profileId)) || 'null'))
+  } catch {
+    return defaultRollupSettings()
+  }
+}
+
+export const saveRollupSettings = (settings, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(profileKey(ROLLUP_SETTINGS_KEY, profileId), JSON.stringify(settings))
+}
+
+// The quarter or year a month falls in. Fiscal years are named after the calendar year
+// they start in ("FY 2025/26" starts in 2025); quarters count from the fiscal start.
+export const periodOf = (month, period, fiscalStartMonth = 1) => {
+  const [year, index] = month.split('-').map(Number)
+  const fiscalYear = index >= fiscalStartMonth ? year : year - 1
+  const yearStart = `${fiscalYear}-${String(fiscalStartMonth).padStart(2, '0')}`
+  const yearLabel = fiscalStartMonth === 1 ? String(fiscalYear) : `FY ${fiscalYear}/${String(fiscalYear + 1).slice(-2)}`
+
+  if (period === 'quarter') {
+    const quarter = Math.floor(((index - fiscalStartMonth + 12) % 12) / 3) + 1
+    const start = addMonths(yearStart, (quarter - 1) * 3)
+    return { start, end: addMonths(start, 2), label: `Q${quarter} ${yearLabel}` }
+  }
+
+  return { start: yearStart, end: addMonths(yearStart, 11), label: yearLabel }
+}
+
+const sum = (snapshots, field) => snapshots.reduce((total, snapshot) => total + snapshot[field], 0)
+
+// Category spend of a period next to its share in the previous period that has data.
+// Categories that only appeared in the previous period are kept with an amount of 0.
+const categoryShares = (snapshots, totalExpense, previous) => {
+  const current = categoryTotalsAcross(snapshots).map((category) => ({
+    ...category,
+    share: totalExpense > 0 ? (category.amount / totalExpense) * 100 : 0,
+  }))
+  if (!previous) return current.map((category) => ({ ...category, previousShare: null, shift: null }))
+
+  const previousShares = new Map(previous.categories.map((category) => [category.name, category.share]))
+  const dropped = previous.categories
+    .filter((category) => category.amount !== 0 && !current.some((entry) => entry.name === category.name))
+    .map((category) => ({ name: category.name, amount: 0, share: 0 }))
+
+  return [...current, ...dropped].map((category) => {
+    const previousShare = previousShares.get(category.name) || 0
+    return { ...category, previousShare, shift: category.share - previousShare }
+  })
+}
+
+// Goal progress within a period and in total by its last month. Only goals that run
+// during the period are listed; amounts are in each goal's own currency.
+const goalAttainment = (allocations, period) =>
+  allocations
+    .filter(({ goal }) => goal.startMonth <= period.end && goal.deadline >= period.start)
+    .map(({ goal, contributions, unconverted }) => {
+      const contributed = contributions
+        .filter((contribution) => contribution.month >= period.start && contribution.month <= period.end)
+        .reduce((total, contribution) => total + contribution.amount, 0)
+      const savedToDate = contributions
+        .filter((contribution) => contribution.month <= period.end)
+        .reduce((total, contribution) => total + contribution.amount, 0)
+
+      return {
+        id: goal.id,
+        name: goal.name,
+        currency: goal.currency,
+        targetAmount: goal.targetAmount,
+        deadline: goal.deadline,
+        contributed,
+        savedToDate,
+        progress: Math.min(100, (savedToDate / goal.targetAmount) * 100),
+        reached: savedToDate >= goal.targetAmount,
+        unconverted: unconverted.filter((month) => month >= period.start && month <= period.end),
+      }
+    })
+
+/**
+ * Aggregates saved months into quarters or (fiscal) years in one currency: totals,
+ * monthly averages, best and worst month by savings, category shares with their shift
+ * against the previous period, and goal attainment. Periods without saved months are
+ * left out; `monthCount` against `expectedMonths` shows partial periods.
+ */
+export const buildRollup = (
+  snapshots,
+  { period = 'year', fiscalStartMonth = 1, currency, rateTable = [], goals = [], from = '', to = '' } = {},
+) => {
+  const { currency: reportCurrency, included, skipped } = reportMonths(snapshots, { currency, rateTable, from, to })
+  const expectedMonths = ROLLUP_PERIODS.find((entry) => entry.value === period)?.months || 12
+  const allocations = allocateSavings(goals, snapshots, rateTable)
+
+  const groups = new Map()
+  included.forEach((snapshot) => {
+    const range = periodOf(snapshot.month, period, fiscalStartMonth)
+    if (!groups.has(range.start)) groups.set(range.start, { ...range, snapshots: [] })
+    groups.get(range.start).snapshots.push(snapshot)
+  })
+
+  const ordered = [...groups.values()].sort((a, b) => a.start.localeCompare(b.start))
+  const periods = []
+
+  ordered.forEach((group) => {
+    const previous = periods[periods.length - 1] || null
+    const monthCount = group.snapshots.length
+    const totalIncome = sum(group.snapshots, 'totalIncome')
+    const totalExpense = sum(group.snapshots, 'totalExpense')
+    const bySavings = [...group.snapshots].sort((a, b) => b.savings - a.savings || a.month.localeCompare(b.month))
+    const pick = (snapshot) => ({ month: snapshot.month, savings: snapshot.savings, savingsRate: snapshot.savingsRate })
+
+    periods.push({
+      label: group.label,
+      start: group.start,
+      end: group.end,
+      months: group.snapshots.map((snapshot) => snapshot.month),
+      monthCount,
+      expectedMonths,
+      totals: {
+        totalIncome,
+        totalExpense,
+        savings: totalIncome - totalExpense,
+        savingsRate: savingsRate(totalIncome, totalIncome - totalExpense),
+      },
+      averages: {
+        totalIncome: totalIncome / monthCount,
+        totalExpense: totalExpense / monthCount,
+        savings: (totalIncome - totalExpense) / monthCount,
+      },
+      best: pick(bySavings[0]),
+      worst: pick(bySavings[bySavings.length - 1]),
+      comparedTo: previous ? previous.label : null,
+      categories: categoryShares(group.snapshots, totalExpense, previous),
+      goals: goalAttainment(allocations, group),
+    })
+  })
+
+  return { currency: reportCurrency, period, fiscalStartMonth, periods, skipped }
+}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const percent = (value) => (value === null ? '—' : `${value.toFixed(1)}%`)
+const points = (value) => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)} pts`)
+
+const table = (headers, rows, numericFrom = 1) => `
+  <table>
+    <thead><tr>${headers.map((header, index) => `<th${index >= numericFrom ? ' class="num"' : ''}>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>
+${rows
+  .map((row) => `      <tr>${row.map((cell, index) => `<td${index >= numericFrom ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+  .join('\n')}
+    </tbody>
+  </table>`
+
+const REPORT_STYLES = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.2rem; margin: 2rem 0 0.5rem; border-bottom: 2px solid #4f46e5; padding-bottom: 0.25rem; }
+  h3 { font-size: 1rem; margin: 1.25rem 0 0.4rem; }
+  p.meta, p.note { color: #475569; margin: 0.25rem 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { padding: 0.35rem 0.5rem; border-bottom: 1px solid #e2e8f0; text-align: left; }
+  th { background: #f1f5f9; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    section.period { break-before: page; }
+    th { background: none; }
+  }`
+
+/**
+ * A standalone HTML document for the rollup: no scripts or external assets, so it can be
+ * printed, archived or sent as a single file.
+ */
+export const formatRollupHtml = (rollup, { title = 'FinTrack report', generatedAt = new Date() } = {}) => {
+  const money = (value, currency = rollup.currency) => asCurrency(value, currency)
+  const periodLabel = ROLLUP_PERIODS.find((entry) => entry.value === rollup.period)?.label || 'Annual'
+  const fiscalNote = rollup.fiscalStartMonth === 1 ? 'calendar years' : `fiscal years starting in ${MONTH_NAMES[rollup.fiscalStartMonth - 1]}`
+
+  const overview = table(
+    ['Period', 'Months', 'Income', 'Expense', 'Savings', 'Savings rate', 'Avg. savings / month', 'Best month', 'Worst month'],
+    rollup.periods.map((period) => [
+      period.label,
+      `${period.monthCount} / ${period.expectedMonths}`,
+      money(period.totals.totalIncome),
+      money(period.totals.totalExpense),
+      money(period.totals.savings),
+      percent(period.totals.savingsRate),
+      money(period.averages.savings),
+      `${period.best.month} (${money(period.best.savings)})`,
+      `${period.worst.month} (${money(period.worst.savings)})`,
+    ]),
+  )
+
+  const sections = rollup.periods.map((period) => {
+    const parts = [
+      `<section class="period">`,
+      `  <h2>${escapeHtml(period.label)}</h2>`,
+      `  <p class="meta">${escapeHtml(`${period.start} to ${period.end} · ${period.monthCount} of ${period.expectedMonths} months saved (${period.months.join(', ')})`)}</p>`,
+      table(
+        ['', 'Total', 'Monthly average'],
+        [
+          ['Income', money(period.totals.totalIncome), money(period.averages.totalIncome)],
+          ['Expense', money(period.totals.totalExpense), money(period.averages.totalExpense)],
+          ['Savings', money(period.totals.savings), money(period.averages.savings)],
+          ['Savings rate', percent(period.totals.savingsRate), ''],
+          ['Best month', `${period.best.month}: ${money(period.best.savings)}`, percent(period.best.savingsRate)],
+          ['Worst month', `${period.worst.month}: ${money(period.worst.savings)}`, percent(period.worst.savingsRate)],
+        ],
+      ),
+    ]
+
+    if (period.categories.length > 0) {
+      parts.push(
+        `  <h3>Categories${period.comparedTo ? ` (share shift vs ${escapeHtml(period.comparedTo)})` : ''}</h3>`,
+        table(
+          ['Category', 'Amount', 'Share', ...(period.comparedTo ? ['Previous share', 'Shift'] : [])],
+          period.categories.map((category) => [
+            category.name,
+            money(category.amount),
+            percent(category.share),
+            ...(period.comparedTo ? [percent(category.previousShare), points(category.shift)] : []),
+          ]),
+        ),
+      )
+    }
+
+    if (period.goals.length > 0) {
+      parts.push(
+        '  <h3>Goals</h3>',
+        table(
+          ['Goal', 'Contributed', 'Saved by period end', 'Target', 'Progress', 'Deadline'],
+          period.goals.map((goal) => [
+            goal.name,
+            money(goal.contributed, goal.currency),
+            money(goal.savedToDate, goal.currency),
+            money(goal.targetAmount, goal.currency),
+            goal.reached ? 'Reached' : percent(goal.progress),
+            goal.deadline,
+          ]),
+        ),
+      )
+    }
+
+    parts.push('</section>')
+    return parts.join('\n')
+  })
+
+  const body =
+    rollup.periods.length === 0
+      ? `<p class="note">No saved months to report in ${escapeHtml(rollup.currency)}.</p>`
+      : [`<h2>Overview</h2>`, overview, ...sections].join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(`${title}: ${periodLabel}`)}</h1>
+<p class="meta">${escapeHtml(`Amounts in ${rollup.currency}, ${fiscalNote}. Generated ${generatedAt.toLocaleString()}.`)}</p>
+${rollup.skipped.length > 0 ? `<p class="note">${escapeHtml(`Left out (no ${rollup.currency} rate): ${rollup.skipped.join(', ')}`)}</p>\n` : ''}${body}
+</body>
+</html>
+`
+}
@@ -0,0 +1,215 @@
+import { savingsRate } from './analytics.js'
+import { normalizeCurrency } from './currency.js'
+import { allocateSavings } from './goals.js'
+import { makeId } from './id.js'
+import { addMonths, isMonth } from './months.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { amountForMonth, occursInMonth } from './recurring.js'
+import { openValue, sealValue } from './vault.js'
+
+// Scenarios live under their own key and are never written to the history store, so
+// they cannot show up in the trend, reports or backups. They copy a month's figures, so
+// in encrypted mode they are sealed like history.
+export const SCENARIOS_KEY = 'fintrack_scenarios_v1'
+
+export const ADJUSTMENT_KINDS = [
+  { value: 'income', label: 'Income source' },
+  { value: 'category', label: 'Category' },
+  { value: 'recurring', label: 'Recurring item' },
+]
+
+export const ADJUSTMENT_MODES = [
+  { value: 'percent', label: '% change' },
+  { value: 'absolute', label: 'Amount change' },
+]
+
+const normalizeLines = (lines) =>
+  Array.isArray(lines)
+    ? lines
+        .map((line) => ({ name: String(line?.name || '').trim(), amount: Number(line?.amount) || 0 }))
+        .filter((line) => line.name)
+    : []
+
+// Lines with the same name are added up, e.g. two income sources both called "Salary".
+const mergeLines = (lines) => {
+  const totals = new Map()
+  lines.forEach((line) => totals.set(line.name, (totals.get(line.name) || 0) + line.amount))
+  return [...totals.entries()].map(([name, amount]) => ({ name, amount }))
+}
+
+export const normalizeAdjustment = (adjustment) => {
+  if (!adjustment || typeof adjustment !== 'object') return null
+
+  const target = String(adjustment.target || '').trim()
+  const value = Number(adjustment.value)
+  if (!target || adjustment.value === '' || !Number.isFinite(value)) return null
+
+  return {
+    id: typeof adjustment.id === 'string' && adjustment.id ? adjustment.id : makeId(),
+    kind: ADJUSTMENT_KINDS.some((entry) => entry.value === adjustment.kind) ? adjustment.kind : 'category',
+    target,
+    mode: adjustment.mode === 'absolute' ? 'absolute' : 'percent',
+    value,
+  }
+}
+
+export const normalizeScenario = (scenario) => {
+  if (!scenario || typeof scenario !== 'object' || !isMonth(scenario.month)) return null
+
+  return {
+    id: typeof scenario.id === 'string' && scenario.id ? scenario.id : makeId(),
+    name: String(scenario.name || '').trim() || `What-if ${scenario.month}`,
+    source: String(scenario.source || '').trim() || scenario.month,
+    month: scenario.month,
+    currency: normalizeCurrency(scenario.currency),
+    targetSavings: Number(scenario.targetSavings) || 0,
+    incomes: mergeLines(normalizeLines(scenario.incomes)),
+    categories: mergeLines(normalizeLines(scenario.categories)),
+    recurring: Array.isArray(scenario.recurring)
+      ? scenario.recurring
+          .map((item) => ({
+            id: String(item?.id || ''),
+            name: String(item?.name || '').trim(),
+            kind: item?.kind === 'income' ? 'income' : 'expense',
+            category: String(item?.category || '').trim(),
+            amount: Number(item?.amount) || 0,
+          }))
+          .filter((item) => item.id && item.name)
+      : [],
+    adjustments: Array.isArray(scenario.adjustments) ? scenario.adjustments.map(normalizeAdjustment).filter(Boolean) : [],
+    createdAt: Number(scenario.createdAt) || Date.now(),
+  }
+}
+
+export const loadScenarios = async (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return []
+
+  try {
+    const raw = window.localStorage.getItem(profileKey(SCENARIOS_KEY, profileId))
+    const parsed = await openValue(JSON.parse(raw || '[]'), cipher)
+    return Array.isArray(parsed) ? parsed.map(normalizeScenario).filter(Boolean) : []
+  } catch {
+    return []
+  }
+}
+
+let pendingSave = Promise.resolve()
+
+// Saves are chained so an older list never lands after a newer one; a failed save is
+// returned to the caller without blocking the ones after it.
+export const saveScenarios = (scenarios, cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return Promise.resolve()
+
+  const key = profileKey(SCENARIOS_KEY, profileId)
+  const write = pendingSave.then(async () => window.localStorage.setItem(key, JSON.stringify(await sealValue(scenarios, cipher))))
+  pendingSave = write.catch(() => {})
+  return write
+}
+
+/**
+ * Forks a scenario from a month's figures in `currency`: a saved snapshot or the current
+ * inputs. Recurring items due that month are kept with their amount so they can be
+ * changed or cancelled; items in another currency need a rate in `rates`.
+ */
+export const forkScenario = ({ name, source, month, currency, incomeTotals, categories, targetSavings, rates = {} }, recurringItems = []) =>
+  normalizeScenario({
+    name,
+    source,
+    month,
+    currency,
+    targetSavings,
+    incomes: incomeTotals,
+    categories,
+    recurring: recurringItems
+      .filter((item) => occursInMonth(item, month) && (item.currency === currency || Number(rates[item.currency]) > 0))
+      .map((item) => ({
+        ...item,
+        amount: amountForMonth(item, month) * (item.currency === currency ? 1 : Number(rates[item.currency])),
+      })),
+    adjustments: [],
+  })
+
+const adjusted = (amount, adjustment) =>
+  adjustment.mode === 'percent' ? amount * (1 + adjustment.value / 100) : amount + adjustment.value
+
+const changeLine = (lines, name, change) => {
+  const existing = lines.find((line) => line.name === name)
+  const amount = Math.max(0, change(existing ? existing.amount : 0))
+
+  return existing ? lines.map((line) => (line === existing ? { ...line, amount } : line)) : [...lines, { name, amount }]
+}
+
+const summarize = (incomes, categories) => {
+  const totalIncome = incomes.reduce((sum, line) => sum + line.amount, 0)
+  const totalExpense = categories.reduce((sum, line) => sum + line.amount, 0)
+  const savings = totalIncome - totalExpense
+
+  return { incomes, categories, totalIncome, totalExpense, savings, savingsRate: savingsRate(totalIncome, savings) }
+}
+
+// Applies the adjustments in order. A recurring item's change lands in its category (or
+// in the income source of the same name), so cancelling a subscription lowers the
+// category it was paid from.
+export const applyScenario = (scenario) => {
+  let incomes = scenario.incomes
+  let categories = scenario.categories
+
+  scenario.adjustments.forEach((adjustment) => {
+    if (adjustment.kind === 'income') {
+      incomes = changeLine(incomes, adjustment.target, (amount) => adjusted(amount, adjustment))
+      return
+    }
+    if (adjustment.kind === 'category') {
+      categories = changeLine(categories, adjustment.target, (amount) => adjusted(amount, adjustment))
+      return
+    }
+
+    const item = scenario.recurring.find((entry) => entry.id === adjustment.target)
+    if (!item) return
+
+    const delta = adjusted(item.amount, adjustment) - item.amount
+    if (item.kind === 'income') incomes = changeLine(incomes, item.name, (amount) => amount + delta)
+    else categories = changeLine(categories, item.category, (amount) => amount + delta)
+  })
+
+  return summarize(incomes, categories)
+}
+
+export const scenarioBaseline = (scenario) => summarize(scenario.incomes, scenario.categories)
+
+/**
+ * When each goal would be reached if every month from the scenario's month until the
+ * last deadline saved `savings`. Saved months before the scenario count as they are;
+ * goals are funded in list order as in the goals card.
+ */
+export const projectGoals = (goals, history, { month, currency, savings, rateTable = [] }) => {
+  const lastDeadline = goals.map((goal) => goal.deadline).sort().pop()
+  const projected = []
+  for (let current = month; lastDeadline && current <= lastDeadline; current = addMonths(current, 1)) {
+    projected.push({
+      id: `scenario-${current}`,
+      month: current,
+      baseCurrency: currency,
+      ratesUsed: {},
+      totalIncome: 0,
+      incomeTotals: [],
+      totalExpense: 0,
+      targetSavings: 0,
+      categories: [],
+      savings,
+      createdAt: 0,
+    })
+  }
+
+  return allocateSavings(goals, [...history.filter((snapshot) => snapshot.month < month), ...projected], rateTable).map(
+    ({ goal, contributions }) => {
+      let saved = 0
+      const reached = contributions.find((contribution) => {
+        saved += contribution.amount
+        return saved >= goal.targetAmount
+      })
+
+      return { goal, reachMonth: reached ? reached.month : null, saved: Math.min(saved, goal.targetAmount) }
+    },
+  )
+}
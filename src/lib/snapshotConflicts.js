@@ -0,0 +1,24 @@
+export class SnapshotConflictError extends Error {
+  constructor(snapshot, remote, operation = 'put') {
+    super(`The ${snapshot.month} snapshot was changed elsewhere.`)
+    this.name = 'SnapshotConflictError'
+    this.snapshot = snapshot
+    this.remote = remote
+    this.operation = operation
+  }
+}
+
+// Shared by the history stores so they agree on what a conflict is. `expectedRevision` is the
+// revision this tab last saw for the snapshot id (null for a snapshot it believes is new);
+// passing undefined skips the check and forces the write.
+export const checkWrite = (snapshot, stored, sameMonth, expectedRevision) => {
+  if (expectedRevision === undefined) return null
+
+  if (stored && stored.revision !== expectedRevision) return new SnapshotConflictError(snapshot, stored)
+  if (!stored && expectedRevision !== null) return new SnapshotConflictError(snapshot, null)
+
+  const duplicate = sameMonth.find((entry) => entry.id !== snapshot.id)
+  if (duplicate) return new SnapshotConflictError(snapshot, duplicate)
+
+  return null
+}
@@ -0,0 +1,102 @@
+import { mergeCategoryNames } from './ledger.js'
+import { normalizeSnapshot, withDerivedTotals } from './snapshots.js'
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Three-way merge of one value. `undefined` means "not present" (deleted or never
+// added); an edit on one side always beats a deletion on the other. When both sides
+// changed the same value differently, the newer snapshot wins and it is reported.
+const mergeValue = (base, local, remote, preferLocal) => {
+  if (same(local, remote)) return { value: local, conflict: false }
+  if (local === undefined) return { value: base !== undefined && same(remote, base) ? undefined : remote, conflict: false }
+  if (remote === undefined) return { value: base !== undefined && same(local, base) ? undefined : local, conflict: false }
+  if (base !== undefined && same(local, base)) return { value: remote, conflict: false }
+  if (base !== undefined && same(remote, base)) return { value: local, conflict: false }
+  return { value: preferLocal ? local : remote, conflict: true }
+}
+
+const mergeKeyed = (baseList, localList, remoteList, keyOf, preferLocal) => {
+  const toMap = (list) => new Map((list || []).map((item) => [keyOf(item), item]))
+  const baseMap = toMap(baseList)
+  const localMap = toMap(localList)
+  const remoteMap = toMap(remoteList)
+  const keys = [...new Set([...localMap.keys(), ...remoteMap.keys()])]
+
+  const items = []
+  const conflicts = []
+
+  keys.forEach((key) => {
+    const { value, conflict } = mergeValue(baseMap.get(key), localMap.get(key), remoteMap.get(key), preferLocal)
+    if (value !== undefined) items.push(value)
+    if (conflict) conflicts.push(value ?? localMap.get(key))
+  })
+
+  return { items, conflicts }
+}
+
+// The parts of a snapshot a user edits; derived totals and bookkeeping are left out.
+export const comparable = (snapshot) => ({
+  baseCurrency: snapshot.baseCurrency,
+  ratesUsed: snapshot.ratesUsed,
+  incomeSources: snapshot.incomeSources,
+  targetSavings: snapshot.targetSavings,
+  categories: snapshot.categories.map((category) => category.name),
+  transactions: snapshot.transactions,
+  incomeImportIds: snapshot.incomeImportIds,
+  budgets: snapshot.budgets,
+  balances: snapshot.balances,
+})
+
+const describeTransaction = (transaction) =>
+  `transaction ${transaction.payee || transaction.category} ${transaction.date}`.trim()
+
+// Merges two edits of the same month field by field. `base` is the version both sides
+// started from (null when two devices created the month independently). Totals are
+// recomputed from the merged transactions and income sources.
+export const mergeSnapshots = (base, local, remote) => {
+  if (same(comparable(local), comparable(remote))) return { snapshot: remote, conflicts: [] }
+
+  const preferLocal = local.createdAt >= remote.createdAt
+  const conflicts = []
+
+  const field = (label, pickValue) => {
+    const result = mergeValue(base ? pickValue(base) : undefined, pickValue(local), pickValue(remote), preferLocal)
+    if (result.conflict) conflicts.push(label)
+    return result.value
+  }
+
+  const keyed = (pickList, keyOf, describe) => {
+    const result = mergeKeyed(base ? pickList(base) : null, pickList(local), pickList(remote), keyOf, preferLocal)
+    result.conflicts.forEach((item) => conflicts.push(describe(item)))
+    return result.items
+  }
+
+  const currency = field('base currency and rates', (snapshot) => ({
+    baseCurrency: snapshot.baseCurrency,
+    ratesUsed: snapshot.ratesUsed,
+  }))
+  const transactions = keyed((snapshot) => snapshot.transactions, (transaction) => transaction.id, describeTransaction)
+  const categoryNames = keyed(
+    (snapshot) => snapshot.categories.map((category) => category.name),
+    (name) => name,
+    (name) => `category ${name}`,
+  )
+
+  const merged = withDerivedTotals(
+    normalizeSnapshot({
+      id: remote.id,
+      month: remote.month,
+      ...currency,
+      incomeSources: keyed((snapshot) => snapshot.incomeSources, (source) => source.id, (source) => `income source ${source.name}`),
+      targetSavings: field('target savings', (snapshot) => snapshot.targetSavings),
+      categories: mergeCategoryNames(categoryNames, transactions).map((name) => ({ name })),
+      transactions,
+      incomeImportIds: [...new Set([...local.incomeImportIds, ...remote.incomeImportIds])],
+      budgets: keyed((snapshot) => snapshot.budgets, (budget) => budget.category, (budget) => `budget for ${budget.category}`),
+      balances: keyed((snapshot) => snapshot.balances, (balance) => balance.accountId, (balance) => `balance of ${balance.name}`),
+      createdAt: Math.max(local.createdAt, remote.createdAt, Date.now()),
+    }),
+  )
+
+  return { snapshot: merged, conflicts }
+}
@@ -0,0 +1,116 @@
+import { normalizeBalances } from './accounts.js'
+import { computeTotals } from './analytics.js'
+import { normalizeBudgets } from './budgets.js'
+import { findRate, normalizeCurrency } from './currency.js'
+import { makeId } from './id.js'
+import { normalizeIncomeSources, normalizeIncomeTotals, sumIncomeSources } from './income.js'
+import { normalizeTransaction, transactionsFromCategoryTotals } from './ledger.js'
+
+export const normalizeSnapshot = (snapshot) => {
+  if (!snapshot || typeof snapshot !== 'object') return null
+
+  const normalizedCategories = Array.isArray(snapshot.categories)
+    ? snapshot.categories
+        .map((category) => ({
+          name: String(category?.name || '').trim(),
+          amount: Number(category?.amount) || 0,
+        }))
+        .filter((category) => category.name)
+    : []
+
+  const month = typeof snapshot.month === 'string' ? snapshot.month : ''
+  const baseCurrency = normalizeCurrency(snapshot.baseCurrency)
+  const normalizedTransactions = Array.isArray(snapshot.transactions)
+    ? snapshot.transactions.map((transaction) => normalizeTransaction(transaction, baseCurrency)).filter(Boolean)
+    : []
+  const ratesUsed = Object.fromEntries(
+    Object.entries(snapshot.ratesUsed && typeof snapshot.ratesUsed === 'object' ? snapshot.ratesUsed : {}).filter(
+      ([currency, rate]) => normalizeCurrency(currency, '') && Number(rate) > 0,
+    ),
+  )
+  const incomeSources = normalizeIncomeSources(snapshot, baseCurrency)
+  const incomeTotals = normalizeIncomeTotals(snapshot.incomeTotals) || sumIncomeSources(incomeSources, ratesUsed)
+
+  return {
+    id: typeof snapshot.id === 'string' && snapshot.id ? snapshot.id : makeId(),
+    month,
+    baseCurrency,
+    ratesUsed,
+    incomeSources,
+    incomeTotals,
+    totalIncome:
+      snapshot.totalIncome === undefined
+        ? incomeTotals.reduce((sum, entry) => sum + entry.amount, 0)
+        : Number(snapshot.totalIncome) || 0,
+    targetSavings: Number(snapshot.targetSavings) || 0,
+    categories: normalizedCategories,
+    transactions: normalizedTransactions.length
+      ? normalizedTransactions
+      : transactionsFromCategoryTotals(normalizedCategories, month, baseCurrency),
+    incomeImportIds: Array.isArray(snapshot.incomeImportIds)
+      ? snapshot.incomeImportIds.filter((importId) => typeof importId === 'string' && importId)
+      : [],
+    budgets: normalizeBudgets(snapshot.budgets),
+    balances: normalizeBalances(snapshot.balances),
+    totalExpense: Number(snapshot.totalExpense) || 0,
+    savings: Number(snapshot.savings) || 0,
+    savingsRate: Number(snapshot.savingsRate) || 0,
+    createdAt: Number(snapshot.createdAt) || Date.now(),
+    revision: Number(snapshot.revision) || 0,
+  }
+}
+
+export const withDerivedTotals = (snapshot) => {
+  const totals = computeTotals({
+    transactions: snapshot.transactions,
+    categoryNames: snapshot.categories.map((category) => category.name),
+    incomeSources: snapshot.incomeSources,
+    rates: snapshot.ratesUsed,
+  })
+
+  return {
+    ...snapshot,
+    categories: totals.categoryTotals,
+    incomeTotals: totals.incomeTotals,
+    totalIncome: totals.totalIncome,
+    totalExpense: totals.totalExpense,
+    savings: totals.savings,
+    savingsRate: totals.savingsRate,
+  }
+}
+
+// Multiplier from a snapshot's base currency to `currency`, or null without a rate.
+export const currencyFactor = (snapshot, currency, rateTable) => {
+  if (snapshot.baseCurrency === currency) return 1
+
+  const savedRate = Number(snapshot.ratesUsed[currency])
+  return savedRate > 0 ? 1 / savedRate : findRate(rateTable, snapshot.baseCurrency, currency, snapshot.month)
+}
+
+// Re-expresses a saved snapshot in another reporting currency. The snapshot's own
+// figures were fixed with its ratesUsed at save time; only the hop between the two
+// base currencies is looked up, so editing the rate table later never rewrites a
+// month reported in its original base currency.
+export const snapshotInCurrency = (snapshot, currency, rateTable) => {
+  if (snapshot.baseCurrency === currency) return { ...snapshot, displayCurrency: currency }
+
+  const factor = currencyFactor(snapshot, currency, rateTable)
+  if (factor === null) return { ...snapshot, displayCurrency: snapshot.baseCurrency }
+
+  return {
+    ...snapshot,
+    displayCurrency: currency,
+    totalIncome: snapshot.totalIncome * factor,
+    incomeTotals: snapshot.incomeTotals.map((entry) => ({ ...entry, amount: entry.amount * factor })),
+    totalExpense: snapshot.totalExpense * factor,
+    savings: snapshot.savings * factor,
+    targetSavings: snapshot.targetSavings * factor,
+    categories: snapshot.categories.map((category) => ({ ...category, amount: category.amount * factor })),
+  }
+}
+
+export const byMostRecentMonth = (a, b) => {
+  const monthCompare = b.month.localeCompare(a.month)
+  if (monthCompare !== 0) return monthCompare
+  return b.createdAt - a.createdAt
+}
@@ -0,0 +1,174 @@
+import { checkWrite, SnapshotConflictError } from './snapshotConflicts.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { normalizeSnapshot } from './snapshots.js'
+import { openValue, sealValue, VaultError } from './vault.js'
+
+export const STORAGE_KEY = 'fintrack_history_v1'
+
+// Unreadable history that could not be moved aside stays under the history key; loading
+// throws this so nothing writes over it.
+export class UnreadableHistoryError extends Error {
+  constructor(reason) {
+    super(`Saved history could not be read (${reason}) and there was no room to set it aside, so it was left untouched.`)
+    this.name = 'UnreadableHistoryError'
+  }
+}
+
+const historyKey = (profileId) => profileKey(STORAGE_KEY, profileId)
+const quarantinePrefix = (profileId) => `${historyKey(profileId)}_quarantine_`
+
+// An unreadable history value is moved aside under its own key instead of being
+// overwritten, so it can still be downloaded or restored through the backup import.
+// The raw value is only removed once its copy is written; when that fails (usually a
+// full quota) it stays where it is.
+const quarantineRawHistory = (raw, reason, profileId) => {
+  const key = `${quarantinePrefix(profileId)}${Date.now()}`
+  try {
+    window.localStorage.setItem(key, JSON.stringify({ quarantinedAt: Date.now(), reason, raw }))
+  } catch {
+    return null
+  }
+
+  window.localStorage.removeItem(historyKey(profileId))
+  return key
+}
+
+// The value is either the plain snapshot array or, in encrypted mode, `{ sealed }`.
+// Encrypted data that cannot be opened yet is never quarantined. Writes load first, so
+// both VaultError and UnreadableHistoryError also stop them from replacing the stored value.
+export const loadHistoryFromStorage = async (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return []
+
+  const raw = window.localStorage.getItem(historyKey(profileId))
+  if (!raw) return []
+
+  try {
+    const parsed = await openValue(JSON.parse(raw), cipher)
+    if (!Array.isArray(parsed)) throw new Error('History must be an array')
+
+    return parsed.map(normalizeSnapshot).filter((snapshot) => snapshot && snapshot.month)
+  } catch (error) {
+    if (error instanceof VaultError) throw error
+
+    const reason = error instanceof Error ? error.message : String(error)
+    if (!quarantineRawHistory(raw, reason, profileId)) throw new UnreadableHistoryError(reason)
+    return []
+  }
+}
+
+const saveHistoryToStorage = async (snapshots, cipher, profileId) => {
+  window.localStorage.setItem(historyKey(profileId), JSON.stringify(await sealValue(snapshots, cipher)))
+}
+
+// Re-writes the localStorage history and its "_migrated" fallback copy in place when
+// encryption is switched on or off. Values that cannot be read are left untouched and
+// reported once the others are converted.
+export const convertStoredHistory = async (fromCipher, toCipher, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return
+
+  const unreadable = []
+  for (const key of [historyKey(profileId), `${historyKey(profileId)}_migrated`]) {
+    const raw = window.localStorage.getItem(key)
+    if (!raw) continue
+
+    try {
+      const value = await openValue(JSON.parse(raw), fromCipher)
+      window.localStorage.setItem(key, JSON.stringify(await sealValue(value, toCipher)))
+    } catch {
+      unreadable.push(key)
+    }
+  }
+
+  if (unreadable.length > 0) throw new Error(`Could not read ${unreadable.join(' and ')}, so it was left as it was.`)
+}
+
+// Hands the legacy single-key history to `writeAll` once, then keeps the original
+// value under a "_migrated" key as a fallback copy instead of deleting it.
+export const migrateLegacyHistory = async (writeAll, cipher = null) => {
+  if (typeof window === 'undefined') return
+
+  const raw = window.localStorage.getItem(STORAGE_KEY)
+  if (!raw) return
+
+  const snapshots = await loadHistoryFromStorage(cipher)
+  if (snapshots.length) await writeAll(snapshots)
+
+  if (window.localStorage.getItem(STORAGE_KEY) === raw) {
+    window.localStorage.setItem(`${STORAGE_KEY}_migrated`, raw)
+    window.localStorage.removeItem(STORAGE_KEY)
+  }
+}
+
+// Fallback store for browsers without IndexedDB. It still rewrites the whole array,
+// but behind the same interface and conflict checks as the IndexedDB store.
+export const createLocalStorageHistoryStore = (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  let currentCipher = cipher
+
+  return {
+    kind: 'localstorage',
+    load: async () => loadHistoryFromStorage(currentCipher, profileId),
+    write: async (snapshot, expectedRevision) => {
+      const snapshots = await loadHistoryFromStorage(currentCipher, profileId)
+      const stored = snapshots.find((entry) => entry.id === snapshot.id)
+      const sameMonth = snapshots.filter((entry) => entry.month === snapshot.month)
+      const conflict = checkWrite(snapshot, stored, sameMonth, expectedRevision)
+      if (conflict) throw conflict
+
+      const record = { ...snapshot, revision: (stored?.revision || 0) + 1 }
+      await saveHistoryToStorage(
+        stored ? snapshots.map((entry) => (entry.id === record.id ? record : entry)) : [...snapshots, record],
+        currentCipher,
+        profileId,
+      )
+      return record
+    },
+    remove: async (id, expectedRevision) => {
+      const snapshots = await loadHistoryFromStorage(currentCipher, profileId)
+      const stored = snapshots.find((entry) => entry.id === id)
+      if (expectedRevision !== undefined && stored && stored.revision !== expectedRevision) {
+        throw new SnapshotConflictError(stored, stored, 'remove')
+      }
+
+      await saveHistoryToStorage(snapshots.filter((entry) => entry.id !== id), currentCipher, profileId)
+    },
+    clear: async () => {
+      await saveHistoryToStorage([], currentCipher, profileId)
+    },
+    convert: async (nextCipher) => {
+      const previousCipher = currentCipher
+      currentCipher = nextCipher
+      await convertStoredHistory(previousCipher, nextCipher, profileId)
+    },
+    close: async () => {},
+  }
+}
+
+export const listQuarantinedHistory = (profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return []
+
+  const entries = []
+
+  for (let i = 0; i < window.localStorage.length; i += 1) {
+    const key = window.localStorage.key(i)
+    if (!key?.startsWith(quarantinePrefix(profileId))) continue
+
+    try {
+      const entry = JSON.parse(window.localStorage.getItem(key))
+      entries.push({
+        key,
+        quarantinedAt: Number(entry?.quarantinedAt) || 0,
+        reason: String(entry?.reason || ''),
+        raw: String(entry?.raw ?? ''),
+      })
+    } catch {
+      entries.push({ key, quarantinedAt: 0, reason: 'Unreadable quarantine entry', raw: window.localStorage.getItem(key) || '' })
+    }
+  }
+
+  return entries.sort((a, b) => b.quarantinedAt - a.quarantinedAt)
+}
+
+export const removeQuarantinedHistory = (key, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined' || !key.startsWith(quarantinePrefix(profileId))) return
+  window.localStorage.removeItem(key)
+}
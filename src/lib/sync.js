@@ -0,0 +1,260 @@
+import { makeId } from './id.js'
+import { DEFAULT_PROFILE_ID, profileKey } from './profiles.js'
+import { comparable, mergeSnapshots } from './snapshotMerge.js'
+import { byMostRecentMonth, normalizeSnapshot } from './snapshots.js'
+import { openValue, sealValue } from './vault.js'
+
+export const SYNC_KEY = 'fintrack_sync_v1'
+export const SYNC_INTERVAL_MS = 60 * 1000
+
+export class SyncError extends Error {
+  constructor(message, { offline = false, status = 0 } = {}) {
+    super(message)
+    this.name = 'SyncError'
+    this.offline = offline
+    this.status = status
+  }
+}
+
+export const defaultSyncState = () => ({
+  enabled: false,
+  serverUrl: '',
+  token: '',
+  deviceId: makeId(),
+  cursor: 0,
+  lastSyncedAt: null,
+  shadows: {},
+})
+
+const normalizeShadow = (shadow) => {
+  if (!shadow || typeof shadow !== 'object') return null
+
+  const snapshot = shadow.deleted ? null : normalizeSnapshot(shadow.snapshot)
+  if (!shadow.deleted && !snapshot) return null
+
+  return { revision: Number(shadow.revision) || 0, deleted: Boolean(shadow.deleted), snapshot }
+}
+
+export const normalizeSyncState = (state) => {
+  const defaults = defaultSyncState()
+  if (!state || typeof state !== 'object') return defaults
+
+  return {
+    enabled: Boolean(state.enabled),
+    serverUrl: typeof state.serverUrl === 'string' ? state.serverUrl.trim() : '',
+    token: typeof state.token === 'string' ? state.token : '',
+    deviceId: typeof state.deviceId === 'string' && state.deviceId ? state.deviceId : defaults.deviceId,
+    cursor: Number(state.cursor) || 0,
+    lastSyncedAt: Number(state.lastSyncedAt) || null,
+    shadows: Object.fromEntries(
+      Object.entries(state.shadows && typeof state.shadows === 'object' ? state.shadows : {})
+        .map(([id, shadow]) => [id, normalizeShadow(shadow)])
+        .filter(([, shadow]) => shadow),
+    ),
+  }
+}
+
+// The sync state keeps the last synced copy of every snapshot, so in encrypted mode it
+// is sealed like history.
+export const loadSyncState = async (cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return defaultSyncState()
+
+  try {
+    const raw = window.localStorage.getItem(profileKey(SYNC_KEY, profileId))
+    return normalizeSyncState(await openValue(JSON.parse(raw || 'null'), cipher))
+  } catch {
+    return defaultSyncState()
+  }
+}
+
+let pendingSave = Promise.resolve()
+
+export const saveSyncState = (state, cipher = null, profileId = DEFAULT_PROFILE_ID) => {
+  if (typeof window === 'undefined') return Promise.resolve()
+
+  const key = profileKey(SYNC_KEY, profileId)
+  const write = pendingSave.then(async () => window.localStorage.setItem(key, JSON.stringify(await sealValue(state, cipher))))
+  pendingSave = write.catch(() => {})
+  return write
+}
+
+const fingerprint = (snapshot) => JSON.stringify({ month: snapshot.month, ...comparable(snapshot) })
+
+const toWire = (snapshot) => {
+  const normalized = normalizeSnapshot(snapshot)
+  delete normalized.revision
+  return normalized
+}
+
+const toShadow = (record) => ({
+  revision: record.revision,
+  deleted: record.deleted,
+  snapshot: record.deleted ? null : normalizeSnapshot(record.snapshot),
+})
+
+const changedSinceSync = (snapshot, shadow) =>
+  snapshot ? !shadow || shadow.deleted || fingerprint(snapshot) !== fingerprint(shadow.snapshot) : Boolean(shadow && !shadow.deleted)
+
+// The outgoing queue: every snapshot that differs from its last synced copy, plus
+// deletions of synced snapshots. Because it is derived from history and the synced
+// copies (both persisted), changes made offline or in an earlier session are never lost.
+export const pendingChanges = (history, shadows) => {
+  const historyIds = new Set(history.map((snapshot) => snapshot.id))
+
+  return [
+    ...history
+      .filter((snapshot) => changedSinceSync(snapshot, shadows[snapshot.id]))
+      .map((snapshot) => ({
+        id: snapshot.id,
+        month: snapshot.month,
+        baseRevision: shadows[snapshot.id]?.revision || 0,
+        snapshot: toWire(snapshot),
+      })),
+    ...Object.entries(shadows)
+      .filter(([id, shadow]) => !shadow.deleted && !historyIds.has(id))
+      .map(([id, shadow]) => ({ id, month: shadow.snapshot.month, baseRevision: shadow.revision, deleted: true })),
+  ]
+}
+
+export const createSyncClient = ({ serverUrl, token = '', fetch: fetchImpl = globalThis.fetch }) => {
+  const base = serverUrl.replace(/\/+$/, '')
+
+  const request = async (path, options = {}) => {
+    let response
+    try {
+      response = await fetchImpl(`${base}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+      })
+    } catch {
+      throw new SyncError('The sync server cannot be reached.', { offline: true })
+    }
+
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) throw new SyncError(body.error || `Sync server answered ${response.status}.`, { status: response.status })
+    return body
+  }
+
+  return {
+    pull: (since) => request(`/v1/changes?since=${since}`),
+    push: (deviceId, changes) => request('/v1/changes', { method: 'POST', body: JSON.stringify({ deviceId, changes }) }),
+  }
+}
+
+const step = ({ shadows = {}, upserts = [], removals = [], guard = [] }) => ({ shadows, upserts, removals, guard })
+
+// Decides what to do with a pushed change the server rejected. `record` is the server's
+// current record for the same id, or for another id that already holds the month.
+const resolveConflict = (change, record, previousShadows, history) => {
+  const shadows = { [record.id]: toShadow(record) }
+  const guard = [change.id]
+
+  if (change.deleted) {
+    return record.deleted ? step({ shadows, guard }) : step({ shadows, guard, upserts: [normalizeSnapshot(record.snapshot)] })
+  }
+
+  if (record.deleted) return step({ shadows, guard })
+
+  const local = history.find((snapshot) => snapshot.id === change.id)
+  const base = record.id === change.id ? previousShadows[change.id]?.snapshot || null : null
+  const { snapshot, conflicts } = mergeSnapshots(base, local, normalizeSnapshot(record.snapshot))
+
+  return {
+    ...step({
+      shadows,
+      guard,
+      upserts: [snapshot],
+      removals: record.id === change.id ? [] : [change.id],
+    }),
+    merged: { month: record.month, conflicts },
+  }
+}
+
+/**
+ * One sync round: push the pending changes, then pull what other devices changed since
+ * `state.cursor`. Nothing is changed in place; the result lists steps, each pairing
+ * history edits with the synced copies they produce. A step's `guard` ids must still be
+ * as they were in `history` when the step is applied, otherwise the step is dropped and
+ * the newer local edit is pushed (and merged) in the next round.
+ */
+export const syncOnce = async ({ client, state, history }) => {
+  const steps = []
+  const merges = []
+  const shadows = { ...state.shadows }
+
+  const pending = pendingChanges(history, shadows)
+  if (pending.length > 0) {
+    const { results } = await client.push(state.deviceId, pending)
+
+    results.forEach((result) => {
+      if (result.status === 'applied') {
+        steps.push(step({ shadows: { [result.id]: toShadow(result.record) } }))
+        shadows[result.id] = toShadow(result.record)
+        return
+      }
+
+      const change = pending.find((entry) => entry.id === result.id)
+      const resolved = resolveConflict(change, result.record, state.shadows, history)
+      steps.push(resolved)
+      Object.assign(shadows, resolved.shadows)
+      if (resolved.merged) merges.push(resolved.merged)
+    })
+  }
+
+  const { cursor, changes } = await client.pull(state.cursor)
+  const touched = new Set(steps.flatMap((entry) => entry.guard))
+
+  changes.forEach((record) => {
+    const shadow = shadows[record.id]
+    if (shadow && shadow.revision >= record.revision) return
+    if (touched.has(record.id)) return
+
+    const local = history.find((snapshot) => snapshot.id === record.id)
+    if (changedSinceSync(local, state.shadows[record.id])) return
+
+    const sameMonth = history.filter((snapshot) => snapshot.month === record.month && snapshot.id !== record.id)
+    if (!record.deleted && sameMonth.some((snapshot) => changedSinceSync(snapshot, state.shadows[snapshot.id]))) return
+
+    steps.push(
+      step({
+        shadows: { [record.id]: toShadow(record) },
+        upserts: record.deleted ? [] : [normalizeSnapshot(record.snapshot)],
+        removals: record.deleted ? [record.id] : sameMonth.map((snapshot) => snapshot.id),
+        guard: [record.id, ...sameMonth.map((snapshot) => snapshot.id)],
+      }),
+    )
+    shadows[record.id] = toShadow(record)
+  })
+
+  return { cursor, steps, merges, pushed: pending.length, pulled: changes.length }
+}
+
+// Applies the steps of a sync round to the current history. `startHistory` is what the
+// round was computed from; steps whose guarded snapshots changed meanwhile are skipped.
+export const applySyncSteps = (startHistory, currentHistory, steps) => {
+  const startById = new Map(startHistory.map((snapshot) => [snapshot.id, snapshot]))
+  let history = [...currentHistory]
+  const shadows = {}
+  let changed = false
+
+  steps.forEach((entry) => {
+    const unchanged = entry.guard.every((id) => {
+      const before = startById.get(id)
+      const now = history.find((snapshot) => snapshot.id === id)
+      return before && now ? fingerprint(before) === fingerprint(now) : !before && !now
+    })
+    if (!unchanged) return
+
+    Object.assign(shadows, entry.shadows)
+    if (entry.upserts.length === 0 && entry.removals.length === 0) return
+
+    const replacedIds = new Set([...entry.removals, ...entry.upserts.map((snapshot) => snapshot.id)])
+    history = [...history.filter((snapshot) => !replacedIds.has(snapshot.id)), ...entry.upserts]
+    changed = true
+  })
+
+  return { history: changed ? history.sort(byMostRecentMonth) : currentHistory, shadows, changed }
+}
@@ -0,0 +1,189 @@
+import { makeId } from './id.js'
+
+export const VAULT_KEY = 'fintrack_vault_v1'
+export const IDLE_LOCK_OPTIONS = [1, 5, 15, 30, 60]
+export const DEFAULT_IDLE_MINUTES = 15
+export const MIN_PASSPHRASE_LENGTH = 8
+
+const PBKDF2_ITERATIONS = 600000
+
+export class VaultError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'VaultError'
+  }
+}
+
+export const isVaultSupported = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle)
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const toBase64 = (buffer) => {
+  let binary = ''
+  new Uint8Array(buffer).forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary)
+}
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (character) => character.charCodeAt(0))
+
+const normalizeIdleMinutes = (value) => {
+  const minutes = Number(value)
+  return IDLE_LOCK_OPTIONS.includes(minutes) ? minutes : DEFAULT_IDLE_MINUTES
+}
+
+export const normalizeVaultSettings = (settings) => {
+  if (!settings || typeof settings !== 'object') return null
+
+  const fields = ['keyId', 'salt', 'iv', 'wrappedKey']
+  if (fields.some((field) => typeof settings[field] !== 'string' || !settings[field])) return null
+
+  return {
+    version: 1,
+    keyId: settings.keyId,
+    salt: settings.salt,
+    iterations: Number(settings.iterations) || PBKDF2_ITERATIONS,
+    iv: settings.iv,
+    wrappedKey: settings.wrappedKey,
+    idleMinutes: normalizeIdleMinutes(settings.idleMinutes),
+  }
+}
+
+export const loadVaultSettings = () => {
+  if (typeof window === 'undefined') return null
+
+  try {
+    return normalizeVaultSettings(JSON.parse(window.localStorage.getItem(VAULT_KEY) || 'null'))
+  } catch {
+    return null
+  }
+}
+
+export const saveVaultSettings = (settings) => {
+  if (typeof window === 'undefined') return
+
+  if (settings) {
+    window.localStorage.setItem(VAULT_KEY, JSON.stringify(settings))
+  } else {
+    window.localStorage.removeItem(VAULT_KEY)
+  }
+}
+
+export const validatePassphrase = (passphrase, confirmation) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`
+  if (passphrase !== confirmation) return 'The passphrases do not match.'
+  return ''
+}
+
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey'],
+  )
+}
+
+const wrapDataKey = async (dataKey, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS)
+  const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv })
+
+  return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, iv: toBase64(iv), wrappedKey: toBase64(wrapped) }
+}
+
+// Data is encrypted with a random data key; the passphrase only derives the key that
+// wraps it. Changing the passphrase therefore re-wraps one key instead of re-encrypting
+// every record, and `keyId` tells other tabs whether their unlocked key is still valid.
+export const createVault = async (passphrase, idleMinutes = DEFAULT_IDLE_MINUTES) => {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+
+  return {
+    key,
+    settings: {
+      version: 1,
+      keyId: makeId(),
+      ...(await wrapDataKey(key, passphrase)),
+      idleMinutes: normalizeIdleMinutes(idleMinutes),
+    },
+  }
+}
+
+export const unlockVault = async (settings, passphrase) => {
+  try {
+    const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(settings.salt), settings.iterations)
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(settings.wrappedKey),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(settings.iv) },
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt'],
+    )
+  } catch {
+    throw new VaultError('That passphrase is not correct.')
+  }
+}
+
+export const changePassphrase = async (settings, currentPassphrase, nextPassphrase) => {
+  const key = await unlockVault(settings, currentPassphrase)
+  return { ...settings, ...(await wrapDataKey(key, nextPassphrase)) }
+}
+
+export const isSealed = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.iv === 'string' && typeof value.data === 'string'
+
+// Encrypts JSON values with AES-GCM under the unlocked data key. A fresh IV is used for
+// every value.
+export const createCipher = (key) => ({
+  seal: async (value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)))
+    return { iv: toBase64(iv), data: toBase64(data) }
+  },
+  open: async (sealed) => {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data))
+    return JSON.parse(decoder.decode(data))
+  },
+})
+
+// Reads a value that may have been stored sealed or in plain form, so data written
+// before encryption was switched on (or halfway through a conversion) stays readable.
+export const openValue = async (value, cipher) => {
+  if (!isSealed(value?.sealed)) return value
+  if (!cipher) throw new VaultError('This data is encrypted. Unlock FinTrack first.')
+  return cipher.open(value.sealed)
+}
+
+export const sealValue = async (value, cipher) => (cipher ? { sealed: await cipher.seal(value) } : value)
+
+// Opens stored values without changing them and returns the [key, value] pairs that exist;
+// throws when one of them cannot be opened with `cipher`.
+export const openStoredValues = async (keys, cipher) => {
+  if (typeof window === 'undefined') return []
+
+  const opened = []
+  for (const key of keys) {
+    const raw = window.localStorage.getItem(key)
+    if (raw) opened.push([key, await openValue(JSON.parse(raw), cipher)])
+  }
+  return opened
+}
+
+// Re-seals stored values for another cipher (null = plain) when encryption is switched on or
+// off. Every value is opened before any is written, so one that cannot be opened makes this
+// throw with all of them left as they were.
+export const convertStoredValues = async (keys, fromCipher, toCipher) => {
+  const opened = await openStoredValues(keys, fromCipher)
+
+  for (const [key, value] of opened) {
+    window.localStorage.setItem(key, JSON.stringify(await sealValue(value, toCipher)))
+  }
+}
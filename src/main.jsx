@@ -1,10 +1,12 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import ProfileGate from './components/ProfileGate'
+import VaultGate from './components/VaultGate'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <VaultGate>{(vault) => <ProfileGate>{(profiles) => <App vault={vault} profiles={profiles} />}</ProfileGate>}</VaultGate>
   </React.StrictMode>,
 )
\ No newline at end of file
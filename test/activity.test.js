@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict'
+import { afterEach, describe, it } from 'node:test'
+import {
+  ACTIVITY_KEY,
+  UnreadableActivityLogError,
+  applyActivity,
+  changedSince,
+  createActivity,
+  emptyActivityLog,
+  loadActivityLog,
+  markRedone,
+  markUndone,
+  monthRevisions,
+  nextRedo,
+  nextUndo,
+  recordActivity,
+  restoreRevision,
+} from '../src/lib/activity.js'
+import { normalizeSnapshot } from '../src/lib/snapshots.js'
+import { VaultError } from '../src/lib/vault.js'
+
+const memoryStorage = () => {
+  const values = new Map()
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  }
+}
+
+const snapshot = (id, month, createdAt, income = 1000) =>
+  normalizeSnapshot({ id, month, createdAt, incomeSources: [{ name: 'Salary', amount: income }], revision: 3 })
+
+describe('createActivity', () => {
+  it('records only the snapshots that changed, without store revisions', () => {
+    const january = snapshot('a', '2026-01', 1)
+    const february = snapshot('b', '2026-02', 1)
+    const overwritten = snapshot('b', '2026-02', 2, 2000)
+
+    const entry = createActivity('overwritten', [january, february], [january, overwritten])
+
+    assert.deepEqual(entry.months, ['2026-02'])
+    assert.equal(entry.before[0].totalIncome, 1000)
+    assert.equal(entry.after[0].totalIncome, 2000)
+    assert.equal('revision' in entry.after[0], false)
+  })
+
+  it('returns null when nothing changed', () => {
+    const history = [snapshot('a', '2026-01', 1)]
+    assert.equal(createActivity('created', history, [...history]), null)
+  })
+})
+
+describe('undo and redo', () => {
+  const january = snapshot('a', '2026-01', 1)
+  const february = snapshot('b', '2026-02', 1)
+  const overwritten = snapshot('b', '2026-02', 2, 2000)
+
+  it('walks changes back and forward again', () => {
+    let history = [february, january]
+    let log = emptyActivityLog()
+
+    const save = createActivity('overwritten', history, [overwritten, january])
+    history = [overwritten, january]
+    log = recordActivity(log, save)
+
+    const clear = createActivity('cleared', history, [])
+    history = []
+    log = recordActivity(log, clear)
+
+    assert.equal(nextUndo(log).type, 'cleared')
+    history = applyActivity(history, nextUndo(log), 'undo')
+    log = markUndone(log, clear)
+    assert.deepEqual(
+      history.map((entry) => [entry.month, entry.totalIncome]),
+      [
+        ['2026-02', 2000],
+        ['2026-01', 1000],
+      ],
+    )
+
+    history = applyActivity(history, nextUndo(log), 'undo')
+    log = markUndone(log, save)
+    assert.equal(history[0].totalIncome, 1000)
+    assert.equal(nextUndo(log), null)
+    assert.equal(nextRedo(log).type, 'overwritten')
+
+    history = applyActivity(history, nextRedo(log), 'redo')
+    log = markRedone(log, save)
+    assert.equal(history[0].totalIncome, 2000)
+    assert.equal(nextRedo(log).type, 'cleared')
+  })
+
+  it('drops the redo stack when a new change is recorded', () => {
+    const created = createActivity('created', [], [january])
+    let log = markUndone(recordActivity(emptyActivityLog(), created), created)
+    log = recordActivity(log, createActivity('created', [], [february]))
+
+    assert.equal(nextRedo(log), null)
+    assert.equal(log.entries.length, 2)
+  })
+
+  it('reports months that changed after the entry', () => {
+    const entry = createActivity('overwritten', [february], [overwritten])
+
+    assert.deepEqual(changedSince([overwritten], entry, 'undo'), [])
+    assert.deepEqual(changedSince([snapshot('b', '2026-02', 9)], entry, 'undo'), ['2026-02'])
+    assert.deepEqual(changedSince([snapshot('c', '2026-02', 9)], createActivity('deleted', [february], []), 'undo'), ['2026-02'])
+  })
+})
+
+describe('revisions', () => {
+  it('lists every logged version of a month and restores one under the current id', () => {
+    const first = snapshot('a', '2026-01', 1, 1000)
+    const second = snapshot('a', '2026-01', 2, 1500)
+    const third = snapshot('a', '2026-01', 3, 1800)
+
+    let log = recordActivity(emptyActivityLog(), createActivity('created', [], [first]))
+    log = recordActivity(log, createActivity('overwritten', [first], [second]))
+    log = recordActivity(log, createActivity('overwritten', [second], [third]))
+
+    const revisions = monthRevisions(log, '2026-01')
+    assert.deepEqual(
+      revisions.map((revision) => revision.snapshot.totalIncome),
+      [1800, 1500, 1000],
+    )
+
+    const restored = restoreRevision([third], revisions[2])
+    assert.equal(restored.length, 1)
+    assert.equal(restored[0].id, 'a')
+    assert.equal(restored[0].totalIncome, 1000)
+  })
+})
+
+describe('loadActivityLog', () => {
+  afterEach(() => {
+    delete globalThis.window
+  })
+
+  it('starts empty only when nothing is stored', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+
+    assert.deepEqual(await loadActivityLog(), emptyActivityLog())
+  })
+
+  it('rejects and leaves a log that cannot be read in place', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    window.localStorage.setItem(ACTIVITY_KEY, '{not json')
+
+    await assert.rejects(loadActivityLog(), UnreadableActivityLogError)
+    assert.equal(window.localStorage.getItem(ACTIVITY_KEY), '{not json')
+  })
+
+  it('rejects a sealed log while there is no cipher to open it', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    window.localStorage.setItem(ACTIVITY_KEY, JSON.stringify({ sealed: { iv: 'aaaa', data: 'bbbb' } }))
+
+    await assert.rejects(loadActivityLog(), VaultError)
+  })
+})
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { categoryTotalsAcross, computeTotals, highestCategory, savingsRate, trendData } from '../src/lib/analytics.js'
+
+const round = (value) => Math.round(value * 100) / 100
+const transaction = (category, amount, currency = 'USD') => ({ category, amount: String(amount), currency })
+
+describe('computeTotals', () => {
+  it('sums transactions per category and income sources in the base currency', () => {
+    const totals = computeTotals({
+      transactions: [transaction('Food', 100), transaction('Food', 50), transaction('Rent', 100, 'EUR')],
+      categoryNames: ['Food', 'Rent', 'Other'],
+      incomeSources: [{ name: 'Salary', amount: '1000', currency: 'USD', oneOff: false }],
+      rates: { EUR: 1.1 },
+    })
+
+    assert.deepEqual(
+      totals.categoryTotals.map((category) => [category.name, round(category.amount)]),
+      [
+        ['Food', 150],
+        ['Rent', 110],
+        ['Other', 0],
+      ],
+    )
+    assert.equal(totals.totalIncome, 1000)
+    assert.equal(round(totals.totalExpense), 260)
+    assert.equal(round(totals.savings), 740)
+    assert.equal(round(totals.savingsRate), 74)
+    assert.equal(totals.highestCategory.name, 'Food')
+    assert.equal(totals.regularSavingsRate, null)
+  })
+
+  it('reports the savings rate without one-off income separately', () => {
+    const totals = computeTotals({
+      transactions: [transaction('Rent', 800)],
+      categoryNames: ['Rent'],
+      incomeSources: [
+        { name: 'Salary', amount: 1000, currency: 'USD', oneOff: false },
+        { name: 'Bonus', amount: 1000, currency: 'USD', oneOff: true },
+      ],
+      rates: {},
+    })
+
+    assert.equal(totals.savingsRate, 60)
+    assert.equal(round(totals.regularSavingsRate), 20)
+  })
+})
+
+describe('savingsRate', () => {
+  it('is zero without income', () => {
+    assert.equal(savingsRate(0, -50), 0)
+  })
+
+  it('can be negative when spending exceeds income', () => {
+    assert.equal(savingsRate(100, -50), -50)
+  })
+})
+
+describe('highestCategory', () => {
+  it('falls back to N/A when nothing was spent', () => {
+    assert.deepEqual(highestCategory([{ name: 'Food', amount: 0 }]), { name: 'N/A', amount: 0 })
+  })
+})
+
+describe('trendData', () => {
+  it('orders months oldest first', () => {
+    const points = trendData([
+      { month: '2026-03', savings: 3, createdAt: 1 },
+      { month: '2026-01', savings: 1, createdAt: 1 },
+    ])
+
+    assert.deepEqual(points, [
+      { month: '2026-01', savings: 1 },
+      { month: '2026-03', savings: 3 },
+    ])
+  })
+})
+
+describe('categoryTotalsAcross', () => {
+  it('adds categories across months and drops empty ones', () => {
+    const totals = categoryTotalsAcross([
+      { categories: [{ name: 'Food', amount: 10 }, { name: 'Other', amount: 0 }] },
+      { categories: [{ name: 'Food', amount: 5 }, { name: 'Rent', amount: 20 }] },
+    ])
+
+    assert.deepEqual(totals, [
+      { name: 'Rent', amount: 20 },
+      { name: 'Food', amount: 15 },
+    ])
+  })
+})
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { categoryBaseline, detectAnomalies, median, normalizeAnomalySettings } from '../src/lib/anomalies.js'
+
+const month = (value, categories) => ({
+  month: value,
+  categories: Object.entries(categories).map(([name, amount]) => ({ name, amount })),
+})
+
+const history = [
+  month('2026-01', { Bills: 100, Food: 400 }),
+  month('2026-02', { Bills: 110, Food: 420 }),
+  month('2026-03', { Bills: 90, Food: 380 }),
+  month('2026-04', { Bills: 105, Food: 410, Travel: 300 }),
+  month('2026-05', { Bills: 95, Food: 390 }),
+  month('2026-06', { Bills: 100, Food: 400 }),
+]
+
+describe('median', () => {
+  it('handles odd, even and empty lists', () => {
+    assert.equal(median([3, 1, 2]), 2)
+    assert.equal(median([4, 1, 3, 2]), 2.5)
+    assert.equal(median([]), 0)
+  })
+})
+
+describe('categoryBaseline', () => {
+  it('only uses months inside the window that list the category', () => {
+    const baseline = categoryBaseline([...history, month('2026-07', { Bills: 1000 })], '2026-07', 'Bills', 3)
+
+    assert.deepEqual(baseline.months, ['2026-04', '2026-05', '2026-06'])
+    assert.equal(baseline.median, 100)
+    assert.deepEqual(categoryBaseline(history, '2026-07', 'Travel', 6).months, ['2026-04'])
+  })
+})
+
+describe('detectAnomalies', () => {
+  it('flags a category far above its rolling median', () => {
+    const { anomalies } = detectAnomalies({ month: '2026-07', categories: [{ name: 'Bills', amount: 240 }, { name: 'Food', amount: 405 }], history })
+
+    assert.deepEqual(
+      anomalies.map((anomaly) => [anomaly.name, anomaly.direction, anomaly.message]),
+      [['Bills', 'high', 'Bills is 2.4× your 6-month median.']],
+    )
+    assert.equal(anomalies[0].severity, 'danger')
+  })
+
+  it('flags sharp drops at a lower severity', () => {
+    const { anomalies } = detectAnomalies({ month: '2026-07', categories: [{ name: 'Food', amount: 0 }], history })
+
+    assert.equal(anomalies[0].direction, 'low')
+    assert.equal(anomalies[0].severity, 'info')
+    assert.match(anomalies[0].message, /no spending this month/)
+  })
+
+  it('flags fewer months at a lower sensitivity', () => {
+    const current = { month: '2026-07', categories: [{ name: 'Bills', amount: 165 }], history }
+
+    assert.equal(detectAnomalies(current, normalizeAnomalySettings({ sensitivity: 'high' })).anomalies.length, 1)
+    assert.equal(detectAnomalies(current, normalizeAnomalySettings({ sensitivity: 'low' })).anomalies.length, 0)
+  })
+
+  it('lists categories with too little history instead of judging them', () => {
+    const { anomalies, insufficient } = detectAnomalies({
+      month: '2026-07',
+      categories: [{ name: 'Travel', amount: 2000 }, { name: 'Gifts', amount: 50 }],
+      history,
+    })
+
+    assert.deepEqual(anomalies, [])
+    assert.deepEqual(insufficient, [{ name: 'Travel', months: 1 }, { name: 'Gifts', months: 0 }])
+  })
+
+  it('ignores small amounts', () => {
+    const quiet = [month('2026-01', { Fees: 2 }), month('2026-02', { Fees: 2 }), month('2026-03', { Fees: 2 })]
+
+    assert.deepEqual(detectAnomalies({ month: '2026-04', categories: [{ name: 'Fees', amount: 15 }], history: quiet }).anomalies, [])
+  })
+})
+
+describe('normalizeAnomalySettings', () => {
+  it('falls back to defaults and keeps the minimum within the window', () => {
+    assert.deepEqual(normalizeAnomalySettings({ sensitivity: 'extreme', window: 4, minimumMonths: 1, minimumAmount: -5 }), {
+      sensitivity: 'medium',
+      window: 6,
+      minimumMonths: 3,
+      minimumAmount: 20,
+    })
+    assert.equal(normalizeAnomalySettings({ window: 3, minimumMonths: 10 }).minimumMonths, 3)
+  })
+})
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { applyMerge, previewMerge } from '../src/lib/backup.js'
+import { normalizeSnapshot } from '../src/lib/snapshots.js'
+
+const snapshot = (id, month, rent) => normalizeSnapshot({ id, month, income: 3000, categories: [{ name: 'Rent', amount: rent }] })
+
+describe('backup merge', () => {
+  const current = [snapshot('jan', '2026-01', 1000), snapshot('feb', '2026-02', 1000)]
+  const incoming = [snapshot('x1', '2026-01', 1000), snapshot('x2', '2026-02', 1200), snapshot('x3', '2026-03', 900)]
+
+  it('adds new months and keeps the current side of conflicts by default', () => {
+    const preview = previewMerge(current, incoming)
+
+    assert.deepEqual(
+      preview.map((entry) => [entry.month, entry.status, entry.resolution]),
+      [
+        ['2026-01', 'identical', 'skip'],
+        ['2026-02', 'conflict', 'skip'],
+        ['2026-03', 'new', 'replace'],
+      ],
+    )
+
+    const merged = applyMerge(current, preview)
+    assert.deepEqual(
+      merged.map((entry) => [entry.id, entry.categories[0].amount]),
+      [
+        ['x3', 900],
+        ['feb', 1000],
+        ['jan', 1000],
+      ],
+    )
+  })
+
+  it('replaces a conflicting month under its current id and can skip a new one', () => {
+    const preview = previewMerge(current, incoming).map((entry) => ({
+      ...entry,
+      resolution: entry.status === 'conflict' ? 'replace' : 'skip',
+    }))
+
+    const merged = applyMerge(current, preview)
+    assert.deepEqual(
+      merged.map((entry) => [entry.id, entry.categories[0].amount]),
+      [
+        ['feb', 1200],
+        ['jan', 1000],
+      ],
+    )
+  })
+})
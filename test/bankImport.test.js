@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  categorize,
+  collectImportIds,
+  createMapping,
+  groupStatementByMonth,
+  matchesRule,
+  parseAmount,
+  parseStatement,
+} from '../src/lib/bankImport.js'
+
+describe('parseAmount', () => {
+  it('reads decimal commas with dot thousands separators', () => {
+    assert.equal(parseAmount('1.234,56'), 1234.56)
+    assert.equal(parseAmount('-12,5'), -12.5)
+  })
+
+  it('reads decimal points with comma thousands separators', () => {
+    assert.equal(parseAmount('1,234.56'), 1234.56)
+    assert.equal(parseAmount('1,234'), 1234)
+  })
+
+  it('treats parenthesized amounts as negative', () => {
+    assert.equal(parseAmount('(45.00)'), -45)
+  })
+
+  it('returns null for empty or non-numeric cells', () => {
+    assert.equal(parseAmount(''), null)
+    assert.equal(parseAmount('n/a'), null)
+  })
+})
+
+describe('import rules', () => {
+  it('matches case-insensitively by contains, starts with and equals', () => {
+    assert.equal(matchesRule({ matcher: 'contains', pattern: 'coffee' }, 'Blue Coffee Co'), true)
+    assert.equal(matchesRule({ matcher: 'startsWith', pattern: 'blue' }, 'Blue Coffee Co'), true)
+    assert.equal(matchesRule({ matcher: 'startsWith', pattern: 'coffee' }, 'Blue Coffee Co'), false)
+    assert.equal(matchesRule({ matcher: 'equals', pattern: 'blue coffee co' }, 'Blue Coffee Co'), true)
+    assert.equal(matchesRule({ matcher: 'equals', pattern: 'blue coffee' }, 'Blue Coffee Co'), false)
+  })
+
+  it('uses the first matching rule and falls back when none match', () => {
+    const rules = [
+      { matcher: 'contains', pattern: 'market', category: 'Groceries' },
+      { matcher: 'contains', pattern: 'super', category: 'Shopping' },
+    ]
+
+    assert.equal(categorize('Supermarket', rules, 'Other'), 'Groceries')
+    assert.equal(categorize('Cinema', rules, 'Other'), 'Other')
+  })
+})
+
+describe('parseStatement', () => {
+  const mapping = createMapping('EUR')
+  const options = { bank: ' My Bank ', rules: [{ matcher: 'contains', pattern: 'market', category: 'Groceries' }], fallbackCategory: 'Other' }
+  const rows = [
+    ['Date', 'Description', 'Amount'],
+    ['2026-01-05', 'Market', '-12,50'],
+    ['2026-01-05', 'Market', '-12,50'],
+    ['2026-01-06', 'Salary', '2000'],
+    ['someday', 'Cinema', '-9'],
+    ['2026-01-07', 'Cinema', 'n/a'],
+  ]
+
+  it('gives repeated identical rows their own occurrence ids and rejects unreadable ones', () => {
+    const { parsed, rejected } = parseStatement(rows, mapping, options)
+
+    assert.deepEqual(
+      parsed.map((row) => [row.importId, row.spend, row.category]),
+      [
+        ['my bank|2026-01-05|market|12.50#1', 12.5, 'Groceries'],
+        ['my bank|2026-01-05|market|12.50#2', 12.5, 'Groceries'],
+        ['my bank|2026-01-06|salary|-2000.00#1', -2000, ''],
+      ],
+    )
+    assert.deepEqual(rejected, [
+      { line: 5, reason: 'Unreadable date' },
+      { line: 6, reason: 'Unreadable amount' },
+    ])
+  })
+
+  it('produces the same ids when the statement is imported again', () => {
+    const first = parseStatement(rows, mapping, options).parsed.map((row) => row.importId)
+    const again = parseStatement(rows, mapping, options).parsed.map((row) => row.importId)
+
+    assert.deepEqual(again, first)
+  })
+})
+
+describe('groupStatementByMonth', () => {
+  const mapping = createMapping('EUR')
+  const rows = [
+    ['Date', 'Description', 'Amount'],
+    ['2026-02-01', 'Rent', '-900'],
+    ['2026-01-05', 'Market', '-12.50'],
+    ['2026-01-06', 'Salary', '2000'],
+  ]
+  const { parsed } = parseStatement(rows, mapping, { bank: 'My Bank', rules: [], fallbackCategory: 'Other' })
+
+  it('splits spending and income into months in calendar order', () => {
+    const { months, duplicates } = groupStatementByMonth(parsed, new Set(), 'EUR')
+
+    assert.equal(duplicates, 0)
+    assert.deepEqual(
+      months.map((group) => [
+        group.month,
+        group.income,
+        group.incomeImportIds.length,
+        group.transactions.map((entry) => [entry.payee, entry.amount, entry.currency]),
+      ]),
+      [
+        ['2026-01', 2000, 1, [['Market', 12.5, 'EUR']]],
+        ['2026-02', 0, 0, [['Rent', 900, 'EUR']]],
+      ],
+    )
+  })
+
+  it('counts rows already in the history as duplicates instead of importing them', () => {
+    const { months: imported } = groupStatementByMonth(parsed, new Set(), 'EUR')
+    const snapshots = imported.map((group) => ({ transactions: group.transactions, incomeImportIds: group.incomeImportIds }))
+    const { months, duplicates } = groupStatementByMonth(parsed, collectImportIds(snapshots), 'EUR')
+
+    assert.deepEqual(months, [])
+    assert.equal(duplicates, 3)
+  })
+})
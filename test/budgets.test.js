@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { budgetVariance, budgetsFromForm, buildBudgetAlerts, carriedBudgets } from '../src/lib/budgets.js'
+import { asCurrency } from '../src/lib/format.js'
+
+const spending = [
+  { name: 'Rent', amount: 700 },
+  { name: 'Groceries', amount: 400 },
+  { name: 'Food', amount: 500 },
+  { name: 'Fun', amount: 300 },
+  { name: 'Gifts', amount: 90 },
+]
+
+const budgets = [
+  { category: 'Rent', amount: 1000, carryForward: true },
+  { category: 'Groceries', amount: 500, carryForward: false },
+  { category: 'Food', amount: 500, carryForward: false },
+  { category: 'Fun', amount: 200, carryForward: false },
+  { category: 'Travel', amount: 100, carryForward: false },
+]
+
+describe('budgetVariance', () => {
+  it('compares spend under, at and over budget, most used first', () => {
+    assert.deepEqual(
+      budgetVariance(spending, budgets).map((entry) => [entry.category, entry.actual, entry.variance, entry.usedRatio]),
+      [
+        ['Fun', 300, -100, 1.5],
+        ['Food', 500, 0, 1],
+        ['Groceries', 400, 100, 0.8],
+        ['Rent', 700, 300, 0.7],
+        ['Travel', 0, 100, 0],
+      ],
+    )
+  })
+
+  it('leaves out categories without a budget', () => {
+    assert.equal(
+      budgetVariance(spending, budgets).some((entry) => entry.category === 'Gifts'),
+      false,
+    )
+  })
+})
+
+describe('buildBudgetAlerts', () => {
+  it('warns from 80% used and flags only spend above the budget as over', () => {
+    assert.deepEqual(buildBudgetAlerts(budgetVariance(spending, budgets), 'USD'), [
+      { level: 'danger', message: `Fun over budget by ${asCurrency(100, 'USD')}.` },
+      { level: 'warning', message: '100% of Food budget used.' },
+      { level: 'warning', message: '80% of Groceries budget used.' },
+    ])
+  })
+})
+
+describe('budget form and carry-forward', () => {
+  it('keeps only categories that exist and have a positive amount', () => {
+    const form = { Rent: { amount: '1000', carryForward: true }, Food: { amount: '0' }, Gone: { amount: '50' } }
+
+    assert.deepEqual(budgetsFromForm(form, ['Rent', 'Food']), [{ category: 'Rent', amount: 1000, carryForward: true }])
+  })
+
+  it('carries forward only flagged budgets from the latest earlier month', () => {
+    const snapshots = [
+      { month: '2026-01', createdAt: 1, budgets: [{ category: 'Food', amount: 400, carryForward: true }] },
+      { month: '2026-02', createdAt: 1, budgets },
+      { month: '2026-04', createdAt: 1, budgets: [] },
+    ]
+
+    assert.deepEqual(carriedBudgets(snapshots, '2026-03'), [budgets[0]])
+    assert.deepEqual(carriedBudgets(snapshots, '2026-01'), [])
+  })
+})
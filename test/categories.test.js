@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  emptyCategoryTree,
+  groupByParent,
+  normalizeCategoryTree,
+  parentOptions,
+  renameCategoryInSnapshot,
+  renameCategoryInTree,
+  resolveRename,
+  setParent,
+  tagTotalsAcross,
+} from '../src/lib/categories.js'
+import { normalizeTags } from '../src/lib/ledger.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+const snapshot = (month, transactions, fields = {}) =>
+  withDerivedTotals(
+    normalizeSnapshot({
+      month,
+      categories: [...new Set(transactions.map((transaction) => transaction.category))].map((name) => ({ name })),
+      transactions: transactions.map((transaction, index) => ({ id: `${month}-${index}`, date: `${month}-05`, currency: 'USD', ...transaction })),
+      createdAt: 1000,
+      ...fields,
+    }),
+  )
+
+describe('category tree', () => {
+  const tree = setParent(setParent(emptyCategoryTree(), 'Groceries', 'Food'), 'Dining out', 'Food')
+
+  it('keeps the hierarchy one level deep', () => {
+    assert.deepEqual(normalizeCategoryTree({ parents: { Snacks: 'Groceries', Groceries: 'Food' } }).parents, { Groceries: 'Food' })
+    assert.deepEqual(parentOptions(tree, ['Food', 'Groceries', 'Rent'], 'Food'), [])
+    assert.deepEqual(parentOptions(tree, ['Food', 'Groceries', 'Rent'], 'Rent'), ['Food'])
+  })
+
+  it('rolls children up to their parent and lists them for drill-down', () => {
+    const groups = groupByParent(
+      [
+        { name: 'Food', amount: 20 },
+        { name: 'Groceries', amount: 300 },
+        { name: 'Dining out', amount: 80 },
+        { name: 'Rent', amount: 1000 },
+      ],
+      tree,
+    )
+
+    assert.deepEqual(
+      groups.map((group) => [group.name, group.amount, group.children.map((child) => child.name)]),
+      [
+        ['Food', 400, ['Food', 'Groceries', 'Dining out']],
+        ['Rent', 1000, []],
+      ],
+    )
+  })
+
+  it('moves children along when their parent is renamed', () => {
+    assert.deepEqual(renameCategoryInTree(tree, 'Food', 'Eating').parents, { Groceries: 'Eating', 'Dining out': 'Eating' })
+  })
+
+  it('drops the link when a child is merged into its parent', () => {
+    assert.deepEqual(renameCategoryInTree(tree, 'Dining out', 'Food', true).parents, { Groceries: 'Food' })
+  })
+})
+
+describe('resolveRename', () => {
+  it('treats an existing name as a merge, ignoring case', () => {
+    assert.deepEqual(resolveRename(['Food', 'Groceries'], 'Groceries', 'food'), { to: 'Food', merge: true })
+    assert.deepEqual(resolveRename(['Food', 'Groceries'], 'Groceries', 'Supermarket'), { to: 'Supermarket', merge: false })
+    assert.ok(resolveRename(['Food'], 'Food', ' ').error)
+  })
+})
+
+describe('renameCategoryInSnapshot', () => {
+  it('merges transactions, totals and budgets into the target category', () => {
+    const original = snapshot(
+      '2026-01',
+      [
+        { category: 'Groceries', amount: 100 },
+        { category: 'Food', amount: 50 },
+      ],
+      {
+        budgets: [
+          { category: 'Groceries', amount: 200 },
+          { category: 'Food', amount: 100, carryForward: true },
+        ],
+      },
+    )
+
+    const merged = renameCategoryInSnapshot(original, 'Groceries', 'Food')
+
+    assert.deepEqual(merged.categories, [{ name: 'Food', amount: 150 }])
+    assert.ok(merged.transactions.every((transaction) => transaction.category === 'Food'))
+    assert.deepEqual(merged.budgets, [{ category: 'Food', amount: 300, carryForward: true }])
+    assert.equal(merged.totalExpense, original.totalExpense)
+  })
+
+  it('returns untouched snapshots unchanged', () => {
+    const original = snapshot('2026-01', [{ category: 'Rent', amount: 900 }])
+
+    assert.equal(renameCategoryInSnapshot(original, 'Groceries', 'Food'), original)
+  })
+})
+
+describe('tags', () => {
+  it('normalizes free-form tags', () => {
+    assert.deepEqual(normalizeTags('#Vacation 2026, vacation-2026, , Work'), ['vacation-2026', 'work'])
+  })
+
+  it('totals tagged spending across months and categories in one currency', () => {
+    const history = [
+      snapshot('2026-01', [
+        { category: 'Travel', amount: 400, tags: ['vacation-2026'] },
+        { category: 'Food', amount: 60, tags: 'vacation-2026, dining' },
+        { category: 'Rent', amount: 900 },
+      ]),
+      snapshot('2026-02', [{ category: 'Travel', amount: 100, currency: 'EUR', tags: ['vacation-2026'] }], {
+        ratesUsed: { EUR: 2 },
+      }),
+    ]
+
+    const { tags, skipped } = tagTotalsAcross(history, 'USD')
+    const vacation = tags.find((entry) => entry.tag === 'vacation-2026')
+
+    assert.deepEqual(skipped, [])
+    assert.equal(vacation.amount, 660)
+    assert.equal(vacation.count, 3)
+    assert.deepEqual(vacation.months, ['2026-01', '2026-02'])
+    assert.deepEqual(vacation.categories, ['Food', 'Travel'])
+  })
+})
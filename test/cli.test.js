@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { fileURLToPath } from 'node:url'
+import { createBackup } from '../src/lib/backup.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+const cli = fileURLToPath(new URL('../bin/fintrack.js', import.meta.url))
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' })
+
+describe('fintrack CLI', () => {
+  let directory
+  let backupFile
+
+  before(() => {
+    directory = mkdtempSync(join(tmpdir(), 'fintrack-'))
+    backupFile = join(directory, 'backup.json')
+
+    const snapshots = ['2026-01', '2026-02'].map((month) =>
+      withDerivedTotals(
+        normalizeSnapshot({
+          month,
+          incomeSources: [{ name: 'Salary', amount: 3000, currency: 'USD' }],
+          categories: [{ name: 'Rent', amount: 1200 }],
+        }),
+      ),
+    )
+    writeFileSync(backupFile, JSON.stringify(createBackup(snapshots)))
+  })
+
+  after(() => {
+    rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('prints a text report by default', () => {
+    const result = run(backupFile)
+
+    assert.equal(result.status, 0)
+    assert.match(result.stdout, /2026-01 to 2026-02, 2 month\(s\)/)
+    assert.match(result.stdout, /Savings rate: 60\.0%/)
+  })
+
+  it('prints CSV for a month range', () => {
+    const result = run(backupFile, '--format', 'csv', '--from', '2026-02')
+
+    assert.equal(result.status, 0)
+    assert.deepEqual(result.stdout.trimEnd().split('\r\n'), [
+      'month,currency,income,expense,savings,savingsRate,savingsRateWithoutOneOff,highestCategory',
+      '2026-02,USD,3000,1200,1800,60,,Rent',
+    ])
+  })
+
+  it('prints JSON', () => {
+    const result = run(backupFile, '-f', 'json')
+
+    assert.equal(result.status, 0)
+    assert.equal(JSON.parse(result.stdout).summary.savings, 3600)
+  })
+
+  it('rejects bad options and missing files', () => {
+    assert.equal(run(backupFile, '--format', 'xml').status, 1)
+    assert.equal(run(backupFile, '--from', 'January').status, 1)
+    assert.equal(run(join(directory, 'missing.json')).status, 1)
+    assert.equal(run().status, 1)
+  })
+})
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { compareSnapshots } from '../src/lib/compare.js'
+
+const snapshot = (income, spending) => {
+  const categories = Object.entries(spending).map(([name, amount]) => ({ name, amount }))
+  const totalExpense = categories.reduce((sum, category) => sum + category.amount, 0)
+  return { totalIncome: income, totalExpense, savings: income - totalExpense, categories }
+}
+
+describe('compareSnapshots', () => {
+  it('gives the change and percent change of each category and of the totals', () => {
+    const comparison = compareSnapshots(snapshot(3000, { Rent: 1000, Food: 400 }), snapshot(3300, { Rent: 1000, Food: 500 }))
+
+    assert.deepEqual(comparison.categories, [
+      { name: 'Food', presence: 'both', from: 400, to: 500, change: 100, percent: 25 },
+      { name: 'Rent', presence: 'both', from: 1000, to: 1000, change: 0, percent: 0 },
+    ])
+    assert.deepEqual(comparison.income, { from: 3000, to: 3300, change: 300, percent: 10 })
+    assert.deepEqual(comparison.expense, { from: 1400, to: 1500, change: 100, percent: (100 / 1400) * 100 })
+    assert.equal(comparison.savings.change, 200)
+  })
+
+  it('marks categories with spend on one side only and drops those with none', () => {
+    const comparison = compareSnapshots(snapshot(3000, { Gym: 50, Gifts: 0 }), snapshot(3000, { Travel: 200, Gifts: 0 }))
+
+    assert.deepEqual(
+      comparison.categories.map((row) => [row.name, row.presence, row.change, row.percent]),
+      [
+        ['Travel', 'only-b', 200, null],
+        ['Gym', 'only-a', -50, -100],
+      ],
+    )
+  })
+
+  it('has no percent change from zero and measures it from a negative baseline by size', () => {
+    const comparison = compareSnapshots(snapshot(0, { Rent: 200 }), snapshot(400, { Rent: 300 }))
+
+    assert.deepEqual(comparison.income, { from: 0, to: 400, change: 400, percent: null })
+    assert.deepEqual(comparison.savings, { from: -200, to: 100, change: 300, percent: 150 })
+  })
+})
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { findRate, rateFor, resolveRates, toBase } from '../src/lib/currency.js'
+
+const table = [
+  { date: '2026-03-01', from: 'EUR', to: 'USD', rate: 2 },
+  { date: '2026-01-15', from: 'EUR', to: 'USD', rate: 1.5 },
+  { date: '2026-01-01', from: 'GBP', to: 'EUR', rate: 1.25 },
+]
+
+describe('findRate', () => {
+  it('uses the latest quote dated by the end of the month, either way round', () => {
+    assert.equal(findRate(table, 'USD', 'USD', '2026-02'), 1)
+    assert.equal(findRate(table, 'EUR', 'USD', '2026-02'), 1.5)
+    assert.equal(findRate(table, 'EUR', 'USD', '2026-03'), 2)
+    assert.equal(findRate(table, 'USD', 'EUR', '2026-03'), 0.5)
+  })
+
+  it('falls back to the earliest later quote when none is dated by the month', () => {
+    assert.equal(findRate(table, 'EUR', 'USD', '2025-12'), 1.5)
+  })
+
+  it('goes through a third currency when there is no direct quote', () => {
+    assert.equal(findRate(table, 'GBP', 'USD', '2026-03'), 2.5)
+    assert.equal(findRate(table, 'JPY', 'USD', '2026-03'), null)
+  })
+})
+
+describe('resolveRates', () => {
+  it('prefers locked rates, skips the base currency and lists currencies without a rate', () => {
+    const result = resolveRates(table, ['USD', 'EUR', 'GBP', 'JPY', 'JPY', ''], 'USD', '2026-02', { GBP: 1.7, EUR: 'none' })
+
+    assert.deepEqual(result, { rates: { EUR: 1.5, GBP: 1.7 }, missing: ['JPY'] })
+  })
+})
+
+describe('rateFor', () => {
+  it('treats a currency without a rate as the base currency', () => {
+    assert.equal(rateFor({ EUR: 1.5 }, 'EUR'), 1.5)
+    assert.equal(rateFor({ EUR: 1.5 }, 'JPY'), 1)
+    assert.equal(rateFor(undefined, 'EUR'), 1)
+    assert.equal(toBase('10', 'EUR', { EUR: 1.5 }), 15)
+    assert.equal(toBase('not a number', 'EUR', { EUR: 1.5 }), 0)
+  })
+})
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  DEBTS_KEY,
+  amortize,
+  compareStrategies,
+  debtPaymentsForMonth,
+  debtProgress,
+  loadDebtPlan,
+  normalizeDebt,
+  planByCurrency,
+  saveDebtPlan,
+  simulatePayoff,
+} from '../src/lib/debts.js'
+import { normalizeTransaction } from '../src/lib/ledger.js'
+import { createCipher, createVault } from '../src/lib/vault.js'
+
+const debt = (id, fields) =>
+  normalizeDebt({ id, name: id, category: 'Bills', currency: 'USD', startMonth: '2026-01', ...fields })
+
+describe('amortize', () => {
+  it('splits each payment into interest and principal until the balance is paid', () => {
+    const result = amortize(debt('loan', { balance: 1000, apr: 12, minimumPayment: 300 }))
+
+    assert.deepEqual(result.schedule[0], { month: '2026-01', payment: 300, interest: 10, principal: 290, balance: 710 })
+    assert.equal(result.payoffMonth, '2026-04')
+    assert.equal(result.schedule.at(-1).balance, 0)
+    assert.equal(result.totalPaid, 1000 + result.totalInterest)
+  })
+
+  it('never pays off when the payment does not cover the interest', () => {
+    const result = amortize(debt('stuck', { balance: 10000, apr: 24, minimumPayment: 150 }))
+
+    assert.equal(result.payoffMonth, null)
+  })
+
+  it('rejects debts without a balance, minimum payment or category', () => {
+    assert.equal(normalizeDebt({ name: 'Card', balance: 0, minimumPayment: 20, category: 'Bills', startMonth: '2026-01' }), null)
+    assert.equal(normalizeDebt({ name: 'Card', balance: 500, minimumPayment: 20, startMonth: '2026-01' }), null)
+  })
+})
+
+describe('payoff strategies', () => {
+  const debts = [
+    debt('card', { balance: 3000, apr: 24, minimumPayment: 90 }),
+    debt('store', { balance: 500, apr: 10, minimumPayment: 25 }),
+    debt('car', { balance: 6000, apr: 6, minimumPayment: 200, extraPayment: 200 }),
+  ]
+
+  it('targets the highest APR or the smallest balance first', () => {
+    const avalanche = simulatePayoff(debts, 'avalanche')
+    const snowball = simulatePayoff(debts, 'snowball')
+    const payoff = (plan, id) => plan.debts.find((result) => result.debt.id === id).payoffMonth
+
+    assert.ok(payoff(avalanche, 'card') < payoff(avalanche, 'store'))
+    assert.ok(payoff(snowball, 'store') < payoff(snowball, 'card'))
+  })
+
+  it('costs less interest with the avalanche plan', () => {
+    const [{ plans }] = compareStrategies(debts)
+    const [avalanche, snowball] = plans
+
+    assert.equal(avalanche.strategy, 'avalanche')
+    assert.ok(avalanche.totalInterest < snowball.totalInterest)
+    assert.ok(avalanche.payoffMonth <= snowball.payoffMonth)
+  })
+
+  it('rolls a paid-off minimum into the next debt', () => {
+    const plan = simulatePayoff(debts.slice(0, 2), 'snowball')
+    const store = plan.debts.find((result) => result.debt.id === 'store')
+    const nextMonth = plan.debts.find((result) => result.debt.id === 'card').schedule[store.schedule.length]
+
+    assert.equal(nextMonth.payment, 115)
+  })
+
+  it('keeps debts in different currencies in separate plans', () => {
+    const plans = planByCurrency([...debts, debt('mortgage', { balance: 1000, apr: 3, minimumPayment: 100, currency: 'EUR' })])
+
+    assert.deepEqual(
+      plans.map((entry) => [entry.currency, entry.plan.debts.length]),
+      [
+        ['USD', 3],
+        ['EUR', 1],
+      ],
+    )
+  })
+})
+
+describe('linking payments to history', () => {
+  const plans = planByCurrency([debt('loan', { balance: 1000, apr: 12, minimumPayment: 300 })], 'avalanche')
+
+  it('prefills planned payments as transactions in the debt category', () => {
+    const [transaction] = debtPaymentsForMonth(plans, '2026-02')
+
+    assert.equal(transaction.category, 'Bills')
+    assert.equal(transaction.amount, '300')
+    assert.equal(normalizeTransaction(transaction).debtId, 'loan')
+    assert.deepEqual(debtPaymentsForMonth(plans, '2026-09'), [])
+  })
+
+  it('skips a debt whose payment is already in the ledger', () => {
+    const recurring = { payee: ' LOAN ', category: 'Bills', amount: '300' }
+
+    assert.deepEqual(debtPaymentsForMonth(plans, '2026-02', [{ payee: 'Bank', category: 'Bills', debtId: 'loan' }]), [])
+    assert.deepEqual(debtPaymentsForMonth(plans, '2026-02', [recurring]), [])
+    assert.equal(debtPaymentsForMonth(plans, '2026-02', [{ ...recurring, category: 'Rent' }]).length, 1)
+  })
+
+  it('compares linked payments in saved months with the plan', () => {
+    const snapshots = [
+      { month: '2026-01', transactions: [{ debtId: 'loan', amount: 300, currency: 'USD' }] },
+      { month: '2026-02', transactions: [{ amount: 300, currency: 'USD' }] },
+    ]
+
+    assert.deepEqual(debtProgress(plans, snapshots), [{ debtId: 'loan', months: ['2026-01', '2026-02'], planned: 600, paid: 300 }])
+  })
+
+  it('counts a payment made through a recurring item for the debt', () => {
+    const recurring = { payee: 'Loan', category: 'Bills', amount: 300, currency: 'USD', recurringId: 'r1' }
+    const snapshots = [{ month: '2026-02', transactions: [recurring] }]
+
+    assert.deepEqual(debtPaymentsForMonth(plans, '2026-02', [{ ...recurring, amount: '300' }]), [])
+    assert.equal(debtProgress(plans, snapshots)[0].paid, 300)
+  })
+})
+
+describe('debt storage', () => {
+  it('seals the plan in encrypted mode', async () => {
+    const values = new Map()
+    globalThis.window = { localStorage: { getItem: (key) => values.get(key) ?? null, setItem: (key, value) => values.set(key, value) } }
+    const cipher = createCipher((await createVault('correct horse battery')).key)
+    const plan = { debts: [debt('loan', { balance: 1000, apr: 12, minimumPayment: 300 })], strategy: 'snowball' }
+
+    await saveDebtPlan(plan, cipher)
+    assert.equal(values.get(DEBTS_KEY).includes('loan'), false)
+    assert.deepEqual(await loadDebtPlan(cipher), plan)
+    delete globalThis.window
+  })
+})
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { buildTrendChartData, forecastSeries, toMonthlySeries } from '../src/lib/forecast.js'
+
+const series = (values) => toMonthlySeries(Object.entries(values).map(([month, value]) => ({ month, value })))
+
+const values = (projection) => projection.map((point) => [point.month, point.value])
+
+describe('toMonthlySeries', () => {
+  it('keeps the calendar offset of each month and lists the missing ones', () => {
+    const result = series({ '2026-03': 300, '2026-01': 100, '2026-02': Number.NaN, '2026-05': 500 })
+
+    assert.equal(result.startMonth, '2026-01')
+    assert.deepEqual(
+      result.points.map((point) => [point.month, point.x]),
+      [
+        ['2026-01', 0],
+        ['2026-03', 2],
+        ['2026-05', 4],
+      ],
+    )
+    assert.deepEqual(result.missingMonths, ['2026-02', '2026-04'])
+  })
+})
+
+describe('forecastSeries', () => {
+  it('does not project from fewer than two saved months', () => {
+    assert.deepEqual(forecastSeries(series({}), 'linear', 3), [])
+    assert.deepEqual(forecastSeries(series({ '2026-01': 100 }), 'linear', 3), [])
+  })
+
+  it('continues a regular linear trend with no band when it fits exactly', () => {
+    const projection = forecastSeries(series({ '2026-01': 100, '2026-02': 200, '2026-03': 300 }), 'linear', 2)
+
+    assert.deepEqual(values(projection), [
+      ['2026-04', 400],
+      ['2026-05', 500],
+    ])
+    assert.deepEqual([projection[0].low, projection[0].high], [400, 400])
+  })
+
+  it('measures the trend across a missing month by calendar distance', () => {
+    const projection = forecastSeries(series({ '2026-01': 100, '2026-03': 300 }), 'linear', 1)
+
+    assert.deepEqual(values(projection), [['2026-04', 400]])
+  })
+
+  it('averages only the last calendar months, not snapshots from before a gap', () => {
+    assert.deepEqual(values(forecastSeries(series({ '2026-01': 100, '2026-02': 200, '2026-03': 300 }), 'moving-average', 1)), [
+      ['2026-04', 200],
+    ])
+    assert.deepEqual(values(forecastSeries(series({ '2026-01': 100, '2026-05': 500 }), 'moving-average', 1)), [['2026-06', 500]])
+  })
+
+  it('repeats last year for seasonal naive and falls back when that month was never saved', () => {
+    const twelveMonths = Object.fromEntries(
+      Array.from({ length: 12 }, (_, index) => [`2025-${String(index + 1).padStart(2, '0')}`, (index + 1) * 10]),
+    )
+    const [next] = forecastSeries(series(twelveMonths), 'seasonal-naive', 1)
+    assert.deepEqual([next.month, next.value, next.fallback], ['2026-01', 10, false])
+
+    const [fallback] = forecastSeries(series({ '2026-01': 100, '2026-02': 200 }), 'seasonal-naive', 1)
+    assert.deepEqual([fallback.value, fallback.fallback], [150, true])
+  })
+
+  it('keeps projections at or above the floor', () => {
+    const projection = forecastSeries(series({ '2026-01': 200, '2026-02': 100 }), 'linear', 2, { floor: 0 })
+
+    assert.deepEqual(values(projection), [
+      ['2026-03', 0],
+      ['2026-04', 0],
+    ])
+  })
+})
+
+describe('buildTrendChartData', () => {
+  it('leaves missing months empty and starts the forecast at the last saved month', () => {
+    const history = series({ '2026-01': 100, '2026-03': 300 })
+    const rows = buildTrendChartData(history, forecastSeries(history, 'linear', 1))
+
+    assert.deepEqual(
+      rows.map((row) => [row.month, row.savings, row.forecast]),
+      [
+        ['2026-01', 100, undefined],
+        ['2026-02', null, undefined],
+        ['2026-03', 300, 300],
+        ['2026-04', null, 400],
+      ],
+    )
+  })
+})
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { allocateSavings, evaluateGoals, normalizeGoal } from '../src/lib/goals.js'
+
+const goal = (name, fields) =>
+  normalizeGoal({ name, currency: 'USD', startMonth: '2026-01', deadline: '2026-06', allocationType: 'percent', ...fields })
+
+const month = (value, savings) => ({ id: value, month: value, baseCurrency: 'USD', ratesUsed: {}, savings, createdAt: 1 })
+
+describe('allocateSavings', () => {
+  const first = goal('Emergency fund', { targetAmount: 4000, allocationValue: 100 })
+  const second = goal('Holiday', { targetAmount: 3000, allocationValue: 100 })
+  const history = [month('2026-01', 3000), month('2026-02', 3000), month('2026-03', 3000)]
+
+  it('passes what a reached goal no longer needs to the next goal', () => {
+    const [emergency, holiday] = allocateSavings([first, second], history, [])
+    const amounts = (allocation) => allocation.contributions.map((contribution) => Math.round(contribution.amount))
+
+    assert.deepEqual(amounts(emergency), [3000, 1000, 0])
+    assert.deepEqual(amounts(holiday), [0, 2000, 1000])
+  })
+
+  it('does not mark the next goal as behind once the first is reached', () => {
+    const [, holiday] = evaluateGoals([first, second], history, [], '2026-04')
+
+    assert.equal(Math.round(holiday.saved), 3000)
+    assert.equal(holiday.status, 'reached')
+  })
+})
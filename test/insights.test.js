@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  INSIGHT_RULES,
+  buildInsightContext,
+  defaultInsightSettings,
+  evaluateInsights,
+  normalizeInsightSettings,
+} from '../src/lib/insights.js'
+
+const categories = (amounts) => Object.entries(amounts).map(([name, amount]) => ({ name, amount }))
+
+const figures = ({ income = 3000, spending = {}, targetSavings = 0 } = {}) => {
+  const totalExpense = Object.values(spending).reduce((sum, amount) => sum + amount, 0)
+  const savings = income - totalExpense
+  return {
+    totalIncome: income,
+    totalExpense,
+    savings,
+    savingsRate: income > 0 ? (savings / income) * 100 : 0,
+    targetSavings,
+    categories: categories(spending),
+  }
+}
+
+const saved = (month, fields) => ({ month, createdAt: 1, ...figures(fields) })
+
+const context = (current, history = [], month = '2026-06') =>
+  buildInsightContext({ month, current: figures(current), history, currency: 'USD' })
+
+const run = (ruleId, ruleContext, params = {}) => {
+  const rule = INSIGHT_RULES.find((entry) => entry.id === ruleId)
+  return rule.evaluate(ruleContext, { ...defaultInsightSettings().params[ruleId], ...params })
+}
+
+describe('insight rules', () => {
+  it('grades the savings rate at 0% and 10%', () => {
+    assert.deepEqual(run('savings-rate', context({ income: 0 })), [])
+    assert.equal(run('savings-rate', context({ spending: { Rent: 3100 } }))[0].severity, 'danger')
+    assert.equal(run('savings-rate', context({ spending: { Rent: 2800 } }))[0].severity, 'warning')
+    assert.equal(run('savings-rate', context({ spending: { Rent: 2700 } }))[0].severity, 'positive')
+  })
+
+  it('names the top category only when there is spending', () => {
+    assert.deepEqual(run('top-category', context()), [])
+
+    const [insight] = run('top-category', context({ spending: { Food: 300, Rent: 1000 } }))
+    assert.equal(insight.severity, 'info')
+    assert.match(insight.message, /Rent/)
+  })
+
+  it('flags categories above the share-of-income threshold', () => {
+    const insights = run('category-share', context({ spending: { Rent: 900, Food: 930 } }))
+
+    assert.deepEqual(
+      insights.map((insight) => insight.message.split(' ')[0]),
+      ['Food'],
+    )
+    assert.equal(run('category-share', context({ spending: { Rent: 900 } }), { threshold: 29 }).length, 1)
+    assert.deepEqual(run('category-share', context({ income: 0, spending: { Rent: 900 } })), [])
+  })
+
+  it('reports the largest change since the previous month from the minimum change up', () => {
+    const previous = saved('2026-05', { spending: { Food: 400, Rent: 1000 } })
+
+    assert.deepEqual(run('largest-change', context({ spending: { Food: 400, Rent: 1000 } })), [])
+    assert.deepEqual(run('largest-change', context({ spending: { Food: 449, Rent: 1000 } }, [previous])), [])
+
+    const [rose] = run('largest-change', context({ spending: { Food: 450, Rent: 1000 } }, [previous]))
+    assert.equal(rose.severity, 'warning')
+    assert.match(rose.message, /^Food rose/)
+
+    const [fell] = run('largest-change', context({ spending: { Food: 400 } }, [previous]))
+    assert.equal(fell.severity, 'positive')
+    assert.match(fell.message, /^Rent fell/)
+  })
+
+  it('mentions a gap when the previous saved month is not the month before', () => {
+    const [insight] = run('largest-change', context({ spending: { Food: 500 } }, [saved('2026-03', { spending: { Food: 400 } })]))
+
+    assert.match(insight.explanation, /no snapshot for the months in between/)
+  })
+
+  it('counts the target streak back from this month and stops at a gap', () => {
+    const met = { income: 3000, spending: { Rent: 1000 }, targetSavings: 1500 }
+    const history = [saved('2026-03', met), saved('2026-05', met)]
+
+    const [insight] = run('target-streak', context(met, history))
+    assert.match(insight.message, /2 months in a row/)
+    assert.deepEqual(run('target-streak', context(met, history), { minimumStreak: 3 }), [])
+    assert.deepEqual(run('target-streak', context({ ...met, targetSavings: 2500 }, history)), [])
+  })
+
+  it('warns about an income drop against the recent average', () => {
+    const history = [saved('2026-01', { income: 9000 }), saved('2026-04', { income: 3000 }), saved('2026-05', { income: 3000 })]
+
+    assert.deepEqual(run('income-drop', context({ income: 2701 }, history)), [])
+    assert.equal(run('income-drop', context({ income: 2700 }, history))[0].severity, 'warning')
+    assert.equal(run('income-drop', context({ income: 2250 }, history))[0].severity, 'danger')
+    assert.deepEqual(run('income-drop', context({ income: 2700 }, [saved('2026-01', { income: 3000 })])), [])
+  })
+})
+
+describe('evaluateInsights', () => {
+  it('skips disabled rules and lists the most severe first', () => {
+    const settings = { ...defaultInsightSettings(), disabled: ['top-category'] }
+    const insights = evaluateInsights(context({ income: 1000, spending: { Rent: 1100 } }), settings)
+
+    assert.equal(
+      insights.some((insight) => insight.ruleId === 'top-category'),
+      false,
+    )
+    assert.equal(insights[0].severity, 'danger')
+  })
+})
+
+describe('normalizeInsightSettings', () => {
+  it('falls back to the defaults for missing, unknown and invalid values', () => {
+    assert.deepEqual(normalizeInsightSettings(null), defaultInsightSettings())
+
+    const settings = normalizeInsightSettings({
+      disabled: ['savings-rate', 'no-such-rule'],
+      params: { 'category-share': { threshold: '40' }, 'income-drop': { threshold: -5, months: 'soon' } },
+    })
+
+    assert.deepEqual(settings.disabled, ['savings-rate'])
+    assert.equal(settings.params['category-share'].threshold, 40)
+    assert.deepEqual(settings.params['income-drop'], { threshold: 10, months: 3 })
+    assert.equal(settings.params['largest-change'].minimumChange, 50)
+  })
+})
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { balancesFromForm, netWorthOf, normalizeBalances } from '../src/lib/accounts.js'
+import { buildNetWorth } from '../src/lib/netWorth.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+const accounts = [
+  { id: 'checking', name: 'Checking', type: 'checking', currency: 'USD' },
+  { id: 'broker', name: 'Broker', type: 'brokerage', currency: 'EUR' },
+  { id: 'card', name: 'Card', type: 'credit-card', currency: 'USD' },
+]
+
+const snapshot = (month, income, expense, balances, fields = {}) =>
+  withDerivedTotals(
+    normalizeSnapshot({
+      month,
+      incomeSources: [{ name: 'Salary', amount: income, currency: 'USD' }],
+      categories: [{ name: 'Living', amount: expense }],
+      balances: balancesFromForm(balances, accounts),
+      ratesUsed: { EUR: 2 },
+      createdAt: 1000,
+      ...fields,
+    }),
+  )
+
+describe('balances', () => {
+  it('keeps only accounts with an entered balance, with their details', () => {
+    assert.deepEqual(balancesFromForm({ checking: '1200', broker: '', card: '0' }, accounts), [
+      { accountId: 'checking', name: 'Checking', type: 'checking', currency: 'USD', amount: 1200 },
+      { accountId: 'card', name: 'Card', type: 'credit-card', currency: 'USD', amount: 0 },
+    ])
+    assert.deepEqual(normalizeBalances([{ accountId: 'x', name: 'X', amount: 'abc' }, null]), [])
+  })
+
+  it('subtracts liabilities and converts with the month’s rates', () => {
+    const worth = netWorthOf(snapshot('2026-01', 3000, 2000, { checking: '1000', broker: '500', card: '300' }))
+
+    assert.deepEqual(worth, { assets: 2000, liabilities: 300, netWorth: 1700 })
+    assert.equal(netWorthOf(snapshot('2026-01', 3000, 2000, {})), null)
+  })
+})
+
+describe('buildNetWorth', () => {
+  const history = [
+    snapshot('2026-01', 3000, 2000, { checking: '1000', card: '200' }),
+    snapshot('2026-02', 3000, 2000, { checking: '2000', card: '200' }),
+    snapshot('2026-03', 3000, 2000, { checking: '2500', card: '300' }),
+    snapshot('2026-05', 3000, 2000, { checking: '4000', card: '300' }),
+    snapshot('2026-06', 3000, 2000, {}),
+  ]
+
+  it('reconciles savings against the change in net worth between consecutive months', () => {
+    const { months } = buildNetWorth(history, 'USD')
+
+    assert.deepEqual(
+      months.map((entry) => [entry.month, entry.netWorth, entry.change, entry.gap, entry.flagged]),
+      [
+        ['2026-01', 800, null, null, false],
+        ['2026-02', 1800, 1000, 0, false],
+        ['2026-03', 2200, 400, -600, true],
+        ['2026-05', 3700, null, null, false],
+      ],
+    )
+  })
+
+  it('reports in another currency and skips months without a rate', () => {
+    const inEur = buildNetWorth([history[0], snapshot('2026-02', 3000, 2000, { checking: '10' }, { ratesUsed: {} })], 'EUR')
+
+    assert.deepEqual(inEur.months.map((entry) => entry.netWorth), [400])
+    assert.deepEqual(inEur.skipped, ['2026-02'])
+  })
+})
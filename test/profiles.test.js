@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { ACTIVITY_KEY } from '../src/lib/activity.js'
+import { loadImportSettings, saveImportSettings } from '../src/lib/bankImport.js'
+import { DEBTS_KEY, loadDebtPlan, saveDebtPlan } from '../src/lib/debts.js'
+import { loadGoals, saveGoals } from '../src/lib/goals.js'
+import { combineHousehold } from '../src/lib/household.js'
+import { DEFAULT_PROFILE_ID, addProfile, defaultProfiles, normalizeProfiles, profileKey, renameProfile } from '../src/lib/profiles.js'
+import { convertProfile, unreadableProfiles } from '../src/lib/profileVault.js'
+import { STORAGE_KEY, createLocalStorageHistoryStore } from '../src/lib/storage.js'
+import { createCipher, createVault } from '../src/lib/vault.js'
+
+const memoryStorage = () => {
+  const values = new Map()
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    key: (index) => [...values.keys()][index] ?? null,
+    get length() {
+      return values.size
+    },
+  }
+}
+
+describe('profiles', () => {
+  it('keeps the unscoped keys for the default profile', () => {
+    assert.equal(profileKey(STORAGE_KEY, DEFAULT_PROFILE_ID), STORAGE_KEY)
+    assert.equal(profileKey(STORAGE_KEY, 'partner'), `${STORAGE_KEY}:partner`)
+  })
+
+  it('adds and renames profiles with unique names', () => {
+    const added = addProfile(defaultProfiles(), 'Partner')
+    const partner = added.profiles[1]
+
+    assert.equal(added.activeId, partner.id)
+    assert.equal(addProfile(added, ' partner '), added)
+    assert.equal(renameProfile(added, partner.id, 'Me'), added)
+    assert.equal(renameProfile(added, partner.id, 'Sam').profiles[1].name, 'Sam')
+  })
+
+  it('always keeps the default profile and drops unknown ids', () => {
+    const registry = normalizeProfiles({ profiles: [{ id: 'a', name: 'Alex' }], activeId: 'gone', household: ['a', 'gone', 'a'] })
+
+    assert.deepEqual(
+      registry.profiles.map((profile) => profile.id),
+      [DEFAULT_PROFILE_ID, 'a'],
+    )
+    assert.equal(registry.activeId, DEFAULT_PROFILE_ID)
+    assert.deepEqual(registry.household, ['a'])
+  })
+
+  it('stores each profile’s history and settings separately', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+
+    await createLocalStorageHistoryStore(null, 'partner').write({ id: 'a', month: '2026-01', categories: [], createdAt: 1 }, null)
+    saveGoals([{ id: 'g', name: 'Trip', targetAmount: 500, startMonth: '2026-01', deadline: '2026-06' }], 'partner')
+    saveImportSettings({ banks: {}, rules: [{ id: 'r', pattern: 'rent', category: 'Housing' }] }, 'partner')
+
+    assert.equal((await createLocalStorageHistoryStore(null, 'partner').load()).length, 1)
+    assert.deepEqual(await createLocalStorageHistoryStore().load(), [])
+    assert.equal(loadGoals('partner').length, 1)
+    assert.deepEqual(loadGoals(), [])
+    assert.equal(loadImportSettings('partner').rules.length, 1)
+    assert.deepEqual(loadImportSettings().rules, [])
+    delete globalThis.window
+  })
+
+  it('leaves a profile as it was when any of its data cannot be opened', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    const cipher = createCipher((await createVault('correct horse battery')).key)
+    const plan = { strategy: 'snowball', debts: [] }
+
+    await saveDebtPlan(plan, null, 'partner')
+    await saveDebtPlan(plan, null, 'sam')
+    window.localStorage.setItem(profileKey(ACTIVITY_KEY, 'partner'), '{not json')
+    const partnerDebts = window.localStorage.getItem(profileKey(DEBTS_KEY, 'partner'))
+
+    await assert.rejects(convertProfile('partner', null, cipher))
+    assert.equal(window.localStorage.getItem(profileKey(DEBTS_KEY, 'partner')), partnerDebts)
+    assert.equal(window.localStorage.getItem(profileKey(ACTIVITY_KEY, 'partner')), '{not json')
+
+    await convertProfile('sam', null, cipher)
+    assert.ok(JSON.parse(window.localStorage.getItem(profileKey(DEBTS_KEY, 'sam'))).sealed)
+    assert.equal((await loadDebtPlan(cipher, 'sam')).strategy, 'snowball')
+    delete globalThis.window
+  })
+
+  it('names the profiles that cannot be opened without changing any of them', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    const cipher = createCipher((await createVault('correct horse battery')).key)
+
+    await saveDebtPlan({ strategy: 'snowball', debts: [] }, cipher, 'partner')
+    await saveDebtPlan({ strategy: 'snowball', debts: [] }, cipher, 'sam')
+    window.localStorage.setItem(profileKey(ACTIVITY_KEY, 'partner'), '{not json')
+    const before = window.localStorage.getItem(profileKey(DEBTS_KEY, 'sam'))
+
+    const unreadable = await unreadableProfiles(
+      [
+        { id: 'partner', name: 'Partner' },
+        { id: 'sam', name: 'Sam' },
+      ],
+      cipher,
+    )
+
+    assert.deepEqual(
+      unreadable.map((profile) => profile.name),
+      ['Partner'],
+    )
+    assert.equal(window.localStorage.getItem(profileKey(DEBTS_KEY, 'sam')), before)
+    assert.deepEqual(await unreadableProfiles([{ id: 'sam', name: 'Sam' }], null), [{ id: 'sam', name: 'Sam' }])
+    delete globalThis.window
+  })
+})
+
+describe('combineHousehold', () => {
+  const snapshot = (month, fields) => ({
+    id: `${month}-${fields.createdAt || 1}`,
+    month,
+    baseCurrency: 'USD',
+    ratesUsed: {},
+    createdAt: 1,
+    ...fields,
+  })
+
+  const alex = {
+    id: 'alex',
+    name: 'Alex',
+    snapshots: [
+      snapshot('2026-01', { totalIncome: 3000, totalExpense: 1000, savings: 2000, categories: [{ name: 'Rent', amount: 1000 }] }),
+      snapshot('2026-02', { totalIncome: 3000, totalExpense: 1200, savings: 1800, categories: [{ name: 'Rent', amount: 1200 }] }),
+    ],
+  }
+  const sam = {
+    id: 'sam',
+    name: 'Sam',
+    snapshots: [
+      snapshot('2026-01', {
+        totalIncome: 2000,
+        totalExpense: 900,
+        savings: 1100,
+        categories: [
+          { name: 'rent', amount: 800 },
+          { name: 'Food', amount: 100 },
+        ],
+      }),
+    ],
+  }
+
+  it('adds the members up month by month and maps categories by name', () => {
+    const { months } = combineHousehold([alex, sam], 'USD')
+    const [january, february] = months
+
+    assert.equal(january.totalIncome, 5000)
+    assert.equal(january.savings, 3100)
+    assert.equal(january.savingsRate, 62)
+    assert.deepEqual(january.categories[0], { name: 'Rent', amount: 1800, members: { alex: 1000, sam: 800 } })
+    assert.deepEqual(
+      february.members.map((member) => member.id),
+      ['alex'],
+    )
+  })
+
+  it('counts only the latest snapshot of a month per member', () => {
+    const twice = {
+      ...sam,
+      snapshots: [...sam.snapshots, snapshot('2026-01', { totalIncome: 2500, totalExpense: 900, savings: 1600, categories: [], createdAt: 2 })],
+    }
+
+    assert.equal(combineHousehold([twice], 'USD').months[0].totalIncome, 2500)
+  })
+
+  it('leaves out member months without a rate to the household currency', () => {
+    const euro = { id: 'eu', name: 'Eli', snapshots: [snapshot('2026-01', { baseCurrency: 'EUR', totalIncome: 1, totalExpense: 0, savings: 1, categories: [] })] }
+    const { months, skipped } = combineHousehold([alex, euro], 'USD')
+
+    assert.equal(months[0].members.length, 1)
+    assert.deepEqual(skipped, [{ memberId: 'eu', name: 'Eli', month: '2026-01' }])
+  })
+})
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { buildReport, formatReport, formatReportCsv, formatReportText } from '../src/lib/report.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+const snapshot = (month, baseCurrency, income, expenses, createdAt = 1) =>
+  withDerivedTotals(
+    normalizeSnapshot({
+      month,
+      baseCurrency,
+      createdAt,
+      incomeSources: [{ name: 'Salary', amount: income, currency: baseCurrency }],
+      categories: Object.entries(expenses).map(([name, amount]) => ({ name, amount })),
+    }),
+  )
+
+const history = [
+  snapshot('2026-01', 'USD', 2000, { Rent: 1000, Food: 400 }),
+  snapshot('2026-02', 'USD', 2000, { Rent: 1000, Food: 600 }),
+  snapshot('2026-02', 'USD', 2000, { Rent: 1000, Food: 500 }, 2),
+  snapshot('2026-03', 'GBP', 2000, { Rent: 900 }),
+  snapshot('2026-03', 'USD', 2500, { Rent: 1000, Food: 300 }, 2),
+  snapshot('2026-04', 'JPY', 300000, { Rent: 100000 }),
+]
+
+describe('buildReport', () => {
+  it('keeps the latest save per month and totals the range', () => {
+    const report = buildReport(history, { currency: 'USD', to: '2026-03' })
+
+    assert.equal(report.currency, 'USD')
+    assert.equal(report.from, '2026-01')
+    assert.equal(report.to, '2026-03')
+    assert.deepEqual(
+      report.months.map((month) => [month.month, month.totalExpense, month.highestCategory]),
+      [
+        ['2026-01', 1400, 'Rent'],
+        ['2026-02', 1500, 'Rent'],
+        ['2026-03', 1300, 'Rent'],
+      ],
+    )
+    assert.equal(report.summary.totalIncome, 6500)
+    assert.equal(report.summary.totalExpense, 4200)
+    assert.equal(report.summary.savings, 2300)
+    assert.deepEqual(
+      report.categories.map((category) => category.name),
+      ['Rent', 'Food'],
+    )
+  })
+
+  it('lists months it cannot convert instead of mixing currencies', () => {
+    const report = buildReport(history, { currency: 'USD', from: '2026-04' })
+
+    assert.deepEqual(report.months, [])
+    assert.deepEqual(report.skipped, ['2026-04'])
+  })
+
+  it('converts months with a rate table', () => {
+    const report = buildReport(history, {
+      currency: 'USD',
+      from: '2026-04',
+      rateTable: [{ from: 'JPY', to: 'USD', rate: 0.01, date: '2026-04-01' }],
+    })
+
+    assert.deepEqual(report.skipped, [])
+    assert.equal(report.months[0].totalExpense, 1000)
+  })
+
+  it('defaults to the most common base currency', () => {
+    assert.equal(buildReport(history).currency, 'USD')
+  })
+})
+
+describe('report formatters', () => {
+  const report = buildReport(history, { currency: 'USD', to: '2026-02' })
+
+  it('writes one CSV row per month', () => {
+    const lines = formatReportCsv(report).trimEnd().split('\r\n')
+
+    assert.equal(lines.length, 3)
+    assert.equal(lines[0], 'month,currency,income,expense,savings,savingsRate,savingsRateWithoutOneOff,highestCategory')
+    assert.equal(lines[1], '2026-01,USD,2000,1400,600,30,,Rent')
+  })
+
+  it('writes category totals as CSV', () => {
+    const lines = formatReportCsv(report, 'categories').trimEnd().split('\r\n')
+
+    assert.deepEqual(lines, ['category,currency,amount,share', 'Rent,USD,2000,68.97', 'Food,USD,900,31.03'])
+  })
+
+  it('round-trips the report through JSON', () => {
+    assert.deepEqual(JSON.parse(formatReport(report, 'json')), report)
+  })
+
+  it('prints a readable summary', () => {
+    const text = formatReportText(report)
+
+    assert.match(text, /2026-01 to 2026-02, 2 month\(s\)/)
+    assert.match(text, /Savings rate: 27\.5%/)
+  })
+})
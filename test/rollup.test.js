@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { normalizeGoal } from '../src/lib/goals.js'
+import { buildRollup, formatRollupHtml, normalizeRollupSettings, periodOf } from '../src/lib/rollup.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+const round = (value) => Math.round(value * 100) / 100
+
+const snapshot = (month, income, categories) =>
+  withDerivedTotals(
+    normalizeSnapshot({
+      month,
+      incomeSources: [{ name: 'Salary', amount: income, currency: 'USD' }],
+      categories: Object.entries(categories).map(([name, amount]) => ({ name, amount })),
+      createdAt: 1000,
+    }),
+  )
+
+describe('periodOf', () => {
+  it('groups calendar quarters and years', () => {
+    assert.deepEqual(periodOf('2026-05', 'quarter'), { start: '2026-04', end: '2026-06', label: 'Q2 2026' })
+    assert.deepEqual(periodOf('2026-05', 'year'), { start: '2026-01', end: '2026-12', label: '2026' })
+  })
+
+  it('counts quarters and years from the fiscal start month', () => {
+    assert.deepEqual(periodOf('2026-03', 'year', 4), { start: '2025-04', end: '2026-03', label: 'FY 2025/26' })
+    assert.deepEqual(periodOf('2026-04', 'quarter', 4), { start: '2026-04', end: '2026-06', label: 'Q1 FY 2026/27' })
+    assert.deepEqual(periodOf('2026-02', 'quarter', 4), { start: '2026-01', end: '2026-03', label: 'Q4 FY 2025/26' })
+  })
+})
+
+describe('normalizeRollupSettings', () => {
+  it('falls back to calendar years for unknown values', () => {
+    assert.deepEqual(normalizeRollupSettings({ period: 'week', fiscalStartMonth: 13 }), { period: 'year', fiscalStartMonth: 1 })
+  })
+})
+
+describe('buildRollup', () => {
+  const history = [
+    snapshot('2026-01', 3000, { Rent: 1000, Food: 500 }),
+    snapshot('2026-02', 3000, { Rent: 1000, Food: 1000 }),
+    snapshot('2026-04', 4000, { Rent: 1000, Travel: 1000 }),
+  ]
+
+  it('totals, averages and ranks the months of each quarter', () => {
+    const rollup = buildRollup(history, { period: 'quarter', currency: 'USD' })
+    const [first, second] = rollup.periods
+
+    assert.deepEqual(rollup.periods.map((period) => period.label), ['Q1 2026', 'Q2 2026'])
+    assert.equal(first.monthCount, 2)
+    assert.equal(first.expectedMonths, 3)
+    assert.deepEqual(first.totals, { totalIncome: 6000, totalExpense: 3500, savings: 2500, savingsRate: (2500 / 6000) * 100 })
+    assert.equal(first.averages.savings, 1250)
+    assert.equal(first.best.month, '2026-01')
+    assert.equal(first.worst.month, '2026-02')
+    assert.equal(second.comparedTo, 'Q1 2026')
+  })
+
+  it('reports how category shares shifted against the previous period', () => {
+    const [, second] = buildRollup(history, { period: 'quarter', currency: 'USD' }).periods
+    const shift = Object.fromEntries(second.categories.map((category) => [category.name, round(category.shift)]))
+
+    assert.deepEqual(shift, { Rent: round(50 - (2000 / 3500) * 100), Travel: 50, Food: round(-(1500 / 3500) * 100) })
+    assert.equal(second.categories.find((category) => category.name === 'Food').amount, 0)
+  })
+
+  it('tracks goal contributions per period and in total', () => {
+    const goal = normalizeGoal({
+      name: 'Emergency fund',
+      targetAmount: 2500,
+      currency: 'USD',
+      startMonth: '2026-01',
+      deadline: '2026-12',
+      allocationType: 'fixed',
+      allocationValue: 1000,
+    })
+    const [first, second] = buildRollup(history, { period: 'quarter', currency: 'USD', goals: [goal] }).periods
+
+    assert.equal(first.goals[0].contributed, 2000)
+    assert.equal(first.goals[0].reached, false)
+    assert.equal(second.goals[0].savedToDate, 2500)
+    assert.equal(second.goals[0].reached, true)
+  })
+
+  it('uses fiscal years when a start month is set', () => {
+    const rollup = buildRollup(history, { period: 'year', fiscalStartMonth: 4, currency: 'USD' })
+
+    assert.deepEqual(rollup.periods.map((period) => period.label), ['FY 2025/26', 'FY 2026/27'])
+  })
+})
+
+describe('formatRollupHtml', () => {
+  it('renders a standalone document with escaped names', () => {
+    const rollup = buildRollup([snapshot('2026-01', 3000, { '<Rent & Co>': 1000 })], { period: 'year', currency: 'USD' })
+    const html = formatRollupHtml(rollup, { generatedAt: new Date(0) })
+
+    assert.match(html, /^<!DOCTYPE html>/)
+    assert.match(html, /&lt;Rent &amp; Co&gt;/)
+    assert.doesNotMatch(html, /<script/)
+    assert.match(html, /@media print/)
+  })
+})
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { normalizeGoal } from '../src/lib/goals.js'
+import { normalizeRecurringItem } from '../src/lib/recurring.js'
+import {
+  applyScenario,
+  forkScenario,
+  loadScenarios,
+  normalizeAdjustment,
+  projectGoals,
+  SCENARIOS_KEY,
+  saveScenarios,
+  scenarioBaseline,
+} from '../src/lib/scenarios.js'
+import { createCipher, createVault } from '../src/lib/vault.js'
+
+const streaming = normalizeRecurringItem({
+  id: 'streaming',
+  name: 'Streaming',
+  kind: 'expense',
+  category: 'Subscriptions',
+  amount: 15,
+  currency: 'EUR',
+  cadence: 'monthly',
+  startMonth: '2026-01',
+})
+
+const base = forkScenario(
+  {
+    name: 'Move',
+    source: 'Saved 2026-03',
+    month: '2026-03',
+    currency: 'USD',
+    incomeTotals: [
+      { name: 'Salary', amount: 4000 },
+      { name: 'Salary', amount: 1000 },
+    ],
+    categories: [
+      { name: 'Rent', amount: 1500 },
+      { name: 'Subscriptions', amount: 40 },
+    ],
+    targetSavings: 3000,
+    rates: { EUR: 2 },
+  },
+  [streaming],
+)
+
+const withChanges = (adjustments) => ({ ...base, adjustments: adjustments.map(normalizeAdjustment) })
+
+describe('forkScenario', () => {
+  it('copies the month’s figures and the recurring items due in it', () => {
+    assert.deepEqual(base.incomes, [{ name: 'Salary', amount: 5000 }])
+    assert.deepEqual(base.recurring, [{ id: 'streaming', name: 'Streaming', kind: 'expense', category: 'Subscriptions', amount: 30 }])
+    assert.equal(scenarioBaseline(base).savings, 3460)
+  })
+})
+
+describe('applyScenario', () => {
+  it('applies percentage and absolute changes in order', () => {
+    const result = applyScenario(
+      withChanges([
+        { kind: 'income', target: 'Salary', mode: 'percent', value: -10 },
+        { kind: 'category', target: 'Rent', mode: 'absolute', value: 300 },
+        { kind: 'category', target: 'Commute', mode: 'absolute', value: 120 },
+      ]),
+    )
+
+    assert.equal(result.totalIncome, 4500)
+    assert.deepEqual(result.categories, [
+      { name: 'Rent', amount: 1800 },
+      { name: 'Subscriptions', amount: 40 },
+      { name: 'Commute', amount: 120 },
+    ])
+    assert.equal(result.savings, 2540)
+  })
+
+  it('moves a cancelled recurring item out of its category', () => {
+    const result = applyScenario(withChanges([{ kind: 'recurring', target: 'streaming', mode: 'percent', value: -100 }]))
+
+    assert.equal(result.categories.find((line) => line.name === 'Subscriptions').amount, 10)
+  })
+
+  it('never lets a line go below zero', () => {
+    const result = applyScenario(withChanges([{ kind: 'category', target: 'Rent', mode: 'absolute', value: -5000 }]))
+
+    assert.equal(result.categories[0].amount, 0)
+  })
+
+  it('leaves the stored scenario untouched', () => {
+    const scenario = withChanges([{ kind: 'income', target: 'Salary', mode: 'percent', value: 50 }])
+    applyScenario(scenario)
+
+    assert.deepEqual(scenario.incomes, [{ name: 'Salary', amount: 5000 }])
+  })
+})
+
+describe('projectGoals', () => {
+  it('shows when a goal is reached at the baseline and the scenario savings', () => {
+    const goal = normalizeGoal({
+      name: 'House',
+      targetAmount: 10000,
+      currency: 'USD',
+      startMonth: '2026-01',
+      deadline: '2026-12',
+      allocationType: 'percent',
+      allocationValue: 50,
+    })
+    const history = [{ month: '2026-01', baseCurrency: 'USD', ratesUsed: {}, savings: 2000, createdAt: 1 }]
+    const project = (savings) => projectGoals([goal], history, { month: '2026-02', currency: 'USD', savings })[0]
+
+    assert.equal(project(2000).reachMonth, '2026-10')
+    assert.equal(project(1000).reachMonth, null)
+  })
+})
+
+describe('scenario storage', () => {
+  it('seals saved scenarios in encrypted mode', async () => {
+    const values = new Map()
+    globalThis.window = { localStorage: { getItem: (key) => values.get(key) ?? null, setItem: (key, value) => values.set(key, value) } }
+    const cipher = createCipher((await createVault('correct horse battery')).key)
+
+    await saveScenarios([base], cipher)
+    assert.equal(values.get(SCENARIOS_KEY).includes('Salary'), false)
+    assert.deepEqual(await loadScenarios(cipher), [base])
+    assert.deepEqual(await loadScenarios(null), [])
+    delete globalThis.window
+  })
+})
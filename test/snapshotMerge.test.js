@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { mergeSnapshots } from '../src/lib/snapshotMerge.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+const snapshot = (fields) =>
+  withDerivedTotals(
+    normalizeSnapshot({
+      id: 'march',
+      month: '2026-03',
+      incomeSources: [{ id: 'salary', name: 'Salary', amount: 3000, currency: 'USD' }],
+      categories: [{ name: 'Rent' }, { name: 'Food' }],
+      transactions: [{ id: 'rent', date: '2026-03-01', category: 'Rent', amount: 1200, currency: 'USD' }],
+      createdAt: 1000,
+      ...fields,
+    }),
+  )
+
+const transaction = (id, category, amount) => ({ id, date: '2026-03-10', category, amount, currency: 'USD' })
+
+describe('mergeSnapshots', () => {
+  it('returns the remote snapshot when both sides hold the same data', () => {
+    const remote = snapshot({ createdAt: 2000 })
+    const result = mergeSnapshots(snapshot(), snapshot(), remote)
+
+    assert.equal(result.snapshot, remote)
+    assert.deepEqual(result.conflicts, [])
+  })
+
+  it('keeps edits to different fields from both sides', () => {
+    const base = snapshot()
+    const local = snapshot({ transactions: [...base.transactions, transaction('food', 'Food', 80)], createdAt: 2000 })
+    const remote = snapshot({ targetSavings: 500, createdAt: 3000 })
+
+    const { snapshot: merged, conflicts } = mergeSnapshots(base, local, remote)
+
+    assert.deepEqual(conflicts, [])
+    assert.equal(merged.targetSavings, 500)
+    assert.deepEqual(merged.transactions.map((entry) => entry.id).sort(), ['food', 'rent'])
+    assert.equal(merged.totalExpense, 1280)
+  })
+
+  it('lets the newer side win a real conflict and reports it', () => {
+    const base = snapshot()
+    const local = snapshot({ targetSavings: 400, createdAt: 5000 })
+    const remote = snapshot({ targetSavings: 600, createdAt: 3000 })
+
+    const result = mergeSnapshots(base, local, remote)
+
+    assert.equal(result.snapshot.targetSavings, 400)
+    assert.deepEqual(result.conflicts, ['target savings'])
+  })
+
+  it('prefers an edit over a deletion of the same transaction', () => {
+    const base = snapshot()
+    const local = snapshot({ transactions: [], createdAt: 2000 })
+    const remote = snapshot({ transactions: [transaction('rent', 'Rent', 1300)], createdAt: 3000 })
+
+    const { snapshot: merged } = mergeSnapshots(base, local, remote)
+
+    assert.deepEqual(merged.transactions.map((entry) => entry.amount), [1300])
+  })
+
+  it('applies a deletion the other side did not touch', () => {
+    const base = snapshot()
+    const local = snapshot({ transactions: [], createdAt: 2000 })
+    const remote = snapshot({ targetSavings: 100, createdAt: 3000 })
+
+    const { snapshot: merged } = mergeSnapshots(base, local, remote)
+
+    assert.deepEqual(merged.transactions, [])
+    assert.equal(merged.targetSavings, 100)
+  })
+
+  it('unions both sides when there is no common base', () => {
+    const local = snapshot({ id: 'local', transactions: [transaction('coffee', 'Food', 5)] })
+    const remote = snapshot({ transactions: [transaction('rent', 'Rent', 1200)] })
+
+    const { snapshot: merged } = mergeSnapshots(null, local, remote)
+
+    assert.equal(merged.id, 'march')
+    assert.deepEqual(merged.transactions.map((entry) => entry.id).sort(), ['coffee', 'rent'])
+  })
+})
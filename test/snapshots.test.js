@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { byMostRecentMonth, normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+
+describe('normalizeSnapshot', () => {
+  it('rejects non-objects', () => {
+    assert.equal(normalizeSnapshot(null), null)
+    assert.equal(normalizeSnapshot('2026-01'), null)
+  })
+
+  it('migrates a legacy single income into one income source', () => {
+    const snapshot = normalizeSnapshot({
+      month: '2025-11',
+      income: 2500,
+      categories: [{ name: 'Food', amount: 300 }],
+      totalExpense: 300,
+      savings: 2200,
+    })
+
+    assert.equal(snapshot.baseCurrency, 'USD')
+    assert.equal(snapshot.incomeSources.length, 1)
+    assert.equal(snapshot.incomeSources[0].name, 'Income')
+    assert.equal(snapshot.incomeSources[0].amount, 2500)
+    assert.equal(snapshot.totalIncome, 2500)
+  })
+
+  it('rebuilds transactions from category totals when none were saved', () => {
+    const snapshot = normalizeSnapshot({ month: '2025-11', categories: [{ name: 'Rent', amount: 900 }] })
+
+    assert.equal(snapshot.transactions.length, 1)
+    assert.equal(snapshot.transactions[0].category, 'Rent')
+    assert.equal(Number(snapshot.transactions[0].amount), 900)
+  })
+})
+
+describe('withDerivedTotals', () => {
+  it('recomputes totals from transactions, income sources and saved rates', () => {
+    const snapshot = withDerivedTotals(
+      normalizeSnapshot({
+        month: '2026-02',
+        baseCurrency: 'USD',
+        ratesUsed: { EUR: 2 },
+        incomeSources: [{ name: 'Salary', amount: 1000, currency: 'EUR' }],
+        categories: [{ name: 'Food', amount: 0 }],
+        transactions: [{ date: '2026-02-03', payee: 'Market', amount: 400, currency: 'USD', category: 'Food' }],
+        totalIncome: 1,
+        totalExpense: 1,
+      }),
+    )
+
+    assert.equal(snapshot.totalIncome, 2000)
+    assert.equal(snapshot.totalExpense, 400)
+    assert.equal(snapshot.savings, 1600)
+    assert.equal(snapshot.savingsRate, 80)
+    assert.deepEqual(snapshot.categories, [{ name: 'Food', amount: 400 }])
+  })
+})
+
+describe('byMostRecentMonth', () => {
+  it('sorts newest month first, then newest save', () => {
+    const sorted = [
+      { month: '2026-01', createdAt: 2 },
+      { month: '2026-03', createdAt: 1 },
+      { month: '2026-03', createdAt: 5 },
+    ].sort(byMostRecentMonth)
+
+    assert.deepEqual(
+      sorted.map((snapshot) => [snapshot.month, snapshot.createdAt]),
+      [
+        ['2026-03', 5],
+        ['2026-03', 1],
+        ['2026-01', 2],
+      ],
+    )
+  })
+})
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict'
+import { afterEach, describe, it } from 'node:test'
+import { STORAGE_KEY, UnreadableHistoryError, createLocalStorageHistoryStore, listQuarantinedHistory } from '../src/lib/storage.js'
+
+const memoryStorage = () => {
+  const values = new Map()
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    key: (index) => [...values.keys()][index] ?? null,
+    get length() {
+      return values.size
+    },
+  }
+}
+
+// Storage whose quarantine copies fail, as they do when the quota is full.
+const fullStorage = () => {
+  const storage = memoryStorage()
+  const setItem = storage.setItem
+  storage.setItem = (key, value) => {
+    if (key.includes('_quarantine_')) throw new Error('QuotaExceededError')
+    setItem(key, value)
+  }
+  return storage
+}
+
+const snapshot = { id: 'a', month: '2026-01', categories: [], createdAt: 1 }
+
+describe('unreadable localStorage history', () => {
+  afterEach(() => {
+    delete globalThis.window
+  })
+
+  it('is moved aside and the store starts empty', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    window.localStorage.setItem(STORAGE_KEY, '{not json')
+
+    assert.deepEqual(await createLocalStorageHistoryStore().load(), [])
+    assert.equal(window.localStorage.getItem(STORAGE_KEY), null)
+    assert.equal(listQuarantinedHistory()[0].raw, '{not json')
+  })
+
+  it('stays in place and is reported when it cannot be moved aside', async () => {
+    globalThis.window = { localStorage: fullStorage() }
+    window.localStorage.setItem(STORAGE_KEY, '{not json')
+
+    await assert.rejects(createLocalStorageHistoryStore().load(), UnreadableHistoryError)
+    assert.equal(window.localStorage.getItem(STORAGE_KEY), '{not json')
+  })
+
+  it('is never written over by a later write or remove', async () => {
+    globalThis.window = { localStorage: fullStorage() }
+    window.localStorage.setItem(STORAGE_KEY, '{not json')
+    const store = createLocalStorageHistoryStore()
+
+    await assert.rejects(store.write(snapshot, null), UnreadableHistoryError)
+    await assert.rejects(store.remove('a', undefined), UnreadableHistoryError)
+    assert.equal(window.localStorage.getItem(STORAGE_KEY), '{not json')
+  })
+})
@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { createSyncServer, createSyncStore } from '../server/syncServer.js'
+import { normalizeSnapshot, withDerivedTotals } from '../src/lib/snapshots.js'
+import {
+  applySyncSteps,
+  createSyncClient,
+  defaultSyncState,
+  pendingChanges,
+  SyncError,
+  syncOnce,
+} from '../src/lib/sync.js'
+
+const TOKEN = 'test-token'
+
+const snapshot = (id, month, fields = {}) =>
+  withDerivedTotals(
+    normalizeSnapshot({
+      id,
+      month,
+      incomeSources: [{ id: 'salary', name: 'Salary', amount: 3000, currency: 'USD' }],
+      categories: [{ name: 'Rent' }],
+      transactions: [{ id: `${id}-rent`, date: `${month}-01`, category: 'Rent', amount: 1200, currency: 'USD' }],
+      createdAt: 1000,
+      ...fields,
+    }),
+  )
+
+const listen = (server) =>
+  new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))
+  })
+
+const close = (server) => new Promise((resolve) => server.close(resolve))
+
+// Runs sync rounds the way the app does until nothing is left to push.
+const sync = async (device, client) => {
+  for (let round = 0; round < 3; round += 1) {
+    const result = await syncOnce({ client, state: device.state, history: device.history })
+    const applied = applySyncSteps(device.history, device.history, result.steps)
+
+    device.history = applied.history
+    device.state = { ...device.state, cursor: result.cursor, shadows: { ...device.state.shadows, ...applied.shadows } }
+    device.merges.push(...result.merges)
+
+    if (pendingChanges(device.history, device.state.shadows).length === 0) return
+  }
+}
+
+const createDevice = () => ({ state: defaultSyncState(), history: [], merges: [] })
+
+describe('sync against a local server', () => {
+  let directory
+  let dataFile
+  let server
+  let client
+
+  before(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'fintrack-sync-'))
+    dataFile = join(directory, 'sync.json')
+    server = createSyncServer({ store: createSyncStore(dataFile), token: TOKEN })
+    client = createSyncClient({ serverUrl: await listen(server), token: TOKEN })
+  })
+
+  after(async () => {
+    await close(server)
+    rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('copies snapshots to another device and only pulls what changed since the cursor', async () => {
+    const laptop = createDevice()
+    const phone = createDevice()
+    laptop.history = [snapshot('jan', '2026-01')]
+
+    await sync(laptop, client)
+    await sync(phone, client)
+    assert.deepEqual(phone.history.map((entry) => entry.id), ['jan'])
+
+    const { changes } = await client.pull(phone.state.cursor)
+    assert.deepEqual(changes, [])
+  })
+
+  it('queues changes made offline and sends them once the server is reachable', async () => {
+    const laptop = createDevice()
+    const phone = createDevice()
+    await sync(laptop, client)
+    await sync(phone, client)
+
+    laptop.history = [...laptop.history, snapshot('feb', '2026-02')]
+    const offline = createSyncClient({ serverUrl: 'http://127.0.0.1:1', fetch: () => Promise.reject(new TypeError('offline')) })
+
+    await assert.rejects(sync(laptop, offline), (error) => error instanceof SyncError && error.offline)
+    assert.equal(pendingChanges(laptop.history, laptop.state.shadows).length, 1)
+
+    await sync(laptop, client)
+    await sync(phone, client)
+    assert.ok(phone.history.some((entry) => entry.id === 'feb'))
+  })
+
+  it('merges concurrent edits of the same month field by field', async () => {
+    const laptop = createDevice()
+    const phone = createDevice()
+    laptop.history = [snapshot('mar', '2026-03')]
+    await sync(laptop, client)
+    await sync(phone, client)
+
+    const edit = (device, fields) => {
+      device.history = device.history.map((entry) => (entry.id === 'mar' ? snapshot('mar', '2026-03', { ...fields }) : entry))
+    }
+    edit(laptop, { targetSavings: 700, createdAt: 2000 })
+    edit(phone, {
+      transactions: [
+        { id: 'mar-rent', date: '2026-03-01', category: 'Rent', amount: 1200, currency: 'USD' },
+        { id: 'mar-food', date: '2026-03-05', category: 'Food', amount: 90, currency: 'USD' },
+      ],
+      createdAt: 3000,
+    })
+
+    await sync(laptop, client)
+    await sync(phone, client)
+    await sync(laptop, client)
+
+    const onLaptop = laptop.history.find((entry) => entry.id === 'mar')
+    const onPhone = phone.history.find((entry) => entry.id === 'mar')
+    assert.equal(onPhone.targetSavings, 700)
+    assert.deepEqual(onPhone.transactions.map((entry) => entry.id).sort(), ['mar-food', 'mar-rent'])
+    assert.deepEqual(onLaptop.transactions, onPhone.transactions)
+    assert.equal(onLaptop.targetSavings, 700)
+    assert.deepEqual(phone.merges.map((merge) => merge.month), ['2026-03'])
+  })
+
+  it('folds two snapshots created for the same month into one', async () => {
+    const laptop = createDevice()
+    const phone = createDevice()
+    await sync(laptop, client)
+    await sync(phone, client)
+
+    laptop.history = [...laptop.history, snapshot('apr-laptop', '2026-04')]
+    phone.history = [...phone.history, snapshot('apr-phone', '2026-04', { targetSavings: 300 })]
+
+    await sync(laptop, client)
+    await sync(phone, client)
+    await sync(laptop, client)
+
+    const aprilOn = (device) => device.history.filter((entry) => entry.month === '2026-04')
+    assert.deepEqual(aprilOn(phone).map((entry) => entry.id), ['apr-laptop'])
+    assert.deepEqual(aprilOn(laptop).map((entry) => entry.id), ['apr-laptop'])
+    assert.equal(aprilOn(laptop)[0].targetSavings, 300)
+    assert.equal(aprilOn(laptop)[0].transactions.length, 2)
+  })
+
+  it('keeps a month that was edited on one device and deleted on another', async () => {
+    const laptop = createDevice()
+    const phone = createDevice()
+    laptop.history = [snapshot('may', '2026-05')]
+    await sync(laptop, client)
+    await sync(phone, client)
+
+    laptop.history = laptop.history.filter((entry) => entry.id !== 'may')
+    phone.history = phone.history.map((entry) => (entry.id === 'may' ? snapshot('may', '2026-05', { targetSavings: 50 }) : entry))
+
+    await sync(phone, client)
+    await sync(laptop, client)
+
+    assert.equal(laptop.history.find((entry) => entry.id === 'may')?.targetSavings, 50)
+  })
+
+  it('propagates deletions', async () => {
+    const laptop = createDevice()
+    const phone = createDevice()
+    laptop.history = [snapshot('jun', '2026-06')]
+    await sync(laptop, client)
+    await sync(phone, client)
+
+    phone.history = phone.history.filter((entry) => entry.id !== 'jun')
+    await sync(phone, client)
+    await sync(laptop, client)
+
+    assert.ok(!laptop.history.some((entry) => entry.id === 'jun'))
+  })
+
+  it('rejects requests without the token', async () => {
+    const anonymous = createSyncClient({ serverUrl: `http://127.0.0.1:${server.address().port}` })
+
+    await assert.rejects(anonymous.pull(0), (error) => error instanceof SyncError && error.status === 401)
+  })
+
+  it('keeps stored records when the server restarts', async () => {
+    const reloaded = createSyncStore(dataFile)
+    const ids = reloaded.changesSince(0).filter((record) => !record.deleted).map((record) => record.id)
+
+    assert.ok(ids.includes('jan'))
+    assert.ok(ids.includes('may'))
+    assert.ok(!ids.includes('jun'))
+  })
+})
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict'
+import { before, describe, it } from 'node:test'
+import { createHistoryRepository } from '../src/lib/historyRepository.js'
+import { STORAGE_KEY, createLocalStorageHistoryStore } from '../src/lib/storage.js'
+import { changePassphrase, createCipher, createVault, openValue, sealValue, unlockVault, VaultError } from '../src/lib/vault.js'
+
+const memoryStorage = () => {
+  const values = new Map()
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    key: (index) => [...values.keys()][index] ?? null,
+    get length() {
+      return values.size
+    },
+  }
+}
+
+describe('vault', () => {
+  let vault
+
+  before(async () => {
+    vault = await createVault('correct horse battery', 5)
+  })
+
+  it('unlocks with the passphrase and rejects anything else', async () => {
+    const key = await unlockVault(vault.settings, 'correct horse battery')
+    const sealed = await sealValue({ month: '2026-01' }, createCipher(vault.key))
+
+    assert.deepEqual(await openValue(sealed, createCipher(key)), { month: '2026-01' })
+    await assert.rejects(unlockVault(vault.settings, 'wrong passphrase'), VaultError)
+  })
+
+  it('keeps the same data key when the passphrase changes', async () => {
+    const settings = await changePassphrase(vault.settings, 'correct horse battery', 'a new passphrase')
+    const sealed = await sealValue([1, 2, 3], createCipher(vault.key))
+
+    assert.equal(settings.keyId, vault.settings.keyId)
+    assert.deepEqual(await openValue(sealed, createCipher(await unlockVault(settings, 'a new passphrase'))), [1, 2, 3])
+    await assert.rejects(unlockVault(settings, 'correct horse battery'), VaultError)
+  })
+
+  it('passes plain values through and refuses sealed ones without a key', async () => {
+    assert.deepEqual(await openValue([1], null), [1])
+    await assert.rejects(openValue(await sealValue([1], createCipher(vault.key)), null), VaultError)
+  })
+
+  it('converts plain localStorage history in place', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    const cipher = createCipher(vault.key)
+    const plainStore = createLocalStorageHistoryStore()
+    await plainStore.write({ id: 'a', month: '2026-01', categories: [], createdAt: 1 }, null)
+
+    await plainStore.convert(cipher)
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    assert.equal(Array.isArray(stored), false)
+    assert.equal(JSON.stringify(stored).includes('2026-01'), false)
+
+    const encryptedStore = createLocalStorageHistoryStore(cipher)
+    const [snapshot] = await encryptedStore.load()
+    assert.equal(snapshot.month, '2026-01')
+    assert.equal(snapshot.revision, 1)
+
+    await encryptedStore.convert(null)
+    assert.equal(JSON.parse(window.localStorage.getItem(STORAGE_KEY))[0].month, '2026-01')
+    delete globalThis.window
+  })
+
+  it('reports history it cannot convert and leaves it as it was', async () => {
+    globalThis.window = { localStorage: memoryStorage() }
+    const plainStore = createLocalStorageHistoryStore()
+    await plainStore.write({ id: 'a', month: '2026-01', categories: [], createdAt: 1 }, null)
+    window.localStorage.setItem(`${STORAGE_KEY}_migrated`, '{not json')
+
+    await assert.rejects(plainStore.convert(createCipher(vault.key)), /_migrated/)
+    assert.equal(JSON.stringify(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).includes('2026-01'), false)
+    assert.equal(window.localStorage.getItem(`${STORAGE_KEY}_migrated`), '{not json')
+    assert.equal((await plainStore.load())[0].month, '2026-01')
+    delete globalThis.window
+  })
+
+  it('announces changes to other tabs without the snapshot contents', async () => {
+    const listeners = []
+    globalThis.window = {
+      localStorage: memoryStorage(),
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: () => {},
+    }
+    const broadcastChannel = globalThis.BroadcastChannel
+    delete globalThis.BroadcastChannel
+
+    const cipher = createCipher(vault.key)
+    const writer = createHistoryRepository(createLocalStorageHistoryStore(cipher))
+    const reader = createHistoryRepository(createLocalStorageHistoryStore(cipher))
+    const received = new Promise((resolve) => reader.subscribe(resolve))
+
+    await writer.put({ id: 'a', month: '2026-01', categories: [{ name: 'Rent', amount: 1234 }], createdAt: 1 }, null)
+    const newValue = window.localStorage.getItem('fintrack_history_sync')
+    assert.equal(newValue.includes('Rent'), false)
+
+    listeners.forEach((listener) => listener({ key: 'fintrack_history_sync', newValue }))
+    const message = await received
+    assert.equal(message.snapshot.categories[0].amount, 1234)
+
+    globalThis.BroadcastChannel = broadcastChannel
+    delete globalThis.window
+  })
+})